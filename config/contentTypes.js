@@ -0,0 +1,36 @@
+// Built-in content types. Users can add their own through /api/ai/content-types;
+// services/contentTypeService.js resolves both kinds by key.
+//   systemPrompt - instructions sent to the model for this type
+//   structure    - section outline requested from the model (and the structured-output keys)
+module.exports = {
+  presentation: {
+    label: '📊 Presentation',
+    description: 'Multi-slide decks with structure',
+    systemPrompt: `You are an expert presentation creator. Create a comprehensive slide deck with clear structure, engaging content, and professional formatting. Include slide titles, bullet points, and speaker notes. Format as markdown with clear slide separations.`,
+    structure: ['Introduction', 'Problem/Opportunity', 'Solution', 'Benefits', 'Implementation', 'Conclusion']
+  },
+  document: {
+    label: '📄 Document',
+    description: 'Professional reports & documentation',
+    systemPrompt: `You are a professional document writer. Create well-structured, informative documents with proper headings, sections, and detailed content. Use professional language and clear formatting.`,
+    structure: ['Executive Summary', 'Introduction', 'Main Content', 'Analysis', 'Recommendations', 'Conclusion']
+  },
+  social: {
+    label: '📱 Social Media',
+    description: 'Viral-ready posts with hashtags',
+    systemPrompt: `You are a social media expert. Create engaging, viral-worthy posts with hooks, value, and appropriate hashtags. Keep it concise but impactful.`,
+    structure: ['Hook', 'Value Proposition', 'Call to Action', 'Hashtags']
+  },
+  blog: {
+    label: '📝 Blog Post',
+    description: 'SEO-optimized articles',
+    systemPrompt: `You are a content marketing expert. Write compelling blog posts with SEO optimization, engaging headlines, and valuable insights. Include introduction, main points, and conclusion.`,
+    structure: ['Headline', 'Introduction', 'Main Points', 'Examples', 'Conclusion', 'Call to Action']
+  },
+  email: {
+    label: '📧 Email',
+    description: 'High-converting campaigns',
+    systemPrompt: `You are an email marketing specialist. Create persuasive, well-structured emails that drive engagement and conversions. Include subject line and clear call to action.`,
+    structure: ['Subject Line', 'Opening', 'Value Proposition', 'Benefits', 'Call to Action', 'Closing']
+  }
+};
@@ -0,0 +1,47 @@
+// Output languages. Request validators, GET /api/ai/options, the prompt instructions,
+// translation targets (name) and export language tags (code) are all driven from this list;
+// each language also needs a fallback bundle in services/fallback/locales/<key>.js (checked at startup).
+module.exports = {
+  english: {
+    name: 'English',
+    code: 'en',
+    label: '🇺🇸 English',
+    instruction: ''
+  },
+  spanish: {
+    name: 'Spanish',
+    code: 'es',
+    label: '🇪🇸 Spanish',
+    instruction: 'Write the entire content in Spanish (Español).'
+  },
+  french: {
+    name: 'French',
+    code: 'fr',
+    label: '🇫🇷 French',
+    instruction: 'Write the entire content in French (Français).'
+  },
+  german: {
+    name: 'German',
+    code: 'de',
+    label: '🇩🇪 German',
+    instruction: 'Write the entire content in German (Deutsch).'
+  },
+  chinese: {
+    name: 'Chinese (Simplified)',
+    code: 'zh',
+    label: '🇨🇳 Chinese',
+    instruction: 'Write the entire content in Chinese (中文).'
+  },
+  japanese: {
+    name: 'Japanese',
+    code: 'ja',
+    label: '🇯🇵 Japanese',
+    instruction: 'Write the entire content in Japanese (日本語).'
+  },
+  portuguese: {
+    name: 'Portuguese (Brazilian)',
+    code: 'pt',
+    label: '🇧🇷 Portuguese',
+    instruction: 'Write the entire content in Portuguese (Português).'
+  }
+};
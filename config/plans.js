@@ -0,0 +1,67 @@
+// Plan catalog. Every limit and feature gate for a plan lives here; routes and
+// services read it through services/planService.js.
+//   rateLimit      - AI requests per user per window
+//   monthlyQuota   - generations per billing period (null = unlimited)
+//   providers      - AI provider names the plan may use ('*' = all configured)
+//   contentTypes   - built-in content types the plan may generate
+//   exportFormats  - txt, md and json are on every plan; html, docx, pdf, pptx and reveal are gated
+//   customContentTypes / promptTemplates / brandVoices - how many of each a user may create
+//                    (0 = feature off); shared custom types can be used by any plan that allows custom types
+const contentTypes = require('./contentTypes');
+
+const ALL_CONTENT_TYPES = Object.keys(contentTypes);
+
+module.exports = {
+  demo: {
+    name: 'Demo',
+    rateLimit: { windowMs: 60 * 1000, max: 3 },
+    monthlyQuota: 10,
+    maxPromptLength: 500,
+    maxBatchSize: 1,
+    contentTypes: ['social', 'blog', 'email'],
+    exportFormats: ['txt', 'md', 'json'],
+    customContentTypes: 0,
+    promptTemplates: 0,
+    brandVoices: 0,
+    providers: ['huggingface', 'ollama-proxy', 'local-llm']
+  },
+  free: {
+    name: 'Free',
+    rateLimit: { windowMs: 60 * 1000, max: 10 },
+    monthlyQuota: 100,
+    maxPromptLength: 2000,
+    maxBatchSize: 10,
+    contentTypes: ALL_CONTENT_TYPES,
+    exportFormats: ['txt', 'md', 'json', 'html'],
+    customContentTypes: 3,
+    promptTemplates: 10,
+    brandVoices: 1,
+    providers: ['huggingface', 'ollama-proxy', 'local-llm']
+  },
+  pro: {
+    name: 'Pro',
+    rateLimit: { windowMs: 60 * 1000, max: 60 },
+    monthlyQuota: 2000,
+    maxPromptLength: 5000,
+    maxBatchSize: 50,
+    contentTypes: ALL_CONTENT_TYPES,
+    exportFormats: ['txt', 'md', 'json', 'html', 'docx', 'pdf', 'pptx', 'reveal'],
+    customContentTypes: 25,
+    promptTemplates: 100,
+    brandVoices: 10,
+    providers: ['*']
+  },
+  team: {
+    name: 'Team',
+    rateLimit: { windowMs: 60 * 1000, max: 120 },
+    monthlyQuota: 10000,
+    maxPromptLength: 10000,
+    maxBatchSize: 100,
+    contentTypes: ALL_CONTENT_TYPES,
+    exportFormats: ['txt', 'md', 'json', 'html', 'docx', 'pdf', 'pptx', 'reveal'],
+    customContentTypes: 100,
+    promptTemplates: 500,
+    brandVoices: 50,
+    providers: ['*']
+  }
+};
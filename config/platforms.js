@@ -0,0 +1,59 @@
+// Social platforms for the `platform` option of social content. The prompt rules and the
+// post-generation fit (services/social) are driven from this list.
+//   maxLength   - characters per post (X counts every link as urlLength characters)
+//   maxHashtags - hashtags per post before a warning is reported
+//   threads     - whether long content is split into a thread (otherwise it is trimmed)
+//   hashtags    - how hashtags are used on the platform, sent to the model
+//   aliases     - other names accepted for the platform
+module.exports = {
+  x: {
+    name: 'X (Twitter)',
+    label: '𝕏 X (Twitter)',
+    maxLength: 280,
+    urlLength: 23,
+    maxHashtags: 2,
+    threads: true,
+    hashtags: 'Use at most 2 hashtags, woven into the text or at the end.',
+    aliases: ['twitter']
+  },
+  linkedin: {
+    name: 'LinkedIn',
+    label: '💼 LinkedIn',
+    maxLength: 3000,
+    maxHashtags: 5,
+    threads: false,
+    hashtags: 'End with 3 to 5 relevant hashtags on their own line.'
+  },
+  instagram: {
+    name: 'Instagram',
+    label: '📸 Instagram',
+    maxLength: 2200,
+    maxHashtags: 30,
+    threads: false,
+    hashtags: 'Put 5 to 15 relevant hashtags in a block after the caption, separated from it by a blank line.'
+  },
+  threads: {
+    name: 'Threads',
+    label: '🧵 Threads',
+    maxLength: 500,
+    maxHashtags: 1,
+    threads: true,
+    hashtags: 'Use at most one topic tag per post.'
+  },
+  mastodon: {
+    name: 'Mastodon',
+    label: '🐘 Mastodon',
+    maxLength: 500,
+    maxHashtags: 5,
+    threads: true,
+    hashtags: 'Use a few hashtags in CamelCase (#RemoteWork, not #remotework) so screen readers can read them.'
+  },
+  facebook: {
+    name: 'Facebook',
+    label: '👥 Facebook',
+    maxLength: 63206,
+    maxHashtags: 3,
+    threads: false,
+    hashtags: 'Use 1 to 3 hashtags at most, or none.'
+  }
+};
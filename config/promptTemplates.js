@@ -0,0 +1,74 @@
+// Built-in prompt templates. `{{name}}` placeholders are filled from the typed
+// `variables` when generating with a templateId (see services/promptTemplateService.js).
+// Variable types: text (maxLength), number (min/max), enum (options), list (maxItems).
+module.exports = [
+  {
+    id: 1,
+    name: 'Startup Pitch Deck',
+    contentType: 'presentation',
+    description: 'Professional pitch deck template for startups seeking investment',
+    prompt: 'Create a comprehensive startup pitch deck for {{company}} that addresses {{problem}}, presents our {{solution}}, shows market opportunity, business model, and financial projections',
+    variables: [
+      { name: 'company', label: 'Company name', type: 'text', maxLength: 100 },
+      { name: 'problem', label: 'Problem', type: 'text', maxLength: 300 },
+      { name: 'solution', label: 'Solution', type: 'text', maxLength: 300 }
+    ],
+    tags: ['startup', 'investment', 'business']
+  },
+  {
+    id: 2,
+    name: 'Viral Social Media Campaign',
+    contentType: 'social',
+    description: 'Engaging social media post templates designed to go viral',
+    prompt: 'Create a viral social media campaign about {{topic}} that includes engaging hooks, valuable content, and trending hashtags',
+    variables: [
+      { name: 'topic', label: 'Topic', type: 'text', maxLength: 200 }
+    ],
+    tags: ['viral', 'social media', 'engagement']
+  },
+  {
+    id: 3,
+    name: 'Technical Documentation',
+    contentType: 'document',
+    description: 'Comprehensive technical documentation template',
+    prompt: 'Create detailed technical documentation for {{product}} including setup, usage examples, and troubleshooting',
+    variables: [
+      { name: 'product', label: 'Product or API', type: 'text', maxLength: 200 }
+    ],
+    tags: ['technical', 'documentation', 'api']
+  },
+  {
+    id: 4,
+    name: 'Product Launch Strategy',
+    contentType: 'presentation',
+    description: 'Complete product launch presentation template',
+    prompt: 'Create a product launch strategy presentation for {{product}} including features, market strategy, and timeline',
+    variables: [
+      { name: 'product', label: 'Product', type: 'text', maxLength: 200 }
+    ],
+    tags: ['product launch', 'strategy', 'marketing']
+  },
+  {
+    id: 5,
+    name: 'Thought Leadership Blog',
+    contentType: 'blog',
+    description: 'Authority-building blog post template',
+    prompt: 'Write a thought leadership blog post about {{topic}} with insights, analysis, and predictions',
+    variables: [
+      { name: 'topic', label: 'Industry topic', type: 'text', maxLength: 200 }
+    ],
+    tags: ['thought leadership', 'blog', 'authority']
+  },
+  {
+    id: 6,
+    name: 'Sales Email Sequence',
+    contentType: 'email',
+    description: 'High-converting email sequence template',
+    prompt: 'Create a {{count}}-email sales sequence for {{product}} that nurtures leads and drives conversions',
+    variables: [
+      { name: 'product', label: 'Product or service', type: 'text', maxLength: 200 },
+      { name: 'count', label: 'Number of emails', type: 'number', min: 1, max: 10, default: 5 }
+    ],
+    tags: ['sales', 'email marketing', 'conversion']
+  }
+];
@@ -0,0 +1,37 @@
+// Default AI provider configuration.
+// Override with AI_PROVIDERS (JSON array) or AI_PROVIDERS_FILE (path to a JSON file).
+// Providers are tried in order; `type` selects the adapter in services/providers.
+// An optional `breaker: { failureThreshold, cooldownMs }` overrides the AI_BREAKER_* defaults.
+module.exports = [
+  {
+    name: 'huggingface',
+    type: 'huggingface',
+    url: 'https://api-inference.huggingface.co/models/microsoft/DialoGPT-medium',
+    headers: {},
+    enabled: true
+  },
+  {
+    name: 'ollama-proxy',
+    type: 'ollama',
+    url: 'https://ollama-proxy.vercel.app/api/generate',
+    model: 'llama2',
+    headers: { 'Content-Type': 'application/json' },
+    enabled: true
+  },
+  {
+    name: 'local-llm',
+    type: 'ollama',
+    url: 'http://localhost:11434/api/generate',
+    model: 'llama2',
+    headers: { 'Content-Type': 'application/json' },
+    enabled: false // Enable if running local Ollama
+  },
+  {
+    name: 'openai-compatible',
+    type: 'openai',
+    baseUrl: process.env.OPENAI_COMPATIBLE_BASE_URL || 'http://localhost:8080/v1',
+    model: process.env.OPENAI_COMPATIBLE_MODEL || 'default',
+    apiKeyEnv: 'OPENAI_COMPATIBLE_API_KEY',
+    enabled: Boolean(process.env.OPENAI_COMPATIBLE_BASE_URL) // llama.cpp server, vLLM, LM Studio, LocalAI
+  }
+];
@@ -0,0 +1,34 @@
+// Writing tones. Request validators, GET /api/ai/options (label, description) and the
+// prompt instructions, including the change-tone transform, are all driven from this list.
+module.exports = {
+  professional: {
+    label: '👔 Professional',
+    description: 'Business-appropriate tone',
+    instruction: 'Use a professional, business-appropriate tone with formal language.'
+  },
+  casual: {
+    label: '😊 Casual',
+    description: 'Friendly and conversational',
+    instruction: 'Use a casual, friendly, and conversational tone that feels approachable.'
+  },
+  creative: {
+    label: '🎨 Creative',
+    description: 'Innovative and inspiring',
+    instruction: 'Use a creative, innovative, and inspiring tone that sparks imagination.'
+  },
+  persuasive: {
+    label: '💪 Persuasive',
+    description: 'Compelling and action-oriented',
+    instruction: 'Use a persuasive, compelling, and action-oriented tone that motivates.'
+  },
+  informative: {
+    label: '📚 Informative',
+    description: 'Educational and clear',
+    instruction: 'Use an informative, educational, and clear tone that teaches.'
+  },
+  humorous: {
+    label: '😄 Humorous',
+    description: 'Light-hearted and entertaining',
+    instruction: 'Use a humorous, light-hearted, and entertaining tone that engages.'
+  }
+};
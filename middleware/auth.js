@@ -0,0 +1,91 @@
+const jwt = require('jsonwebtoken');
+const storage = require('../storage');
+
+// Resolve the caller from an X-API-Key header or a Bearer JWT.
+// Returns { user }, { error } for bad credentials, or null when none were sent.
+async function resolveUser(req) {
+  const apiKey = req.headers['x-api-key'];
+  const authorization = req.headers.authorization || '';
+
+  if (apiKey) {
+    const user = await storage.users.findByApiKey(apiKey);
+    return user ? { user } : { error: 'Invalid API key' };
+  }
+
+  if (authorization.startsWith('Bearer ')) {
+    const token = authorization.slice('Bearer '.length).trim();
+    let decoded;
+    try {
+      decoded = jwt.verify(token, process.env.JWT_SECRET || 'your-secret-key');
+    } catch (error) {
+      return { error: error.name === 'TokenExpiredError' ? 'Token expired' : 'Invalid token' };
+    }
+
+    const user = await storage.users.findById(decoded.userId);
+    return user ? { user } : { error: 'User not found' };
+  }
+
+  return null;
+}
+
+// Authenticate the caller by X-API-Key header or a Bearer JWT and attach the
+// resolved user as req.user. Guest allowances are enforced by checkQuota on the
+// generation routes, so an exhausted guest key can still read its saved content.
+const validateApiKey = async (req, res, next) => {
+  try {
+    const result = await resolveUser(req);
+
+    if (!result || result.error) {
+      return res.status(401).json({
+        success: false,
+        error: result ? result.error : 'API key or bearer token required'
+      });
+    }
+
+    req.user = result.user;
+    next();
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Like validateApiKey, but anonymous callers pass through with req.user unset.
+// Credentials that are present but invalid are still rejected.
+const optionalAuth = async (req, res, next) => {
+  try {
+    const result = await resolveUser(req);
+
+    if (result && result.error) {
+      return res.status(401).json({
+        success: false,
+        error: result.error
+      });
+    }
+
+    req.user = result ? result.user : undefined;
+    next();
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Restrict a route to operators listed by email in ADMIN_EMAILS (comma-separated).
+// Runs after validateApiKey.
+const requireAdmin = (req, res, next) => {
+  const admins = (process.env.ADMIN_EMAILS || '').split(',').map(email => email.trim().toLowerCase()).filter(Boolean);
+
+  if (!req.user.email || !admins.includes(req.user.email.toLowerCase())) {
+    return res.status(403).json({
+      success: false,
+      error: 'Admin access required'
+    });
+  }
+
+  next();
+};
+
+module.exports = {
+  validateApiKey,
+  optionalAuth,
+  requireAdmin
+};
@@ -1,3 +1,5 @@
+const { AppError } = require('../utils/errors');
+
 // Async handler wrapper to catch errors in async routes
 const asyncHandler = (fn) => (req, res, next) => {
   Promise.resolve(fn(req, res, next)).catch(next);
@@ -11,22 +13,15 @@ const errorHandler = (err, req, res, next) => {
   // Log error
   console.error('Error:', err);
 
-  // Mongoose bad ObjectId
-  if (err.name === 'CastError') {
-    const message = 'Resource not found';
-    error = { message, statusCode: 404 };
-  }
-
-  // Mongoose duplicate key
-  if (err.code === 11000) {
+  // Raw SQLite errors that escaped the storage layer's translation
+  if (typeof err.code === 'string' && err.code.startsWith('SQLITE_CONSTRAINT')) {
     const message = 'Duplicate field value entered';
-    error = { message, statusCode: 400 };
+    error = { message, statusCode: 409 };
   }
 
-  // Mongoose validation error
-  if (err.name === 'ValidationError') {
-    const message = Object.values(err.errors).map(val => val.message).join(', ');
-    error = { message, statusCode: 400 };
+  if (err.code === 'SQLITE_BUSY' || err.code === 'SQLITE_LOCKED') {
+    const message = 'Database is busy, please try again';
+    error = { message, statusCode: 503 };
   }
 
   // JWT errors
@@ -50,6 +45,9 @@ const errorHandler = (err, req, res, next) => {
   res.status(error.statusCode || 500).json({
     success: false,
     error: error.message || 'Server Error',
+    // Operational errors expose a stable code and details
+    ...(err instanceof AppError && { code: err.code }),
+    ...(err instanceof AppError && err.details && { details: err.details }),
     ...(process.env.NODE_ENV === 'development' && { stack: err.stack })
   });
 };
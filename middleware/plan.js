@@ -0,0 +1,42 @@
+const planService = require('../services/planService');
+
+// Plan gates for AI routes. They run after authentication and before the request
+// validators, so plan violations surface as 403 PLAN_RESTRICTED rather than 400s.
+const enforceGenerationPlan = (req, res, next) => {
+  try {
+    planService.assertGenerationAllowed(req.user, req.body);
+    next();
+  } catch (error) {
+    next(error);
+  }
+};
+
+const enforceBatchPlan = (req, res, next) => {
+  try {
+    planService.assertBatchAllowed(req.user, req.body.requests);
+    next();
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Repurposing is checked like a batch with one item per target content type
+const enforceRepurposePlan = (req, res, next) => {
+  try {
+    const { targets } = req.body;
+    planService.assertBatchAllowed(req.user, Array.isArray(targets) ? targets.map(contentType => ({ contentType })) : undefined);
+    next();
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Per-user rate limit for the caller's plan
+const planRateLimit = planService.rateLimiter();
+
+module.exports = {
+  enforceGenerationPlan,
+  enforceBatchPlan,
+  enforceRepurposePlan,
+  planRateLimit
+};
@@ -0,0 +1,43 @@
+const promptTemplateService = require('../services/promptTemplateService');
+const { AppError } = require('../utils/errors');
+
+// Expands `templateId` + `variables` into `prompt` (and `contentType` when not given) on a
+// generation request, or on each item of a batch. Runs before the plan gates and request
+// validators so the expanded prompt is checked like one typed by hand.
+async function expandRequest(user, request) {
+  if (!request || request.templateId === undefined || request.templateId === null) {
+    return;
+  }
+
+  const template = await promptTemplateService.findVisible(user, request.templateId);
+  if (!template) {
+    throw new AppError('Template not found', 404, 'TEMPLATE_NOT_FOUND', { templateId: request.templateId });
+  }
+
+  request.prompt = promptTemplateService.render(template, request.variables || {});
+  request.contentType = request.contentType || template.contentType;
+}
+
+const applyPromptTemplate = async (req, res, next) => {
+  const isBatch = Array.isArray(req.body.requests);
+  const requests = isBatch ? req.body.requests : [req.body];
+
+  for (const [index, request] of requests.entries()) {
+    try {
+      await expandRequest(req.user, request);
+    } catch (error) {
+      // Point batch errors at the offending item
+      if (isBatch && error instanceof AppError) {
+        error.details = Array.isArray(error.details)
+          ? error.details.map(detail => ({ index, ...detail }))
+          : { index, ...error.details };
+      }
+      return next(error);
+    }
+  }
+  next();
+};
+
+module.exports = {
+  applyPromptTemplate
+};
@@ -0,0 +1,24 @@
+const usageService = require('../services/usageService');
+
+// Reserve the generations a request will perform before it runs, rejecting it when the
+// caller's plan can't cover them. `getUnits` returns how many generations that is (default 1).
+// Handlers meter against req.usageReservation; whatever they didn't use (validation errors,
+// failed or abandoned generations) is released when the response closes.
+const checkQuota = (getUnits = () => 1) => async (req, res, next) => {
+  try {
+    const reservation = await usageService.reserve(req.user, getUnits(req));
+    req.usageReservation = reservation;
+    res.on('close', () => {
+      usageService.release(reservation).catch(error => {
+        console.error('Failed to release reserved usage:', error);
+      });
+    });
+    next();
+  } catch (error) {
+    next(error);
+  }
+};
+
+module.exports = {
+  checkQuota
+};
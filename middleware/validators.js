@@ -0,0 +1,13 @@
+const { body } = require('express-validator');
+
+// Request validators shared by routes that accept the same fields
+
+// Tags are a list of non-empty strings
+const validateTags = [
+  body('tags').optional().isArray().withMessage('tags must be an array'),
+  body('tags.*').isString().withMessage('Each tag must be a string').trim().notEmpty().withMessage('Tags cannot be empty')
+];
+
+module.exports = {
+  validateTags
+};
@@ -1,32 +1,138 @@
+const crypto = require('crypto');
 const express = require('express');
-const { body, validationResult } = require('express-validator');
+const { body, query, validationResult } = require('express-validator');
 const aiService = require('../services/aiService');
 const { asyncHandler } = require('../middleware/errorHandler');
+const { validateApiKey, optionalAuth, requireAdmin } = require('../middleware/auth');
+const { checkQuota } = require('../middleware/quota');
+const { enforceGenerationPlan, enforceBatchPlan, enforceRepurposePlan, planRateLimit } = require('../middleware/plan');
+const { applyPromptTemplate } = require('../middleware/promptTemplate');
+const { validateTags } = require('../middleware/validators');
+const usageService = require('../services/usageService');
+const planService = require('../services/planService');
+const jobService = require('../services/jobService');
+const contentTypeService = require('../services/contentTypeService');
+const brandVoiceService = require('../services/brandVoiceService');
+const versionService = require('../services/versionService');
+const storage = require('../storage');
+const languages = require('../config/languages');
+const tones = require('../config/tones');
+const platforms = require('../config/platforms');
+const social = require('../services/social');
+const seo = require('../services/seo');
+const { AppError } = require('../utils/errors');
+const { isWebhookUrl, assertDeliverableUrl } = require('../utils/webhooks');
 
 const router = express.Router();
 
-// Validation middleware
+// Built-in types or custom types visible to the caller
+const isKnownContentType = (value, { req }) => contentTypeService.assertKnown(req.user, value);
+
+// Brand voice profiles owned by or shared with the caller
+const isUsableBrandVoice = (value, { req }) => brandVoiceService.assertUsable(req.user, value);
+
+// `platform` only makes sense next to a social, text-format request (top level or a batch item)
+const isSocialTextRequest = (value, { req, path }) => {
+  const item = path.match(/^requests\[(\d+)\]/);
+  const request = item ? req.body.requests[item[1]] : req.body;
+  return request.contentType === 'social' && request.format !== 'structured';
+};
+
+// Validation middleware (per-plan prompt limits are enforced by enforceGenerationPlan).
+// With a templateId, applyPromptTemplate has already filled in prompt and contentType.
 const validateGenerateRequest = [
   body('prompt')
-    .isLength({ min: 10, max: 2000 })
-    .withMessage('Prompt must be between 10 and 2000 characters')
+    .isLength({ min: 10, max: planService.maxPromptLength })
+    .withMessage(`Prompt must be between 10 and ${planService.maxPromptLength} characters`)
     .trim()
     .escape(),
   body('contentType')
-    .isIn(['presentation', 'document', 'social', 'blog', 'email'])
+    .custom(isKnownContentType)
     .withMessage('Invalid content type'),
+  body('variables')
+    .optional()
+    .isObject()
+    .withMessage('variables must be an object'),
   body('language')
     .optional()
-    .isIn(['english', 'spanish', 'french', 'german', 'chinese', 'japanese', 'portuguese'])
+    .isIn(Object.keys(languages))
     .withMessage('Invalid language'),
   body('tone')
     .optional()
-    .isIn(['professional', 'casual', 'creative', 'persuasive', 'informative', 'humorous'])
-    .withMessage('Invalid tone')
+    .isIn(Object.keys(tones))
+    .withMessage('Invalid tone'),
+  body('format')
+    .optional()
+    .isIn(['text', 'structured'])
+    .withMessage('Format must be text or structured'),
+  body('brandVoiceId')
+    .optional()
+    .custom(isUsableBrandVoice)
+    .withMessage('Brand voice not found'),
+  body('platform')
+    .optional()
+    .isIn(social.platformNames)
+    .withMessage(`Platform must be one of: ${social.platformNames.join(', ')}`)
+    .bail()
+    .custom(isSocialTextRequest)
+    .withMessage('platform requires the social content type and text format'),
+  body('seo')
+    .optional()
+    .isObject()
+    .withMessage('seo must be an object with a keyword')
+    .bail()
+    .custom((value, { req }) => req.body.contentType === 'blog')
+    .withMessage('seo requires the blog content type'),
+  body('seo.keyword')
+    .if(body('seo').exists())
+    .isString()
+    .withMessage('seo.keyword must be a string')
+    .bail()
+    .trim()
+    .isLength({ min: 2, max: 100 })
+    .withMessage('seo.keyword must be 2-100 characters'),
+  body('cache')
+    .optional()
+    .isBoolean({ strict: true })
+    .withMessage('cache must be a boolean')
 ];
 
-// Generate content endpoint
-router.post('/generate', validateGenerateRequest, asyncHandler(async (req, res) => {
+// Refinement operations for POST /transform (prompts live in AIService.transformPrompts)
+const TRANSFORM_OPERATIONS = Object.keys(aiService.transformPrompts);
+// Longest text /transform and /repurpose accept
+const MAX_TRANSFORM_LENGTH = 20000;
+
+// Metadata block shared by the regular and streaming generate endpoints.
+// `generation` is aiService's provenance envelope (provider, model, latency, cache hit,
+// attempts); `fallback` repeats its flag for localized template content. `social` is the
+// platform fit result, reported as `platform` with per-post character counts.
+function buildGenerationMetadata(content, { contentType, language, tone, format = 'text', generation, social: fitted }, startTime) {
+  return {
+    contentType,
+    language,
+    tone,
+    format,
+    ...(fitted && { platform: fitted.report }),
+    fallback: generation.fallback,
+    generation,
+    wordCount: content.split(' ').length,
+    characterCount: content.length,
+    generationTime: `${Date.now() - startTime}ms`,
+    timestamp: new Date().toISOString()
+  };
+}
+
+// Write a single Server-Sent Event. compression() buffers output, so flush explicitly.
+function sendEvent(res, event, data) {
+  res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+  if (typeof res.flush === 'function') {
+    res.flush();
+  }
+}
+
+// Generate content endpoint. Counts as one generation against the quota, including cache
+// hits; fallback template content (metadata.generation.fallback) is not counted.
+router.post('/generate', validateApiKey, planRateLimit, checkQuota(), applyPromptTemplate, enforceGenerationPlan, validateGenerateRequest, asyncHandler(async (req, res) => {
   // Check validation errors
   const errors = validationResult(req);
   if (!errors.isEmpty()) {
@@ -37,90 +143,606 @@ router.post('/generate', validateGenerateRequest, asyncHandler(async (req, res)
     });
   }
 
-  const { prompt, contentType, language = 'english', tone = 'professional' } = req.body;
+  const { prompt, contentType, language = 'english', tone = 'professional', format = 'text', brandVoiceId, platform, cache } = req.body;
+  const seoOptions = req.body.seo && { keyword: req.body.seo.keyword };
 
   // Log request for analytics
-  console.log(`AI Generation Request: ${contentType} | ${language} | ${tone} | ${prompt.substring(0, 50)}...`);
+  console.log(`AI Generation Request: ${contentType} | ${language} | ${tone} | ${format} | ${prompt.substring(0, 50)}...`);
 
   const startTime = Date.now();
   
   try {
-    const content = await aiService.generateContent({
+    const { customType } = await contentTypeService.resolve(req.user, contentType);
+    const brandVoice = brandVoiceId ? await brandVoiceService.findVisible(req.user, brandVoiceId) : null;
+    const options = {
       prompt,
       contentType,
       language,
-      tone
+      tone,
+      allowedProviders: planService.getAllowedProviders(req.user),
+      customType,
+      brandVoice,
+      platform,
+      seo: seoOptions,
+      userId: req.user.id,
+      cache
+    };
+    // Structured output also comes back as rendered markdown in `content`
+    const { content, structured, generation, social: fitted } = format === 'structured'
+      ? await aiService.generateStructuredContent(options)
+      : await aiService.generateContent(options);
+
+    await usageService.recordGeneration(req.user, generation, prompt, content, req.usageReservation);
+
+    res.json({
+      success: true,
+      data: {
+        content,
+        ...(structured && { structured }),
+        ...(fitted && { posts: fitted.posts }),
+        ...(brandVoice && { brandVoice: brandVoiceService.check(brandVoice, content, { language }) }),
+        ...(seoOptions && { seo: seo.analyze(content, { keyword: seoOptions.keyword, language }) }),
+        metadata: buildGenerationMetadata(content, { contentType, language, tone, format, generation, social: fitted }, startTime)
+      }
+    });
+
+  } catch (error) {
+    // Structured errors (e.g. an exceeded deadline) go through the error handler as-is
+    if (error instanceof AppError) {
+      throw error;
+    }
+    console.error('AI Generation Error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Content generation failed',
+      message: 'Please try again in a moment. Our AI service is temporarily unavailable.',
+      retryAfter: 30
+    });
+  }
+}));
+
+// Streaming generate endpoint (Server-Sent Events)
+// Emits `chunk` events as text arrives and a final `done` event with the metadata block.
+// With a platform, chunks are the raw reply and `done` carries the fitted content and posts.
+router.post('/generate/stream', validateApiKey, planRateLimit, checkQuota(), applyPromptTemplate, enforceGenerationPlan, validateGenerateRequest, asyncHandler(async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      error: 'Validation failed',
+      details: errors.array()
+    });
+  }
+
+  const { prompt, contentType, language = 'english', tone = 'professional', format, brandVoiceId, platform, cache } = req.body;
+  const seoOptions = req.body.seo && { keyword: req.body.seo.keyword };
+
+  // A JSON object can't be validated until it is complete
+  if (format === 'structured') {
+    return res.status(400).json({
+      success: false,
+      error: 'Structured output is not available for streaming; use /generate instead'
+    });
+  }
+
+  console.log(`AI Stream Request: ${contentType} | ${language} | ${tone} | ${prompt.substring(0, 50)}...`);
+
+  const startTime = Date.now();
+
+  res.status(200).set({
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    'Connection': 'keep-alive',
+    'X-Accel-Buffering': 'no'
+  });
+  res.flushHeaders();
+
+  // Stop pulling from the provider if the client goes away
+  const controller = new AbortController();
+  res.on('close', () => {
+    if (!res.writableEnded) {
+      controller.abort();
+    }
+  });
+
+  let content = '';
+  let generation = null;
+
+  try {
+    const { customType } = await contentTypeService.resolve(req.user, contentType);
+    const brandVoice = brandVoiceId ? await brandVoiceService.findVisible(req.user, brandVoiceId) : null;
+    const stream = aiService.generateContentStream({
+      prompt,
+      contentType,
+      language,
+      tone,
+      allowedProviders: planService.getAllowedProviders(req.user),
+      customType,
+      brandVoice,
+      platform,
+      seo: seoOptions,
+      userId: req.user.id,
+      cache
+    }, { signal: controller.signal, onComplete: result => { generation = result; } });
+
+    for await (const chunk of stream) {
+      if (controller.signal.aborted) break;
+      content += chunk;
+      sendEvent(res, 'chunk', { content: chunk });
+    }
+
+    if (!controller.signal.aborted) {
+      await usageService.recordGeneration(req.user, generation, prompt, content, req.usageReservation);
+      const fitted = platform ? social.fit(content, platform) : null;
+      if (fitted) {
+        content = fitted.content;
+      }
+      sendEvent(res, 'done', {
+        success: true,
+        ...(fitted && { content, posts: fitted.posts }),
+        ...(brandVoice && { brandVoice: brandVoiceService.check(brandVoice, content, { language }) }),
+        ...(seoOptions && { seo: seo.analyze(content, { keyword: seoOptions.keyword, language }) }),
+        metadata: buildGenerationMetadata(content, { contentType, language, tone, generation, social: fitted }, startTime)
+      });
+    }
+  } catch (error) {
+    if (error instanceof AppError) {
+      sendEvent(res, 'error', {
+        success: false,
+        error: error.message,
+        code: error.code,
+        status: error.statusCode,
+        details: error.details
+      });
+    } else if (!controller.signal.aborted) {
+      console.error('AI Stream Error:', error);
+      sendEvent(res, 'error', {
+        success: false,
+        error: 'Content generation failed',
+        message: 'Please try again in a moment. Our AI service is temporarily unavailable.',
+        retryAfter: 30
+      });
+    }
+  }
+
+  res.end();
+}));
+
+// Refine existing text: rewrite, expand, shorten, summarize, change-tone or translate.
+// Works on raw `text` or a saved `contentId`, optionally limited to a character range
+// (`selection: { start, end }`). With `save: true` the result becomes a new version of the
+// saved content. `content` is always the full text with the transformed part spliced in.
+router.post('/transform', validateApiKey, planRateLimit, checkQuota(), [
+  body('operation')
+    .isIn(TRANSFORM_OPERATIONS)
+    .withMessage(`Operation must be one of: ${TRANSFORM_OPERATIONS.join(', ')}`),
+  body('text')
+    .optional()
+    .isString()
+    .isLength({ min: 1, max: MAX_TRANSFORM_LENGTH })
+    .withMessage(`Text must be between 1 and ${MAX_TRANSFORM_LENGTH} characters`),
+  body('contentId')
+    .optional()
+    .isString()
+    .withMessage('contentId must be a string'),
+  body('selection')
+    .optional()
+    .isObject()
+    .withMessage('selection must be an object with start and end'),
+  body('selection.start')
+    .if(body('selection').exists())
+    .isInt({ min: 0 })
+    .withMessage('selection.start must be a non-negative integer')
+    .toInt(),
+  body('selection.end')
+    .if(body('selection').exists())
+    .isInt({ min: 1 })
+    .withMessage('selection.end must be a positive integer')
+    .toInt(),
+  body('tone')
+    .if(body('operation').equals('change-tone'))
+    .isIn(Object.keys(tones))
+    .withMessage('change-tone requires a valid tone'),
+  body('language')
+    .if(body('operation').equals('translate'))
+    .isIn(Object.keys(languages))
+    .withMessage('translate requires a valid language'),
+  body('save')
+    .optional()
+    .isBoolean({ strict: true })
+    .withMessage('save must be a boolean'),
+  body('changeSummary')
+    .optional()
+    .isLength({ max: 500 })
+    .trim()
+], asyncHandler(async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      error: 'Validation failed',
+      details: errors.array()
+    });
+  }
+
+  const { operation, text, contentId, selection, save = false, changeSummary } = req.body;
+  const tone = operation === 'change-tone' ? req.body.tone : undefined;
+  const language = operation === 'translate' ? req.body.language : undefined;
+
+  if ((text === undefined) === (contentId === undefined)) {
+    return res.status(400).json({
+      success: false,
+      error: 'Provide either text or contentId'
+    });
+  }
+
+  if (save && !contentId) {
+    return res.status(400).json({
+      success: false,
+      error: 'save requires a contentId'
+    });
+  }
+
+  let source = null;
+  if (contentId) {
+    source = await storage.content.findById(contentId);
+    if (!source || source.deletedAt) {
+      return res.status(404).json({
+        success: false,
+        error: 'Content not found'
+      });
+    }
+    if (source.ownerId !== req.user.id) {
+      return res.status(403).json({
+        success: false,
+        error: 'Access denied'
+      });
+    }
+  }
+
+  const original = source ? source.content : text;
+  const start = selection ? selection.start : 0;
+  const end = selection ? selection.end : original.length;
+
+  if (start >= end || end > original.length) {
+    return res.status(400).json({
+      success: false,
+      error: `Selection must satisfy start < end <= ${original.length}`
+    });
+  }
+
+  const target = original.slice(start, end);
+  if (!target.trim()) {
+    return res.status(400).json({
+      success: false,
+      error: 'Nothing to transform: the selected text is empty'
+    });
+  }
+  if (target.length > MAX_TRANSFORM_LENGTH) {
+    return res.status(400).json({
+      success: false,
+      error: `Select at most ${MAX_TRANSFORM_LENGTH} characters to transform`
+    });
+  }
+
+  console.log(`AI Transform Request: ${operation} | ${contentId || 'text'} | ${target.length} chars`);
+
+  const startTime = Date.now();
+
+  try {
+    const { content: transformed, generation } = await aiService.transformContent({
+      text: target,
+      operation,
+      tone,
+      language,
+      allowedProviders: planService.getAllowedProviders(req.user)
     });
+    // Keep the whitespace around the selection; models trim their replies
+    const [, leading, , trailing] = target.match(/^(\s*)([\s\S]*?)(\s*)$/);
+    const replacement = `${leading}${transformed}${trailing}`;
+    const content = original.slice(0, start) + replacement + original.slice(end);
 
-    const generationTime = Date.now() - startTime;
+    await usageService.record(req.user, usageService.measure(target, transformed), req.usageReservation);
+
+    // A whole-document translation also changes the saved content's language
+    let saved = null;
+    if (save) {
+      const updated = await versionService.update(source, {
+        content,
+        ...(language && !selection && { language })
+      }, {
+        authorId: req.user.id,
+        changeSummary: changeSummary || `AI ${operation}${selection ? ` of characters ${start}-${end}` : ''}`
+      });
+      saved = { contentId: updated.id, version: updated.currentVersion };
+    }
 
     res.json({
       success: true,
       data: {
         content,
+        // Where the transformed text now sits in `content`
+        ...(selection && { transformed, selection: { start: start + leading.length, end: start + leading.length + transformed.length } }),
+        ...(saved && { saved }),
         metadata: {
-          contentType,
-          language,
-          tone,
+          operation,
+          ...(tone && { tone }),
+          ...(language && { language }),
+          fallback: false,
+          generation,
           wordCount: content.split(' ').length,
           characterCount: content.length,
-          generationTime: `${generationTime}ms`,
+          generationTime: `${Date.now() - startTime}ms`,
           timestamp: new Date().toISOString()
         }
       }
     });
-
   } catch (error) {
-    console.error('AI Generation Error:', error);
+    if (error instanceof AppError) {
+      throw error;
+    }
+    console.error('AI Transform Error:', error);
     res.status(500).json({
       success: false,
-      error: 'Content generation failed',
+      error: 'Content transformation failed',
+      message: 'Please try again in a moment. Our AI service is temporarily unavailable.',
+      retryAfter: 30
+    });
+  }
+}));
+
+// Each target of a repurpose request counts as one generation against the quota
+const targetCount = req => (Array.isArray(req.body.targets) ? req.body.targets.length : 1);
+
+// Turn one piece of content into several: a saved `contentId` or raw `text` is rewritten
+// as each of `targets` (content types) using that type's template. Targets run in parallel
+// and fail independently; results are grouped by content type. With `save: true` each
+// result is saved as new content sharing a `sourceId` (the source's content ID, or a new
+// ID for raw text), so GET /api/content/list?sourceId=... returns the whole set.
+// `platform` applies to the social target.
+router.post('/repurpose', validateApiKey, planRateLimit, checkQuota(targetCount), enforceRepurposePlan, [
+  body('text')
+    .optional()
+    .isString()
+    .isLength({ min: 1, max: MAX_TRANSFORM_LENGTH })
+    .withMessage(`Text must be between 1 and ${MAX_TRANSFORM_LENGTH} characters`),
+  body('contentId')
+    .optional()
+    .isString()
+    .withMessage('contentId must be a string'),
+  body('targets')
+    .isArray({ min: 1, max: planService.maxBatchSize })
+    .withMessage(`targets must be an array with 1-${planService.maxBatchSize} content types`)
+    .bail()
+    .custom(targets => new Set(targets).size === targets.length)
+    .withMessage('targets must not repeat a content type'),
+  body('targets.*')
+    .custom(isKnownContentType)
+    .withMessage('Invalid content type in targets'),
+  body('title')
+    .optional()
+    .isString()
+    .trim()
+    .isLength({ min: 1, max: 200 })
+    .withMessage('Title must be 1-200 characters'),
+  body('language')
+    .optional()
+    .isIn(Object.keys(languages))
+    .withMessage('Invalid language'),
+  body('tone')
+    .optional()
+    .isIn(Object.keys(tones))
+    .withMessage('Invalid tone'),
+  body('brandVoiceId')
+    .optional()
+    .custom(isUsableBrandVoice)
+    .withMessage('Brand voice not found'),
+  body('platform')
+    .optional()
+    .isIn(social.platformNames)
+    .withMessage(`Platform must be one of: ${social.platformNames.join(', ')}`)
+    .bail()
+    .custom((value, { req }) => Array.isArray(req.body.targets) && req.body.targets.includes('social'))
+    .withMessage('platform requires a social target'),
+  body('cache')
+    .optional()
+    .isBoolean({ strict: true })
+    .withMessage('cache must be a boolean'),
+  body('save')
+    .optional()
+    .isBoolean({ strict: true })
+    .withMessage('save must be a boolean'),
+  ...validateTags
+], asyncHandler(async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      error: 'Validation failed',
+      details: errors.array()
+    });
+  }
+
+  const { text, contentId, targets, brandVoiceId, platform, cache, save = false, tags = [] } = req.body;
+
+  if ((text === undefined) === (contentId === undefined)) {
+    return res.status(400).json({
+      success: false,
+      error: 'Provide either text or contentId'
+    });
+  }
+
+  let source = null;
+  if (contentId) {
+    source = await storage.content.findById(contentId);
+    if (!source || source.deletedAt) {
+      return res.status(404).json({
+        success: false,
+        error: 'Content not found'
+      });
+    }
+    if (source.ownerId !== req.user.id) {
+      return res.status(403).json({
+        success: false,
+        error: 'Access denied'
+      });
+    }
+  }
+
+  // Saved sources supply their own title, language and tone unless overridden
+  const title = req.body.title || (source ? source.title : undefined);
+  const language = req.body.language || (source ? source.language : 'english');
+  const tone = req.body.tone || (source ? source.tone : 'professional');
+  const sourceText = source ? source.content : text;
+
+  if (!sourceText.trim()) {
+    return res.status(400).json({
+      success: false,
+      error: 'Nothing to repurpose: the source text is empty'
+    });
+  }
+  if (sourceText.length > MAX_TRANSFORM_LENGTH) {
+    return res.status(400).json({
+      success: false,
+      error: `Sources longer than ${MAX_TRANSFORM_LENGTH} characters can't be repurposed`
+    });
+  }
+  if (save && !title) {
+    return res.status(400).json({
+      success: false,
+      error: 'Saving content repurposed from text requires a title'
+    });
+  }
+
+  console.log(`AI Repurpose Request: ${contentId || 'text'} -> ${targets.join(', ')} | ${language} | ${tone}`);
+
+  const startTime = Date.now();
+  const brandVoice = brandVoiceId ? await brandVoiceService.findVisible(req.user, brandVoiceId) : null;
+  const allowedProviders = planService.getAllowedProviders(req.user);
+  const sourceId = save ? (source ? source.id : crypto.randomUUID()) : null;
+
+  const outcomes = await Promise.all(targets.map(async contentType => {
+    const targetStart = Date.now();
+    try {
+      const { customType } = await contentTypeService.resolve(req.user, contentType);
+      const { content, generation, social: fitted } = await aiService.repurposeContent({
+        source: sourceText,
+        title,
+        contentType,
+        language,
+        tone,
+        allowedProviders,
+        customType,
+        brandVoice,
+        platform: contentType === 'social' ? platform : undefined,
+        userId: req.user.id,
+        cache
+      });
+      await usageService.record(req.user, usageService.measure(sourceText, content), req.usageReservation);
+
+      const saved = save ? await versionService.create({
+        ownerId: req.user.id,
+        title,
+        content,
+        contentType,
+        language,
+        tone,
+        tags,
+        generation,
+        sourceId
+      }, req.user.id) : null;
+
+      return [contentType, {
+        content,
+        ...(fitted && { posts: fitted.posts }),
+        ...(brandVoice && { brandVoice: brandVoiceService.check(brandVoice, content, { language }) }),
+        ...(saved && { saved: { contentId: saved.id, version: saved.currentVersion } }),
+        metadata: buildGenerationMetadata(content, { contentType, language, tone, generation, social: fitted }, targetStart)
+      }];
+    } catch (error) {
+      // One failed target doesn't sink the others; unexpected errors are logged in full
+      if (!(error instanceof AppError)) {
+        console.error(`AI Repurpose Error (${contentType}):`, error);
+      }
+      return [contentType, {
+        error: error instanceof AppError ? error.message : 'Content generation failed',
+        code: error instanceof AppError ? error.code : 'GENERATION_FAILED'
+      }];
+    }
+  }));
+
+  const results = Object.fromEntries(outcomes);
+  const failed = outcomes.filter(([, result]) => result.error).length;
+
+  // Nothing came back: answer with an error status instead of a list of failures
+  if (failed === targets.length) {
+    return res.status(503).json({
+      success: false,
+      error: 'Content repurposing failed for every target',
       message: 'Please try again in a moment. Our AI service is temporarily unavailable.',
+      details: results,
       retryAfter: 30
     });
   }
+
+  res.json({
+    success: true,
+    data: {
+      source: {
+        contentId: source ? source.id : null,
+        title: title || null,
+        characterCount: sourceText.length
+      },
+      ...(sourceId && { sourceId }),
+      results,
+      summary: {
+        requested: targets.length,
+        succeeded: targets.length - failed,
+        failed
+      },
+      generationTime: `${Date.now() - startTime}ms`,
+      timestamp: new Date().toISOString()
+    }
+  });
 }));
 
 // Get available options endpoint
-router.get('/options', (req, res) => {
+// Authenticated callers only see what their plan allows (plus their custom and shared
+// content types when the plan includes them); anonymous callers see every built-in type
+router.get('/options', optionalAuth, asyncHandler(async (req, res) => {
+  const plan = req.user ? planService.getPlanForUser(req.user) : null;
+
+  const allowed = type => (type.builtIn ? plan.contentTypes.includes(type.value) : plan.customContentTypes > 0);
+  const contentTypes = (await contentTypeService.list(req.user)).filter(type => !plan || allowed(type));
+
   res.json({
     success: true,
     data: {
-      contentTypes: [
-        { value: 'presentation', label: '📊 Presentation', description: 'Multi-slide decks with structure' },
-        { value: 'document', label: '📄 Document', description: 'Professional reports & documentation' },
-        { value: 'social', label: '📱 Social Media', description: 'Viral-ready posts with hashtags' },
-        { value: 'blog', label: '📝 Blog Post', description: 'SEO-optimized articles' },
-        { value: 'email', label: '📧 Email', description: 'High-converting campaigns' }
-      ],
-      languages: [
-        { value: 'english', label: '🇺🇸 English' },
-        { value: 'spanish', label: '🇪🇸 Spanish' },
-        { value: 'french', label: '🇫🇷 French' },
-        { value: 'german', label: '🇩🇪 German' },
-        { value: 'chinese', label: '🇨🇳 Chinese' },
-        { value: 'japanese', label: '🇯🇵 Japanese' },
-        { value: 'portuguese', label: '🇧🇷 Portuguese' }
+      contentTypes: contentTypes.map(({ value, label, description, builtIn }) => ({ value, label, description, builtIn })),
+      languages: Object.entries(languages).map(([value, { label }]) => ({ value, label })),
+      tones: Object.entries(tones).map(([value, { label, description }]) => ({ value, label, description })),
+      formats: [
+        { value: 'text', label: 'Text', description: 'Markdown content as a single string' },
+        { value: 'structured', label: 'Structured', description: 'JSON object keyed by the content type\'s sections' }
       ],
-      tones: [
-        { value: 'professional', label: '👔 Professional', description: 'Business-appropriate tone' },
-        { value: 'casual', label: '😊 Casual', description: 'Friendly and conversational' },
-        { value: 'creative', label: '🎨 Creative', description: 'Innovative and inspiring' },
-        { value: 'persuasive', label: '💪 Persuasive', description: 'Compelling and action-oriented' },
-        { value: 'informative', label: '📚 Informative', description: 'Educational and clear' },
-        { value: 'humorous', label: '😄 Humorous', description: 'Light-hearted and entertaining' }
-      ]
+      platforms: Object.entries(platforms).map(([value, { label, maxLength, threads }]) => ({ value, label, maxLength, threads })),
+      transformOperations: TRANSFORM_OPERATIONS,
+      ...(plan && { plan: planService.describe(plan) })
     }
   });
-});
+}));
 
-// Get AI service stats (for monitoring)
+// Get AI service stats (for monitoring). Public, so provider endpoints are left out.
 router.get('/stats', (req, res) => {
   try {
     const stats = aiService.getStats();
     res.json({
       success: true,
-      data: stats
+      data: {
+        ...stats,
+        providers: stats.providers.map(({ url, ...provider }) => provider),
+        jobs: jobService.getStats()
+      }
     });
   } catch (error) {
     res.status(500).json({
@@ -130,87 +752,89 @@ router.get('/stats', (req, res) => {
   }
 });
 
-// Template suggestions endpoint
-router.get('/templates', (req, res) => {
-  const templates = [
-    {
-      id: 1,
-      name: 'Startup Pitch Deck',
-      category: 'presentation',
-      description: 'Professional pitch deck template for startups seeking investment',
-      prompt: 'Create a comprehensive startup pitch deck for [COMPANY NAME] that addresses [PROBLEM], presents our [SOLUTION], shows market opportunity, business model, and financial projections',
-      tags: ['startup', 'investment', 'business']
-    },
-    {
-      id: 2,
-      name: 'Viral Social Media Campaign',
-      category: 'social',
-      description: 'Engaging social media post templates designed to go viral',
-      prompt: 'Create a viral social media campaign about [TOPIC] that includes engaging hooks, valuable content, and trending hashtags',
-      tags: ['viral', 'social media', 'engagement']
-    },
-    {
-      id: 3,
-      name: 'Technical Documentation',
-      category: 'document',
-      description: 'Comprehensive technical documentation template',
-      prompt: 'Create detailed technical documentation for [PRODUCT/API] including setup, usage examples, and troubleshooting',
-      tags: ['technical', 'documentation', 'api']
-    },
-    {
-      id: 4,
-      name: 'Product Launch Strategy',
-      category: 'presentation',
-      description: 'Complete product launch presentation template',
-      prompt: 'Create a product launch strategy presentation for [PRODUCT] including features, market strategy, and timeline',
-      tags: ['product launch', 'strategy', 'marketing']
-    },
-    {
-      id: 5,
-      name: 'Thought Leadership Blog',
-      category: 'blog',
-      description: 'Authority-building blog post template',
-      prompt: 'Write a thought leadership blog post about [INDUSTRY TOPIC] with insights, analysis, and predictions',
-      tags: ['thought leadership', 'blog', 'authority']
-    },
-    {
-      id: 6,
-      name: 'Sales Email Sequence',
-      category: 'email',
-      description: 'High-converting email sequence template',
-      prompt: 'Create a 5-email sales sequence for [PRODUCT/SERVICE] that nurtures leads and drives conversions',
-      tags: ['sales', 'email marketing', 'conversion']
-    }
-  ];
-
-  const { category } = req.query;
-  
-  let filteredTemplates = templates;
-  if (category && category !== 'all') {
-    filteredTemplates = templates.filter(t => t.category === category);
+// Purge cached generations (admins only). contentType and pattern (a glob over the
+// prompt, e.g. "*pricing*") narrow the purge; with neither, the whole cache is cleared.
+router.delete('/cache', validateApiKey, requireAdmin, [
+  query('contentType').optional().isString().trim().notEmpty(),
+  query('pattern').optional().isString().isLength({ min: 1, max: 200 })
+], asyncHandler(async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      error: 'Validation failed',
+      details: errors.array()
+    });
   }
 
+  const { contentType, pattern } = req.query;
+  const purged = await aiService.purgeCache({ contentType, pattern });
+
   res.json({
     success: true,
     data: {
-      templates: filteredTemplates,
-      totalCount: templates.length,
-      filteredCount: filteredTemplates.length
+      purged,
+      contentType: contentType || null,
+      pattern: pattern || null
     }
   });
-});
+}));
 
-// Batch generation endpoint (for multiple content pieces)
-router.post('/batch', [
+// Probe each configured AI provider (admins only: every call makes a live request to each)
+router.get('/providers/health', validateApiKey, requireAdmin, asyncHandler(async (req, res) => {
+  const providers = await aiService.checkProviderHealth();
+  res.json({
+    success: true,
+    data: {
+      providers,
+      healthyCount: providers.filter(p => p.healthy).length
+    }
+  });
+}));
+
+// Each item in a batch counts as one generation against the quota; items answered with
+// fallback template content, or that fail, are given back when the job finishes
+const batchSize = req => (Array.isArray(req.body.requests) ? req.body.requests.length : 1);
+
+// Batch generation endpoint (for multiple content pieces), submitted as an async job.
+// With a webhookUrl, a signed job.completed / job.failed event is POSTed when it finishes;
+// the job's signing secret is in this response only (it is never shown by GET /jobs/:id).
+router.post('/batch', validateApiKey, planRateLimit, checkQuota(batchSize), applyPromptTemplate, enforceBatchPlan, [
   body('requests')
-    .isArray({ min: 1, max: 5 })
-    .withMessage('Requests must be an array with 1-5 items'),
+    .isArray({ min: 1, max: planService.maxBatchSize })
+    .withMessage(`Requests must be an array with 1-${planService.maxBatchSize} items`),
   body('requests.*.prompt')
-    .isLength({ min: 10, max: 2000 })
-    .withMessage('Each prompt must be between 10 and 2000 characters'),
+    .isLength({ min: 10, max: planService.maxPromptLength })
+    .withMessage(`Each prompt must be between 10 and ${planService.maxPromptLength} characters`),
   body('requests.*.contentType')
-    .isIn(['presentation', 'document', 'social', 'blog', 'email'])
-    .withMessage('Invalid content type in request')
+    .custom(isKnownContentType)
+    .withMessage('Invalid content type in request'),
+  body('requests.*.format')
+    .optional()
+    .isIn(['text', 'structured'])
+    .withMessage('Format must be text or structured'),
+  body('requests.*.brandVoiceId')
+    .optional()
+    .custom(isUsableBrandVoice)
+    .withMessage('Brand voice not found'),
+  body('requests.*.platform')
+    .optional()
+    .isIn(social.platformNames)
+    .withMessage(`Platform must be one of: ${social.platformNames.join(', ')}`)
+    .bail()
+    .custom(isSocialTextRequest)
+    .withMessage('platform requires the social content type and text format'),
+  body('requests.*.cache')
+    .optional()
+    .isBoolean({ strict: true })
+    .withMessage('cache must be a boolean'),
+  body('webhookUrl')
+    .optional()
+    .custom(isWebhookUrl)
+    .withMessage('webhookUrl must be an http(s) URL')
+    .bail()
+    .custom(assertDeliverableUrl)
+    .withMessage('webhookUrl must point to a public address')
 ], asyncHandler(async (req, res) => {
   const errors = validationResult(req);
   if (!errors.isEmpty()) {
@@ -221,34 +845,55 @@ router.post('/batch', [
     });
   }
 
-  const { requests } = req.body;
-  const results = [];
+  const { requests, webhookUrl } = req.body;
 
-  for (const request of requests) {
-    try {
-      const content = await aiService.generateContent(request);
-      results.push({
-        success: true,
-        content,
-        request: request
-      });
-    } catch (error) {
-      results.push({
-        success: false,
-        error: error.message,
-        request: request
-      });
-    }
-  }
+  // Items are processed in the background with bounded concurrency; poll /jobs/:id for results
+  // The job takes over the quota reservation, drawing on it as items complete
+  const job = await jobService.submitBatch(req.user, requests.map(({ prompt, contentType, language, tone, format, brandVoiceId, platform, cache }) => ({
+    prompt,
+    contentType,
+    language,
+    tone,
+    format,
+    brandVoiceId,
+    platform,
+    cache
+  })), { webhookUrl, reservation: req.usageReservation });
 
-  res.json({
+  res.status(202).json({
     success: true,
     data: {
-      results,
+      jobId: job.id,
+      status: job.status,
       totalRequests: requests.length,
-      successfulRequests: results.filter(r => r.success).length
+      statusUrl: `${req.baseUrl}/jobs/${job.id}`,
+      ...(job.webhookSecret && { webhookSecret: job.webhookSecret })
     }
   });
 }));
 
+// Batch job status with per-item results
+router.get('/jobs/:id', validateApiKey, asyncHandler(async (req, res) => {
+  const job = await jobService.getJob(req.params.id);
+
+  if (!job) {
+    return res.status(404).json({
+      success: false,
+      error: 'Job not found'
+    });
+  }
+
+  if (job.ownerId !== req.user.id) {
+    return res.status(403).json({
+      success: false,
+      error: 'Access denied'
+    });
+  }
+
+  res.json({
+    success: true,
+    data: jobService.summarize(job)
+  });
+}));
+
 module.exports = router;
\ No newline at end of file
@@ -2,14 +2,15 @@ const express = require('express');
 const bcrypt = require('bcryptjs');
 const jwt = require('jsonwebtoken');
 const { body, validationResult } = require('express-validator');
+const crypto = require('crypto');
 const { asyncHandler } = require('../middleware/errorHandler');
+const storage = require('../storage');
+const usageService = require('../services/usageService');
+const planService = require('../services/planService');
+const { AppError } = require('../utils/errors');
 
 const router = express.Router();
 
-// In-memory user store (replace with database in production)
-const users = new Map();
-const apiKeys = new Map();
-
 // Generate API key
 function generateApiKey() {
   return 'acc_' + Math.random().toString(36).substring(2, 15) + Math.random().toString(36).substring(2, 15);
@@ -33,7 +34,7 @@ router.post('/register', [
   const { email, password, name } = req.body;
 
   // Check if user already exists
-  if (users.has(email)) {
+  if (await storage.users.findByEmail(email)) {
     return res.status(409).json({
       success: false,
       error: 'User already exists'
@@ -47,22 +48,15 @@ router.post('/register', [
   const apiKey = generateApiKey();
   
   // Create user
-  const user = {
-    id: Date.now().toString(),
+  const user = await storage.users.create({
+    id: crypto.randomUUID(),
     email,
     name,
     password: hashedPassword,
     apiKey,
     createdAt: new Date().toISOString(),
-    plan: 'free',
-    usage: {
-      requests: 0,
-      limit: 100 // Free tier limit
-    }
-  };
-
-  users.set(email, user);
-  apiKeys.set(apiKey, user);
+    plan: 'free' // limits come from config/plans.js; counters live in usage periods
+  });
 
   // Generate JWT
   const token = jwt.sign(
@@ -103,7 +97,7 @@ router.post('/login', [
   const { email, password } = req.body;
 
   // Find user
-  const user = users.get(email);
+  const user = await storage.users.findByEmail(email);
   if (!user) {
     return res.status(401).json({
       success: false,
@@ -136,7 +130,7 @@ router.post('/login', [
         name: user.name,
         plan: user.plan,
         apiKey: user.apiKey,
-        usage: user.usage
+        usage: await usageService.getSummary(user)
       },
       token
     }
@@ -156,7 +150,7 @@ router.get('/profile', asyncHandler(async (req, res) => {
 
   try {
     const decoded = jwt.verify(token, process.env.JWT_SECRET || 'your-secret-key');
-    const user = Array.from(users.values()).find(u => u.id === decoded.userId);
+    const user = await storage.users.findById(decoded.userId);
     
     if (!user) {
       return res.status(404).json({
@@ -174,12 +168,16 @@ router.get('/profile', asyncHandler(async (req, res) => {
           name: user.name,
           plan: user.plan,
           apiKey: user.apiKey,
-          usage: user.usage,
+          usage: await usageService.getSummary(user),
           createdAt: user.createdAt
         }
       }
     });
   } catch (error) {
+    // Storage failures are not token problems; let the error handler map them
+    if (error instanceof AppError) {
+      throw error;
+    }
     res.status(401).json({
       success: false,
       error: 'Invalid token'
@@ -200,7 +198,7 @@ router.post('/regenerate-key', asyncHandler(async (req, res) => {
 
   try {
     const decoded = jwt.verify(token, process.env.JWT_SECRET || 'your-secret-key');
-    const user = Array.from(users.values()).find(u => u.id === decoded.userId);
+    const user = await storage.users.findById(decoded.userId);
     
     if (!user) {
       return res.status(404).json({
@@ -209,16 +207,9 @@ router.post('/regenerate-key', asyncHandler(async (req, res) => {
       });
     }
 
-    // Remove old API key
-    apiKeys.delete(user.apiKey);
-    
-    // Generate new API key
+    // Generate new API key (the old one stops resolving immediately)
     const newApiKey = generateApiKey();
-    user.apiKey = newApiKey;
-    
-    // Update maps
-    users.set(user.email, user);
-    apiKeys.set(newApiKey, user);
+    await storage.users.update(user.id, { apiKey: newApiKey });
 
     res.json({
       success: true,
@@ -227,6 +218,10 @@ router.post('/regenerate-key', asyncHandler(async (req, res) => {
       }
     });
   } catch (error) {
+    // Storage failures are not token problems; let the error handler map them
+    if (error instanceof AppError) {
+      throw error;
+    }
     res.status(401).json({
       success: false,
       error: 'Invalid token'
@@ -248,7 +243,7 @@ router.post('/validate-key', [
   }
 
   const { apiKey } = req.body;
-  const user = apiKeys.get(apiKey);
+  const user = await storage.users.findByApiKey(apiKey);
 
   if (!user) {
     return res.status(401).json({
@@ -266,7 +261,7 @@ router.post('/validate-key', [
         email: user.email,
         name: user.name,
         plan: user.plan,
-        usage: user.usage
+        usage: await usageService.getSummary(user)
       }
     }
   });
@@ -283,7 +278,7 @@ router.get('/usage', asyncHandler(async (req, res) => {
     });
   }
 
-  const user = apiKeys.get(apiKey);
+  const user = await storage.users.findByApiKey(apiKey);
   if (!user) {
     return res.status(401).json({
       success: false,
@@ -291,33 +286,34 @@ router.get('/usage', asyncHandler(async (req, res) => {
     });
   }
 
+  const usage = await usageService.getSummary(user);
+
   res.json({
     success: true,
     data: {
-      usage: user.usage,
+      usage,
       plan: user.plan,
-      resetDate: new Date(Date.now() + 30 * 24 * 60 * 60 * 1000).toISOString() // 30 days from now
+      period: {
+        start: usage.periodStart,
+        end: usage.periodEnd
+      },
+      resetDate: usage.periodEnd
     }
   });
 }));
 
 // Demo/guest access endpoint
 router.post('/guest', asyncHandler(async (req, res) => {
-  const guestApiKey = 'guest_' + Date.now();
-  const guestUser = {
-    id: 'guest_' + Date.now(),
-    email: 'guest@demo.com',
+  const guestId = `guest_${Date.now()}_${crypto.randomBytes(4).toString('hex')}`;
+  const guestUser = await storage.users.create({
+    id: guestId,
+    email: null, // guests share no identity, so they don't claim an email
     name: 'Guest User',
-    apiKey: guestApiKey,
+    // The id is guessable (a timestamp plus 4 random bytes), so the key is drawn separately
+    apiKey: crypto.randomBytes(24).toString('hex'),
     plan: 'demo',
-    usage: {
-      requests: 0,
-      limit: 10 // Demo limit
-    },
     createdAt: new Date().toISOString()
-  };
-
-  apiKeys.set(guestApiKey, guestUser);
+  });
 
   res.json({
     success: true,
@@ -327,9 +323,9 @@ router.post('/guest', asyncHandler(async (req, res) => {
         name: guestUser.name,
         plan: guestUser.plan,
         apiKey: guestUser.apiKey,
-        usage: guestUser.usage
+        usage: await usageService.getSummary(guestUser)
       },
-      message: 'Guest access granted. Limited to 10 requests.'
+      message: `Guest access granted. Limited to ${planService.getPlan('demo').monthlyQuota} requests.`
     }
   });
 }));
@@ -1,19 +1,93 @@
 const express = require('express');
-const { body, validationResult } = require('express-validator');
+const { body, query, param, validationResult } = require('express-validator');
 const { asyncHandler } = require('../middleware/errorHandler');
+const { validateTags } = require('../middleware/validators');
+const storage = require('../storage');
+const planService = require('../services/planService');
+const versionService = require('../services/versionService');
+const searchService = require('../services/searchService');
+const exporters = require('../services/exporters');
+const contentTypeService = require('../services/contentTypeService');
+const seo = require('../services/seo');
+const languages = require('../config/languages');
+const tones = require('../config/tones');
 
 const router = express.Router();
 
-// In-memory content store (replace with database in production)
-const contentStore = new Map();
+// Built-in key or a custom content type the caller can see
+const isKnownContentType = (value, { req }) => contentTypeService.assertKnown(req.user, value);
+
+// Single values from config/languages.js and config/tones.js (isIn alone accepts arrays of them)
+const validateLanguageAndTone = [
+  body('language').optional().isString().withMessage('Invalid language').bail().isIn(Object.keys(languages)).withMessage('Invalid language'),
+  body('tone').optional().isString().withMessage('Invalid tone').bail().isIn(Object.keys(tones)).withMessage('Invalid tone')
+];
+
+// Fields a client may change through PUT /:id
+const EDITABLE_FIELDS = ['title', 'content', 'tags', 'contentType', 'language', 'tone'];
+
+// Provenance envelope as returned in /api/ai/generate metadata.generation
+const GENERATION_FIELDS = ['provider', 'model', 'latencyMs', 'cached', 'fallback', 'attempts'];
+const ATTEMPT_FIELDS = ['provider', 'model', 'status', 'latencyMs', 'error'];
+
+const pick = (source, fields) => Object.fromEntries(fields.filter(field => source[field] !== undefined).map(field => [field, source[field]]));
+
+const validateGeneration = [
+  body('generation').optional({ values: 'null' }).isObject().withMessage('generation must be an object'),
+  body(['generation.provider', 'generation.model']).optional({ values: 'null' }).isString().isLength({ max: 100 }),
+  body('generation.latencyMs').optional().isInt({ min: 0 }),
+  body(['generation.cached', 'generation.fallback']).optional().isBoolean({ strict: true }),
+  body('generation.attempts').optional().isArray({ max: 20 }).withMessage('generation.attempts must be an array of at most 20 entries'),
+  body('generation.attempts.*.provider').isString().isLength({ min: 1, max: 100 }),
+  body('generation.attempts.*.model').optional({ values: 'null' }).isString().isLength({ max: 100 }),
+  body('generation.attempts.*.status').isIn(['succeeded', 'failed', 'skipped', 'invalid']),
+  body('generation.attempts.*.latencyMs').optional().isInt({ min: 0 }),
+  body('generation.attempts.*.error').optional().isString().isLength({ max: 1000 })
+];
+
+// Only the known envelope fields are stored
+function toGenerationRecord(generation) {
+  if (!generation) return null;
+  const record = pick(generation, GENERATION_FIELDS);
+  if (record.attempts) {
+    record.attempts = record.attempts.map(attempt => pick(attempt, ATTEMPT_FIELDS));
+  }
+  return record;
+}
+
+// Load the content named by :id if the caller owns it. Soft-deleted content counts as
+// missing unless `includeDeleted` is set. Sends 404/403 and returns null otherwise.
+async function findOwnedContent(req, res, { includeDeleted = false } = {}) {
+  const content = await storage.content.findById(req.params.id);
+
+  if (!content || (content.deletedAt && !includeDeleted)) {
+    res.status(404).json({
+      success: false,
+      error: 'Content not found'
+    });
+    return null;
+  }
+
+  if (content.ownerId !== req.user.id) {
+    res.status(403).json({
+      success: false,
+      error: 'Access denied'
+    });
+    return null;
+  }
+
+  return content;
+}
 
-// Save generated content
+// Save generated content. Pass the generate response's metadata.generation as
+// `generation` to keep its provenance with the content.
 router.post('/save', [
   body('title').isLength({ min: 1, max: 200 }).trim().withMessage('Title must be 1-200 characters'),
   body('content').isLength({ min: 10 }).withMessage('Content must be at least 10 characters'),
-  body('contentType').isIn(['presentation', 'document', 'social', 'blog', 'email']).withMessage('Invalid content type'),
-  body('language').optional().isIn(['english', 'spanish', 'french', 'german', 'chinese', 'japanese', 'portuguese']),
-  body('tone').optional().isIn(['professional', 'casual', 'creative', 'persuasive', 'informative', 'humorous'])
+  body('contentType').custom(isKnownContentType).withMessage('Invalid content type'),
+  ...validateLanguageAndTone,
+  ...validateTags,
+  ...validateGeneration
 ], asyncHandler(async (req, res) => {
   const errors = validationResult(req);
   if (!errors.isEmpty()) {
@@ -24,38 +98,24 @@ router.post('/save', [
     });
   }
 
-  const { title, content, contentType, language = 'english', tone = 'professional', tags = [] } = req.body;
-  const apiKey = req.headers['x-api-key'];
-
-  if (!apiKey) {
-    return res.status(401).json({
-      success: false,
-      error: 'API key required'
-    });
-  }
+  const { title, content, contentType, language = 'english', tone = 'professional', tags = [], generation } = req.body;
+  const { user } = req;
 
-  const contentId = Date.now().toString();
-  const savedContent = {
-    id: contentId,
+  const savedContent = await versionService.create({
+    ownerId: user.id,
     title,
     content,
     contentType,
     language,
     tone,
     tags,
-    apiKey,
-    createdAt: new Date().toISOString(),
-    updatedAt: new Date().toISOString(),
-    wordCount: content.split(' ').length,
-    characterCount: content.length
-  };
-
-  contentStore.set(contentId, savedContent);
+    generation: toGenerationRecord(generation)
+  }, user.id);
 
   res.status(201).json({
     success: true,
     data: {
-      id: contentId,
+      id: savedContent.id,
       title,
       contentType,
       createdAt: savedContent.createdAt,
@@ -66,30 +126,16 @@ router.post('/save', [
 
 // Get user's saved content
 router.get('/list', asyncHandler(async (req, res) => {
-  const apiKey = req.headers['x-api-key'];
-  const { contentType, limit = 20, offset = 0 } = req.query;
-
-  if (!apiKey) {
-    return res.status(401).json({
-      success: false,
-      error: 'API key required'
-    });
-  }
-
-  let userContent = Array.from(contentStore.values())
-    .filter(content => content.apiKey === apiKey);
-
-  // Filter by content type if specified
-  if (contentType && contentType !== 'all') {
-    userContent = userContent.filter(content => content.contentType === contentType);
-  }
-
-  // Sort by creation date (newest first)
-  userContent.sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt));
-
-  // Apply pagination
-  const total = userContent.length;
-  const paginatedContent = userContent.slice(parseInt(offset), parseInt(offset) + parseInt(limit));
+  const { user } = req;
+  const { contentType, sourceId, limit = 20, offset = 0 } = req.query;
+
+  // Newest first, filtered by content type and repurposing source if specified, paginated by the store
+  const { items: paginatedContent, total } = await storage.content.listByOwner(user.id, {
+    contentType: contentType && contentType !== 'all' ? contentType : undefined,
+    sourceId: typeof sourceId === 'string' && sourceId ? sourceId : undefined,
+    limit: parseInt(limit),
+    offset: parseInt(offset)
+  });
 
   // Return summary data (not full content)
   const contentSummaries = paginatedContent.map(content => ({
@@ -99,6 +145,7 @@ router.get('/list', asyncHandler(async (req, res) => {
     language: content.language,
     tone: content.tone,
     tags: content.tags,
+    sourceId: content.sourceId,
     wordCount: content.wordCount,
     characterCount: content.characterCount,
     createdAt: content.createdAt,
@@ -119,34 +166,74 @@ router.get('/list', asyncHandler(async (req, res) => {
   });
 }));
 
-// Get specific content by ID
-router.get('/:id', asyncHandler(async (req, res) => {
-  const { id } = req.params;
-  const apiKey = req.headers['x-api-key'];
-
-  if (!apiKey) {
-    return res.status(401).json({
+// Full-text search over title, body and tags.
+// q supports plain words (all must match), "quoted phrases" and prefix* terms.
+router.get('/search', [
+  query('q').optional().isString().isLength({ max: 500 }).withMessage('Query must be at most 500 characters'),
+  query(['language', 'tone', 'tag', 'contentType']).optional().isString().trim(),
+  query(['createdFrom', 'createdTo', 'updatedFrom', 'updatedTo']).optional().isISO8601().withMessage('Dates must be ISO 8601'),
+  query('limit').optional().isInt({ min: 1, max: 100 }).toInt(),
+  query('offset').optional().isInt({ min: 0 }).toInt()
+], asyncHandler(async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
       success: false,
-      error: 'API key required'
+      error: 'Validation failed',
+      details: errors.array()
     });
   }
 
-  const content = contentStore.get(id);
+  const { q = '', limit = 20, offset = 0, contentType, ...filters } = req.query;
 
-  if (!content) {
-    return res.status(404).json({
-      success: false,
-      error: 'Content not found'
-    });
-  }
+  const { results, total } = await searchService.search(req.user.id, {
+    q,
+    filters: {
+      ...filters,
+      contentType: contentType && contentType !== 'all' ? contentType : undefined
+    },
+    limit,
+    offset
+  });
 
-  // Check if user owns this content
-  if (content.apiKey !== apiKey) {
-    return res.status(403).json({
-      success: false,
-      error: 'Access denied'
-    });
-  }
+  res.json({
+    success: true,
+    data: {
+      query: q,
+      results,
+      pagination: {
+        total,
+        limit,
+        offset,
+        hasMore: (offset + limit) < total
+      }
+    }
+  });
+}));
+
+// Soft-deleted content still inside its recovery window
+router.get('/trash', asyncHandler(async (req, res) => {
+  await versionService.purgeExpired();
+  const deleted = await storage.content.findDeletedByOwner(req.user.id);
+
+  res.json({
+    success: true,
+    data: {
+      content: deleted.map(content => ({
+        id: content.id,
+        title: content.title,
+        contentType: content.contentType,
+        deletedAt: content.deletedAt,
+        recoverableUntil: versionService.recoverableUntil(content)
+      }))
+    }
+  });
+}));
+
+// Get specific content by ID
+router.get('/:id', asyncHandler(async (req, res) => {
+  const content = await findOwnedContent(req, res);
+  if (!content) return;
 
   res.json({
     success: true,
@@ -154,11 +241,14 @@ router.get('/:id', asyncHandler(async (req, res) => {
   });
 }));
 
-// Update content
+// Update content. Every change to title, content or tags is kept as an immutable revision.
 router.put('/:id', [
   body('title').optional().isLength({ min: 1, max: 200 }).trim(),
   body('content').optional().isLength({ min: 10 }),
-  body('tags').optional().isArray()
+  ...validateTags,
+  body('contentType').optional().custom(isKnownContentType).withMessage('Invalid content type'),
+  ...validateLanguageAndTone,
+  body('changeSummary').optional().isLength({ max: 500 }).trim()
 ], asyncHandler(async (req, res) => {
   const errors = validationResult(req);
   if (!errors.isEmpty()) {
@@ -169,168 +259,229 @@ router.put('/:id', [
     });
   }
 
-  const { id } = req.params;
-  const apiKey = req.headers['x-api-key'];
-  const updates = req.body;
+  const content = await findOwnedContent(req, res);
+  if (!content) return;
 
-  if (!apiKey) {
-    return res.status(401).json({
-      success: false,
-      error: 'API key required'
-    });
-  }
+  const changes = Object.fromEntries(
+    EDITABLE_FIELDS.filter(field => req.body[field] !== undefined).map(field => [field, req.body[field]])
+  );
 
-  const content = contentStore.get(id);
+  const updatedContent = await versionService.update(content, changes, {
+    authorId: req.user.id,
+    changeSummary: req.body.changeSummary
+  });
 
-  if (!content) {
-    return res.status(404).json({
+  res.json({
+    success: true,
+    data: updatedContent
+  });
+}));
+
+// Delete content (soft delete; recoverable via POST /:id/recover within the recovery window)
+router.delete('/:id', asyncHandler(async (req, res) => {
+  const content = await findOwnedContent(req, res);
+  if (!content) return;
+
+  const { deletedAt, recoverableUntil } = await versionService.softDelete(content);
+
+  res.json({
+    success: true,
+    message: 'Content deleted successfully',
+    data: {
+      deletedAt,
+      recoverableUntil
+    }
+  });
+}));
+
+// Recover soft-deleted content
+router.post('/:id/recover', asyncHandler(async (req, res) => {
+  const content = await findOwnedContent(req, res, { includeDeleted: true });
+  if (!content) return;
+
+  if (!content.deletedAt) {
+    return res.status(400).json({
       success: false,
-      error: 'Content not found'
+      error: 'Content is not deleted'
     });
   }
 
-  if (content.apiKey !== apiKey) {
-    return res.status(403).json({
+  if (!versionService.isRecoverable(content)) {
+    return res.status(410).json({
       success: false,
-      error: 'Access denied'
+      error: 'Recovery window has expired'
     });
   }
 
-  // Update content
-  const updatedContent = {
-    ...content,
-    ...updates,
-    updatedAt: new Date().toISOString()
-  };
+  res.json({
+    success: true,
+    data: await versionService.recover(content)
+  });
+}));
 
-  // Recalculate word/character count if content was updated
-  if (updates.content) {
-    updatedContent.wordCount = updates.content.split(' ').length;
-    updatedContent.characterCount = updates.content.length;
-  }
+// Revision history (newest first, without full bodies)
+router.get('/:id/versions', asyncHandler(async (req, res) => {
+  const content = await findOwnedContent(req, res);
+  if (!content) return;
 
-  contentStore.set(id, updatedContent);
+  const versions = await versionService.list(content.id);
 
   res.json({
     success: true,
-    data: updatedContent
+    data: {
+      currentVersion: content.currentVersion,
+      versions: versions.map(version => ({
+        version: version.version,
+        title: version.title,
+        authorId: version.authorId,
+        changeSummary: version.changeSummary,
+        wordCount: version.content.split(' ').length,
+        createdAt: version.createdAt
+      }))
+    }
   });
 }));
 
-// Delete content
-router.delete('/:id', asyncHandler(async (req, res) => {
-  const { id } = req.params;
-  const apiKey = req.headers['x-api-key'];
+// Diff between two revisions: ?from=1&to=3&granularity=line|word (to defaults to current)
+router.get('/:id/versions/diff', [
+  query('from').isInt({ min: 1 }).toInt().withMessage('from must be a version number'),
+  query('to').optional().isInt({ min: 1 }).toInt().withMessage('to must be a version number'),
+  query('granularity').optional().isIn(['line', 'word']).withMessage('granularity must be line or word')
+], asyncHandler(async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      error: 'Validation failed',
+      details: errors.array()
+    });
+  }
+
+  const content = await findOwnedContent(req, res);
+  if (!content) return;
+
+  const { from, to = content.currentVersion, granularity = 'line' } = req.query;
 
-  if (!apiKey) {
-    return res.status(401).json({
+  res.json({
+    success: true,
+    data: await versionService.diff(content.id, from, to, granularity)
+  });
+}));
+
+// A single revision with its full body
+router.get('/:id/versions/:version', [
+  param('version').isInt({ min: 1 }).toInt().withMessage('Invalid version')
+], asyncHandler(async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
       success: false,
-      error: 'API key required'
+      error: 'Validation failed',
+      details: errors.array()
     });
   }
 
-  const content = contentStore.get(id);
+  const content = await findOwnedContent(req, res);
+  if (!content) return;
 
-  if (!content) {
+  const version = await versionService.get(content.id, req.params.version);
+  if (!version) {
     return res.status(404).json({
       success: false,
-      error: 'Content not found'
+      error: 'Version not found'
     });
   }
 
-  if (content.apiKey !== apiKey) {
-    return res.status(403).json({
+  res.json({
+    success: true,
+    data: version
+  });
+}));
+
+// Restore an earlier revision (recorded as a new revision)
+router.post('/:id/versions/:version/restore', [
+  param('version').isInt({ min: 1 }).toInt().withMessage('Invalid version')
+], asyncHandler(async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
       success: false,
-      error: 'Access denied'
+      error: 'Validation failed',
+      details: errors.array()
     });
   }
 
-  contentStore.delete(id);
+  const content = await findOwnedContent(req, res);
+  if (!content) return;
+
+  const restored = await versionService.restore(content, req.params.version, req.user.id);
 
   res.json({
     success: true,
-    message: 'Content deleted successfully'
+    data: restored
   });
 }));
 
-// Export content in different formats
+// Export content in different formats.
+// ?include=metadata adds a title page (or header) with type, language, tone and dates.
 router.get('/:id/export', asyncHandler(async (req, res) => {
-  const { id } = req.params;
-  const { format = 'txt' } = req.query;
-  const apiKey = req.headers['x-api-key'];
+  const { format = 'txt', include = '' } = req.query;
+
+  const content = await findOwnedContent(req, res);
+  if (!content) return;
 
-  if (!apiKey) {
-    return res.status(401).json({
+  const resolvedFormat = exporters.resolveFormat(format);
+  if (!resolvedFormat) {
+    return res.status(400).json({
       success: false,
-      error: 'API key required'
+      error: `Unsupported export format. Supported: ${exporters.formats.join(', ')}`
     });
   }
 
-  const content = contentStore.get(id);
+  // Formats are gated per plan (config/plans.js)
+  planService.assertExportAllowed(req.user, resolvedFormat);
 
-  if (!content) {
-    return res.status(404).json({
-      success: false,
-      error: 'Content not found'
-    });
-  }
+  const exporter = exporters.getExporter(resolvedFormat);
+  const includeMetadata = String(include).split(',').map(part => part.trim()).includes('metadata');
+  const filename = `${content.title.replace(/[^a-z0-9]/gi, '_').toLowerCase()}.${exporter.extension}`;
 
-  if (content.apiKey !== apiKey) {
-    return res.status(403).json({
+  res.setHeader('Content-Type', exporter.mimeType);
+  res.setHeader('Content-Disposition', `attachment; filename="${filename}"`);
+  res.send(await exporter.render(content, { includeMetadata }));
+}));
+
+// SEO report for a target keyword: density and placement, headings, links, readability,
+// a suggested meta description and slug, and a 0-100 score with suggestions
+router.post('/:id/seo', [
+  body('keyword').isString().withMessage('keyword must be a string').bail().trim().isLength({ min: 2, max: 100 }).withMessage('keyword must be 2-100 characters')
+], asyncHandler(async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
       success: false,
-      error: 'Access denied'
+      error: 'Validation failed',
+      details: errors.array()
     });
   }
 
-  let exportContent;
-  let contentType;
-  let filename;
-
-  switch (format.toLowerCase()) {
-    case 'txt':
-      exportContent = content.content;
-      contentType = 'text/plain';
-      filename = `${content.title.replace(/[^a-z0-9]/gi, '_').toLowerCase()}.txt`;
-      break;
-    
-    case 'md':
-    case 'markdown':
-      exportContent = content.content;
-      contentType = 'text/markdown';
-      filename = `${content.title.replace(/[^a-z0-9]/gi, '_').toLowerCase()}.md`;
-      break;
-    
-    case 'json':
-      exportContent = JSON.stringify(content, null, 2);
-      contentType = 'application/json';
-      filename = `${content.title.replace(/[^a-z0-9]/gi, '_').toLowerCase()}.json`;
-      break;
-    
-    default:
-      return res.status(400).json({
-        success: false,
-        error: 'Unsupported export format. Supported: txt, md, json'
-      });
-  }
+  const content = await findOwnedContent(req, res);
+  if (!content) return;
 
-  res.setHeader('Content-Type', contentType);
-  res.setHeader('Content-Disposition', `attachment; filename="${filename}"`);
-  res.send(exportContent);
+  res.json({
+    success: true,
+    data: {
+      contentId: content.id,
+      version: content.currentVersion,
+      ...seo.analyze(content.content, { keyword: req.body.keyword, title: content.title, language: content.language })
+    }
+  });
 }));
 
 // Get content analytics
 router.get('/analytics/summary', asyncHandler(async (req, res) => {
-  const apiKey = req.headers['x-api-key'];
-
-  if (!apiKey) {
-    return res.status(401).json({
-      success: false,
-      error: 'API key required'
-    });
-  }
+  const { user } = req;
 
-  const userContent = Array.from(contentStore.values())
-    .filter(content => content.apiKey === apiKey);
+  const userContent = await storage.content.findAllByOwner(user.id);
 
   const analytics = {
     totalContent: userContent.length,
@@ -0,0 +1,391 @@
+const express = require('express');
+const { body, validationResult } = require('express-validator');
+const { asyncHandler } = require('../middleware/errorHandler');
+const { validateApiKey, optionalAuth } = require('../middleware/auth');
+const planService = require('../services/planService');
+const contentTypeService = require('../services/contentTypeService');
+const promptTemplateService = require('../services/promptTemplateService');
+const brandVoiceService = require('../services/brandVoiceService');
+
+// User library, mounted under /api/ai: custom content types, prompt templates and brand voices.
+// Built-ins are listed alongside but are read-only; custom records can be edited only by
+// their owner and are shared with everyone when visibility is 'public'. Brand voices can also
+// be 'shared' with named users only.
+const router = express.Router();
+
+const VISIBILITIES = ['private', 'public'];
+const BRAND_VOICE_VISIBILITIES = ['private', 'shared', 'public'];
+
+function sendValidationErrors(req, res) {
+  const errors = validationResult(req);
+  if (errors.isEmpty()) {
+    return false;
+  }
+  res.status(400).json({
+    success: false,
+    error: 'Validation failed',
+    details: errors.array()
+  });
+  return true;
+}
+
+// Load a custom record for modification by its owner. Sends 404/403 and returns null otherwise.
+async function findOwned(req, res, { find, isBuiltIn, noun }) {
+  if (isBuiltIn(req.params.id)) {
+    res.status(403).json({
+      success: false,
+      error: `Built-in ${noun}s cannot be modified`
+    });
+    return null;
+  }
+
+  const record = await find(req.user, req.params.id);
+  if (!record) {
+    res.status(404).json({
+      success: false,
+      error: `${noun.charAt(0).toUpperCase()}${noun.slice(1)} not found`
+    });
+    return null;
+  }
+
+  if (record.ownerId !== req.user.id) {
+    res.status(403).json({
+      success: false,
+      error: 'Access denied'
+    });
+    return null;
+  }
+
+  return record;
+}
+
+const ownedContentType = (req, res) => findOwned(req, res, {
+  find: (user, id) => contentTypeService.findVisible(user, id),
+  isBuiltIn: id => contentTypeService.isBuiltIn(id),
+  noun: 'content type'
+});
+
+const ownedTemplate = (req, res) => findOwned(req, res, {
+  find: (user, id) => promptTemplateService.findVisible(user, id),
+  isBuiltIn: id => Boolean(promptTemplateService.findBuiltIn(id)),
+  noun: 'template'
+});
+
+// `optional` turns every rule into a partial-update rule for PUT
+const contentTypeRules = (optional = false) => {
+  const field = name => (optional ? body(name).optional() : body(name));
+  return [
+    field('name').isString().trim().isLength({ min: 1, max: 60 }).withMessage('Name must be 1-60 characters'),
+    body('description').optional().isString().trim().isLength({ max: 300 }).withMessage('Description must be at most 300 characters'),
+    field('systemPrompt').isString().trim().isLength({ min: 20, max: 4000 }).withMessage('System prompt must be 20-4000 characters'),
+    field('structure').isArray({ min: 1, max: 12 }).withMessage('Structure must be a list of 1-12 section names'),
+    body('structure.*').isString().trim().isLength({ min: 1, max: 80 }).withMessage('Section names must be 1-80 characters'),
+    body('visibility').optional().isIn(VISIBILITIES).withMessage('Visibility must be private or public')
+  ];
+};
+
+const templateRules = (optional = false) => {
+  const field = name => (optional ? body(name).optional() : body(name));
+  return [
+    field('name').isString().trim().isLength({ min: 1, max: 100 }).withMessage('Name must be 1-100 characters'),
+    body('description').optional().isString().trim().isLength({ max: 300 }).withMessage('Description must be at most 300 characters'),
+    field('contentType')
+      .custom((value, { req }) => contentTypeService.assertKnown(req.user, value))
+      .withMessage('Invalid content type'),
+    field('prompt')
+      .isString()
+      .isLength({ min: 10, max: planService.maxPromptLength })
+      .withMessage(`Prompt must be between 10 and ${planService.maxPromptLength} characters`),
+    body('variables').optional().isArray({ max: 20 }).withMessage('Variables must be a list of at most 20 declarations'),
+    body('variables.*.name').matches(/^[A-Za-z][A-Za-z0-9_]{0,39}$/).withMessage('Variable names must be identifiers of up to 40 characters'),
+    body('variables.*.type').optional().isIn(['text', 'number', 'enum', 'list']).withMessage('Variable type must be text, number, enum or list'),
+    body('variables.*.required').optional().isBoolean({ strict: true }),
+    body('variables.*.options').optional().isArray({ min: 1, max: 50 }),
+    body('variables.*.options.*').optional().isString(),
+    body(['variables.*.min', 'variables.*.max']).optional().isNumeric(),
+    body(['variables.*.maxLength', 'variables.*.maxItems']).optional().isInt({ min: 1, max: 2000 }),
+    body('tags').optional().isArray({ max: 10 }).withMessage('Tags must be a list of at most 10 strings'),
+    body('tags.*').isString().trim().isLength({ min: 1, max: 40 }),
+    body('visibility').optional().isIn(VISIBILITIES).withMessage('Visibility must be private or public')
+  ];
+};
+
+const ownedBrandVoice = (req, res) => findOwned(req, res, {
+  find: (user, id) => brandVoiceService.findVisible(user, id),
+  isBuiltIn: () => false,
+  noun: 'brand voice'
+});
+
+const brandVoiceRules = (optional = false) => {
+  const field = name => (optional ? body(name).optional() : body(name));
+  return [
+    field('name').isString().trim().isLength({ min: 1, max: 60 }).withMessage('Name must be 1-60 characters'),
+    body('description').optional().isString().trim().isLength({ max: 300 }).withMessage('Description must be at most 300 characters'),
+    body('guidelines').optional().isString().trim().isLength({ max: 2000 }).withMessage('Guidelines must be at most 2000 characters'),
+    body('vocabulary').optional().isArray({ max: 50 }).withMessage('Vocabulary must be a list of at most 50 terms'),
+    body('vocabulary.*').isString().trim().isLength({ min: 1, max: 60 }).withMessage('Terms must be 1-60 characters'),
+    body('bannedTerms').optional().isArray({ max: 100 }).withMessage('Banned terms must be a list of at most 100 terms'),
+    body('bannedTerms.*').isString().trim().isLength({ min: 1, max: 60 }).withMessage('Terms must be 1-60 characters'),
+    body('readingLevel').optional({ nullable: true }).isFloat({ min: 1, max: 18 }).toFloat().withMessage('Reading level must be a grade between 1 and 18'),
+    body('samples').optional().isArray({ max: 5 }).withMessage('Samples must be a list of at most 5 excerpts'),
+    body('samples.*').isString().trim().isLength({ min: 20, max: 2000 }).withMessage('Samples must be 20-2000 characters'),
+    body('visibility').optional().isIn(BRAND_VOICE_VISIBILITIES).withMessage('Visibility must be private, shared or public'),
+    // Emails of the users a 'shared' profile is visible to; they must match their account email
+    body('sharedWith').optional().isArray({ max: 50 }).withMessage('sharedWith must be a list of at most 50 emails'),
+    body('sharedWith.*').isEmail().withMessage('sharedWith must contain email addresses').bail().normalizeEmail()
+  ];
+};
+
+// A 'shared' profile with nobody to share it with. Sends 400 and returns true if so.
+function sendEmptyShare(res, { visibility, sharedWith }) {
+  if (visibility !== 'shared' || (sharedWith && sharedWith.length > 0)) {
+    return false;
+  }
+  res.status(400).json({
+    success: false,
+    error: 'Shared brand voices need at least one email in sharedWith'
+  });
+  return true;
+}
+
+const pick = (source, fields) => Object.fromEntries(fields.filter(field => source[field] !== undefined).map(field => [field, source[field]]));
+
+const CONTENT_TYPE_FIELDS = ['name', 'description', 'systemPrompt', 'structure', 'visibility'];
+const TEMPLATE_FIELDS = ['name', 'description', 'contentType', 'prompt', 'variables', 'tags', 'visibility'];
+const BRAND_VOICE_FIELDS = ['name', 'description', 'guidelines', 'vocabulary', 'bannedTerms', 'readingLevel', 'samples', 'visibility', 'sharedWith'];
+
+// Content types: built-ins plus the caller's own and shared custom types
+router.get('/content-types', optionalAuth, asyncHandler(async (req, res) => {
+  const contentTypes = await contentTypeService.list(req.user);
+
+  res.json({
+    success: true,
+    data: {
+      contentTypes,
+      totalCount: contentTypes.length
+    }
+  });
+}));
+
+router.get('/content-types/:id', optionalAuth, asyncHandler(async (req, res) => {
+  const { id } = req.params;
+  const type = contentTypeService.isBuiltIn(id) ? null : await contentTypeService.findVisible(req.user, id);
+
+  if (!contentTypeService.isBuiltIn(id) && !type) {
+    return res.status(404).json({
+      success: false,
+      error: 'Content type not found'
+    });
+  }
+
+  res.json({
+    success: true,
+    data: type ? contentTypeService.describe(type) : contentTypeService.describeBuiltIn(id)
+  });
+}));
+
+router.post('/content-types', validateApiKey, contentTypeRules(), asyncHandler(async (req, res) => {
+  if (sendValidationErrors(req, res)) return;
+
+  const type = await contentTypeService.create(req.user, pick(req.body, CONTENT_TYPE_FIELDS));
+
+  res.status(201).json({
+    success: true,
+    data: contentTypeService.describe(type)
+  });
+}));
+
+router.put('/content-types/:id', validateApiKey, contentTypeRules(true), asyncHandler(async (req, res) => {
+  if (sendValidationErrors(req, res)) return;
+
+  const type = await ownedContentType(req, res);
+  if (!type) return;
+
+  const updated = await contentTypeService.update(type, pick(req.body, CONTENT_TYPE_FIELDS));
+
+  res.json({
+    success: true,
+    data: contentTypeService.describe(updated)
+  });
+}));
+
+router.delete('/content-types/:id', validateApiKey, asyncHandler(async (req, res) => {
+  const type = await ownedContentType(req, res);
+  if (!type) return;
+
+  await contentTypeService.remove(type);
+
+  res.json({
+    success: true,
+    message: 'Content type deleted successfully'
+  });
+}));
+
+// Prompt templates, optionally filtered by ?category= (content type)
+router.get('/templates', optionalAuth, asyncHandler(async (req, res) => {
+  const templates = await promptTemplateService.list(req.user);
+
+  const { category } = req.query;
+
+  let filteredTemplates = templates;
+  if (category && category !== 'all') {
+    filteredTemplates = templates.filter(t => t.category === category);
+  }
+
+  res.json({
+    success: true,
+    data: {
+      templates: filteredTemplates,
+      totalCount: templates.length,
+      filteredCount: filteredTemplates.length
+    }
+  });
+}));
+
+router.get('/templates/:id', optionalAuth, asyncHandler(async (req, res) => {
+  const template = await promptTemplateService.findVisible(req.user, req.params.id);
+
+  if (!template) {
+    return res.status(404).json({
+      success: false,
+      error: 'Template not found'
+    });
+  }
+
+  res.json({
+    success: true,
+    data: promptTemplateService.describe(template)
+  });
+}));
+
+// Render a template with the given variables without generating anything
+router.post('/templates/:id/preview', optionalAuth, [
+  body('variables').optional().isObject().withMessage('variables must be an object')
+], asyncHandler(async (req, res) => {
+  if (sendValidationErrors(req, res)) return;
+
+  const template = await promptTemplateService.findVisible(req.user, req.params.id);
+  if (!template) {
+    return res.status(404).json({
+      success: false,
+      error: 'Template not found'
+    });
+  }
+
+  res.json({
+    success: true,
+    data: {
+      prompt: promptTemplateService.render(template, req.body.variables || {}),
+      contentType: template.contentType
+    }
+  });
+}));
+
+router.post('/templates', validateApiKey, templateRules(), asyncHandler(async (req, res) => {
+  if (sendValidationErrors(req, res)) return;
+
+  const template = await promptTemplateService.create(req.user, pick(req.body, TEMPLATE_FIELDS));
+
+  res.status(201).json({
+    success: true,
+    data: promptTemplateService.describe(template)
+  });
+}));
+
+router.put('/templates/:id', validateApiKey, templateRules(true), asyncHandler(async (req, res) => {
+  if (sendValidationErrors(req, res)) return;
+
+  const template = await ownedTemplate(req, res);
+  if (!template) return;
+
+  const updated = await promptTemplateService.update(template, pick(req.body, TEMPLATE_FIELDS));
+
+  res.json({
+    success: true,
+    data: promptTemplateService.describe(updated)
+  });
+}));
+
+router.delete('/templates/:id', validateApiKey, asyncHandler(async (req, res) => {
+  const template = await ownedTemplate(req, res);
+  if (!template) return;
+
+  await promptTemplateService.remove(template);
+
+  res.json({
+    success: true,
+    message: 'Template deleted successfully'
+  });
+}));
+
+// Brand voices: the caller's own and shared profiles, usable as brandVoiceId when generating
+router.get('/brand-voices', validateApiKey, asyncHandler(async (req, res) => {
+  const brandVoices = await brandVoiceService.list(req.user);
+
+  res.json({
+    success: true,
+    data: {
+      brandVoices,
+      totalCount: brandVoices.length
+    }
+  });
+}));
+
+router.get('/brand-voices/:id', validateApiKey, asyncHandler(async (req, res) => {
+  const voice = await brandVoiceService.findVisible(req.user, req.params.id);
+
+  if (!voice) {
+    return res.status(404).json({
+      success: false,
+      error: 'Brand voice not found'
+    });
+  }
+
+  res.json({
+    success: true,
+    data: brandVoiceService.describe(voice, req.user)
+  });
+}));
+
+router.post('/brand-voices', validateApiKey, brandVoiceRules(), asyncHandler(async (req, res) => {
+  if (sendValidationErrors(req, res)) return;
+  if (sendEmptyShare(res, req.body)) return;
+
+  const voice = await brandVoiceService.create(req.user, pick(req.body, BRAND_VOICE_FIELDS));
+
+  res.status(201).json({
+    success: true,
+    data: brandVoiceService.describe(voice, req.user)
+  });
+}));
+
+router.put('/brand-voices/:id', validateApiKey, brandVoiceRules(true), asyncHandler(async (req, res) => {
+  if (sendValidationErrors(req, res)) return;
+
+  const voice = await ownedBrandVoice(req, res);
+  if (!voice) return;
+
+  const changes = pick(req.body, BRAND_VOICE_FIELDS);
+  if (sendEmptyShare(res, { ...voice, ...changes })) return;
+
+  const updated = await brandVoiceService.update(voice, changes);
+
+  res.json({
+    success: true,
+    data: brandVoiceService.describe(updated, req.user)
+  });
+}));
+
+router.delete('/brand-voices/:id', validateApiKey, asyncHandler(async (req, res) => {
+  const voice = await ownedBrandVoice(req, res);
+  if (!voice) return;
+
+  await brandVoiceService.remove(voice);
+
+  res.json({
+    success: true,
+    message: 'Brand voice deleted successfully'
+  });
+}));
+
+module.exports = router;
@@ -0,0 +1,161 @@
+const express = require('express');
+const { body, validationResult } = require('express-validator');
+const { asyncHandler } = require('../middleware/errorHandler');
+const { validateApiKey } = require('../middleware/auth');
+const { checkQuota } = require('../middleware/quota');
+const { enforceGenerationPlan, planRateLimit } = require('../middleware/plan');
+const { validateTags } = require('../middleware/validators');
+const planService = require('../services/planService');
+const usageService = require('../services/usageService');
+const sessionService = require('../services/sessionService');
+const contentTypeService = require('../services/contentTypeService');
+const brandVoiceService = require('../services/brandVoiceService');
+const languages = require('../config/languages');
+const tones = require('../config/tones');
+
+// Conversational drafting sessions, mounted at /api/ai/sessions. Create a session with the
+// content settings, then send messages ("make slide 3 punchier"); every reply is the full
+// revised draft. POST /:id/save stores the newest draft in the content library.
+const router = express.Router();
+
+router.use(validateApiKey);
+
+function sendValidationErrors(req, res) {
+  const errors = validationResult(req);
+  if (errors.isEmpty()) {
+    return false;
+  }
+  res.status(400).json({
+    success: false,
+    error: 'Validation failed',
+    details: errors.array()
+  });
+  return true;
+}
+
+// Load the session named by :id if the caller owns it. Sends 404/403 and returns null otherwise.
+async function findOwnedSession(req, res) {
+  const session = await sessionService.find(req.params.id);
+
+  if (!session) {
+    res.status(404).json({
+      success: false,
+      error: 'Session not found'
+    });
+    return null;
+  }
+
+  if (session.ownerId !== req.user.id) {
+    res.status(403).json({
+      success: false,
+      error: 'Access denied'
+    });
+    return null;
+  }
+
+  return session;
+}
+
+// Start a session
+router.post('/', enforceGenerationPlan, [
+  body('title').optional().isString().trim().isLength({ min: 1, max: 200 }).withMessage('Title must be 1-200 characters'),
+  body('contentType').custom((value, { req }) => contentTypeService.assertKnown(req.user, value)).withMessage('Invalid content type'),
+  body('language').optional().isIn(Object.keys(languages)).withMessage('Invalid language'),
+  body('tone').optional().isIn(Object.keys(tones)).withMessage('Invalid tone'),
+  body('brandVoiceId').optional().custom((value, { req }) => brandVoiceService.assertUsable(req.user, value)).withMessage('Brand voice not found')
+], asyncHandler(async (req, res) => {
+  if (sendValidationErrors(req, res)) return;
+
+  const { title, contentType, language, tone, brandVoiceId } = req.body;
+  const session = await sessionService.create(req.user, { title, contentType, language, tone, brandVoiceId });
+
+  res.status(201).json({
+    success: true,
+    data: sessionService.describe(session)
+  });
+}));
+
+// Session settings, full message history and the newest draft
+router.get('/:id', asyncHandler(async (req, res) => {
+  const session = await findOwnedSession(req, res);
+  if (!session) return;
+
+  res.json({
+    success: true,
+    data: sessionService.describe(session)
+  });
+}));
+
+// Send the next message; counts as one generation against the quota
+router.post('/:id/messages', planRateLimit, checkQuota(), [
+  body('message')
+    .isString()
+    .trim()
+    .isLength({ min: 1, max: planService.maxPromptLength })
+    .withMessage(`Message must be between 1 and ${planService.maxPromptLength} characters`)
+], asyncHandler(async (req, res) => {
+  if (sendValidationErrors(req, res)) return;
+
+  const session = await findOwnedSession(req, res);
+  if (!session) return;
+
+  const { message } = req.body;
+  const startTime = Date.now();
+
+  console.log(`AI Session Message: ${session.id} | ${session.contentType} | turn ${session.messages.length / 2 + 1}`);
+
+  const { session: updated, reply, context, brandVoice } = await sessionService.addMessage(req.user, session, message);
+  await usageService.record(req.user, usageService.measure(message, reply.content), req.usageReservation);
+
+  res.json({
+    success: true,
+    data: {
+      reply,
+      draft: reply.content,
+      ...(brandVoice && { brandVoice }),
+      context,
+      metadata: {
+        sessionId: updated.id,
+        messageCount: updated.messages.length,
+        contentType: updated.contentType,
+        language: updated.language,
+        tone: updated.tone,
+        fallback: false,
+        generation: reply.generation,
+        wordCount: reply.content.split(' ').length,
+        characterCount: reply.content.length,
+        generationTime: `${Date.now() - startTime}ms`,
+        timestamp: new Date().toISOString()
+      }
+    }
+  });
+}));
+
+// Save the newest draft to /api/content: created on the first save, a new version afterwards
+router.post('/:id/save', [
+  body('title').optional().isString().trim().isLength({ min: 1, max: 200 }).withMessage('Title must be 1-200 characters'),
+  ...validateTags
+], asyncHandler(async (req, res) => {
+  if (sendValidationErrors(req, res)) return;
+
+  const session = await findOwnedSession(req, res);
+  if (!session) return;
+
+  const { title, tags } = req.body;
+  const { content, created } = await sessionService.saveDraft(req.user, session, { title, tags });
+
+  res.status(created ? 201 : 200).json({
+    success: true,
+    data: {
+      id: content.id,
+      title: content.title,
+      contentType: content.contentType,
+      version: content.currentVersion,
+      created,
+      wordCount: content.wordCount,
+      updatedAt: content.updatedAt
+    }
+  });
+}));
+
+module.exports = router;
@@ -9,8 +9,13 @@ require('dotenv').config();
 const aiRoutes = require('./routes/ai');
 const authRoutes = require('./routes/auth');
 const contentRoutes = require('./routes/content');
+const libraryRoutes = require('./routes/library');
+const sessionRoutes = require('./routes/sessions');
 const { errorHandler } = require('./middleware/errorHandler');
 const { validateApiKey } = require('./middleware/auth');
+const storage = require('./storage');
+const jobService = require('./services/jobService');
+const versionService = require('./services/versionService');
 
 const app = express();
 const PORT = process.env.PORT || 3001;
@@ -18,7 +23,9 @@ const PORT = process.env.PORT || 3001;
 // Security middleware
 app.use(helmet());
 app.use(compression());
-app.use(morgan('combined'));
+if (process.env.NODE_ENV !== 'test') {
+  app.use(morgan('combined'));
+}
 
 // CORS configuration
 app.use(cors({
@@ -40,15 +47,6 @@ const limiter = rateLimit({
   legacyHeaders: false,
 });
 
-const aiLimiter = rateLimit({
-  windowMs: 60 * 1000, // 1 minute
-  max: 10, // limit each IP to 10 AI requests per minute
-  message: {
-    error: 'AI generation rate limit exceeded. Please wait before making another request.',
-    retryAfter: '1 minute'
-  }
-});
-
 app.use(limiter);
 app.use(express.json({ limit: '10mb' }));
 app.use(express.urlencoded({ extended: true, limit: '10mb' }));
@@ -65,8 +63,10 @@ app.get('/health', (req, res) => {
 
 // API routes
 app.use('/api/auth', authRoutes);
-app.use('/api/ai', aiLimiter, aiRoutes);
-app.use('/api/content', contentRoutes);
+app.use('/api/ai', aiRoutes); // AI generation is rate limited per user by plan (config/plans.js)
+app.use('/api/ai/sessions', sessionRoutes); // Conversational drafting sessions
+app.use('/api/ai', libraryRoutes); // Custom content types and prompt templates
+app.use('/api/content', validateApiKey, contentRoutes);
 
 // Root endpoint
 app.get('/', (req, res) => {
@@ -98,19 +98,37 @@ app.use(errorHandler);
 // Graceful shutdown
 process.on('SIGTERM', () => {
   console.log('SIGTERM received. Shutting down gracefully...');
+  storage.close();
   process.exit(0);
 });
 
 process.on('SIGINT', () => {
   console.log('SIGINT received. Shutting down gracefully...');
+  storage.close();
   process.exit(0);
 });
 
-app.listen(PORT, () => {
-  console.log(`🚀 AI Content Creator Backend running on port ${PORT}`);
-  console.log(`📊 Health check: http://localhost:${PORT}/health`);
-  console.log(`🤖 AI API: http://localhost:${PORT}/api/ai`);
-  console.log(`🔐 Environment: ${process.env.NODE_ENV || 'development'}`);
-});
+// Listen only when run directly; tests import the app and drive it with supertest
+if (require.main === module) {
+  app.listen(PORT, () => {
+    console.log(`🚀 AI Content Creator Backend running on port ${PORT}`);
+    console.log(`📊 Health check: http://localhost:${PORT}/health`);
+    console.log(`🤖 AI API: http://localhost:${PORT}/api/ai`);
+    console.log(`🔐 Environment: ${process.env.NODE_ENV || 'development'}`);
+    console.log(`🗄️  Storage: ${storage.driver}`);
+
+    jobService.recoverInterrupted().then(count => {
+      if (count > 0) {
+        console.log(`⚠️  Marked ${count} interrupted batch job(s) as finished`);
+      }
+    }).catch(error => console.error('Job recovery failed:', error));
+
+    versionService.purgeExpired().then(count => {
+      if (count > 0) {
+        console.log(`🗑️  Purged ${count} deleted content item(s) past the recovery window`);
+      }
+    }).catch(error => console.error('Content purge failed:', error));
+  });
+}
 
 module.exports = app;
\ No newline at end of file
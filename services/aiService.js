@@ -1,432 +1,800 @@
+const crypto = require('crypto');
 const axios = require('axios');
-const NodeCache = require('node-cache');
-
-// Cache for 1 hour to reduce API calls
-const cache = new NodeCache({ stdTTL: 3600 });
+const { StringDecoder } = require('string_decoder');
+const { createProviders } = require('./providers');
+const CircuitBreaker = require('./providers/circuitBreaker');
+const structured = require('./structured');
+const social = require('./social');
+const seo = require('./seo');
+const contentTypes = require('../config/contentTypes');
+const languages = require('../config/languages');
+const tones = require('../config/tones');
+const fallback = require('./fallback');
+const { createCache, globToRegExp } = require('./cache');
+const { DeadlineExceededError, ProvidersUnavailableError } = require('../utils/errors');
 
 class AIService {
   constructor() {
-    // Free AI APIs - no API keys required for these endpoints
-    this.providers = [
-      {
-        name: 'huggingface',
-        url: 'https://api-inference.huggingface.co/models/microsoft/DialoGPT-medium',
-        headers: {},
-        enabled: true
-      },
-      {
-        name: 'ollama-proxy',
-        url: 'https://ollama-proxy.vercel.app/api/generate',
-        headers: { 'Content-Type': 'application/json' },
-        enabled: true
-      },
-      {
-        name: 'local-llm',
-        url: 'http://localhost:11434/api/generate',
-        headers: { 'Content-Type': 'application/json' },
-        enabled: false // Enable if running local Ollama
-      }
-    ];
-
-    this.contentTemplates = {
-      presentation: {
-        systemPrompt: `You are an expert presentation creator. Create a comprehensive slide deck with clear structure, engaging content, and professional formatting. Include slide titles, bullet points, and speaker notes. Format as markdown with clear slide separations.`,
-        structure: ['Introduction', 'Problem/Opportunity', 'Solution', 'Benefits', 'Implementation', 'Conclusion']
-      },
-      document: {
-        systemPrompt: `You are a professional document writer. Create well-structured, informative documents with proper headings, sections, and detailed content. Use professional language and clear formatting.`,
-        structure: ['Executive Summary', 'Introduction', 'Main Content', 'Analysis', 'Recommendations', 'Conclusion']
-      },
-      social: {
-        systemPrompt: `You are a social media expert. Create engaging, viral-worthy posts with hooks, value, and appropriate hashtags. Keep it concise but impactful.`,
-        structure: ['Hook', 'Value Proposition', 'Call to Action', 'Hashtags']
-      },
-      blog: {
-        systemPrompt: `You are a content marketing expert. Write compelling blog posts with SEO optimization, engaging headlines, and valuable insights. Include introduction, main points, and conclusion.`,
-        structure: ['Headline', 'Introduction', 'Main Points', 'Examples', 'Conclusion', 'Call to Action']
-      },
-      email: {
-        systemPrompt: `You are an email marketing specialist. Create persuasive, well-structured emails that drive engagement and conversions. Include subject line and clear call to action.`,
-        structure: ['Subject Line', 'Opening', 'Value Proposition', 'Benefits', 'Call to Action', 'Closing']
-      }
+    // Provider adapters are built from config/providers.js (or AI_PROVIDERS / AI_PROVIDERS_FILE).
+    // Unknown provider types throw here, at startup.
+    this.providers = createProviders();
+
+    // One circuit breaker per provider so a dead backend is skipped instead of
+    // costing every request its full timeout
+    this.breakers = new Map(this.providers.map(p => [p.name, new CircuitBreaker(p.breakerOptions)]));
+
+    // Provider results are cached to reduce API calls (services/cache picks the backend).
+    // AI_CACHE_SCOPE=user keeps each user's entries separate; the default shares them.
+    this.cache = createCache();
+    this.cacheScope = process.env.AI_CACHE_SCOPE === 'user' ? 'user' : 'global';
+
+    // Cache hits and misses per content type, since startup
+    this.cacheLookups = new Map();
+
+    // Total time budget for one generation across all providers and retries
+    this.requestDeadlineMs = parseInt(process.env.AI_REQUEST_DEADLINE_MS, 10) || 60000;
+
+    // Estimated tokens of history sent with each drafting-session turn (4 characters per token)
+    this.sessionContextTokens = parseInt(process.env.AI_SESSION_CONTEXT_TOKENS, 10) || 6000;
+
+    // Reprompts per provider when a structured reply fails schema validation
+    const repairAttempts = parseInt(process.env.AI_STRUCTURED_REPAIR_ATTEMPTS, 10);
+    this.structuredRepairAttempts = Number.isNaN(repairAttempts) ? 1 : repairAttempts;
+
+    // Built-in content types (config/contentTypes.js); custom types are passed in per request
+    this.contentTemplates = contentTypes;
+
+    // Writing tones come from config/tones.js
+    this.toneModifiers = Object.fromEntries(
+      Object.entries(tones).map(([tone, { instruction }]) => [tone, instruction])
+    );
+
+    // Output languages come from config/languages.js
+    this.languageInstructions = Object.fromEntries(
+      Object.entries(languages).map(([language, { instruction }]) => [language, instruction])
+    );
+
+    // Refinement operations for transformContent, each building its instruction from the options
+    this.transformPrompts = {
+      rewrite: () => 'Rewrite the text to improve clarity and flow. Keep its meaning, facts and approximate length.',
+      expand: () => 'Expand the text with more detail, examples and explanation, roughly doubling its length. Keep every existing point.',
+      shorten: () => 'Shorten the text to about half its length. Keep the key points; cut repetition and filler.',
+      summarize: () => 'Summarize the text in a few concise sentences that capture its main ideas.',
+      'change-tone': ({ tone }) => `Rewrite the text in a new tone. ${this.toneModifiers[tone]} Keep its meaning and facts.`,
+      translate: ({ language }) => `Translate the text into ${languages[language].name}. Keep names, numbers and links unchanged.`
     };
+  }
 
-    this.toneModifiers = {
-      professional: 'Use a professional, business-appropriate tone with formal language.',
-      casual: 'Use a casual, friendly, and conversational tone that feels approachable.',
-      creative: 'Use a creative, innovative, and inspiring tone that sparks imagination.',
-      persuasive: 'Use a persuasive, compelling, and action-oriented tone that motivates.',
-      informative: 'Use an informative, educational, and clear tone that teaches.',
-      humorous: 'Use a humorous, light-hearted, and entertaining tone that engages.'
-    };
+  // `allowedProviders` restricts which provider names may be used (all when omitted).
+  // `customType` ({ systemPrompt, structure }) replaces the built-in template for user-defined types.
+  // `brandVoice` is a brand voice profile whose style rules are added to the prompt.
+  // `platform` (config/platforms.js, social content only) adds the platform's rules to the prompt.
+  // `seo: { keyword }` asks for content written around a search keyword (see services/seo).
+  // `userId` scopes the cache entry when AI_CACHE_SCOPE=user; `cache: false` neither reads
+  // nor writes the cache. Returns { content, generation }; see buildGeneration for the envelope.
+  // With a platform the content is fitted to it and `social: { posts, report }` is added.
+  async generateContent({ prompt, contentType, language = 'english', tone = 'professional', allowedProviders, customType, brandVoice, platform, seo: seoOptions, userId, cache = true }) {
+    const startTime = Date.now();
+    const cacheKey = cache ? this.buildCacheKey({ prompt, contentType, language, tone, customType, brandVoice, platform, seo: seoOptions, allowedProviders, userId }) : null;
+    
+    // Check cache first
+    const cached = await this.readCache(cacheKey, contentType);
+    if (cached) {
+      return this.fitToPlatform({ ...cached, generation: this.buildCachedGeneration(cached.generation, startTime) }, platform);
+    }
+
+    const template = this.getTemplate(contentType, customType);
+    const input = this.buildProviderInput(prompt, template, language, tone, { brandVoice, platform, seo: seoOptions });
+
+    const attempts = [];
+    const answer = await this.completeWithProviders(input, { allowedProviders, deadline: startTime + this.requestDeadlineMs, attempts });
+
+    if (answer) {
+      // Cache successful result
+      const generated = { content: answer.content, generation: this.buildGeneration(startTime, attempts, { provider: answer.provider }) };
+      await this.writeCache(cacheKey, generated, { contentType, prompt });
+      return this.fitToPlatform(generated, platform);
+    }
 
-    this.languageInstructions = {
-      english: '',
-      spanish: 'Write the entire content in Spanish (Español).',
-      french: 'Write the entire content in French (Français).',
-      german: 'Write the entire content in German (Deutsch).',
-      chinese: 'Write the entire content in Chinese (中文).',
-      japanese: 'Write the entire content in Japanese (日本語).',
-      portuguese: 'Write the entire content in Portuguese (Português).'
+    // Fallback to template-based generation (not cached, so the next request tries the providers again)
+    return this.fitToPlatform({
+      content: this.generateFallbackContent(prompt, contentType, language, customType, { platform }),
+      generation: this.buildGeneration(startTime, attempts, { fallback: true })
+    }, platform);
+  }
+
+  // Refines existing text: `operation` is one of this.transformPrompts, `tone` is required for
+  // change-tone and `language` for translate. There is no template fallback for edits, so
+  // ProvidersUnavailableError is thrown when every provider fails. Results are not cached:
+  // asking again should produce a fresh rewrite. Returns { content, generation }.
+  async transformContent({ text, operation, tone, language, allowedProviders }) {
+    const startTime = Date.now();
+    const input = this.buildTransformInput(text, operation, { tone, language });
+
+    const attempts = [];
+    const answer = await this.completeWithProviders(input, { allowedProviders, deadline: startTime + this.requestDeadlineMs, attempts });
+    if (!answer) {
+      throw new ProvidersUnavailableError({ attempts });
+    }
+
+    return {
+      content: answer.content.trim(),
+      generation: this.buildGeneration(startTime, attempts, { provider: answer.provider })
     };
   }
 
-  async generateContent({ prompt, contentType, language = 'english', tone = 'professional' }) {
-    const cacheKey = `${contentType}-${language}-${tone}-${this.hashString(prompt)}`;
-    
-    // Check cache first
-    const cached = cache.get(cacheKey);
+  // Turns `source` (the text of an existing piece) into `contentType`, following that type's
+  // template and drawing only on the source material. `title` is the source's title, if any.
+  // Cached like generateContent, but there is no template fallback: a stock outline would
+  // ignore the source, so ProvidersUnavailableError is thrown instead. Returns { content, generation },
+  // plus `social` when a `platform` is given as for generateContent.
+  async repurposeContent({ source, title, contentType, language = 'english', tone = 'professional', allowedProviders, customType, brandVoice, platform, userId, cache = true }) {
+    const startTime = Date.now();
+    const prompt = title ? `${title}\n\n${source}` : source;
+    const cacheKey = cache ? this.buildCacheKey({ prompt, contentType, language, tone, customType, brandVoice, platform, allowedProviders, userId }, 'repurpose') : null;
+
+    const cached = await this.readCache(cacheKey, contentType);
     if (cached) {
-      return cached;
+      return this.fitToPlatform({ ...cached, generation: this.buildCachedGeneration(cached.generation, startTime) }, platform);
+    }
+
+    const template = this.getTemplate(contentType, customType);
+    const input = this.buildRepurposeInput(source, title, template, language, tone, { brandVoice, platform });
+
+    const attempts = [];
+    const answer = await this.completeWithProviders(input, { allowedProviders, deadline: startTime + this.requestDeadlineMs, attempts });
+    if (!answer) {
+      throw new ProvidersUnavailableError({ attempts });
     }
 
-    const template = this.contentTemplates[contentType] || this.contentTemplates.document;
-    const fullPrompt = this.buildPrompt(prompt, template, language, tone);
+    const generated = { content: answer.content.trim(), generation: this.buildGeneration(startTime, attempts, { provider: answer.provider }) };
+    await this.writeCache(cacheKey, generated, { contentType, prompt });
+    return this.fitToPlatform(generated, platform);
+  }
 
-    // Try multiple providers for redundancy
-    for (const provider of this.providers.filter(p => p.enabled)) {
+  // Next turn of a drafting session. `history` is the session's [{ role, content }] so far;
+  // chat providers receive it as role-tagged messages, completion providers as a transcript.
+  // Like transformContent there is no template fallback and nothing is cached.
+  // Returns { content, generation, context } where context reports what fit in the budget.
+  async continueSession({ history, message, contentType, language = 'english', tone = 'professional', allowedProviders, customType, brandVoice }) {
+    const startTime = Date.now();
+    const template = this.getTemplate(contentType, customType);
+    const { input, context } = this.buildSessionInput(history, message, template, language, tone, { brandVoice });
+
+    const attempts = [];
+    const answer = await this.completeWithProviders(input, { allowedProviders, deadline: startTime + this.requestDeadlineMs, attempts });
+    if (!answer) {
+      throw new ProvidersUnavailableError({ attempts });
+    }
+
+    return {
+      content: answer.content.trim(),
+      generation: this.buildGeneration(startTime, attempts, { provider: answer.provider }),
+      context
+    };
+  }
+
+  // Tries each candidate provider in order, skipping any whose breaker is open, and returns
+  // { content, provider } from the first non-empty reply, or null when all of them failed.
+  // Every provider tried is logged in `attempts`. DeadlineExceededError propagates: running
+  // out of budget is reported to the client, not papered over with a template.
+  async completeWithProviders(input, { allowedProviders, deadline, attempts }) {
+    for (const provider of this.getCandidateProviders(allowedProviders)) {
+      const breaker = this.breakers.get(provider.name);
+      if (!breaker.canRequest()) {
+        this.recordAttempt(attempts, provider, 'skipped', null, 'Circuit open');
+        continue;
+      }
+
+      const attemptStart = Date.now();
       try {
-        const result = await this.callProvider(provider, fullPrompt);
-        if (result) {
-          // Cache successful result
-          cache.set(cacheKey, result);
-          return result;
+        const content = await this.callProvider(provider, input, deadline);
+        if (!content) {
+          throw new Error(`${provider.name} returned an empty response`);
         }
+        breaker.recordSuccess(Date.now() - attemptStart);
+        this.recordAttempt(attempts, provider, 'succeeded', attemptStart);
+        return { content, provider };
       } catch (error) {
+        if (error instanceof DeadlineExceededError) {
+          breaker.release();
+          throw error;
+        }
+        breaker.recordFailure(error, Date.now() - attemptStart);
+        this.recordAttempt(attempts, provider, 'failed', attemptStart, error.message);
         console.warn(`Provider ${provider.name} failed:`, error.message);
-        continue;
       }
     }
 
-    // Fallback to template-based generation
-    const fallbackResult = this.generateFallbackContent(prompt, contentType, language, tone);
-    cache.set(cacheKey, fallbackResult);
-    return fallbackResult;
+    return null;
   }
 
-  buildPrompt(userPrompt, template, language, tone) {
-    const languageInstruction = this.languageInstructions[language] || '';
-    const toneInstruction = this.toneModifiers[tone] || '';
-    
-    return `${template.systemPrompt}
+  // `format: 'structured'` variant of generateContent. Replies are parsed and validated
+  // against the content type's schema; a provider whose reply still fails after the repair
+  // reprompts is skipped. Returns { structured, content, generation } with content rendered as markdown.
+  async generateStructuredContent({ prompt, contentType, language = 'english', tone = 'professional', allowedProviders, customType, brandVoice, seo: seoOptions, userId, cache = true }) {
+    const startTime = Date.now();
+    const cacheKey = cache ? this.buildCacheKey({ prompt, contentType, language, tone, customType, brandVoice, seo: seoOptions, allowedProviders, userId }, 'structured') : null;
 
-${languageInstruction}
-${toneInstruction}
+    const cached = await this.readCache(cacheKey, contentType);
+    if (cached) {
+      return { ...cached, generation: this.buildCachedGeneration(cached.generation, startTime) };
+    }
 
-Topic: ${userPrompt}
+    const template = this.getTemplate(contentType, customType);
+    const schema = structured.schemaFor(contentType, template);
+    const input = this.buildProviderInput(prompt, template, language, tone, { schema, brandVoice, seo: seoOptions });
+    const context = { title: prompt, language };
 
-Please create high-quality content following this structure: ${template.structure.join(' → ')}
+    const deadline = startTime + this.requestDeadlineMs;
+    const attempts = [];
 
-Make it comprehensive, engaging, and actionable.`;
-  }
+    for (const provider of this.getCandidateProviders(allowedProviders)) {
+      const breaker = this.breakers.get(provider.name);
+      if (!breaker.canRequest()) {
+        this.recordAttempt(attempts, provider, 'skipped', null, 'Circuit open');
+        continue;
+      }
 
-  async callProvider(provider, prompt) {
-    const timeout = 30000; // 30 seconds timeout
-    
-    try {
-      let requestData;
-      
-      switch (provider.name) {
-        case 'huggingface':
-          requestData = {
-            inputs: prompt,
-            parameters: {
-              max_length: 2000,
-              temperature: 0.7,
-              do_sample: true
-            }
-          };
-          break;
-          
-        case 'ollama-proxy':
-          requestData = {
-            model: 'llama2',
-            prompt: prompt,
-            stream: false
-          };
-          break;
-          
-        case 'local-llm':
-          requestData = {
-            model: 'llama2',
-            prompt: prompt,
-            stream: false
+      const attemptStart = Date.now();
+      try {
+        let attemptInput = input;
+        let parsed = null;
+        let attempt = 0;
+        for (; attempt <= this.structuredRepairAttempts; attempt++) {
+          const output = await this.callProvider(provider, attemptInput, deadline);
+          if (!output) {
+            throw new Error(`${provider.name} returned an empty response`);
+          }
+          parsed = structured.parse(contentType, output, schema, context);
+          if (parsed.errors.length === 0) break;
+
+          console.warn(`Provider ${provider.name} returned invalid ${contentType} JSON (${parsed.errors.length} error(s)), attempt ${attempt + 1}`);
+          attemptInput = this.buildRepairInput(attemptInput, output, parsed.errors);
+        }
+        // The provider answered, so its health is fine even if the reply was unusable
+        breaker.recordSuccess(Date.now() - attemptStart);
+
+        if (parsed.errors.length === 0) {
+          this.recordAttempt(attempts, provider, 'succeeded', attemptStart);
+          const result = {
+            structured: parsed.value,
+            content: structured.toMarkdown(contentType, parsed.value, schema, language),
+            generation: this.buildGeneration(startTime, attempts, { provider })
           };
-          break;
-          
-        default:
-          throw new Error(`Unknown provider: ${provider.name}`);
+          await this.writeCache(cacheKey, result, { contentType, prompt });
+          return result;
+        }
+        this.recordAttempt(attempts, provider, 'invalid', attemptStart,
+          `Reply failed schema validation after ${attempt} attempt(s) (${parsed.errors.length} error(s))`);
+      } catch (error) {
+        if (error instanceof DeadlineExceededError) {
+          breaker.release();
+          throw error;
+        }
+        breaker.recordFailure(error, Date.now() - attemptStart);
+        this.recordAttempt(attempts, provider, 'failed', attemptStart, error.message);
+        console.warn(`Provider ${provider.name} failed:`, error.message);
       }
-
-      const response = await axios.post(provider.url, requestData, {
-        headers: provider.headers,
-        timeout: timeout
-      });
-
-      return this.parseResponse(response.data, provider.name);
-    } catch (error) {
-      throw new Error(`${provider.name} API call failed: ${error.message}`);
     }
-  }
 
-  parseResponse(data, providerName) {
-    try {
-      switch (providerName) {
-        case 'huggingface':
-          return Array.isArray(data) ? data[0]?.generated_text : data.generated_text;
-          
-        case 'ollama-proxy':
-        case 'local-llm':
-          return data.response || data.text;
-          
-        default:
-          return data.content || data.text || JSON.stringify(data);
-      }
-    } catch (error) {
-      throw new Error(`Failed to parse response from ${providerName}`);
-    }
+    // The template fallback goes through the same markdown -> schema conversion
+    const { value } = structured.parse(contentType, this.generateFallbackContent(prompt, contentType, language, customType), schema, context);
+    return {
+      structured: value,
+      content: structured.toMarkdown(contentType, value, schema, language),
+      generation: this.buildGeneration(startTime, attempts, { fallback: true })
+    };
   }
 
-  generateFallbackContent(prompt, contentType, language, tone) {
-    const templates = {
-      presentation: this.generatePresentationTemplate(prompt, language, tone),
-      document: this.generateDocumentTemplate(prompt, language, tone),
-      social: this.generateSocialTemplate(prompt, language, tone),
-      blog: this.generateBlogTemplate(prompt, language, tone),
-      email: this.generateEmailTemplate(prompt, language, tone)
-    };
+  // Streaming variant of generateContent: yields text chunks as providers produce them.
+  // Providers without streaming support yield their whole result as a single chunk.
+  // `onComplete(generation)` is called once the full content has been yielded. Chunks are
+  // raw model output: with a `platform`, fit the assembled content with social.fit.
+  async *generateContentStream({ prompt, contentType, language = 'english', tone = 'professional', allowedProviders, customType, brandVoice, platform, seo: seoOptions, userId, cache = true }, { signal, onComplete = () => {} } = {}) {
+    const startTime = Date.now();
+    const cacheKey = cache ? this.buildCacheKey({ prompt, contentType, language, tone, customType, brandVoice, platform, seo: seoOptions, allowedProviders, userId }) : null;
 
-    return templates[contentType] || templates.document;
-  }
+    const cached = await this.readCache(cacheKey, contentType);
+    if (cached) {
+      yield cached.content;
+      onComplete(this.buildCachedGeneration(cached.generation, startTime));
+      return;
+    }
 
-  generatePresentationTemplate(prompt, language, tone) {
-    const prefix = language !== 'english' ? `[Content in ${language}]\n\n` : '';
-    const toneNote = tone !== 'professional' ? `[${tone} tone]\n\n` : '';
-    
-    return `${prefix}${toneNote}# ${prompt}
+    const template = this.getTemplate(contentType, customType);
+    const input = this.buildProviderInput(prompt, template, language, tone, { brandVoice, platform, seo: seoOptions });
 
-## 🎯 Slide 1: Introduction
-• Welcome to ${prompt}
-• Key objectives and goals
-• Agenda overview
+    const deadline = startTime + this.requestDeadlineMs;
+    const attempts = [];
 
-## 📊 Slide 2: Current Situation
-• Market analysis and trends
-• Challenges and opportunities
-• Key statistics and insights
+    for (const provider of this.getCandidateProviders(allowedProviders)) {
+      const breaker = this.breakers.get(provider.name);
+      if (!breaker.canRequest()) {
+        this.recordAttempt(attempts, provider, 'skipped', null, 'Circuit open');
+        continue;
+      }
 
-## 💡 Slide 3: Our Approach
-• Innovative solution
-• Unique value proposition
-• Competitive advantages
+      const attemptStart = Date.now();
+      let result = '';
+      let recorded = false;
+      try {
+        if (provider.supportsStreaming) {
+          for await (const chunk of this.callProviderStream(provider, input, signal, deadline)) {
+            result += chunk;
+            yield chunk;
+          }
+        } else {
+          result = await this.callProvider(provider, input, deadline);
+          if (result) {
+            yield result;
+          }
+        }
 
-## 🚀 Slide 4: Implementation
-• Step-by-step roadmap
-• Timeline and milestones
-• Resource requirements
+        if (!result) {
+          throw new Error(`${provider.name} returned an empty response`);
+        }
+        breaker.recordSuccess(Date.now() - attemptStart);
+        recorded = true;
+        this.recordAttempt(attempts, provider, 'succeeded', attemptStart);
+
+        const generation = this.buildGeneration(startTime, attempts, { provider });
+        await this.writeCache(cacheKey, { content: result, generation }, { contentType, prompt });
+        onComplete(generation);
+        return;
+      } catch (error) {
+        // A client disconnect or an exhausted deadline says nothing about the provider's health
+        if ((signal && signal.aborted) || error instanceof DeadlineExceededError) {
+          throw error;
+        }
+        breaker.recordFailure(error, Date.now() - attemptStart);
+        recorded = true;
 
-## 📈 Slide 5: Expected Results
-• Projected outcomes
-• Success metrics
-• ROI analysis
+        // Once chunks have reached the client we can't switch providers mid-stream
+        if (result) {
+          throw error;
+        }
+        this.recordAttempt(attempts, provider, 'failed', attemptStart, error.message);
+        console.warn(`Provider ${provider.name} failed:`, error.message);
+        continue;
+      } finally {
+        // Consumer stopped early or the request was aborted: free a half-open probe slot
+        if (!recorded) {
+          breaker.release();
+        }
+      }
+    }
 
-## 🎯 Slide 6: Next Steps
-• Immediate actions
-• Long-term strategy
-• Call to action
+    yield this.generateFallbackContent(prompt, contentType, language, customType, { platform });
+    onComplete(this.buildGeneration(startTime, attempts, { fallback: true }));
+  }
 
----
-*Generated by AI Content Creator Pro*`;
+  // Provenance envelope returned with every result: which provider and model answered
+  // (both null for the template fallback), total latency, whether it was served from the
+  // cache, and one attempt entry per provider tried in order
+  buildGeneration(startTime, attempts, { provider = null, fallback = false } = {}) {
+    return {
+      provider: provider ? provider.name : null,
+      model: provider ? provider.model || null : null,
+      latencyMs: Date.now() - startTime,
+      cached: false,
+      fallback,
+      attempts
+    };
   }
 
-  generateDocumentTemplate(prompt, language, tone) {
-    const prefix = language !== 'english' ? `[Content in ${language}]\n\n` : '';
-    const toneNote = tone !== 'professional' ? `[${tone} tone]\n\n` : '';
-    
-    return `${prefix}${toneNote}# ${prompt}
+  // A cache hit reports the provider that produced the entry; no providers were called this time
+  buildCachedGeneration(generation, startTime) {
+    return {
+      ...generation,
+      latencyMs: Date.now() - startTime,
+      cached: true,
+      attempts: []
+    };
+  }
 
-## Executive Summary
-This comprehensive document explores ${prompt}, providing detailed analysis, insights, and actionable recommendations for stakeholders.
+  // `status` is succeeded, failed, skipped (breaker open) or invalid (structured reply kept failing the schema)
+  recordAttempt(attempts, provider, status, startTime, error) {
+    attempts.push({
+      provider: provider.name,
+      model: provider.model || null,
+      status,
+      latencyMs: startTime ? Date.now() - startTime : 0,
+      ...(error && { error })
+    });
+  }
 
-## 1. Introduction
-In today's rapidly evolving landscape, ${prompt} has become increasingly critical for organizations seeking competitive advantage and sustainable growth.
+  getTemplate(contentType, customType) {
+    return customType || this.contentTemplates[contentType] || this.contentTemplates.document;
+  }
 
-## 2. Background Analysis
-### Current Market Conditions
-• Industry trends and developments
-• Competitive landscape overview
-• Regulatory environment
+  // SHA-256 over everything that shapes the output. Custom types and brand voices can be
+  // edited, so their definitions are part of the key, as are the providers and models that
+  // may answer (plans differ) and, with user scoping, the caller.
+  buildCacheKey({ prompt, contentType, language, tone, customType, brandVoice, platform, seo: seoOptions, allowedProviders, userId }, variant = 'text') {
+    const parts = {
+      variant,
+      prompt,
+      contentType,
+      language,
+      tone,
+      customType: customType ? { systemPrompt: customType.systemPrompt, structure: customType.structure } : null,
+      brandVoice: brandVoice ? this.buildBrandVoiceInstructions(brandVoice) : null,
+      // Only present when set, so keys for other requests are unchanged
+      ...(platform && { platform: social.resolve(platform) }),
+      ...(seoOptions && { seoKeyword: seoOptions.keyword }),
+      providers: this.getCandidateProviders(allowedProviders).map(p => `${p.name}:${p.model || ''}`),
+      userId: this.cacheScope === 'user' ? userId : null
+    };
+    return crypto.createHash('sha256').update(JSON.stringify(parts)).digest('hex');
+  }
 
-### Key Challenges
-• Primary obstacles and barriers
-• Resource constraints
-• Technical limitations
+  // Lookups with no key (cache: false) count as neither hit nor miss. A failing cache
+  // backend is logged and treated as a miss rather than failing the generation.
+  async readCache(key, contentType) {
+    if (!key) return undefined;
 
-## 3. Strategic Approach
-### Methodology
-Our approach to ${prompt} incorporates best practices, innovative solutions, and proven frameworks.
+    let cached;
+    try {
+      cached = await this.cache.get(key);
+    } catch (error) {
+      console.warn('AI cache read failed:', error.message);
+    }
 
-### Implementation Framework
-• Phase 1: Assessment and planning
-• Phase 2: Development and testing
-• Phase 3: Deployment and optimization
+    const lookups = this.cacheLookups.get(contentType) || { hits: 0, misses: 0 };
+    lookups[cached ? 'hits' : 'misses']++;
+    this.cacheLookups.set(contentType, lookups);
+    return cached;
+  }
 
-## 4. Recommendations
-### Immediate Actions
-1. Conduct comprehensive assessment
-2. Develop detailed implementation plan
-3. Secure necessary resources
+  async writeCache(key, value, { contentType, prompt }) {
+    if (!key) return;
 
-### Long-term Strategy
-• Continuous improvement processes
-• Performance monitoring systems
-• Scalability considerations
+    try {
+      await this.cache.set(key, value, { contentType, prompt });
+    } catch (error) {
+      console.warn('AI cache write failed:', error.message);
+    }
+  }
 
-## 5. Conclusion
-Successful implementation of ${prompt} requires strategic planning, dedicated resources, and ongoing commitment to excellence.
+  // Drops cached results for one content type and/or prompts matching a glob ("*" wildcard);
+  // everything when neither is given. Returns the number of entries removed.
+  async purgeCache({ contentType, pattern } = {}) {
+    return this.cache.purge({ contentType, pattern: pattern ? globToRegExp(pattern) : undefined });
+  }
 
----
-*Generated by AI Content Creator Pro*`;
+  getCandidateProviders(allowedProviders) {
+    return this.providers.filter(p => p.enabled && (!allowedProviders || allowedProviders.includes(p.name)));
   }
 
-  generateSocialTemplate(prompt, language, tone) {
-    const prefix = language !== 'english' ? `[Content in ${language}]\n\n` : '';
-    const toneNote = tone !== 'professional' ? `[${tone} tone]\n\n` : '';
-    
-    return `${prefix}${toneNote}🚀 Ready to transform your approach to ${prompt}? Here's what you need to know! 👇
+  // Adapters receive both shapes: a flat prompt for completion-style APIs
+  // and role-tagged messages for chat-style APIs.
+  // `options.schema` asks for structured JSON output instead of markdown;
+  // `options.brandVoice` adds a brand voice profile's style rules to the instructions.
+  buildProviderInput(userPrompt, template, language, tone, options = {}) {
+    return {
+      prompt: this.buildPrompt(userPrompt, template, language, tone, options),
+      messages: this.buildMessages(userPrompt, template, language, tone, options)
+    };
+  }
 
-✨ The game is changing, and those who adapt will thrive. ${prompt} isn't just a trend—it's the future.
+  // The text goes in the user turn verbatim; translations excepted, the reply keeps its language
+  buildTransformInput(text, operation, options) {
+    const instructions = [
+      this.transformPrompts[operation](options),
+      operation === 'translate' ? null : 'Write in the same language as the original text.',
+      'Preserve any markdown formatting. Reply with the transformed text only, without commentary or quotation marks.'
+    ].filter(Boolean).join('\n');
 
-🔥 Key insights:
-• Innovation drives success
-• Early adopters win big
-• Action beats perfection
+    return {
+      prompt: `${instructions}\n\nText:\n"""\n${text}\n"""`,
+      messages: [
+        { role: 'system', content: instructions },
+        { role: 'user', content: text }
+      ]
+    };
+  }
 
-💡 Pro tip: Start small, think big, move fast!
+  // Same system prompt as a generate request; the source replaces the topic in the user turn
+  buildRepurposeInput(source, title, template, language, tone, options = {}) {
+    const instructions = this.buildInstructions(language, tone, options.brandVoice, options.platform).trim();
+    const system = instructions ? `${template.systemPrompt}\n\n${instructions}` : template.systemPrompt;
+    const request = `Repurpose the source material below into new content following this structure: ${template.structure.join(' → ')}
 
-👉 What's your experience with ${prompt}? Share in the comments!
+Use the source's key points, facts and examples; do not invent claims it doesn't make. Adapt length and format to the new content type rather than copying passages verbatim.
 
-#Innovation #${prompt.replace(/\s+/g, '')} #Success #Growth #Future #Trending #GameChanger #Leadership
+${title ? `Source title: ${title}\n\n` : ''}Source:
+"""
+${source}
+"""`;
 
----
-*Created with AI Content Creator Pro*`;
+    return {
+      prompt: `${system}\n\n${request}`,
+      messages: [
+        { role: 'system', content: system },
+        { role: 'user', content: request }
+      ]
+    };
   }
 
-  generateBlogTemplate(prompt, language, tone) {
-    const prefix = language !== 'english' ? `[Content in ${language}]\n\n` : '';
-    const toneNote = tone !== 'professional' ? `[${tone} tone]\n\n` : '';
-    
-    return `${prefix}${toneNote}# The Ultimate Guide to ${prompt}: Everything You Need to Know
-
-## Introduction
-In today's fast-paced world, understanding ${prompt} has become essential for anyone looking to stay ahead of the curve. This comprehensive guide will walk you through everything you need to know.
+  // Fits a session into the context budget. The system prompt, the newest draft and the new
+  // message always go in; earlier turns are added newest first while they fit. Turns that
+  // don't fit are folded into a list of what the user asked for (their drafts are superseded
+  // by the newest one).
+  buildSessionInput(history, message, template, language, tone, options = {}) {
+    const estimate = text => Math.ceil(text.length / 4);
+    const instructions = this.buildInstructions(language, tone, options.brandVoice, options.platform).trim();
+    const system = [
+      template.systemPrompt,
+      instructions,
+      'You are drafting this content together with the user over several turns. When they ask for changes, reply with the complete revised draft, not just the changed parts.'
+    ].filter(Boolean).join('\n\n');
+    // Turns as they are sent: the opening message is phrased like a generate request
+    const sent = [...history, { role: 'user', content: message }].map((turn, i) => ({
+      role: turn.role,
+      content: i === 0 ? this.buildTopicRequest(turn.content, template) : turn.content
+    }));
+    const request = sent.pop();
+
+    let remaining = this.sessionContextTokens - estimate(system) - estimate(request.content);
+
+    // The newest draft and anything after it always go in; older turns are kept as one
+    // contiguous run so the conversation still reads in order
+    let firstKept = sent.length;
+    for (let i = sent.length - 1; i >= 0; i--) {
+      if (sent[i].role === 'assistant') {
+        firstKept = i;
+        break;
+      }
+    }
+    sent.slice(firstKept).forEach(turn => { remaining -= estimate(turn.content); });
 
-## Why ${prompt} Matters Now More Than Ever
-The landscape is shifting rapidly, and ${prompt} is at the center of this transformation. Here's why it should be on your radar:
+    while (firstKept > 0 && estimate(sent[firstKept - 1].content) <= remaining) {
+      firstKept--;
+      remaining -= estimate(sent[firstKept].content);
+    }
+    const turns = sent.slice(firstKept);
 
-• **Market Demand**: Growing interest and adoption
-• **Competitive Advantage**: Early movers gain significant benefits
-• **Future-Proofing**: Essential for long-term success
+    // Oldest requests go first when even the summary doesn't fit
+    const requests = history.slice(0, firstKept).filter(turn => turn.role === 'user')
+      .map(turn => `- ${turn.content.replace(/\s+/g, ' ').slice(0, 200)}`);
+    while (requests.length > 0 && estimate(requests.join('\n')) > Math.max(remaining, 0)) {
+      requests.shift();
+    }
+    const summary = requests.length > 0 ? `Earlier in this session the user asked for:\n${requests.join('\n')}` : '';
+    const systemContent = summary ? `${system}\n\n${summary}` : system;
 
-## Getting Started with ${prompt}
-### Step 1: Understanding the Basics
-Before diving deep, it's crucial to grasp the fundamental concepts and principles.
+    const transcript = turns.map(turn => `${turn.role === 'user' ? 'User' : 'Assistant'}: ${turn.content}`);
 
-### Step 2: Assessing Your Current Situation
-Evaluate where you stand and identify areas for improvement.
+    return {
+      input: {
+        prompt: [systemContent, ...transcript, `User: ${request.content}`, 'Assistant:'].join('\n\n'),
+        messages: [
+          { role: 'system', content: systemContent },
+          ...turns,
+          request
+        ]
+      },
+      context: {
+        budgetTokens: this.sessionContextTokens,
+        estimatedTokens: estimate(systemContent) + turns.reduce((sum, turn) => sum + estimate(turn.content), 0) + estimate(request.content),
+        includedMessages: turns.length,
+        summarizedMessages: firstKept
+      }
+    };
+  }
 
-### Step 3: Creating Your Action Plan
-Develop a strategic approach tailored to your specific needs.
+  // Follow-up turn quoting the invalid reply and the schema errors
+  buildRepairInput(input, output, errors) {
+    const request = structured.repairRequest(errors);
+    return {
+      prompt: `${input.prompt}\n\nPrevious response:\n${output}\n\n${request}`,
+      messages: [
+        ...input.messages,
+        { role: 'assistant', content: output },
+        { role: 'user', content: request }
+      ]
+    };
+  }
 
-## Best Practices and Pro Tips
-1. **Start with clear objectives**
-2. **Focus on quality over quantity**
-3. **Measure and optimize continuously**
-4. **Stay updated with latest trends**
+  buildPrompt(userPrompt, template, language, tone, options = {}) {
+    return `${template.systemPrompt}
 
-## Common Mistakes to Avoid
-• Rushing the implementation process
-• Ignoring user feedback
-• Underestimating resource requirements
-• Failing to plan for scalability
+${this.buildInstructions(language, tone, options.brandVoice, options.platform)}
 
-## Conclusion
-${prompt} represents a significant opportunity for growth and innovation. By following the strategies outlined in this guide, you'll be well-positioned to succeed.
+${this.buildTopicRequest(userPrompt, template, options)}`;
+  }
 
-**Ready to get started?** The time to act is now!
+  buildMessages(userPrompt, template, language, tone, options = {}) {
+    const instructions = this.buildInstructions(language, tone, options.brandVoice, options.platform).trim();
 
----
-*Published with AI Content Creator Pro*`;
+    return [
+      {
+        role: 'system',
+        content: instructions ? `${template.systemPrompt}\n\n${instructions}` : template.systemPrompt
+      },
+      {
+        role: 'user',
+        content: this.buildTopicRequest(userPrompt, template, options)
+      }
+    ];
   }
 
-  generateEmailTemplate(prompt, language, tone) {
-    const prefix = language !== 'english' ? `[Content in ${language}]\n\n` : '';
-    const toneNote = tone !== 'professional' ? `[${tone} tone]\n\n` : '';
-    
-    return `${prefix}${toneNote}Subject: 🚀 Transform Your Approach to ${prompt} (Limited Time)
+  buildInstructions(language, tone, brandVoice, platform) {
+    const languageInstruction = this.languageInstructions[language] || '';
+    const toneInstruction = this.toneModifiers[tone] || '';
+    const voiceInstruction = brandVoice ? `\n\n${this.buildBrandVoiceInstructions(brandVoice)}` : '';
+    const platformInstruction = platform ? `\n\n${social.instructions(platform)}` : '';
 
-Hi [Name],
+    return `${languageInstruction}
+${toneInstruction}${voiceInstruction}${platformInstruction}`;
+  }
 
-I hope this email finds you well. I'm reaching out because I believe you'd be interested in the latest developments around ${prompt}.
+  buildBrandVoiceInstructions({ name, guidelines, vocabulary, bannedTerms, readingLevel, samples }) {
+    const lines = [`Write in the "${name}" brand voice.`];
+    if (guidelines) lines.push(guidelines);
+    if (vocabulary.length > 0) lines.push(`Prefer these terms where they fit: ${vocabulary.join(', ')}.`);
+    if (bannedTerms.length > 0) lines.push(`Never use these words or phrases: ${bannedTerms.join(', ')}.`);
+    if (readingLevel !== null && readingLevel !== undefined) {
+      lines.push(`Aim for a US grade ${readingLevel} reading level (Flesch-Kincaid).`);
+    }
+    if (samples.length > 0) {
+      lines.push('Match the style of these samples (do not copy them):', ...samples.map(sample => `"""\n${sample}\n"""`));
+    }
+    return lines.join('\n');
+  }
 
-**Here's what's happening:**
+  buildTopicRequest(userPrompt, template, { schema, seo: seoOptions } = {}) {
+    const request = `Topic: ${userPrompt}
 
-The industry is rapidly evolving, and those who adapt quickly are seeing remarkable results. Companies implementing ${prompt} strategies are reporting:
+Please create high-quality content following this structure: ${template.structure.join(' → ')}
 
-✅ Increased efficiency by 40%
-✅ Higher customer satisfaction scores
-✅ Significant competitive advantages
+Make it comprehensive, engaging, and actionable.`;
 
-**But here's the challenge...**
+    return [request, seoOptions && seo.instructions(seoOptions.keyword), schema && structured.instructions(schema)]
+      .filter(Boolean)
+      .join('\n\n');
+  }
 
-Most organizations are still struggling with outdated approaches. They're missing out on incredible opportunities because they haven't embraced ${prompt}.
+  async callProvider(provider, input, deadline = Date.now() + this.requestDeadlineMs) {
+    const response = await this.requestWithRetry(provider, provider.buildRequest(input), deadline);
+    return provider.parseResponse(response.data);
+  }
 
-**The good news?**
+  // POST with the provider's timeout and retry policy, never running past `deadline`.
+  // Throws DeadlineExceededError once the deadline is gone, otherwise a provider error.
+  async requestWithRetry(provider, { url, data, headers }, deadline, options = {}) {
+    for (let attempt = 0; ; attempt++) {
+      const remaining = deadline - Date.now();
+      if (remaining <= 0) {
+        throw new DeadlineExceededError(this.requestDeadlineMs, { provider: provider.name });
+      }
+
+      try {
+        return await axios.post(url, data, {
+          headers,
+          timeout: Math.min(provider.timeout, remaining),
+          ...options
+        });
+      } catch (error) {
+        if (options.signal && options.signal.aborted) {
+          throw error;
+        }
+        if (Date.now() >= deadline) {
+          throw new DeadlineExceededError(this.requestDeadlineMs, { provider: provider.name });
+        }
 
-You don't have to be one of them. We've developed a proven framework that makes ${prompt} implementation straightforward and effective.
+        const delay = provider.getRetryDelay(error, attempt);
+        const canRetry = attempt < provider.retries &&
+          provider.isRetryable(error) &&
+          Date.now() + delay < deadline;
 
-**What makes this different:**
-• Step-by-step guidance
-• Proven results
-• Ongoing support
-• Risk-free guarantee
+        if (!canRetry) {
+          throw new Error(`${provider.name} API call failed: ${error.message}`);
+        }
 
-**Ready to learn more?**
+        console.warn(`Provider ${provider.name} attempt ${attempt + 1} failed (${error.message}), retrying in ${delay}ms`);
+        await new Promise(resolve => setTimeout(resolve, delay));
+      }
+    }
+  }
 
-I'd love to show you exactly how this works. Would you be available for a brief 15-minute call this week?
+  // Streams a completion line by line; the adapter turns each line into { text, done }
+  async *callProviderStream(provider, input, signal, deadline = Date.now() + this.requestDeadlineMs) {
+    const response = await this.requestWithRetry(provider, provider.buildStreamRequest(input), deadline, {
+      responseType: 'stream',
+      signal
+    });
 
-Simply reply to this email with your preferred time, and I'll send over a calendar link.
+    const decoder = new StringDecoder('utf8');
+    let buffer = '';
 
-Best regards,
-[Your Name]
+    try {
+      for await (const data of response.data) {
+        buffer += decoder.write(data);
+        const lines = buffer.split('\n');
+        buffer = lines.pop();
 
-P.S. This opportunity won't be available forever. The companies that act now will have a significant head start over their competition.
+        if (yield* this.readStreamLines(provider, lines)) {
+          return;
+        }
+      }
 
----
-*Crafted with AI Content Creator Pro*`;
+      // Providers may end the body without a trailing newline after the last line
+      yield* this.readStreamLines(provider, [buffer + decoder.end()]);
+    } catch (error) {
+      throw new Error(`${provider.name} stream failed: ${error.message}`);
+    } finally {
+      response.data.destroy();
+    }
   }
 
-  hashString(str) {
-    let hash = 0;
-    for (let i = 0; i < str.length; i++) {
-      const char = str.charCodeAt(i);
-      hash = ((hash << 5) - hash) + char;
-      hash = hash & hash; // Convert to 32bit integer
+  // Yields the text of each stream line; returns true once the provider signals the end
+  *readStreamLines(provider, lines) {
+    for (const line of lines) {
+      if (!line.trim()) continue;
+      const parsed = provider.parseStreamLine(line.trim());
+      if (!parsed) continue;
+      if (parsed.text) {
+        yield parsed.text;
+      }
+      if (parsed.done) {
+        return true;
+      }
     }
-    return hash.toString();
+    return false;
+  }
+
+  // Probe every configured provider (enabled or not) through its adapter
+  async checkProviderHealth() {
+    return Promise.all(this.providers.map(async provider => ({
+      name: provider.name,
+      type: provider.type,
+      enabled: provider.enabled,
+      ...(await provider.healthCheck())
+    })));
+  }
+
+  // Localized template content (services/fallback) for when every provider has failed.
+  // Platform posts leave off the template's credit line.
+  generateFallbackContent(prompt, contentType, language, customType, { platform } = {}) {
+    return fallback.generate(prompt, contentType, language, customType, { footer: !platform });
+  }
+
+  // Social content for `platform` is fitted to its limits (see services/social); results
+  // without a platform pass through unchanged
+  fitToPlatform(result, platform) {
+    if (!platform) return result;
+    const { content, posts, report } = social.fit(result.content, platform);
+    return { ...result, content, social: { posts, report } };
   }
 
   // Analytics method
   getStats() {
-    const stats = cache.getStats();
+    const cacheStats = this.cache.getStats();
+    const hitRate = ({ hits, misses }) => (hits + misses > 0 ? Math.round((hits / (hits + misses)) * 1000) / 1000 : null);
+
+    const totals = { hits: 0, misses: 0 };
+    const byContentType = {};
+    for (const [contentType, lookups] of this.cacheLookups) {
+      byContentType[contentType] = { ...lookups, hitRate: hitRate(lookups) };
+      totals.hits += lookups.hits;
+      totals.misses += lookups.misses;
+    }
+
     return {
-      cacheHits: stats.hits,
-      cacheMisses: stats.misses,
-      cacheKeys: stats.keys,
+      cacheHits: totals.hits,
+      cacheMisses: totals.misses,
+      cacheKeys: cacheStats.keys,
+      cache: {
+        ...cacheStats,
+        scope: this.cacheScope,
+        hitRate: hitRate(totals),
+        byContentType
+      },
       providers: this.providers.map(p => ({
-        name: p.name,
-        enabled: p.enabled,
-        url: p.url
+        ...p.describe(),
+        health: this.breakers.get(p.name).getStats()
       }))
     };
   }
@@ -0,0 +1,135 @@
+const crypto = require('crypto');
+const storage = require('../storage');
+const planService = require('./planService');
+const { gradeLevel } = require('../utils/readability');
+
+// How far (in grade levels) generated content may drift from the profile's reading level
+const READING_LEVEL_TOLERANCE = 2;
+
+const escapeRegExp = text => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// Case-insensitive whole-word (or whole-phrase) occurrences of `term`, including simple
+// inflections so banning "leverage" also catches "leverages" and "leveraged"
+function countTerm(content, term) {
+  const pattern = new RegExp(`(?<![\\p{L}\\p{N}])${escapeRegExp(term.trim())}(?:s|es|d|ed|ing)?(?![\\p{L}\\p{N}])`, 'giu');
+  return (content.match(pattern) || []).length;
+}
+
+// Brand voice profiles: vocabulary, banned terms, a target reading level and sample copy
+// that are added to the generation prompt, then checked against the output. Profiles are
+// private to their owner unless visibility is 'shared' (with the users whose emails are in
+// sharedWith, e.g. a team) or 'public' (every user).
+class BrandVoiceService {
+  // `sharedWith` is only shown to the owner
+  describe(voice, user) {
+    return {
+      id: voice.id,
+      name: voice.name,
+      description: voice.description,
+      guidelines: voice.guidelines,
+      vocabulary: voice.vocabulary,
+      bannedTerms: voice.bannedTerms,
+      readingLevel: voice.readingLevel,
+      samples: voice.samples,
+      visibility: voice.visibility,
+      ...(user && voice.ownerId === user.id && { sharedWith: voice.sharedWith || [] }),
+      ownerId: voice.ownerId,
+      createdAt: voice.createdAt,
+      updatedAt: voice.updatedAt
+    };
+  }
+
+  async list(user) {
+    const voices = await storage.brandVoices.listVisible(user.id, user.email);
+    return voices.map(voice => this.describe(voice, user));
+  }
+
+  canView(user, voice) {
+    return voice.ownerId === (user && user.id) ||
+      voice.visibility === 'public' ||
+      (voice.visibility === 'shared' && Boolean(user && user.email) && (voice.sharedWith || []).includes(user.email));
+  }
+
+  async findVisible(user, id) {
+    const voice = await storage.brandVoices.findById(String(id));
+    if (!voice || !this.canView(user, voice)) {
+      return null;
+    }
+    return voice;
+  }
+
+  // For express-validator .custom(): rejects unless the user may generate with the profile
+  async assertUsable(user, id) {
+    if (!(await this.findVisible(user, id))) {
+      throw new Error('Brand voice not found');
+    }
+    return true;
+  }
+
+  async create(user, { name, description = '', guidelines = '', vocabulary = [], bannedTerms = [], readingLevel = null, samples = [], visibility = 'private', sharedWith = [] }) {
+    planService.assertWithinLimit(user, 'brandVoices', await storage.brandVoices.countByOwner(user.id), 'Brand voices');
+
+    const now = new Date().toISOString();
+    return storage.brandVoices.create({
+      id: crypto.randomUUID(),
+      ownerId: user.id,
+      name,
+      description,
+      guidelines,
+      vocabulary,
+      bannedTerms,
+      readingLevel,
+      samples,
+      visibility,
+      sharedWith,
+      createdAt: now,
+      updatedAt: now
+    });
+  }
+
+  async update(voice, changes) {
+    return storage.brandVoices.update(voice.id, changes);
+  }
+
+  async remove(voice) {
+    return storage.brandVoices.delete(voice.id);
+  }
+
+  // Post-generation report: banned terms found, preferred vocabulary used, and how far the
+  // content's reading level is from the target. Reading level is only measured for English.
+  check(voice, content, { language = 'english' } = {}) {
+    const bannedTerms = voice.bannedTerms
+      .map(term => ({ term, count: countTerm(content, term) }))
+      .filter(({ count }) => count > 0);
+
+    const used = voice.vocabulary.filter(term => countTerm(content, term) > 0);
+    const vocabulary = {
+      used,
+      unused: voice.vocabulary.filter(term => !used.includes(term))
+    };
+
+    let readingLevel = null;
+    if (voice.readingLevel !== null && voice.readingLevel !== undefined) {
+      const measured = language === 'english' ? gradeLevel(content) : null;
+      const difference = measured && Math.round((measured.grade - voice.readingLevel) * 10) / 10;
+      readingLevel = {
+        target: voice.readingLevel,
+        actual: measured ? measured.grade : null,
+        difference,
+        tolerance: READING_LEVEL_TOLERANCE,
+        withinTolerance: measured ? Math.abs(difference) <= READING_LEVEL_TOLERANCE : null
+      };
+    }
+
+    return {
+      id: voice.id,
+      name: voice.name,
+      passed: bannedTerms.length === 0 && !(readingLevel && readingLevel.withinTolerance === false),
+      bannedTerms,
+      vocabulary,
+      readingLevel
+    };
+  }
+}
+
+module.exports = new BrandVoiceService();
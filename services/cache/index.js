@@ -0,0 +1,36 @@
+const MemoryCache = require('./memoryCache');
+
+// Generation cache backend selection:
+//   AI_CACHE_BACKEND=memory (default) - per-process, lost on restart
+//   AI_CACHE_BACKEND=sqlite           - file at AI_CACHE_PATH, shared by processes on one host
+// Backends expose async get/set/purge and a synchronous getStats().
+function createCache({
+  backend = process.env.AI_CACHE_BACKEND || 'memory',
+  ttlSeconds = parseInt(process.env.AI_CACHE_TTL_SECONDS, 10) || 3600,
+  filename = process.env.AI_CACHE_PATH || './data/ai-cache.db'
+} = {}) {
+  switch (backend) {
+    case 'memory':
+      return new MemoryCache({ ttlSeconds });
+
+    case 'sqlite': {
+      // Loaded lazily so the native module is only needed when actually used
+      const SqliteCache = require('./sqliteCache');
+      return new SqliteCache({ ttlSeconds, filename });
+    }
+
+    default:
+      throw new Error(`Unknown AI cache backend "${backend}". Available backends: memory, sqlite`);
+  }
+}
+
+// Case-insensitive glob ("*" matches anything) tested against an entry's prompt
+function globToRegExp(pattern) {
+  const source = pattern.split('*').map(part => part.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')).join('.*');
+  return new RegExp(`^${source}$`, 'i');
+}
+
+module.exports = {
+  createCache,
+  globToRegExp
+};
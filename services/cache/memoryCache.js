@@ -0,0 +1,40 @@
+const NodeCache = require('node-cache');
+
+// In-process cache. Each entry keeps the content type and prompt it was generated
+// for so purge() can select entries without decoding the hashed keys.
+class MemoryCache {
+  constructor({ ttlSeconds = 3600 } = {}) {
+    this.ttlSeconds = ttlSeconds;
+    this.store = new NodeCache({ stdTTL: ttlSeconds, useClones: false });
+  }
+
+  async get(key) {
+    const entry = this.store.get(key);
+    return entry ? entry.value : undefined;
+  }
+
+  async set(key, value, { contentType, prompt }) {
+    this.store.set(key, { value, contentType, prompt });
+  }
+
+  // Removes entries matching every given filter (all entries when none are given)
+  async purge({ contentType, pattern } = {}) {
+    const keys = this.store.keys().filter(key => {
+      const entry = this.store.get(key);
+      return entry &&
+        (!contentType || entry.contentType === contentType) &&
+        (!pattern || pattern.test(entry.prompt));
+    });
+    return this.store.del(keys);
+  }
+
+  getStats() {
+    return {
+      backend: 'memory',
+      ttlSeconds: this.ttlSeconds,
+      keys: this.store.keys().length
+    };
+  }
+}
+
+module.exports = MemoryCache;
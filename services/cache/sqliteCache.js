@@ -0,0 +1,73 @@
+const fs = require('fs');
+const path = require('path');
+const Database = require('better-sqlite3');
+
+// File-backed cache in its own SQLite database, separate from the main store: entries are
+// disposable, so the table is created on open and needs no migrations. Expired rows are
+// ignored on read and swept periodically.
+class SqliteCache {
+  constructor({ ttlSeconds = 3600, filename }) {
+    this.ttlSeconds = ttlSeconds;
+    this.filename = filename;
+
+    if (filename !== ':memory:') {
+      fs.mkdirSync(path.dirname(path.resolve(filename)), { recursive: true });
+    }
+
+    this.db = new Database(filename);
+    this.db.pragma('journal_mode = WAL');
+    this.db.pragma('busy_timeout = 5000');
+    this.db.exec(`
+      CREATE TABLE IF NOT EXISTS cache_entries (
+        key TEXT PRIMARY KEY,
+        value TEXT NOT NULL,
+        content_type TEXT NOT NULL,
+        prompt TEXT NOT NULL,
+        expires_at INTEGER NOT NULL
+      );
+
+      CREATE INDEX IF NOT EXISTS idx_cache_entries_expires ON cache_entries (expires_at);
+    `);
+
+    this.sweep();
+    setInterval(() => this.sweep(), ttlSeconds * 1000).unref();
+  }
+
+  async get(key) {
+    const row = this.db.prepare('SELECT value FROM cache_entries WHERE key = ? AND expires_at > ?').get(key, Date.now());
+    return row ? JSON.parse(row.value) : undefined;
+  }
+
+  async set(key, value, { contentType, prompt }) {
+    this.db.prepare(`
+      INSERT OR REPLACE INTO cache_entries (key, value, content_type, prompt, expires_at)
+      VALUES (?, ?, ?, ?, ?)
+    `).run(key, JSON.stringify(value), contentType, prompt, Date.now() + this.ttlSeconds * 1000);
+  }
+
+  // Removes entries matching every given filter (all entries when none are given)
+  async purge({ contentType, pattern } = {}) {
+    const rows = contentType
+      ? this.db.prepare('SELECT key, prompt FROM cache_entries WHERE content_type = ?').all(contentType)
+      : this.db.prepare('SELECT key, prompt FROM cache_entries').all();
+    const keys = rows.filter(row => !pattern || pattern.test(row.prompt)).map(row => row.key);
+
+    const remove = this.db.prepare('DELETE FROM cache_entries WHERE key = ?');
+    this.db.transaction(() => keys.forEach(key => remove.run(key)))();
+    return keys.length;
+  }
+
+  sweep() {
+    this.db.prepare('DELETE FROM cache_entries WHERE expires_at <= ?').run(Date.now());
+  }
+
+  getStats() {
+    return {
+      backend: 'sqlite',
+      ttlSeconds: this.ttlSeconds,
+      keys: this.db.prepare('SELECT COUNT(*) AS count FROM cache_entries WHERE expires_at > ?').get(Date.now()).count
+    };
+  }
+}
+
+module.exports = SqliteCache;
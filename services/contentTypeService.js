@@ -0,0 +1,110 @@
+const crypto = require('crypto');
+const storage = require('../storage');
+const planService = require('./planService');
+const builtInTypes = require('../config/contentTypes');
+
+// Content type registry: the built-in types from config/contentTypes.js plus user-defined
+// ones (a system prompt and a structure outline). Custom types are addressed by their ID,
+// are private to their owner, and can be shared with every user via visibility 'public'.
+class ContentTypeService {
+  isBuiltIn(key) {
+    return Object.prototype.hasOwnProperty.call(builtInTypes, key);
+  }
+
+  describeBuiltIn(key) {
+    const { label, description, structure } = builtInTypes[key];
+    return { value: key, label, description, structure, builtIn: true };
+  }
+
+  // Client-facing view of a custom type
+  describe(type) {
+    return {
+      value: type.id,
+      id: type.id,
+      label: type.name,
+      name: type.name,
+      description: type.description,
+      systemPrompt: type.systemPrompt,
+      structure: type.structure,
+      visibility: type.visibility,
+      ownerId: type.ownerId,
+      builtIn: false,
+      createdAt: type.createdAt,
+      updatedAt: type.updatedAt
+    };
+  }
+
+  // Built-in types first, then the caller's own and shared custom types.
+  // Anonymous callers only see the built-ins.
+  async list(user) {
+    const builtIn = Object.keys(builtInTypes).map(key => this.describeBuiltIn(key));
+    if (!user) {
+      return builtIn;
+    }
+    const custom = await storage.contentTypes.listVisible(user.id);
+    return builtIn.concat(custom.map(type => this.describe(type)));
+  }
+
+  // Custom type by ID if the user may see it, else null
+  async findVisible(user, id) {
+    const type = await storage.contentTypes.findById(id);
+    if (!type || (type.ownerId !== (user && user.id) && type.visibility !== 'public')) {
+      return null;
+    }
+    return type;
+  }
+
+  // { key, builtIn, customType } for a content type the user may generate with, or null.
+  // customType is the { systemPrompt, structure } AIService uses in place of a built-in template.
+  async resolve(user, key) {
+    if (typeof key !== 'string' || !key) {
+      return null;
+    }
+    if (this.isBuiltIn(key)) {
+      return { key, builtIn: true, customType: null };
+    }
+
+    const type = await this.findVisible(user, key);
+    return type && {
+      key,
+      builtIn: false,
+      customType: { systemPrompt: type.systemPrompt, structure: type.structure }
+    };
+  }
+
+  // For express-validator .custom(): rejects unless the user may generate with `key`
+  async assertKnown(user, key) {
+    if (!(await this.resolve(user, key))) {
+      throw new Error('Invalid content type');
+    }
+    return true;
+  }
+
+  async create(user, { name, description = '', systemPrompt, structure, visibility = 'private' }) {
+    planService.assertWithinLimit(user, 'customContentTypes', await storage.contentTypes.countByOwner(user.id), 'Custom content types');
+
+    const now = new Date().toISOString();
+    return storage.contentTypes.create({
+      id: crypto.randomUUID(),
+      ownerId: user.id,
+      name,
+      description,
+      systemPrompt,
+      structure,
+      visibility,
+      createdAt: now,
+      updatedAt: now
+    });
+  }
+
+  async update(type, changes) {
+    return storage.contentTypes.update(type.id, changes);
+  }
+
+  // Saved content and templates keep the ID; generating with it afterwards fails validation
+  async remove(type) {
+    return storage.contentTypes.delete(type.id);
+  }
+}
+
+module.exports = new ContentTypeService();
@@ -0,0 +1,220 @@
+// Word (DOCX) writer. Blocks map onto Word's built-in styles (Title, Heading1-6,
+// ListBullet, ListNumber, Quote) so the result stays editable with the style gallery.
+const { createZip } = require('../../utils/zip');
+const { XML_HEADER, escapeXml, coreProperties } = require('./xml');
+
+const NS_W = 'http://schemas.openxmlformats.org/wordprocessingml/2006/main';
+const NS_R = 'http://schemas.openxmlformats.org/officeDocument/2006/relationships';
+
+// Heading sizes in half-points
+const HEADING_SIZES = [32, 28, 24, 22, 22, 22];
+
+function buildStyles() {
+  const headings = HEADING_SIZES.map((size, i) => `
+  <w:style w:type="paragraph" w:styleId="Heading${i + 1}">
+    <w:name w:val="heading ${i + 1}"/><w:basedOn w:val="Normal"/><w:next w:val="Normal"/><w:qFormat/>
+    <w:pPr><w:keepNext/><w:spacing w:before="${i === 0 ? 360 : 240}" w:after="120"/><w:outlineLvl w:val="${i}"/></w:pPr>
+    <w:rPr><w:rFonts w:ascii="Calibri Light" w:hAnsi="Calibri Light"/><w:b/><w:color w:val="1F3864"/><w:sz w:val="${size}"/></w:rPr>
+  </w:style>`).join('');
+
+  return `${XML_HEADER}<w:styles xmlns:w="${NS_W}">
+  <w:docDefaults>
+    <w:rPrDefault><w:rPr><w:rFonts w:ascii="Calibri" w:hAnsi="Calibri" w:eastAsia="Calibri" w:cs="Calibri"/><w:sz w:val="22"/><w:szCs w:val="22"/></w:rPr></w:rPrDefault>
+    <w:pPrDefault><w:pPr><w:spacing w:after="160" w:line="276" w:lineRule="auto"/></w:pPr></w:pPrDefault>
+  </w:docDefaults>
+  <w:style w:type="paragraph" w:default="1" w:styleId="Normal"><w:name w:val="Normal"/><w:qFormat/></w:style>
+  <w:style w:type="paragraph" w:styleId="Title">
+    <w:name w:val="Title"/><w:basedOn w:val="Normal"/><w:next w:val="Normal"/><w:qFormat/>
+    <w:pPr><w:spacing w:before="2400" w:after="480"/></w:pPr>
+    <w:rPr><w:rFonts w:ascii="Calibri Light" w:hAnsi="Calibri Light"/><w:color w:val="1F3864"/><w:sz w:val="56"/></w:rPr>
+  </w:style>${headings}
+  <w:style w:type="paragraph" w:styleId="ListBullet">
+    <w:name w:val="List Bullet"/><w:basedOn w:val="Normal"/><w:qFormat/>
+    <w:pPr><w:numPr><w:numId w:val="1"/></w:numPr><w:spacing w:after="60"/></w:pPr>
+  </w:style>
+  <w:style w:type="paragraph" w:styleId="ListNumber">
+    <w:name w:val="List Number"/><w:basedOn w:val="Normal"/><w:qFormat/>
+    <w:pPr><w:spacing w:after="60"/></w:pPr>
+  </w:style>
+  <w:style w:type="paragraph" w:styleId="Quote">
+    <w:name w:val="Quote"/><w:basedOn w:val="Normal"/><w:qFormat/>
+    <w:pPr><w:pBdr><w:left w:val="single" w:sz="18" w:space="8" w:color="D0D7DE"/></w:pBdr><w:ind w:left="360"/></w:pPr>
+    <w:rPr><w:i/><w:color w:val="57606A"/></w:rPr>
+  </w:style>
+  <w:style w:type="paragraph" w:styleId="Code">
+    <w:name w:val="Code"/><w:basedOn w:val="Normal"/>
+    <w:pPr><w:shd w:val="clear" w:color="auto" w:fill="F6F8FA"/><w:spacing w:after="160" w:line="240" w:lineRule="auto"/></w:pPr>
+    <w:rPr><w:rFonts w:ascii="Consolas" w:hAnsi="Consolas"/><w:sz w:val="19"/></w:rPr>
+  </w:style>
+  <w:style w:type="character" w:styleId="Hyperlink">
+    <w:name w:val="Hyperlink"/><w:rPr><w:color w:val="0563C1"/><w:u w:val="single"/></w:rPr>
+  </w:style>
+</w:styles>`;
+}
+
+function buildLevels(format, texts) {
+  return texts.map((text, level) => `
+    <w:lvl w:ilvl="${level}">
+      <w:start w:val="1"/><w:numFmt w:val="${format}"/><w:lvlText w:val="${text}"/><w:lvlJc w:val="left"/>
+      <w:pPr><w:ind w:left="${720 * (level + 1)}" w:hanging="360"/></w:pPr>
+    </w:lvl>`).join('');
+}
+
+// Bullets share one numbering instance; each numbered list gets its own so it restarts
+function buildNumbering(orderedStarts) {
+  const nums = orderedStarts.map((start, i) => `
+  <w:num w:numId="${i + 2}"><w:abstractNumId w:val="1"/>
+    <w:lvlOverride w:ilvl="0"><w:startOverride w:val="${start}"/></w:lvlOverride>
+  </w:num>`).join('');
+
+  return `${XML_HEADER}<w:numbering xmlns:w="${NS_W}">
+  <w:abstractNum w:abstractNumId="0">${buildLevels('bullet', ['•', '◦', '▪'])}
+  </w:abstractNum>
+  <w:abstractNum w:abstractNumId="1">${buildLevels('decimal', ['%1.', '%2.', '%3.'])}
+  </w:abstractNum>
+  <w:num w:numId="1"><w:abstractNumId w:val="0"/></w:num>${nums}
+</w:numbering>`;
+}
+
+class DocxBuilder {
+  constructor() {
+    this.links = [];
+    this.orderedStarts = [];
+  }
+
+  linkId(url) {
+    let index = this.links.indexOf(url);
+    if (index === -1) {
+      index = this.links.push(url) - 1;
+    }
+    // rId1 and rId2 are styles and numbering
+    return `rId${index + 3}`;
+  }
+
+  runs(inlines) {
+    return inlines.map(run => {
+      if (run.break) return '<w:r><w:br/></w:r>';
+
+      const props = [
+        run.link ? '<w:rStyle w:val="Hyperlink"/>' : '',
+        run.code ? '<w:rFonts w:ascii="Consolas" w:hAnsi="Consolas"/>' : '',
+        run.bold ? '<w:b/>' : '',
+        run.italic ? '<w:i/>' : ''
+      ].join('');
+      const xml = `<w:r>${props ? `<w:rPr>${props}</w:rPr>` : ''}<w:t xml:space="preserve">${escapeXml(run.text)}</w:t></w:r>`;
+
+      return run.link && /^(https?:|mailto:)/i.test(run.link)
+        ? `<w:hyperlink r:id="${this.linkId(run.link)}">${xml}</w:hyperlink>`
+        : xml;
+    }).join('');
+  }
+
+  paragraph(content, props = '') {
+    return `<w:p>${props ? `<w:pPr>${props}</w:pPr>` : ''}${content}</w:p>`;
+  }
+
+  block(block) {
+    switch (block.type) {
+      case 'heading':
+        return this.paragraph(this.runs(block.inlines), `<w:pStyle w:val="Heading${block.level}"/>`);
+
+      case 'list': {
+        let numId = 1;
+        if (block.ordered) {
+          numId = this.orderedStarts.push(block.start || 1) + 1;
+        }
+        return block.items.map(item => this.paragraph(
+          this.runs(item.inlines),
+          `<w:pStyle w:val="${block.ordered ? 'ListNumber' : 'ListBullet'}"/><w:numPr><w:ilvl w:val="${item.level}"/><w:numId w:val="${numId}"/></w:numPr>`
+        )).join('');
+      }
+
+      case 'quote':
+        return this.paragraph(this.runs(block.inlines), '<w:pStyle w:val="Quote"/>');
+
+      case 'code': {
+        const lines = block.text.split('\n').map(line => `<w:t xml:space="preserve">${escapeXml(line)}</w:t>`);
+        return this.paragraph(`<w:r>${lines.join('<w:br/>')}</w:r>`, '<w:pStyle w:val="Code"/>');
+      }
+
+      case 'rule':
+        return this.paragraph('', '<w:pBdr><w:bottom w:val="single" w:sz="6" w:space="1" w:color="D0D7DE"/></w:pBdr>');
+
+      default:
+        return this.paragraph(this.runs(block.inlines));
+    }
+  }
+
+  titlePage(title, metadata) {
+    const rows = metadata.map(([label, value]) =>
+      this.paragraph(`<w:r><w:rPr><w:b/></w:rPr><w:t xml:space="preserve">${escapeXml(label)}: </w:t></w:r><w:r><w:t xml:space="preserve">${escapeXml(value)}</w:t></w:r>`)
+    );
+    return [
+      this.paragraph(`<w:r><w:t xml:space="preserve">${escapeXml(title)}</w:t></w:r>`, '<w:pStyle w:val="Title"/>'),
+      ...rows,
+      '<w:p><w:r><w:br w:type="page"/></w:r></w:p>'
+    ].join('');
+  }
+
+  document(document) {
+    const body = document.blocks.map(block => this.block(block));
+    if (document.metadata) {
+      body.unshift(this.titlePage(document.title, document.metadata));
+    }
+
+    return `${XML_HEADER}<w:document xmlns:w="${NS_W}" xmlns:r="${NS_R}">
+<w:body>
+${body.join('\n')}
+<w:sectPr><w:pgSz w:w="12240" w:h="15840"/><w:pgMar w:top="1440" w:right="1440" w:bottom="1440" w:left="1440" w:header="720" w:footer="720" w:gutter="0"/></w:sectPr>
+</w:body>
+</w:document>`;
+  }
+
+  relationships() {
+    const links = this.links.map((url, i) =>
+      `<Relationship Id="rId${i + 3}" Type="${NS_R}/hyperlink" Target="${escapeXml(url)}" TargetMode="External"/>`
+    ).join('');
+
+    return `${XML_HEADER}<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">
+<Relationship Id="rId1" Type="${NS_R}/styles" Target="styles.xml"/>
+<Relationship Id="rId2" Type="${NS_R}/numbering" Target="numbering.xml"/>${links}
+</Relationships>`;
+  }
+}
+
+// document: { title, language, blocks, metadata, createdAt, updatedAt } -> Buffer
+function renderDocx(document) {
+  const builder = new DocxBuilder();
+  // Rendering the body first collects hyperlinks and numbered lists
+  const documentXml = builder.document(document);
+
+  return createZip([
+    {
+      name: '[Content_Types].xml',
+      data: `${XML_HEADER}<Types xmlns="http://schemas.openxmlformats.org/package/2006/content-types">
+<Default Extension="rels" ContentType="application/vnd.openxmlformats-package.relationships+xml"/>
+<Default Extension="xml" ContentType="application/xml"/>
+<Override PartName="/word/document.xml" ContentType="application/vnd.openxmlformats-officedocument.wordprocessingml.document.main+xml"/>
+<Override PartName="/word/styles.xml" ContentType="application/vnd.openxmlformats-officedocument.wordprocessingml.styles+xml"/>
+<Override PartName="/word/numbering.xml" ContentType="application/vnd.openxmlformats-officedocument.wordprocessingml.numbering+xml"/>
+<Override PartName="/docProps/core.xml" ContentType="application/vnd.openxmlformats-package.core-properties+xml"/>
+</Types>`
+    },
+    {
+      name: '_rels/.rels',
+      data: `${XML_HEADER}<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">
+<Relationship Id="rId1" Type="${NS_R}/officeDocument" Target="word/document.xml"/>
+<Relationship Id="rId2" Type="http://schemas.openxmlformats.org/package/2006/relationships/metadata/core-properties" Target="docProps/core.xml"/>
+</Relationships>`
+    },
+    { name: 'docProps/core.xml', data: coreProperties(document) },
+    { name: 'word/document.xml', data: documentXml },
+    { name: 'word/styles.xml', data: buildStyles() },
+    { name: 'word/numbering.xml', data: buildNumbering(builder.orderedStarts) },
+    { name: 'word/_rels/document.xml.rels', data: builder.relationships() }
+  ]);
+}
+
+module.exports = {
+  renderDocx
+};
@@ -0,0 +1,137 @@
+// Standalone HTML document with an embedded stylesheet.
+
+const STYLESHEET = `
+  :root { color-scheme: light; }
+  body {
+    max-width: 42rem;
+    margin: 3rem auto;
+    padding: 0 1.5rem;
+    font: 17px/1.65 Georgia, 'Times New Roman', serif;
+    color: #1f2328;
+    background: #fff;
+  }
+  h1, h2, h3, h4, h5, h6 {
+    font-family: -apple-system, 'Segoe UI', Helvetica, Arial, sans-serif;
+    line-height: 1.25;
+    margin: 2rem 0 0.75rem;
+  }
+  h1 { font-size: 2rem; }
+  h2 { font-size: 1.5rem; border-bottom: 1px solid #d8dee4; padding-bottom: 0.3rem; }
+  h3 { font-size: 1.2rem; }
+  p, ul, ol, blockquote, pre { margin: 0 0 1rem; }
+  ul, ol { padding-left: 1.6rem; }
+  li + li { margin-top: 0.25rem; }
+  a { color: #0969da; }
+  code, pre { font-family: ui-monospace, Menlo, Consolas, monospace; font-size: 0.88em; }
+  code { background: #f3f4f6; padding: 0.1em 0.3em; border-radius: 4px; }
+  pre { background: #f6f8fa; padding: 1rem; border-radius: 6px; overflow-x: auto; }
+  pre code { background: none; padding: 0; }
+  blockquote { border-left: 4px solid #d0d7de; padding-left: 1rem; color: #57606a; }
+  hr { border: 0; border-top: 1px solid #d8dee4; margin: 2rem 0; }
+  .title-page { min-height: 60vh; display: flex; flex-direction: column; justify-content: center; }
+  .title-page h1 { font-size: 2.6rem; margin-bottom: 1.5rem; }
+  .title-page dl { display: grid; grid-template-columns: max-content 1fr; gap: 0.35rem 1.25rem; margin: 0; }
+  .title-page dt { font-weight: bold; color: #57606a; }
+  .title-page dd { margin: 0; }
+  @media print {
+    body { margin: 0; max-width: none; }
+    .title-page { min-height: 90vh; page-break-after: always; break-after: page; }
+  }
+`;
+
+function escapeHtml(text) {
+  return String(text).replace(/[&<>"']/g, char => ({
+    '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;'
+  })[char]);
+}
+
+function renderInlines(inlines) {
+  return inlines.map(run => {
+    if (run.break) return '<br>\n';
+
+    let html = escapeHtml(run.text);
+    if (run.code) html = `<code>${html}</code>`;
+    if (run.italic) html = `<em>${html}</em>`;
+    if (run.bold) html = `<strong>${html}</strong>`;
+    if (run.link && /^(https?:|mailto:)/i.test(run.link)) {
+      html = `<a href="${escapeHtml(run.link)}">${html}</a>`;
+    }
+    return html;
+  }).join('');
+}
+
+// Items carry a nesting level; open and close sub-lists as it changes
+function renderList(block) {
+  const tag = block.ordered ? 'ol' : 'ul';
+  const open = level => (level === 0 && block.ordered && block.start > 1 ? `<${tag} start="${block.start}">` : `<${tag}>`);
+  let html = open(0);
+  let depth = 0;
+
+  block.items.forEach((item, i) => {
+    const level = Math.min(item.level, depth + 1);
+    if (i > 0 && level <= depth) html += '</li>';
+    while (depth < level) {
+      html += open(++depth);
+    }
+    while (depth > level) {
+      html += `</${tag}></li>`;
+      depth--;
+    }
+    html += `<li>${renderInlines(item.inlines)}`;
+  });
+
+  while (depth > 0) {
+    html += `</li></${tag}>`;
+    depth--;
+  }
+  return `${html}</li></${tag}>`;
+}
+
+function renderBlock(block) {
+  switch (block.type) {
+    case 'heading':
+      return `<h${block.level}>${renderInlines(block.inlines)}</h${block.level}>`;
+    case 'list':
+      return renderList(block);
+    case 'quote':
+      return `<blockquote><p>${renderInlines(block.inlines)}</p></blockquote>`;
+    case 'code':
+      return `<pre><code>${escapeHtml(block.text)}</code></pre>`;
+    case 'rule':
+      return '<hr>';
+    default:
+      return `<p>${renderInlines(block.inlines)}</p>`;
+  }
+}
+
+function renderTitlePage(title, metadata) {
+  const rows = metadata.map(([label, value]) => `<dt>${escapeHtml(label)}</dt><dd>${escapeHtml(value)}</dd>`);
+  return `<header class="title-page">\n<h1>${escapeHtml(title)}</h1>\n<dl>${rows.join('')}</dl>\n</header>`;
+}
+
+// document: { title, language, blocks, metadata: [[label, value]] | null }
+function renderHtml(document) {
+  const body = document.blocks.map(renderBlock);
+  if (document.metadata) {
+    body.unshift(renderTitlePage(document.title, document.metadata));
+  }
+
+  return `<!DOCTYPE html>
+<html lang="${escapeHtml(document.language || 'en')}">
+<head>
+<meta charset="utf-8">
+<meta name="viewport" content="width=device-width, initial-scale=1">
+<title>${escapeHtml(document.title)}</title>
+<style>${STYLESHEET}</style>
+</head>
+<body>
+${body.join('\n')}
+</body>
+</html>
+`;
+}
+
+module.exports = {
+  renderHtml,
+  escapeHtml
+};
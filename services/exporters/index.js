@@ -0,0 +1,123 @@
+// Export formats for saved content. Each exporter turns a content record into a
+// response body; formats are gated per plan through exportFormats in config/plans.js.
+const languages = require('../../config/languages');
+const { parseMarkdown } = require('./markdown');
+const { renderHtml } = require('./html');
+const { renderDocx } = require('./docx');
+const { renderPdf } = require('./pdf');
+const { parseSlides } = require('./slides');
+const { renderPptx } = require('./pptx');
+const { renderRevealDeck } = require('./reveal');
+
+// BCP 47 tags for the language attribute of exported documents
+const languageCode = language => (languages[language] || languages.english).code;
+
+const capitalize = value => (value ? value.charAt(0).toUpperCase() + value.slice(1) : '');
+const formatDate = value => new Date(value).toISOString().replace('T', ' ').slice(0, 16) + ' UTC';
+
+// Label/value pairs shown on the title page for ?include=metadata
+function metadataFields(content) {
+  return [
+    ['Content type', capitalize(content.contentType)],
+    ['Language', capitalize(content.language)],
+    ['Tone', capitalize(content.tone)],
+    ['Created', formatDate(content.createdAt)],
+    ['Updated', formatDate(content.updatedAt)]
+  ];
+}
+
+// Shared document model for the rich formats
+function toDocument(content, { includeMetadata }) {
+  return {
+    title: content.title,
+    language: languageCode(content.language),
+    blocks: parseMarkdown(content.content),
+    metadata: includeMetadata ? metadataFields(content) : null,
+    createdAt: content.createdAt,
+    updatedAt: content.updatedAt
+  };
+}
+
+// Slide model for the presentation formats
+function toDeck(content) {
+  return parseSlides(content.content, { title: content.title });
+}
+
+function deckMeta(content) {
+  return {
+    language: languageCode(content.language),
+    createdAt: content.createdAt,
+    updatedAt: content.updatedAt
+  };
+}
+
+const exporters = {
+  txt: {
+    mimeType: 'text/plain',
+    extension: 'txt',
+    render: (content, { includeMetadata }) => {
+      if (!includeMetadata) return content.content;
+      const header = metadataFields(content).map(([label, value]) => `${label}: ${value}`);
+      return [content.title, '='.repeat(Math.min(content.title.length, 80)), ...header, '', '', content.content].join('\n');
+    }
+  },
+  md: {
+    mimeType: 'text/markdown',
+    extension: 'md',
+    render: (content, { includeMetadata }) => {
+      if (!includeMetadata) return content.content;
+      const header = metadataFields(content).map(([label, value]) => `- **${label}:** ${value}`);
+      return [`# ${content.title}`, '', ...header, '', '---', '', content.content].join('\n');
+    }
+  },
+  json: {
+    mimeType: 'application/json',
+    extension: 'json',
+    // The JSON export is the full record, metadata included
+    render: content => JSON.stringify(content, null, 2)
+  },
+  html: {
+    mimeType: 'text/html; charset=utf-8',
+    extension: 'html',
+    render: (content, options) => renderHtml(toDocument(content, options))
+  },
+  docx: {
+    mimeType: 'application/vnd.openxmlformats-officedocument.wordprocessingml.document',
+    extension: 'docx',
+    render: (content, options) => renderDocx(toDocument(content, options))
+  },
+  pdf: {
+    mimeType: 'application/pdf',
+    extension: 'pdf',
+    render: (content, options) => renderPdf(toDocument(content, options))
+  },
+  pptx: {
+    mimeType: 'application/vnd.openxmlformats-officedocument.presentationml.presentation',
+    extension: 'pptx',
+    render: content => renderPptx(toDeck(content), deckMeta(content))
+  },
+  reveal: {
+    mimeType: 'text/html; charset=utf-8',
+    extension: 'slides.html',
+    render: content => renderRevealDeck(toDeck(content), deckMeta(content))
+  }
+};
+
+const ALIASES = { markdown: 'md', htm: 'html', revealjs: 'reveal', slides: 'reveal' };
+
+// Canonical format name, or null if unsupported
+function resolveFormat(format) {
+  const name = String(format || '').toLowerCase();
+  const resolved = ALIASES[name] || name;
+  return Object.prototype.hasOwnProperty.call(exporters, resolved) ? resolved : null;
+}
+
+function getExporter(format) {
+  return exporters[format];
+}
+
+module.exports = {
+  resolveFormat,
+  getExporter,
+  formats: Object.keys(exporters)
+};
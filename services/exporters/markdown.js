@@ -0,0 +1,150 @@
+// Minimal Markdown parser shared by the document exporters.
+//
+// Generated content is "Markdown-ish": headings, bullet lists (including "•"), numbered
+// lists, emphasis and rules, with single newlines meant as line breaks. The parser turns
+// it into a flat block model:
+//   { type: 'heading', level, inlines }
+//   { type: 'paragraph', inlines }          (inlines may contain { break: true })
+//   { type: 'list', ordered, items: [{ level, inlines }] }
+//   { type: 'quote', inlines }
+//   { type: 'code', text }
+//   { type: 'rule' }
+// Inline runs look like { text, bold, italic, code, link }.
+
+const HEADING = /^(#{1,6})\s+(.*?)\s*#*\s*$/;
+const RULE = /^\s*([-*_])(\s*\1){2,}\s*$/;
+const FENCE = /^\s*```/;
+const LIST_ITEM = /^(\s*)([-*+•]|\d+[.)])\s+(.*)$/;
+const QUOTE = /^\s*>\s?(.*)$/;
+
+// Bold, italic, code and links, earliest match first
+const INLINE = /(\*\*|__)(.+?)\1|\*(?![\s*])(.+?)\*|(?<![\p{L}\p{N}])_(?![\s_])(.+?)_(?![\p{L}\p{N}])|`([^`]+)`|\[([^\]]+)\]\(([^)\s]+)\)/u;
+
+function parseInline(text, style = {}) {
+  const runs = [];
+  let rest = text;
+
+  while (rest) {
+    const match = INLINE.exec(rest);
+    if (!match) {
+      runs.push({ ...style, text: rest });
+      break;
+    }
+
+    if (match.index > 0) {
+      runs.push({ ...style, text: rest.slice(0, match.index) });
+    }
+
+    const [, , bold, starItalic, underscoreItalic, code, linkText, linkUrl] = match;
+    if (bold !== undefined) {
+      runs.push(...parseInline(bold, { ...style, bold: true }));
+    } else if (starItalic !== undefined || underscoreItalic !== undefined) {
+      runs.push(...parseInline(starItalic !== undefined ? starItalic : underscoreItalic, { ...style, italic: true }));
+    } else if (code !== undefined) {
+      runs.push({ ...style, text: code, code: true });
+    } else {
+      runs.push(...parseInline(linkText, { ...style, link: linkUrl }));
+    }
+
+    rest = rest.slice(match.index + match[0].length);
+  }
+
+  return runs;
+}
+
+// Inline runs for several source lines, keeping the line breaks
+function parseLines(lines) {
+  return lines.flatMap((line, i) => (i === 0 ? [] : [{ break: true }]).concat(parseInline(line.trim())));
+}
+
+function parseMarkdown(source) {
+  const lines = String(source || '').replace(/\r\n?/g, '\n').split('\n');
+  const blocks = [];
+  let paragraph = [];
+  let quote = [];
+  let list = null;
+
+  const flush = () => {
+    if (paragraph.length > 0) blocks.push({ type: 'paragraph', inlines: parseLines(paragraph) });
+    if (quote.length > 0) blocks.push({ type: 'quote', inlines: parseLines(quote) });
+    if (list) blocks.push(list);
+    paragraph = [];
+    quote = [];
+    list = null;
+  };
+
+  for (let i = 0; i < lines.length; i++) {
+    const line = lines[i];
+
+    if (FENCE.test(line)) {
+      flush();
+      const code = [];
+      while (++i < lines.length && !FENCE.test(lines[i])) code.push(lines[i]);
+      blocks.push({ type: 'code', text: code.join('\n') });
+      continue;
+    }
+
+    if (!line.trim()) {
+      flush();
+      continue;
+    }
+
+    const heading = HEADING.exec(line);
+    if (heading) {
+      flush();
+      blocks.push({ type: 'heading', level: heading[1].length, inlines: parseInline(heading[2]) });
+      continue;
+    }
+
+    if (RULE.test(line)) {
+      flush();
+      blocks.push({ type: 'rule' });
+      continue;
+    }
+
+    const item = LIST_ITEM.exec(line);
+    if (item) {
+      const ordered = /\d/.test(item[2]);
+      if (!list || list.ordered !== ordered) {
+        flush();
+        list = { type: 'list', ordered, start: ordered ? parseInt(item[2], 10) : undefined, items: [] };
+      }
+      list.items.push({
+        level: Math.min(Math.floor(item[1].replace(/\t/g, '  ').length / 2), 2),
+        inlines: parseInline(item[3].trim())
+      });
+      continue;
+    }
+
+    const quoted = QUOTE.exec(line);
+    if (quoted) {
+      if (paragraph.length > 0 || list) flush();
+      quote.push(quoted[1]);
+      continue;
+    }
+
+    // A plain line directly after a list item continues that item
+    if (list && /^\s+/.test(line)) {
+      const last = list.items[list.items.length - 1];
+      last.inlines.push({ break: true }, ...parseInline(line.trim()));
+      continue;
+    }
+
+    if (quote.length > 0 || list) flush();
+    paragraph.push(line);
+  }
+
+  flush();
+  return blocks;
+}
+
+// Plain text of a run list
+function inlineText(inlines) {
+  return inlines.map(run => (run.break ? '\n' : run.text)).join('');
+}
+
+module.exports = {
+  parseMarkdown,
+  parseInline,
+  inlineText
+};
@@ -0,0 +1,398 @@
+// PDF writer using the 14 standard fonts, so nothing has to be embedded. Text is
+// encoded as WinAnsi: Latin scripts render fully, emoji are dropped and characters
+// outside the encoding (e.g. CJK) are replaced with "?".
+const zlib = require('zlib');
+
+const PAGE_WIDTH = 612;
+const PAGE_HEIGHT = 792;
+const MARGIN = 72;
+const CONTENT_WIDTH = PAGE_WIDTH - MARGIN * 2;
+
+const FONTS = {
+  F1: 'Helvetica',
+  F2: 'Helvetica-Bold',
+  F3: 'Helvetica-Oblique',
+  F4: 'Helvetica-BoldOblique',
+  F5: 'Courier'
+};
+
+// Advance widths (1/1000 em) for ASCII 32..126
+const HELVETICA_WIDTHS = [
+  278, 278, 355, 556, 556, 889, 667, 191, 333, 333, 389, 584, 278, 333, 278, 278,
+  556, 556, 556, 556, 556, 556, 556, 556, 556, 556, 278, 278, 584, 584, 584, 556,
+  1015, 667, 667, 722, 722, 667, 611, 778, 722, 278, 500, 667, 556, 833, 722, 778,
+  667, 778, 722, 667, 611, 722, 667, 944, 667, 667, 611, 278, 278, 278, 469, 556,
+  333, 556, 556, 500, 556, 556, 278, 556, 556, 222, 222, 500, 222, 833, 556, 556,
+  556, 556, 333, 500, 278, 556, 500, 722, 500, 500, 500, 334, 260, 334, 584
+];
+const HELVETICA_BOLD_WIDTHS = [
+  278, 333, 474, 556, 556, 889, 722, 238, 333, 333, 389, 584, 278, 333, 278, 278,
+  556, 556, 556, 556, 556, 556, 556, 556, 556, 556, 333, 333, 584, 584, 584, 611,
+  975, 722, 722, 722, 722, 667, 611, 778, 722, 278, 556, 722, 611, 833, 722, 778,
+  667, 778, 722, 667, 611, 722, 667, 944, 667, 667, 611, 333, 278, 333, 584, 556,
+  333, 556, 611, 556, 611, 556, 333, 611, 611, 278, 278, 556, 278, 889, 611, 611,
+  611, 611, 389, 556, 333, 611, 556, 778, 556, 556, 500, 389, 280, 389, 584
+];
+
+// WinAnsi code points for the characters that differ from Latin-1
+const WIN_ANSI = {
+  '€': 0x80, '‚': 0x82, 'ƒ': 0x83, '„': 0x84, '…': 0x85, '†': 0x86, '‡': 0x87, 'ˆ': 0x88,
+  '‰': 0x89, 'Š': 0x8a, '‹': 0x8b, 'Œ': 0x8c, 'Ž': 0x8e, '‘': 0x91, '’': 0x92, '“': 0x93,
+  '”': 0x94, '•': 0x95, '–': 0x96, '—': 0x97, '˜': 0x98, '™': 0x99, 'š': 0x9a, '›': 0x9b,
+  'œ': 0x9c, 'ž': 0x9e, 'Ÿ': 0x9f
+};
+const WIN_ANSI_WIDTHS = {
+  0x85: 1000, 0x89: 1000, 0x8c: 1000, 0x91: 222, 0x92: 222, 0x93: 333, 0x94: 333,
+  0x95: 350, 0x96: 556, 0x97: 1000, 0x99: 1000, 0x9c: 944
+};
+
+const HEADING_SIZES = [22, 17, 14, 12.5, 11.5, 11];
+const BODY_SIZE = 11;
+const CODE_SIZE = 9.5;
+const HEADING_COLOR = '0.12 0.22 0.39';
+const LINK_COLOR = '0.04 0.41 0.85';
+const MUTED_COLOR = '0.35 0.38 0.42';
+
+// Encode text as a WinAnsi byte string (one char per byte)
+function encode(text) {
+  let out = '';
+  for (const char of String(text).replace(/\t/g, '    ')) {
+    const code = char.codePointAt(0);
+    if ((code >= 0x20 && code <= 0x7e) || (code >= 0xa0 && code <= 0xff)) {
+      out += char;
+    } else if (WIN_ANSI[char]) {
+      out += String.fromCharCode(WIN_ANSI[char]);
+    } else if (/\p{Extended_Pictographic}|[\u200d\ufe0f]|\p{M}/u.test(char)) {
+      // Emoji and joiners have no glyph in the standard fonts
+    } else {
+      // Fall back to the unaccented letter when there is one
+      const base = char.normalize('NFKD').replace(/\p{M}/gu, '');
+      out += /^[\x20-\x7e]+$/.test(base) ? base : '?';
+    }
+  }
+  return out;
+}
+
+function charWidth(code, font) {
+  if (font === 'F5') return 600;
+
+  const table = font === 'F2' || font === 'F4' ? HELVETICA_BOLD_WIDTHS : HELVETICA_WIDTHS;
+  if (code >= 0x20 && code <= 0x7e) return table[code - 0x20];
+  if (WIN_ANSI_WIDTHS[code]) return WIN_ANSI_WIDTHS[code];
+  if (code >= 0xc0) {
+    // Accented letters are as wide as their base letter
+    const base = String.fromCharCode(code).normalize('NFD').charCodeAt(0);
+    if (base >= 0x20 && base <= 0x7e) return table[base - 0x20];
+  }
+  return 556;
+}
+
+function textWidth(encoded, font, size) {
+  let width = 0;
+  for (let i = 0; i < encoded.length; i++) {
+    width += charWidth(encoded.charCodeAt(i), font);
+  }
+  return (width * size) / 1000;
+}
+
+function pdfString(encoded) {
+  return `(${encoded.replace(/[\\()]/g, '\\$&')})`;
+}
+
+// UTF-16BE hex string, for document info that may contain any script
+function pdfTextString(text) {
+  const utf16 = Buffer.from(String(text), 'utf16le').swap16().toString('hex');
+  return `<FEFF${utf16}>`;
+}
+
+function fontFor(run, forceBold) {
+  if (run.code) return 'F5';
+  const bold = run.bold || forceBold;
+  if (bold && run.italic) return 'F4';
+  if (bold) return 'F2';
+  if (run.italic) return 'F3';
+  return 'F1';
+}
+
+class PdfLayout {
+  constructor() {
+    this.pages = [];
+    this.newPage();
+  }
+
+  newPage() {
+    this.page = [];
+    this.pages.push(this.page);
+    this.y = PAGE_HEIGHT - MARGIN;
+  }
+
+  ensureSpace(height) {
+    if (this.y - height < MARGIN) {
+      this.newPage();
+    }
+  }
+
+  space(points) {
+    // Vertical space never carries over to the top of a new page
+    if (this.y < PAGE_HEIGHT - MARGIN) {
+      this.y -= points;
+    }
+  }
+
+  // Break inline runs into lines of { segments: [{ text, font, color }], width }
+  wrap(inlines, { size, width, forceBold = false }) {
+    const lines = [];
+    let line = { segments: [], width: 0 };
+
+    const pushLine = () => {
+      const last = line.segments[line.segments.length - 1];
+      const trailing = last ? last.text.length - last.text.trimEnd().length : 0;
+      if (trailing > 0) {
+        line.width -= textWidth(last.text.slice(-trailing), last.font, size);
+        last.text = last.text.slice(0, -trailing);
+        if (!last.text) line.segments.pop();
+      }
+      lines.push(line);
+      line = { segments: [], width: 0 };
+    };
+
+    const append = (text, font, color) => {
+      const w = textWidth(text, font, size);
+      if (/^ +$/.test(text) && line.segments.length === 0) return;
+
+      if (line.width + w > width && line.segments.length > 0) {
+        pushLine();
+        if (/^ +$/.test(text)) return;
+      }
+
+      // A single word wider than the line is split character by character
+      if (w > width) {
+        for (const char of text) append(char, font, color);
+        return;
+      }
+
+      const last = line.segments[line.segments.length - 1];
+      if (last && last.font === font && last.color === color) {
+        last.text += text;
+      } else {
+        line.segments.push({ text, font, color });
+      }
+      line.width += w;
+    };
+
+    for (const run of inlines) {
+      if (run.break) {
+        pushLine();
+        continue;
+      }
+      const font = fontFor(run, forceBold);
+      const color = run.link ? LINK_COLOR : null;
+      for (const piece of encode(run.text).match(/ +|[^ ]+/g) || []) {
+        append(piece, font, color);
+      }
+    }
+    if (line.segments.length > 0 || lines.length === 0) pushLine();
+
+    return lines;
+  }
+
+  drawLines(lines, { x, size, leading, color = '0 0 0', marker }) {
+    lines.forEach((line, i) => {
+      this.ensureSpace(leading);
+      this.y -= leading;
+      const baseline = this.y + (leading - size) / 2;
+
+      let ops = `${color} rg BT ${x.toFixed(2)} ${baseline.toFixed(2)} Td`;
+      let current = null;
+      for (const segment of line.segments) {
+        if (segment.font !== current) {
+          ops += ` /${segment.font} ${size} Tf`;
+          current = segment.font;
+        }
+        ops += segment.color ? ` ${segment.color} rg ${pdfString(segment.text)} Tj ${color} rg` : ` ${pdfString(segment.text)} Tj`;
+      }
+      this.page.push(`${ops} ET`);
+
+      if (i === 0 && marker) {
+        this.page.push(`${color} rg BT ${(x - marker.width - 4).toFixed(2)} ${baseline.toFixed(2)} Td /F1 ${size} Tf ${pdfString(marker.text)} Tj ET`);
+      }
+    });
+  }
+
+  line(x1, y1, x2, y2, color, width = 0.75) {
+    this.page.push(`${color} RG ${width} w ${x1.toFixed(2)} ${y1.toFixed(2)} m ${x2.toFixed(2)} ${y2.toFixed(2)} l S`);
+  }
+
+  block(block) {
+    switch (block.type) {
+      case 'heading': {
+        const size = HEADING_SIZES[block.level - 1];
+        const lines = this.wrap(block.inlines, { size, width: CONTENT_WIDTH, forceBold: true });
+        this.space(size * 0.9);
+        // Keep a heading together with the first line that follows it
+        this.ensureSpace(size * 1.3 * lines.length + BODY_SIZE * 2);
+        this.drawLines(lines, { x: MARGIN, size, leading: size * 1.3, color: HEADING_COLOR });
+        this.space(size * 0.35);
+        break;
+      }
+
+      case 'list':
+        block.items.forEach((item, i) => {
+          const indent = 18 * (item.level + 1);
+          const text = block.ordered ? `${(block.start || 1) + i}.` : encode('•');
+          this.drawLines(
+            this.wrap(item.inlines, { size: BODY_SIZE, width: CONTENT_WIDTH - indent }),
+            {
+              x: MARGIN + indent,
+              size: BODY_SIZE,
+              leading: BODY_SIZE * 1.45,
+              marker: { text, width: textWidth(text, 'F1', BODY_SIZE) }
+            }
+          );
+          this.space(2);
+        });
+        this.space(6);
+        break;
+
+      case 'quote': {
+        const lines = this.wrap(block.inlines.map(run => ({ ...run, italic: true })), { size: BODY_SIZE, width: CONTENT_WIDTH - 16 });
+        const top = this.y;
+        const page = this.page;
+        this.drawLines(lines, { x: MARGIN + 16, size: BODY_SIZE, leading: BODY_SIZE * 1.45, color: MUTED_COLOR });
+        // Only draw the bar when the quote stayed on one page
+        if (page === this.page) this.line(MARGIN + 4, top, MARGIN + 4, this.y, '0.82 0.84 0.87', 3);
+        this.space(8);
+        break;
+      }
+
+      case 'code': {
+        const inlines = block.text.split('\n').flatMap((text, i) => (i > 0 ? [{ break: true }] : []).concat({ text, code: true }));
+        this.drawLines(this.wrap(inlines, { size: CODE_SIZE, width: CONTENT_WIDTH - 16 }), {
+          x: MARGIN + 8,
+          size: CODE_SIZE,
+          leading: CODE_SIZE * 1.35
+        });
+        this.space(8);
+        break;
+      }
+
+      case 'rule':
+        this.ensureSpace(20);
+        this.y -= 10;
+        this.line(MARGIN, this.y, PAGE_WIDTH - MARGIN, this.y, '0.85 0.87 0.89');
+        this.y -= 10;
+        break;
+
+      default:
+        this.drawLines(this.wrap(block.inlines, { size: BODY_SIZE, width: CONTENT_WIDTH }), {
+          x: MARGIN,
+          size: BODY_SIZE,
+          leading: BODY_SIZE * 1.45
+        });
+        this.space(8);
+    }
+  }
+
+  titlePage(title, metadata) {
+    this.y = PAGE_HEIGHT - 220;
+    this.drawLines(this.wrap([{ text: title }], { size: 28, width: CONTENT_WIDTH, forceBold: true }), {
+      x: MARGIN,
+      size: 28,
+      leading: 34,
+      color: HEADING_COLOR
+    });
+    this.y -= 24;
+    for (const [label, value] of metadata) {
+      this.drawLines(this.wrap([{ text: `${label}: `, bold: true }, { text: String(value) }], { size: 12, width: CONTENT_WIDTH }), {
+        x: MARGIN,
+        size: 12,
+        leading: 20
+      });
+    }
+    this.newPage();
+  }
+}
+
+// Serialize pages into a PDF file
+function buildPdf(pages, info) {
+  const objects = [];
+  // Returns the new object's number
+  const add = body => objects.push(body);
+
+  const catalog = add(null);
+  const pagesId = add(null);
+  const fontIds = Object.entries(FONTS).map(([key, name]) => [
+    key,
+    add(`<< /Type /Font /Subtype /Type1 /BaseFont /${name} /Encoding /WinAnsiEncoding >>`)
+  ]);
+  const fontResources = fontIds.map(([key, id]) => `/${key} ${id} 0 R`).join(' ');
+
+  const pageIds = pages.map(ops => {
+    const stream = zlib.deflateSync(Buffer.from(ops.join('\n'), 'latin1'));
+    const contentId = add({ dict: `<< /Length ${stream.length} /Filter /FlateDecode >>`, stream });
+    return add(`<< /Type /Page /Parent ${pagesId} 0 R /MediaBox [0 0 ${PAGE_WIDTH} ${PAGE_HEIGHT}] /Resources << /Font << ${fontResources} >> >> /Contents ${contentId} 0 R >>`);
+  });
+
+  objects[catalog - 1] = `<< /Type /Catalog /Pages ${pagesId} 0 R >>`;
+  objects[pagesId - 1] = `<< /Type /Pages /Kids [${pageIds.map(id => `${id} 0 R`).join(' ')}] /Count ${pageIds.length} >>`;
+
+  const date = new Date(info.createdAt || Date.now()).toISOString().replace(/[-:T]/g, '').slice(0, 14);
+  const infoId = add(`<< /Title ${pdfTextString(info.title)} /Producer ${pdfTextString('AI Content Creator')} /CreationDate (D:${date}Z) >>`);
+
+  const chunks = [Buffer.from('%PDF-1.4\n%\xe2\xe3\xcf\xd3\n', 'latin1')];
+  let length = chunks[0].length;
+  const offsets = [];
+
+  objects.forEach((object, i) => {
+    const parts = typeof object === 'string'
+      ? [Buffer.from(`${i + 1} 0 obj\n${object}\nendobj\n`, 'latin1')]
+      : [Buffer.from(`${i + 1} 0 obj\n${object.dict}\nstream\n`, 'latin1'), object.stream, Buffer.from('\nendstream\nendobj\n', 'latin1')];
+    offsets.push(length);
+    for (const part of parts) {
+      chunks.push(part);
+      length += part.length;
+    }
+  });
+
+  const xref = [
+    'xref',
+    `0 ${objects.length + 1}`,
+    '0000000000 65535 f ',
+    ...offsets.map(offset => `${String(offset).padStart(10, '0')} 00000 n `),
+    'trailer',
+    `<< /Size ${objects.length + 1} /Root ${catalog} 0 R /Info ${infoId} 0 R >>`,
+    'startxref',
+    String(length),
+    '%%EOF',
+    ''
+  ].join('\n');
+  chunks.push(Buffer.from(xref, 'latin1'));
+
+  return Buffer.concat(chunks);
+}
+
+// document: { title, blocks, metadata, createdAt } -> Buffer
+function renderPdf(document) {
+  const layout = new PdfLayout();
+
+  if (document.metadata) {
+    layout.titlePage(document.title, document.metadata);
+  }
+  for (const block of document.blocks) {
+    layout.block(block);
+  }
+
+  // Drop a trailing empty page, then number the pages
+  const pages = layout.pages.filter((ops, i) => ops.length > 0 || i === 0);
+  pages.forEach((ops, i) => {
+    const label = `${i + 1} / ${pages.length}`;
+    const x = (PAGE_WIDTH - textWidth(label, 'F1', 9)) / 2;
+    ops.push(`${MUTED_COLOR} rg BT ${x.toFixed(2)} ${(MARGIN / 2).toFixed(2)} Td /F1 9 Tf ${pdfString(label)} Tj ET`);
+  });
+
+  return buildPdf(pages, document);
+}
+
+module.exports = {
+  renderPdf
+};
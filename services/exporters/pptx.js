@@ -0,0 +1,280 @@
+// PowerPoint (PPTX) writer for the slide model from ./slides. Produces a 16:9 deck
+// with a title slide, one "Title and Content" slide per model slide and speaker notes
+// on the notes pages.
+const { createZip } = require('../../utils/zip');
+const { XML_HEADER, escapeXml, coreProperties } = require('./xml');
+
+const NS_A = 'http://schemas.openxmlformats.org/drawingml/2006/main';
+const NS_R = 'http://schemas.openxmlformats.org/officeDocument/2006/relationships';
+const NS_P = 'http://schemas.openxmlformats.org/presentationml/2006/main';
+const NAMESPACES = `xmlns:a="${NS_A}" xmlns:r="${NS_R}" xmlns:p="${NS_P}"`;
+const NS_PACKAGE_RELS = 'http://schemas.openxmlformats.org/package/2006/relationships';
+const CT = 'application/vnd.openxmlformats-officedocument.presentationml';
+
+const SLIDE_WIDTH = 12192000;
+const SLIDE_HEIGHT = 6858000;
+
+const GROUP_PROPS = '<p:nvGrpSpPr><p:cNvPr id="1" name=""/><p:cNvGrpSpPr/><p:nvPr/></p:nvGrpSpPr>' +
+  '<p:grpSpPr><a:xfrm><a:off x="0" y="0"/><a:ext cx="0" cy="0"/><a:chOff x="0" y="0"/><a:chExt cx="0" cy="0"/></a:xfrm></p:grpSpPr>';
+const CLR_MAP = '<p:clrMap bg1="lt1" tx1="dk1" bg2="lt2" tx2="dk2" accent1="accent1" accent2="accent2" accent3="accent3" ' +
+  'accent4="accent4" accent5="accent5" accent6="accent6" hlink="hlink" folHlink="folHlink"/>';
+const FONT_REFS = '<a:latin typeface="+mn-lt"/><a:ea typeface="+mn-ea"/><a:cs typeface="+mn-cs"/>';
+
+function relationships(entries) {
+  const items = entries.map(([id, type, target]) =>
+    `<Relationship Id="${id}" Type="${type.startsWith('http') ? type : `${NS_R}/${type}`}" Target="${target}"/>`
+  );
+  return `${XML_HEADER}<Relationships xmlns="${NS_PACKAGE_RELS}">${items.join('')}</Relationships>`;
+}
+
+// A shape bound to a layout placeholder; position is inherited unless `xfrm` is given
+function placeholder(id, name, ph, body = '', { xfrm = '', bodyPr = '<a:bodyPr/>', lstStyle = '' } = {}) {
+  const spPr = xfrm ? `<p:spPr><a:xfrm>${xfrm}</a:xfrm></p:spPr>` : '<p:spPr/>';
+  const txBody = body !== null ? `<p:txBody>${bodyPr}<a:lstStyle>${lstStyle}</a:lstStyle>${body || '<a:p><a:endParaRPr lang="en-US"/></a:p>'}</p:txBody>` : '';
+  return `<p:sp><p:nvSpPr><p:cNvPr id="${id}" name="${name}"/><p:cNvSpPr><a:spLocks noGrp="1"/></p:cNvSpPr>` +
+    `<p:nvPr>${ph}</p:nvPr></p:nvSpPr>${spPr}${txBody}</p:sp>`;
+}
+
+function xfrm(x, y, cx, cy) {
+  return `<a:off x="${x}" y="${y}"/><a:ext cx="${cx}" cy="${cy}"/>`;
+}
+
+function runs(inlines, lang) {
+  return inlines.filter(run => !run.break && run.text).map(run => {
+    const attrs = `lang="${lang}"${run.bold ? ' b="1"' : ''}${run.italic ? ' i="1"' : ''} dirty="0"`;
+    const font = run.code ? '<a:latin typeface="Consolas"/><a:cs typeface="Consolas"/>' : '';
+    return `<a:r><a:rPr ${attrs}${font ? `>${font}</a:rPr>` : '/>'}<a:t>${escapeXml(run.text)}</a:t></a:r>`;
+  }).join('');
+}
+
+function paragraph(inlines, lang, pPr = '') {
+  const content = runs(inlines, lang);
+  return `<a:p>${pPr}${content || `<a:endParaRPr lang="${lang}" dirty="0"/>`}</a:p>`;
+}
+
+function textParagraphs(text, lang) {
+  return text.split('\n').map(line => paragraph([{ text: line }], lang)).join('');
+}
+
+function buildTheme(name) {
+  const accents = ['1F3864', '2E75B6', 'ED7D31', '70AD47', 'FFC000', '5B9BD5']
+    .map((color, i) => `<a:accent${i + 1}><a:srgbClr val="${color}"/></a:accent${i + 1}>`).join('');
+  const solid = '<a:solidFill><a:schemeClr val="phClr"/></a:solidFill>';
+
+  return `${XML_HEADER}<a:theme xmlns:a="${NS_A}" name="${name}"><a:themeElements>
+<a:clrScheme name="${name}"><a:dk1><a:sysClr val="windowText" lastClr="000000"/></a:dk1><a:lt1><a:sysClr val="window" lastClr="FFFFFF"/></a:lt1>
+<a:dk2><a:srgbClr val="1F2328"/></a:dk2><a:lt2><a:srgbClr val="EEF1F4"/></a:lt2>${accents}
+<a:hlink><a:srgbClr val="0563C1"/></a:hlink><a:folHlink><a:srgbClr val="954F72"/></a:folHlink></a:clrScheme>
+<a:fontScheme name="${name}"><a:majorFont><a:latin typeface="Calibri Light"/><a:ea typeface=""/><a:cs typeface=""/></a:majorFont>
+<a:minorFont><a:latin typeface="Calibri"/><a:ea typeface=""/><a:cs typeface=""/></a:minorFont></a:fontScheme>
+<a:fmtScheme name="${name}">
+<a:fillStyleLst>${solid}${solid}${solid}</a:fillStyleLst>
+<a:lnStyleLst>${[6350, 12700, 19050].map(w => `<a:ln w="${w}">${solid}</a:ln>`).join('')}</a:lnStyleLst>
+<a:effectStyleLst>${'<a:effectStyle><a:effectLst/></a:effectStyle>'.repeat(3)}</a:effectStyleLst>
+<a:bgFillStyleLst>${solid}${solid}${solid}</a:bgFillStyleLst>
+</a:fmtScheme></a:themeElements><a:objectDefaults/><a:extraClrSchemeLst/></a:theme>`;
+}
+
+function buildSlideMaster() {
+  const level = (n, marL, size) =>
+    `<a:lvl${n}pPr marL="${marL}" indent="-285750" algn="l"><a:spcBef><a:spcPts val="1000"/></a:spcBef>` +
+    `<a:buFont typeface="Arial"/><a:buChar char="${n === 1 ? '•' : '–'}"/>` +
+    `<a:defRPr sz="${size}"><a:solidFill><a:schemeClr val="tx1"/></a:solidFill>${FONT_REFS}</a:defRPr></a:lvl${n}pPr>`;
+
+  return `${XML_HEADER}<p:sldMaster ${NAMESPACES}>
+<p:cSld><p:bg><p:bgRef idx="1001"><a:schemeClr val="bg1"/></p:bgRef></p:bg><p:spTree>${GROUP_PROPS}
+${placeholder(2, 'Title Placeholder 1', '<p:ph type="title"/>', '', { xfrm: xfrm(838200, 365125, 10515600, 1325563), bodyPr: '<a:bodyPr anchor="ctr"><a:normAutofit/></a:bodyPr>' })}
+${placeholder(3, 'Text Placeholder 2', '<p:ph type="body" idx="1"/>', '', { xfrm: xfrm(838200, 1825625, 10515600, 4351338), bodyPr: '<a:bodyPr><a:normAutofit/></a:bodyPr>' })}
+</p:spTree></p:cSld>
+${CLR_MAP}
+<p:sldLayoutIdLst><p:sldLayoutId id="2147483649" r:id="rId1"/><p:sldLayoutId id="2147483650" r:id="rId2"/></p:sldLayoutIdLst>
+<p:txStyles>
+<p:titleStyle><a:lvl1pPr algn="l"><a:defRPr sz="4000" b="1"><a:solidFill><a:schemeClr val="accent1"/></a:solidFill><a:latin typeface="+mj-lt"/><a:ea typeface="+mj-ea"/><a:cs typeface="+mj-cs"/></a:defRPr></a:lvl1pPr></p:titleStyle>
+<p:bodyStyle>${level(1, 285750, 2400)}${level(2, 742950, 2000)}${level(3, 1200150, 1800)}</p:bodyStyle>
+<p:otherStyle><a:defPPr><a:defRPr lang="en-US"/></a:defPPr></p:otherStyle>
+</p:txStyles>
+</p:sldMaster>`;
+}
+
+function buildTitleLayout() {
+  return `${XML_HEADER}<p:sldLayout ${NAMESPACES} type="title" preserve="1">
+<p:cSld name="Title Slide"><p:spTree>${GROUP_PROPS}
+${placeholder(2, 'Title 1', '<p:ph type="ctrTitle"/>', '', {
+    xfrm: xfrm(1524000, 1122363, 9144000, 2387600),
+    bodyPr: '<a:bodyPr anchor="b"><a:normAutofit/></a:bodyPr>',
+    lstStyle: '<a:lvl1pPr algn="ctr"><a:defRPr sz="5400"/></a:lvl1pPr>'
+  })}
+${placeholder(3, 'Subtitle 2', '<p:ph type="subTitle" idx="1"/>', '', {
+    xfrm: xfrm(1524000, 3602038, 9144000, 1655762),
+    bodyPr: '<a:bodyPr><a:normAutofit/></a:bodyPr>',
+    lstStyle: '<a:lvl1pPr marL="0" indent="0" algn="ctr"><a:buNone/><a:defRPr sz="2400"><a:solidFill><a:schemeClr val="tx2"/></a:solidFill></a:defRPr></a:lvl1pPr>'
+  })}
+</p:spTree></p:cSld><p:clrMapOvr><a:masterClrMapping/></p:clrMapOvr></p:sldLayout>`;
+}
+
+function buildContentLayout() {
+  return `${XML_HEADER}<p:sldLayout ${NAMESPACES} type="obj" preserve="1">
+<p:cSld name="Title and Content"><p:spTree>${GROUP_PROPS}
+${placeholder(2, 'Title 1', '<p:ph type="title"/>')}
+${placeholder(3, 'Content Placeholder 2', '<p:ph idx="1"/>')}
+</p:spTree></p:cSld><p:clrMapOvr><a:masterClrMapping/></p:clrMapOvr></p:sldLayout>`;
+}
+
+function buildNotesMaster() {
+  return `${XML_HEADER}<p:notesMaster ${NAMESPACES}>
+<p:cSld><p:bg><p:bgRef idx="1001"><a:schemeClr val="bg1"/></p:bgRef></p:bg><p:spTree>${GROUP_PROPS}
+${placeholder(2, 'Slide Image Placeholder 1', '<p:ph type="sldImg" idx="2"/>', null, { xfrm: xfrm(685800, 1143000, 5486400, 3086100) })}
+${placeholder(3, 'Notes Placeholder 2', '<p:ph type="body" idx="1"/>', '', { xfrm: xfrm(685800, 4400550, 5486400, 3600450) })}
+</p:spTree></p:cSld>
+${CLR_MAP}
+<p:notesStyle><a:lvl1pPr marL="0" algn="l"><a:defRPr sz="1200"><a:solidFill><a:schemeClr val="tx1"/></a:solidFill>${FONT_REFS}</a:defRPr></a:lvl1pPr></p:notesStyle>
+</p:notesMaster>`;
+}
+
+function buildSlide(shapes) {
+  return `${XML_HEADER}<p:sld ${NAMESPACES}><p:cSld><p:spTree>${GROUP_PROPS}${shapes.join('')}</p:spTree></p:cSld>` +
+    '<p:clrMapOvr><a:masterClrMapping/></p:clrMapOvr></p:sld>';
+}
+
+function buildNotesSlide(notes, lang) {
+  return `${XML_HEADER}<p:notes ${NAMESPACES}><p:cSld><p:spTree>${GROUP_PROPS}` +
+    placeholder(2, 'Slide Image Placeholder 1', '<p:ph type="sldImg"/>', null) +
+    placeholder(3, 'Notes Placeholder 2', '<p:ph type="body" idx="1"/>', textParagraphs(notes, lang)) +
+    '</p:spTree></p:cSld><p:clrMapOvr><a:masterClrMapping/></p:clrMapOvr></p:notes>';
+}
+
+function contentShapes(slide, lang) {
+  const shapes = [];
+  if (slide.title) {
+    shapes.push(placeholder(2, 'Title 1', '<p:ph type="title"/>', paragraph([{ text: slide.title }], lang)));
+  }
+  if (slide.items.length > 0) {
+    const body = slide.items.map(item => paragraph(
+      item.inlines,
+      lang,
+      item.bullet
+        ? (item.level > 0 ? `<a:pPr lvl="${item.level}"/>` : '')
+        : '<a:pPr marL="0" indent="0"><a:buNone/></a:pPr>'
+    )).join('');
+    shapes.push(placeholder(3, 'Content Placeholder 2', '<p:ph idx="1"/>', body, { bodyPr: '<a:bodyPr><a:normAutofit/></a:bodyPr>' }));
+  }
+  return shapes;
+}
+
+// deck: slide model from ./slides; meta: { language, createdAt, updatedAt }
+function renderPptx(deck, meta = {}) {
+  const lang = meta.language || 'en';
+
+  const slides = [{
+    layout: 1,
+    shapes: [
+      placeholder(2, 'Title 1', '<p:ph type="ctrTitle"/>', paragraph([{ text: deck.title }], lang)),
+      ...(deck.subtitle ? [placeholder(3, 'Subtitle 2', '<p:ph type="subTitle" idx="1"/>', paragraph(deck.subtitle, lang))] : [])
+    ],
+    notes: ''
+  }].concat(deck.slides.map(slide => ({ layout: 2, shapes: contentShapes(slide, lang), notes: slide.notes })));
+
+  const entries = [];
+  const overrides = [
+    ['/ppt/presentation.xml', `${CT}.presentation.main+xml`],
+    ['/ppt/slideMasters/slideMaster1.xml', `${CT}.slideMaster+xml`],
+    ['/ppt/slideLayouts/slideLayout1.xml', `${CT}.slideLayout+xml`],
+    ['/ppt/slideLayouts/slideLayout2.xml', `${CT}.slideLayout+xml`],
+    ['/ppt/notesMasters/notesMaster1.xml', `${CT}.notesMaster+xml`],
+    ['/ppt/theme/theme1.xml', 'application/vnd.openxmlformats-officedocument.theme+xml'],
+    ['/ppt/theme/theme2.xml', 'application/vnd.openxmlformats-officedocument.theme+xml'],
+    ['/ppt/presProps.xml', `${CT}.presProps+xml`],
+    ['/ppt/viewProps.xml', `${CT}.viewProps+xml`],
+    ['/ppt/tableStyles.xml', `${CT}.tableStyles+xml`],
+    ['/docProps/core.xml', 'application/vnd.openxmlformats-package.core-properties+xml']
+  ];
+
+  slides.forEach((slide, i) => {
+    const n = i + 1;
+    overrides.push([`/ppt/slides/slide${n}.xml`, `${CT}.slide+xml`]);
+    const slideRels = [['rId1', 'slideLayout', `../slideLayouts/slideLayout${slide.layout}.xml`]];
+
+    if (slide.notes) {
+      overrides.push([`/ppt/notesSlides/notesSlide${n}.xml`, `${CT}.notesSlide+xml`]);
+      slideRels.push(['rId2', 'notesSlide', `../notesSlides/notesSlide${n}.xml`]);
+      entries.push(
+        { name: `ppt/notesSlides/notesSlide${n}.xml`, data: buildNotesSlide(slide.notes, lang) },
+        {
+          name: `ppt/notesSlides/_rels/notesSlide${n}.xml.rels`,
+          data: relationships([
+            ['rId1', 'notesMaster', '../notesMasters/notesMaster1.xml'],
+            ['rId2', 'slide', `../slides/slide${n}.xml`]
+          ])
+        }
+      );
+    }
+
+    entries.push(
+      { name: `ppt/slides/slide${n}.xml`, data: buildSlide(slide.shapes) },
+      { name: `ppt/slides/_rels/slide${n}.xml.rels`, data: relationships(slideRels) }
+    );
+  });
+
+  // Fixed parts take rId1-rId6; slides follow
+  const slideIds = slides.map((_, i) => `<p:sldId id="${256 + i}" r:id="rId${7 + i}"/>`).join('');
+  const presentation = `${XML_HEADER}<p:presentation ${NAMESPACES} saveSubsetFonts="1">
+<p:sldMasterIdLst><p:sldMasterId id="2147483648" r:id="rId1"/></p:sldMasterIdLst>
+<p:notesMasterIdLst><p:notesMasterId r:id="rId2"/></p:notesMasterIdLst>
+<p:sldIdLst>${slideIds}</p:sldIdLst>
+<p:sldSz cx="${SLIDE_WIDTH}" cy="${SLIDE_HEIGHT}"/><p:notesSz cx="6858000" cy="9144000"/>
+</p:presentation>`;
+  const presentationRels = relationships([
+    ['rId1', 'slideMaster', 'slideMasters/slideMaster1.xml'],
+    ['rId2', 'notesMaster', 'notesMasters/notesMaster1.xml'],
+    ['rId3', 'theme', 'theme/theme1.xml'],
+    ['rId4', 'presProps', 'presProps.xml'],
+    ['rId5', 'viewProps', 'viewProps.xml'],
+    ['rId6', 'tableStyles', 'tableStyles.xml'],
+    ...slides.map((_, i) => [`rId${7 + i}`, 'slide', `slides/slide${i + 1}.xml`])
+  ]);
+
+  const contentTypes = `${XML_HEADER}<Types xmlns="http://schemas.openxmlformats.org/package/2006/content-types">
+<Default Extension="rels" ContentType="application/vnd.openxmlformats-package.relationships+xml"/>
+<Default Extension="xml" ContentType="application/xml"/>
+${overrides.map(([part, type]) => `<Override PartName="${part}" ContentType="${type}"/>`).join('\n')}
+</Types>`;
+
+  return createZip([
+    { name: '[Content_Types].xml', data: contentTypes },
+    {
+      name: '_rels/.rels',
+      data: relationships([
+        ['rId1', 'officeDocument', 'ppt/presentation.xml'],
+        ['rId2', 'http://schemas.openxmlformats.org/package/2006/relationships/metadata/core-properties', 'docProps/core.xml']
+      ])
+    },
+    { name: 'docProps/core.xml', data: coreProperties({ title: deck.title, ...meta }) },
+    { name: 'ppt/presentation.xml', data: presentation },
+    { name: 'ppt/_rels/presentation.xml.rels', data: presentationRels },
+    { name: 'ppt/presProps.xml', data: `${XML_HEADER}<p:presentationPr ${NAMESPACES}/>` },
+    { name: 'ppt/viewProps.xml', data: `${XML_HEADER}<p:viewPr ${NAMESPACES}/>` },
+    { name: 'ppt/tableStyles.xml', data: `${XML_HEADER}<a:tblStyleLst xmlns:a="${NS_A}" def="{5C22544A-7EE6-4342-B048-85BDC9FD1C3A}"/>` },
+    { name: 'ppt/slideMasters/slideMaster1.xml', data: buildSlideMaster() },
+    {
+      name: 'ppt/slideMasters/_rels/slideMaster1.xml.rels',
+      data: relationships([
+        ['rId1', 'slideLayout', '../slideLayouts/slideLayout1.xml'],
+        ['rId2', 'slideLayout', '../slideLayouts/slideLayout2.xml'],
+        ['rId3', 'theme', '../theme/theme1.xml']
+      ])
+    },
+    { name: 'ppt/slideLayouts/slideLayout1.xml', data: buildTitleLayout() },
+    { name: 'ppt/slideLayouts/_rels/slideLayout1.xml.rels', data: relationships([['rId1', 'slideMaster', '../slideMasters/slideMaster1.xml']]) },
+    { name: 'ppt/slideLayouts/slideLayout2.xml', data: buildContentLayout() },
+    { name: 'ppt/slideLayouts/_rels/slideLayout2.xml.rels', data: relationships([['rId1', 'slideMaster', '../slideMasters/slideMaster1.xml']]) },
+    { name: 'ppt/notesMasters/notesMaster1.xml', data: buildNotesMaster() },
+    { name: 'ppt/notesMasters/_rels/notesMaster1.xml.rels', data: relationships([['rId1', 'theme', '../theme/theme2.xml']]) },
+    { name: 'ppt/theme/theme1.xml', data: buildTheme('Content Creator') },
+    { name: 'ppt/theme/theme2.xml', data: buildTheme('Content Creator Notes') },
+    ...entries
+  ]);
+}
+
+module.exports = {
+  renderPptx
+};
@@ -0,0 +1,118 @@
+// Self-contained reveal.js deck: the library, its theme and the speaker-notes plugin
+// are inlined so the file works offline. Press "S" in the deck for speaker notes.
+const fs = require('fs');
+const { escapeHtml } = require('./html');
+
+const ASSETS = {
+  css: 'reveal.js/dist/reveal.css',
+  theme: 'reveal.js/dist/theme/white.css',
+  js: 'reveal.js',
+  notes: 'reveal.js/plugin/notes/notes.js'
+};
+
+let assets = null;
+
+// Read once and keep (about 250 KB together). The theme's web font import is dropped:
+// its relative URL can't resolve from a standalone file, and the theme's font stack
+// already falls back to Helvetica.
+function loadAssets() {
+  if (!assets) {
+    assets = Object.fromEntries(Object.entries(ASSETS).map(([key, id]) => [
+      key,
+      fs.readFileSync(require.resolve(id), 'utf8')
+        .replace(/^@import url\([^)]*\);$/gm, '')
+        // Inline scripts and styles must not close their own element early
+        .replace(/<\/(script|style)/gi, '<\\/$1')
+    ]));
+  }
+  return assets;
+}
+
+function renderInlines(inlines) {
+  return inlines.filter(run => !run.break).map(run => {
+    let html = escapeHtml(run.text);
+    if (run.code) html = `<code>${html}</code>`;
+    if (run.italic) html = `<em>${html}</em>`;
+    if (run.bold) html = `<strong>${html}</strong>`;
+    return html;
+  }).join('');
+}
+
+// Bullet items become (nested) lists; other items become paragraphs
+function renderItems(items) {
+  let html = '';
+  let depth = -1;
+
+  for (const item of items) {
+    const level = item.bullet ? Math.min(item.level, depth + 1) : -1;
+    while (depth > level) {
+      html += '</li></ul>';
+      depth--;
+    }
+    if (level >= 0 && level === depth) html += '</li>';
+    while (depth < level) {
+      html += '<ul>';
+      depth++;
+    }
+    html += item.bullet ? `<li>${renderInlines(item.inlines)}` : `<p>${renderInlines(item.inlines)}</p>`;
+  }
+  while (depth >= 0) {
+    html += '</li></ul>';
+    depth--;
+  }
+
+  return html;
+}
+
+function renderNotes(notes) {
+  return notes ? `\n<aside class="notes">${escapeHtml(notes).replace(/\n/g, '<br>')}</aside>` : '';
+}
+
+// deck: slide model from ./slides; meta: { language }
+function renderRevealDeck(deck, meta = {}) {
+  const { css, theme, js, notes } = loadAssets();
+
+  const sections = [
+    `<section class="title-slide">\n<h1>${escapeHtml(deck.title)}</h1>${deck.subtitle ? `\n<p class="subtitle">${renderInlines(deck.subtitle)}</p>` : ''}\n</section>`,
+    ...deck.slides.map(slide =>
+      `<section>\n${slide.title ? `<h2>${escapeHtml(slide.title)}</h2>\n` : ''}${renderItems(slide.items)}${renderNotes(slide.notes)}\n</section>`
+    )
+  ];
+
+  return `<!DOCTYPE html>
+<html lang="${escapeHtml(meta.language || 'en')}">
+<head>
+<meta charset="utf-8">
+<meta name="viewport" content="width=device-width, initial-scale=1">
+<title>${escapeHtml(deck.title)}</title>
+<style>${css}</style>
+<style>${theme}</style>
+<style>
+  .reveal h1, .reveal h2 { text-transform: none; }
+  .reveal h2 { font-size: 1.6em; }
+  .reveal .slides section { text-align: left; }
+  .reveal .slides section.title-slide { text-align: center; }
+  .reveal .subtitle { color: #57606a; font-size: 0.8em; }
+  .reveal ul { display: block; font-size: 0.85em; }
+  .reveal p { font-size: 0.85em; }
+</style>
+</head>
+<body>
+<div class="reveal">
+<div class="slides">
+${sections.join('\n')}
+</div>
+</div>
+<script>${js}</script>
+<script>${notes}</script>
+<script>
+  Reveal.initialize({ hash: true, slideNumber: 'c/t', plugins: [RevealNotes] });
+</script>
+</body>
+</html>
+`;
+}
+
+module.exports = {
+  renderRevealDeck
+};
@@ -0,0 +1,162 @@
+// Parses presentation markdown into a slide model shared by the PPTX and reveal.js
+// exporters:
+//   { title, subtitle: inlines | null, slides: [{ title, items, notes }] }
+// where items are { level, inlines, bullet } and notes is plain text.
+//
+// Slides start at "Slide N" headings (in any output language, at whatever level the model
+// used), otherwise at every H2, and at horizontal rules. Speaker notes start at a
+// "Notes:" / "Speaker notes:" line or heading and run to the end of the slide.
+const { parseMarkdown, parseInline, inlineText } = require('./markdown');
+const { labelVariants } = require('../fallback');
+
+const HEADING = /^(#{1,6})\s+(.*?)\s*#*\s*$/;
+const RULE = /^\s*([-*_])(\s*\1){2,}\s*$/;
+// "Slide" in every language with a fallback bundle (Diapositiva, Folie, スライド, ...)
+const SLIDE_WORD = `(?:${labelVariants('slide').map(word => word.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')).join('|')})`;
+const SLIDE_HEADING = new RegExp(`^(\\p{Extended_Pictographic}\\ufe0f?\\s*)?${SLIDE_WORD}\\s*\\d+\\b`, 'iu');
+const SLIDE_PREFIX = new RegExp(`^(\\p{Extended_Pictographic}\\ufe0f?\\s*)?${SLIDE_WORD}\\s*\\d+\\s*[:：.\\-–—]?\\s*`, 'iu');
+const NOTES_MARKER = /^\s*(?:>\s*)?(?:#{1,6}\s*)?(?:\*\*|__|\*|_)?\s*(?:speaker\s+)?notes?\s*(?:\*\*|__|\*|_)?\s*:\s*(?:\*\*|__|\*|_)?\s*(.*)$/i;
+const NOTES_HEADING = /^\s*#{1,6}\s*(?:speaker\s+)?notes?\s*:?\s*$/i;
+
+// "🎯 Slide 1: Introduction" -> "🎯 Introduction"
+function cleanTitle(text) {
+  const title = text.replace(SLIDE_PREFIX, '$1');
+  return inlineText(parseInline(title)).trim();
+}
+
+// Plain-text speaker notes, keeping list markers readable
+function notesText(lines) {
+  return lines
+    .map(line => line.replace(/^(\s*)(?:[-*+•])\s+/, '$1• ').replace(/^>\s?/, ''))
+    .map(line => inlineText(parseInline(line)).trimEnd())
+    .join('\n')
+    .replace(/\n{3,}/g, '\n\n')
+    .trim();
+}
+
+// Flatten markdown blocks into slide items
+function toItems(lines) {
+  const items = [];
+
+  for (const block of parseMarkdown(lines.join('\n'))) {
+    switch (block.type) {
+      case 'list':
+        block.items.forEach(item => items.push({ level: item.level, inlines: item.inlines, bullet: true }));
+        break;
+      case 'heading':
+        items.push({ level: 0, inlines: block.inlines.map(run => ({ ...run, bold: true })), bullet: false });
+        break;
+      case 'code':
+        block.text.split('\n').forEach(text => items.push({ level: 0, inlines: [{ text, code: true }], bullet: false }));
+        break;
+      case 'rule':
+        break;
+      default: {
+        // Each source line of a paragraph or quote becomes its own text item
+        let current = [];
+        for (const run of block.inlines.concat({ break: true })) {
+          if (!run.break) {
+            current.push(block.type === 'quote' ? { ...run, italic: true } : run);
+          } else if (current.length > 0) {
+            items.push({ level: 0, inlines: current, bullet: false });
+            current = [];
+          }
+        }
+      }
+    }
+  }
+
+  return items;
+}
+
+function parseSlides(source, { title: fallbackTitle = '' } = {}) {
+  const lines = String(source || '').replace(/\r\n?/g, '\n').split('\n');
+
+  // Which heading level delimits slides
+  let slideLevel = null;
+  for (const line of lines) {
+    const heading = HEADING.exec(line);
+    if (heading && SLIDE_HEADING.test(heading[2])) {
+      slideLevel = heading[1].length;
+      break;
+    }
+  }
+  if (slideLevel === null && lines.some(line => /^##\s/.test(line))) {
+    slideLevel = 2;
+  }
+
+  const deck = { title: null, subtitle: null, slides: [] };
+  const intro = [];
+  let slide = null;
+  let inFence = false;
+
+  const startSlide = title => {
+    slide = { title, body: [], notes: null };
+    deck.slides.push(slide);
+  };
+
+  for (const line of lines) {
+    if (/^\s*```/.test(line)) inFence = !inFence;
+    const heading = inFence ? null : HEADING.exec(line);
+
+    if (heading && heading[1].length === slideLevel && !NOTES_HEADING.test(line)) {
+      startSlide(cleanTitle(heading[2]));
+      continue;
+    }
+
+    // The first H1 above the slides is the deck title
+    if (heading && heading[1].length === 1 && deck.slides.length === 0 && deck.title === null) {
+      deck.title = cleanTitle(heading[2]);
+      continue;
+    }
+
+    if (!inFence && RULE.test(line)) {
+      slide = null;
+      continue;
+    }
+
+    if (!slide) {
+      if (!line.trim()) continue;
+      // Text between the deck title and the first slide is the subtitle
+      if (slideLevel !== null && deck.slides.length === 0) {
+        intro.push(line);
+        continue;
+      }
+      // After a rule, the next heading (if any) titles the new slide
+      startSlide(heading ? cleanTitle(heading[2]) : '');
+      if (heading) continue;
+    }
+
+    if (!inFence && slide.notes === null) {
+      if (NOTES_HEADING.test(line)) {
+        slide.notes = [];
+        continue;
+      }
+      const marker = NOTES_MARKER.exec(line);
+      if (marker) {
+        slide.notes = marker[1] ? [marker[1]] : [];
+        continue;
+      }
+    }
+
+    (slide.notes || slide.body).push(line);
+  }
+
+  deck.title = deck.title || fallbackTitle;
+  const subtitle = intro.join('\n').trim();
+  deck.subtitle = subtitle ? parseInline(subtitle.replace(/\s*\n\s*/g, ' ')) : null;
+
+  deck.slides = deck.slides
+    .map(({ title, body, notes }) => ({
+      title,
+      items: toItems(body),
+      notes: notes ? notesText(notes) : ''
+    }))
+    .filter(({ title, items, notes }) => title || items.length > 0 || notes);
+
+  return deck;
+}
+
+module.exports = {
+  parseSlides
+};
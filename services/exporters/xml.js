@@ -0,0 +1,32 @@
+// Helpers shared by the Office Open XML writers (DOCX, PPTX).
+
+const XML_HEADER = '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>\n';
+
+function escapeXml(text) {
+  return String(text)
+    // Control characters are not allowed in XML 1.0
+    .replace(/[\u0000-\u0008\u000b\u000c\u000e-\u001f]/g, '')
+    .replace(/[&<>"]/g, char => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;' })[char]);
+}
+
+// Dublin Core timestamp (no milliseconds)
+function w3cDate(value) {
+  return new Date(value || Date.now()).toISOString().replace(/\.\d{3}Z$/, 'Z');
+}
+
+// docProps/core.xml
+function coreProperties({ title, language, createdAt, updatedAt }) {
+  return `${XML_HEADER}<cp:coreProperties xmlns:cp="http://schemas.openxmlformats.org/package/2006/metadata/core-properties" xmlns:dc="http://purl.org/dc/elements/1.1/" xmlns:dcterms="http://purl.org/dc/terms/" xmlns:xsi="http://www.w3.org/2001/XMLSchema-instance">
+<dc:title>${escapeXml(title)}</dc:title>
+<dc:creator>AI Content Creator</dc:creator>
+<dc:language>${escapeXml(language || 'en')}</dc:language>
+<dcterms:created xsi:type="dcterms:W3CDTF">${w3cDate(createdAt)}</dcterms:created>
+<dcterms:modified xsi:type="dcterms:W3CDTF">${w3cDate(updatedAt)}</dcterms:modified>
+</cp:coreProperties>`;
+}
+
+module.exports = {
+  XML_HEADER,
+  escapeXml,
+  coreProperties
+};
@@ -0,0 +1,58 @@
+// Template content served when every AI provider fails, in the requested language.
+// Each language in config/languages.js has a bundle in ./locales; a missing bundle or
+// generator throws here, at startup, rather than on the first failed generation.
+const languages = require('../../config/languages');
+
+const CONTENT_TYPES = ['presentation', 'document', 'social', 'blog', 'email'];
+const LABELS = ['summary', 'introduction', 'conclusion', 'recommendations', 'subject', 'greeting', 'signOff', 'slide'];
+
+const bundles = Object.fromEntries(Object.keys(languages).map(language => {
+  const bundle = require(`./locales/${language}`);
+
+  const missing = [...CONTENT_TYPES, 'custom'].filter(name => typeof bundle[name] !== 'function')
+    .concat(LABELS.filter(label => !bundle.labels || !bundle.labels[label]).map(label => `labels.${label}`));
+  if (missing.length > 0) {
+    throw new Error(`Fallback bundle "${language}" is missing: ${missing.join(', ')}`);
+  }
+
+  return [language, bundle];
+}));
+
+const bundleFor = language => bundles[language] || bundles.english;
+
+// Hashtag-safe form of the topic in CamelCase ("remote work" -> #RemoteWork), which
+// screen readers can read word by word. Letters, digits and underscores only.
+const topicTag = topic => topic.split(/[^\p{L}\p{N}_]+/u)
+  .map(word => word.charAt(0).toUpperCase() + word.slice(1))
+  .join('') || 'Trending';
+
+// The "Generated with AI Content Creator Pro" line every template ends with
+const FOOTER = /\n+---\n\*[^*\n]+\*\s*$/;
+
+// `customType` ({ systemPrompt, structure }) gets an outline with one section per entry.
+// `footer: false` leaves off the closing credit line (social posts have no room for it).
+function generate(topic, contentType, language, customType, { footer = true } = {}) {
+  const bundle = bundleFor(language);
+
+  let content;
+  if (customType) {
+    content = bundle.custom(topic, customType.structure);
+  } else {
+    const type = CONTENT_TYPES.includes(contentType) ? contentType : 'document';
+    content = type === 'social' ? bundle.social(topic, topicTag(topic)) : bundle[type](topic);
+  }
+
+  return footer ? content : content.replace(FOOTER, '');
+}
+
+// Section names and email phrases used by the language's templates
+const labels = language => bundleFor(language).labels;
+
+// Every language's wording for one label, e.g. all the words for "Slide"
+const labelVariants = key => Array.from(new Set(Object.values(bundles).map(bundle => bundle.labels[key])));
+
+module.exports = {
+  generate,
+  labels,
+  labelVariants
+};
@@ -0,0 +1,203 @@
+// Chinese (Simplified) fallback templates (see english.js for the shape)
+module.exports = {
+  labels: {
+    summary: '执行摘要',
+    introduction: '引言',
+    conclusion: '结论',
+    recommendations: '建议',
+    subject: '主题',
+    greeting: '您好',
+    signOff: '此致敬礼',
+    slide: '幻灯片'
+  },
+
+  presentation: topic => `# ${topic}
+
+## 🎯 幻灯片 1：引言
+• 欢迎了解：${topic}
+• 核心目标
+• 议程概览
+
+## 📊 幻灯片 2：现状
+• 市场分析与趋势
+• 挑战与机遇
+• 关键数据与洞察
+
+## 💡 幻灯片 3：我们的方法
+• 创新的解决方案
+• 独特的价值主张
+• 竞争优势
+
+## 🚀 幻灯片 4：实施
+• 分步路线图
+• 时间表与里程碑
+• 资源需求
+
+## 📈 幻灯片 5：预期成果
+• 预期结果
+• 成功指标
+• 投资回报分析
+
+## 🎯 幻灯片 6：后续步骤
+• 立即行动
+• 长期战略
+• 行动号召
+
+---
+*由 AI Content Creator Pro 生成*`,
+
+  document: topic => `# ${topic}
+
+## 执行摘要
+本文档全面探讨“${topic}”，为相关各方提供详细分析、深入洞察和可执行的建议。
+
+## 1. 引言
+在快速变化的环境中，“${topic}”对于寻求竞争优势和可持续增长的组织而言日益重要。
+
+## 2. 背景分析
+### 当前市场状况
+• 行业趋势与发展
+• 竞争格局概览
+• 监管环境
+
+### 主要挑战
+• 主要障碍与壁垒
+• 资源限制
+• 技术局限
+
+## 3. 战略方法
+### 方法论
+我们针对“${topic}”的方法融合了最佳实践、创新方案和经过验证的框架。
+
+### 实施框架
+• 第一阶段：评估与规划
+• 第二阶段：开发与测试
+• 第三阶段：部署与优化
+
+## 4. 建议
+### 立即行动
+1. 开展全面评估
+2. 制定详细的实施计划
+3. 落实所需资源
+
+### 长期战略
+• 持续改进流程
+• 绩效监测体系
+• 可扩展性规划
+
+## 5. 结论
+成功推进“${topic}”需要战略规划、专门资源以及对卓越的持续投入。
+
+---
+*由 AI Content Creator Pro 生成*`,
+
+  social: (topic, topicTag) => `🚀 准备好革新你在“${topic}”上的做法了吗？这些你一定要知道！👇
+
+✨ 游戏规则正在改变，善于适应的人将脱颖而出。“${topic}”不只是潮流，更是未来。
+
+🔥 核心洞察：
+• 创新驱动成功
+• 先行者收获最多
+• 行动胜过完美
+
+💡 小贴士：从小处着手，目标远大，快速行动！
+
+👉 你在“${topic}”方面有什么经验？欢迎在评论区分享！
+
+#创新 #${topicTag} #成功 #成长 #未来 #趋势 #领导力
+
+---
+*使用 AI Content Creator Pro 创作*`,
+
+  blog: topic => `# ${topic}终极指南：你需要知道的一切
+
+## 引言
+在这个快节奏的时代，想要保持领先，理解“${topic}”已必不可少。本指南将带你全面了解你需要知道的一切。
+
+## 为什么“${topic}”比以往任何时候都重要
+行业格局正在迅速变化，而“${topic}”正处于这场变革的中心。以下是你应该关注它的原因：
+
+• **市场需求**：关注度和采用率不断提升
+• **竞争优势**：先行者收益显著
+• **面向未来**：长期成功的关键
+
+## 开始了解“${topic}”
+### 第一步：理解基础知识
+在深入之前，先掌握基本概念和原则至关重要。
+
+### 第二步：评估现状
+明确自己所处的位置，找出需要改进的地方。
+
+### 第三步：制定行动计划
+根据自身需求制定有针对性的战略方法。
+
+## 最佳实践与专业建议
+1. **从明确的目标开始**
+2. **重质量而非数量**
+3. **持续衡量与优化**
+4. **紧跟最新趋势**
+
+## 需要避免的常见错误
+• 仓促推进实施
+• 忽视用户反馈
+• 低估资源需求
+• 缺乏可扩展性规划
+
+## 结论
+“${topic}”代表着增长与创新的重要机遇。遵循本指南中的策略，你将为成功做好充分准备。
+
+**准备好开始了吗？** 现在就是行动的时候！
+
+---
+*通过 AI Content Creator Pro 发布*`,
+
+  email: topic => `主题：🚀 革新您在“${topic}”上的做法（限时）
+
+您好 [姓名]：
+
+希望您一切顺利。我联系您，是因为相信您会对“${topic}”的最新进展感兴趣。
+
+**现在的情况是：**
+
+行业正在快速发展，迅速适应的企业已经取得了显著成果。实施“${topic}”战略的公司反馈：
+
+✅ 效率提升 40%
+✅ 客户满意度更高
+✅ 竞争优势显著
+
+**但挑战在于……**
+
+大多数组织仍在沿用过时的方法。由于尚未拥抱“${topic}”，他们正在错失巨大的机遇。
+
+**好消息是？**
+
+您不必成为其中之一。我们开发了一套经过验证的框架，让实施变得简单而高效。
+
+**我们的不同之处：**
+• 分步指导
+• 经过验证的成果
+• 持续支持
+• 无风险保障
+
+**想了解更多吗？**
+
+我很乐意向您具体演示。本周您是否方便进行一次 15 分钟的简短通话？
+
+只需回复本邮件告知您方便的时间，我会发送日历邀请。
+
+此致敬礼
+[您的姓名]
+
+附言：这个机会不会一直存在。现在行动的企业将在竞争中取得明显领先。
+
+---
+*由 AI Content Creator Pro 撰写*`,
+
+  custom: (topic, structure) => `# ${topic}
+
+${structure.map(section => `## ${section}
+本节关于“${topic}”的要点。`).join('\n\n')}
+
+---
+*由 AI Content Creator Pro 生成*`
+};
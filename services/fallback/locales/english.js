@@ -0,0 +1,205 @@
+// English fallback templates. `labels` are the section names and email phrases the
+// templates use, so structured output can find them again (services/structured/markdown.js).
+module.exports = {
+  labels: {
+    summary: 'Executive Summary',
+    introduction: 'Introduction',
+    conclusion: 'Conclusion',
+    recommendations: 'Recommendations',
+    subject: 'Subject',
+    greeting: 'Hi',
+    signOff: 'Best regards',
+    slide: 'Slide'
+  },
+
+  presentation: topic => `# ${topic}
+
+## 🎯 Slide 1: Introduction
+• Welcome to ${topic}
+• Key objectives and goals
+• Agenda overview
+
+## 📊 Slide 2: Current Situation
+• Market analysis and trends
+• Challenges and opportunities
+• Key statistics and insights
+
+## 💡 Slide 3: Our Approach
+• Innovative solution
+• Unique value proposition
+• Competitive advantages
+
+## 🚀 Slide 4: Implementation
+• Step-by-step roadmap
+• Timeline and milestones
+• Resource requirements
+
+## 📈 Slide 5: Expected Results
+• Projected outcomes
+• Success metrics
+• ROI analysis
+
+## 🎯 Slide 6: Next Steps
+• Immediate actions
+• Long-term strategy
+• Call to action
+
+---
+*Generated by AI Content Creator Pro*`,
+
+  document: topic => `# ${topic}
+
+## Executive Summary
+This comprehensive document explores ${topic}, providing detailed analysis, insights, and actionable recommendations for stakeholders.
+
+## 1. Introduction
+In today's rapidly evolving landscape, ${topic} has become increasingly critical for organizations seeking competitive advantage and sustainable growth.
+
+## 2. Background Analysis
+### Current Market Conditions
+• Industry trends and developments
+• Competitive landscape overview
+• Regulatory environment
+
+### Key Challenges
+• Primary obstacles and barriers
+• Resource constraints
+• Technical limitations
+
+## 3. Strategic Approach
+### Methodology
+Our approach to ${topic} incorporates best practices, innovative solutions, and proven frameworks.
+
+### Implementation Framework
+• Phase 1: Assessment and planning
+• Phase 2: Development and testing
+• Phase 3: Deployment and optimization
+
+## 4. Recommendations
+### Immediate Actions
+1. Conduct comprehensive assessment
+2. Develop detailed implementation plan
+3. Secure necessary resources
+
+### Long-term Strategy
+• Continuous improvement processes
+• Performance monitoring systems
+• Scalability considerations
+
+## 5. Conclusion
+Successful implementation of ${topic} requires strategic planning, dedicated resources, and ongoing commitment to excellence.
+
+---
+*Generated by AI Content Creator Pro*`,
+
+  social: (topic, topicTag) => `🚀 Ready to transform your approach to ${topic}? Here's what you need to know! 👇
+
+✨ The game is changing, and those who adapt will thrive. ${topic} isn't just a trend—it's the future.
+
+🔥 Key insights:
+• Innovation drives success
+• Early adopters win big
+• Action beats perfection
+
+💡 Pro tip: Start small, think big, move fast!
+
+👉 What's your experience with ${topic}? Share in the comments!
+
+#Innovation #${topicTag} #Success #Growth #Future #Trending #GameChanger #Leadership
+
+---
+*Created with AI Content Creator Pro*`,
+
+  blog: topic => `# The Ultimate Guide to ${topic}: Everything You Need to Know
+
+## Introduction
+In today's fast-paced world, understanding ${topic} has become essential for anyone looking to stay ahead of the curve. This comprehensive guide will walk you through everything you need to know.
+
+## Why ${topic} Matters Now More Than Ever
+The landscape is shifting rapidly, and ${topic} is at the center of this transformation. Here's why it should be on your radar:
+
+• **Market Demand**: Growing interest and adoption
+• **Competitive Advantage**: Early movers gain significant benefits
+• **Future-Proofing**: Essential for long-term success
+
+## Getting Started with ${topic}
+### Step 1: Understanding the Basics
+Before diving deep, it's crucial to grasp the fundamental concepts and principles.
+
+### Step 2: Assessing Your Current Situation
+Evaluate where you stand and identify areas for improvement.
+
+### Step 3: Creating Your Action Plan
+Develop a strategic approach tailored to your specific needs.
+
+## Best Practices and Pro Tips
+1. **Start with clear objectives**
+2. **Focus on quality over quantity**
+3. **Measure and optimize continuously**
+4. **Stay updated with latest trends**
+
+## Common Mistakes to Avoid
+• Rushing the implementation process
+• Ignoring user feedback
+• Underestimating resource requirements
+• Failing to plan for scalability
+
+## Conclusion
+${topic} represents a significant opportunity for growth and innovation. By following the strategies outlined in this guide, you'll be well-positioned to succeed.
+
+**Ready to get started?** The time to act is now!
+
+---
+*Published with AI Content Creator Pro*`,
+
+  email: topic => `Subject: 🚀 Transform Your Approach to ${topic} (Limited Time)
+
+Hi [Name],
+
+I hope this email finds you well. I'm reaching out because I believe you'd be interested in the latest developments around ${topic}.
+
+**Here's what's happening:**
+
+The industry is rapidly evolving, and those who adapt quickly are seeing remarkable results. Companies implementing ${topic} strategies are reporting:
+
+✅ Increased efficiency by 40%
+✅ Higher customer satisfaction scores
+✅ Significant competitive advantages
+
+**But here's the challenge...**
+
+Most organizations are still struggling with outdated approaches. They're missing out on incredible opportunities because they haven't embraced ${topic}.
+
+**The good news?**
+
+You don't have to be one of them. We've developed a proven framework that makes ${topic} implementation straightforward and effective.
+
+**What makes this different:**
+• Step-by-step guidance
+• Proven results
+• Ongoing support
+• Risk-free guarantee
+
+**Ready to learn more?**
+
+I'd love to show you exactly how this works. Would you be available for a brief 15-minute call this week?
+
+Simply reply to this email with your preferred time, and I'll send over a calendar link.
+
+Best regards,
+[Your Name]
+
+P.S. This opportunity won't be available forever. The companies that act now will have a significant head start over their competition.
+
+---
+*Crafted with AI Content Creator Pro*`,
+
+  // Outline of a user-defined type: one section per structure entry
+  custom: (topic, structure) => `# ${topic}
+
+${structure.map(section => `## ${section}
+Key points about ${topic} for this section.`).join('\n\n')}
+
+---
+*Generated by AI Content Creator Pro*`
+};
@@ -0,0 +1,203 @@
+// French fallback templates (see english.js for the shape)
+module.exports = {
+  labels: {
+    summary: 'Synthèse',
+    introduction: 'Introduction',
+    conclusion: 'Conclusion',
+    recommendations: 'Recommandations',
+    subject: 'Objet',
+    greeting: 'Bonjour',
+    signOff: 'Bien cordialement',
+    slide: 'Diapositive'
+  },
+
+  presentation: topic => `# ${topic}
+
+## 🎯 Diapositive 1 : Introduction
+• Bienvenue : ${topic}
+• Objectifs et enjeux clés
+• Aperçu de l'ordre du jour
+
+## 📊 Diapositive 2 : Situation actuelle
+• Analyse et tendances du marché
+• Défis et opportunités
+• Chiffres et enseignements clés
+
+## 💡 Diapositive 3 : Notre approche
+• Une solution innovante
+• Une proposition de valeur unique
+• Des avantages concurrentiels
+
+## 🚀 Diapositive 4 : Mise en œuvre
+• Feuille de route étape par étape
+• Calendrier et jalons
+• Ressources nécessaires
+
+## 📈 Diapositive 5 : Résultats attendus
+• Résultats prévus
+• Indicateurs de réussite
+• Analyse du retour sur investissement
+
+## 🎯 Diapositive 6 : Prochaines étapes
+• Actions immédiates
+• Stratégie à long terme
+• Appel à l'action
+
+---
+*Généré avec AI Content Creator Pro*`,
+
+  document: topic => `# ${topic}
+
+## Synthèse
+Ce document approfondi explore le sujet suivant : ${topic}. Il propose une analyse détaillée, des éclairages et des recommandations concrètes pour les parties prenantes.
+
+## 1. Introduction
+Dans un environnement en évolution rapide, ${topic} est devenu un enjeu de plus en plus important pour les organisations qui recherchent un avantage concurrentiel et une croissance durable.
+
+## 2. Analyse du contexte
+### Conditions actuelles du marché
+• Tendances et évolutions du secteur
+• Panorama concurrentiel
+• Cadre réglementaire
+
+### Principaux défis
+• Obstacles et freins majeurs
+• Contraintes de ressources
+• Limites techniques
+
+## 3. Approche stratégique
+### Méthodologie
+Notre approche s'appuie sur les bonnes pratiques, des solutions innovantes et des cadres éprouvés.
+
+### Cadre de mise en œuvre
+• Phase 1 : évaluation et planification
+• Phase 2 : développement et tests
+• Phase 3 : déploiement et optimisation
+
+## 4. Recommandations
+### Actions immédiates
+1. Réaliser une évaluation complète
+2. Élaborer un plan de mise en œuvre détaillé
+3. Mobiliser les ressources nécessaires
+
+### Stratégie à long terme
+• Démarche d'amélioration continue
+• Suivi des performances
+• Anticipation de la montée en charge
+
+## 5. Conclusion
+Réussir sur le sujet « ${topic} » demande une planification stratégique, des ressources dédiées et un engagement constant envers l'excellence.
+
+---
+*Généré avec AI Content Creator Pro*`,
+
+  social: (topic, topicTag) => `🚀 Prêt à repenser votre approche de ${topic} ? Voici ce qu'il faut savoir ! 👇
+
+✨ Les règles du jeu changent, et ceux qui s'adaptent prospéreront. ${topic} n'est pas qu'une tendance : c'est l'avenir.
+
+🔥 À retenir :
+• L'innovation est le moteur du succès
+• Les pionniers gagnent gros
+• L'action vaut mieux que la perfection
+
+💡 Conseil : commencez petit, voyez grand, avancez vite !
+
+👉 Et vous, quelle est votre expérience avec ${topic} ? Dites-le-nous en commentaire !
+
+#Innovation #${topicTag} #Réussite #Croissance #Avenir #Tendances #Leadership
+
+---
+*Créé avec AI Content Creator Pro*`,
+
+  blog: topic => `# Le guide complet : ${topic} — tout ce qu'il faut savoir
+
+## Introduction
+Dans un monde qui va toujours plus vite, comprendre ${topic} est devenu indispensable pour garder une longueur d'avance. Ce guide complet vous présente tout ce que vous devez savoir.
+
+## Pourquoi ${topic} compte plus que jamais
+Le paysage évolue rapidement et ${topic} est au cœur de cette transformation. Voici pourquoi le sujet mérite votre attention :
+
+• **Demande du marché** : un intérêt et une adoption en hausse
+• **Avantage concurrentiel** : les premiers arrivés en tirent des bénéfices importants
+• **Pérennité** : un élément essentiel du succès à long terme
+
+## Bien démarrer avec ${topic}
+### Étape 1 : Comprendre les bases
+Avant d'aller plus loin, il est essentiel de maîtriser les notions et principes fondamentaux.
+
+### Étape 2 : Évaluer votre situation actuelle
+Faites le point sur votre situation et identifiez les axes d'amélioration.
+
+### Étape 3 : Construire votre plan d'action
+Définissez une approche stratégique adaptée à vos besoins.
+
+## Bonnes pratiques et conseils
+1. **Fixez des objectifs clairs**
+2. **Privilégiez la qualité à la quantité**
+3. **Mesurez et optimisez en continu**
+4. **Suivez les dernières tendances**
+
+## Les erreurs à éviter
+• Précipiter la mise en œuvre
+• Ignorer les retours des utilisateurs
+• Sous-estimer les ressources nécessaires
+• Ne pas anticiper la montée en charge
+
+## Conclusion
+${topic} représente une véritable opportunité de croissance et d'innovation. En suivant les stratégies de ce guide, vous serez bien placé pour réussir.
+
+**Prêt à vous lancer ?** C'est le moment d'agir !
+
+---
+*Publié avec AI Content Creator Pro*`,
+
+  email: topic => `Objet : 🚀 Repensez votre approche de ${topic} (offre limitée)
+
+Bonjour [Prénom],
+
+J'espère que vous allez bien. Je vous écris car je pense que les dernières évolutions autour de ${topic} pourraient vous intéresser.
+
+**Voici ce qui se passe :**
+
+Le secteur évolue rapidement, et ceux qui s'adaptent vite obtiennent des résultats remarquables. Les entreprises qui mettent en place une stratégie autour de ${topic} constatent :
+
+✅ Une efficacité en hausse de 40 %
+✅ Une meilleure satisfaction client
+✅ Des avantages concurrentiels significatifs
+
+**Mais voici le problème...**
+
+La plupart des organisations restent attachées à des méthodes dépassées. Elles passent à côté d'opportunités considérables faute de s'être emparées de ${topic}.
+
+**La bonne nouvelle ?**
+
+Vous n'êtes pas obligé d'en faire partie. Nous avons conçu une méthode éprouvée qui rend la mise en œuvre simple et efficace.
+
+**Ce qui fait la différence :**
+• Un accompagnement étape par étape
+• Des résultats prouvés
+• Un suivi continu
+• Une garantie sans risque
+
+**Envie d'en savoir plus ?**
+
+Je serais ravi de vous montrer concrètement comment cela fonctionne. Seriez-vous disponible pour un court appel de 15 minutes cette semaine ?
+
+Répondez simplement à cet e-mail en indiquant le créneau qui vous convient, et je vous enverrai une invitation.
+
+Bien cordialement,
+[Votre nom]
+
+P.-S. Cette opportunité ne durera pas éternellement. Les entreprises qui agissent maintenant prendront une sérieuse longueur d'avance sur leurs concurrents.
+
+---
+*Rédigé avec AI Content Creator Pro*`,
+
+  custom: (topic, structure) => `# ${topic}
+
+${structure.map(section => `## ${section}
+Points clés sur ${topic} pour cette section.`).join('\n\n')}
+
+---
+*Généré avec AI Content Creator Pro*`
+};
@@ -0,0 +1,203 @@
+// German fallback templates (see english.js for the shape)
+module.exports = {
+  labels: {
+    summary: 'Zusammenfassung',
+    introduction: 'Einleitung',
+    conclusion: 'Fazit',
+    recommendations: 'Empfehlungen',
+    subject: 'Betreff',
+    greeting: 'Hallo',
+    signOff: 'Viele Grüße',
+    slide: 'Folie'
+  },
+
+  presentation: topic => `# ${topic}
+
+## 🎯 Folie 1: Einführung
+• Willkommen zum Thema ${topic}
+• Zentrale Ziele
+• Überblick über die Agenda
+
+## 📊 Folie 2: Ausgangslage
+• Marktanalyse und Trends
+• Herausforderungen und Chancen
+• Wichtige Kennzahlen und Erkenntnisse
+
+## 💡 Folie 3: Unser Ansatz
+• Innovative Lösung
+• Einzigartiges Nutzenversprechen
+• Wettbewerbsvorteile
+
+## 🚀 Folie 4: Umsetzung
+• Schritt-für-Schritt-Roadmap
+• Zeitplan und Meilensteine
+• Benötigte Ressourcen
+
+## 📈 Folie 5: Erwartete Ergebnisse
+• Prognostizierte Ergebnisse
+• Erfolgskennzahlen
+• ROI-Analyse
+
+## 🎯 Folie 6: Nächste Schritte
+• Sofortmaßnahmen
+• Langfristige Strategie
+• Handlungsaufforderung
+
+---
+*Erstellt mit AI Content Creator Pro*`,
+
+  document: topic => `# ${topic}
+
+## Zusammenfassung
+Dieses umfassende Dokument befasst sich mit dem Thema ${topic} und bietet detaillierte Analysen, Erkenntnisse und konkrete Empfehlungen für alle Beteiligten.
+
+## 1. Einleitung
+In einem sich rasant wandelnden Umfeld ist ${topic} für Organisationen, die Wettbewerbsvorteile und nachhaltiges Wachstum anstreben, immer wichtiger geworden.
+
+## 2. Hintergrundanalyse
+### Aktuelle Marktbedingungen
+• Branchentrends und Entwicklungen
+• Überblick über den Wettbewerb
+• Regulatorisches Umfeld
+
+### Zentrale Herausforderungen
+• Wesentliche Hindernisse und Hürden
+• Begrenzte Ressourcen
+• Technische Einschränkungen
+
+## 3. Strategischer Ansatz
+### Methodik
+Unser Ansatz zum Thema ${topic} verbindet bewährte Verfahren, innovative Lösungen und erprobte Frameworks.
+
+### Umsetzungsrahmen
+• Phase 1: Analyse und Planung
+• Phase 2: Entwicklung und Tests
+• Phase 3: Einführung und Optimierung
+
+## 4. Empfehlungen
+### Sofortmaßnahmen
+1. Umfassende Bestandsaufnahme durchführen
+2. Detaillierten Umsetzungsplan erstellen
+3. Benötigte Ressourcen sichern
+
+### Langfristige Strategie
+• Kontinuierliche Verbesserungsprozesse
+• Systeme zur Leistungsüberwachung
+• Planung der Skalierbarkeit
+
+## 5. Fazit
+Die erfolgreiche Umsetzung von ${topic} erfordert strategische Planung, dedizierte Ressourcen und ein dauerhaftes Engagement für Exzellenz.
+
+---
+*Erstellt mit AI Content Creator Pro*`,
+
+  social: (topic, topicTag) => `🚀 Bereit, deinen Ansatz für ${topic} neu zu denken? Das musst du wissen! 👇
+
+✨ Die Spielregeln ändern sich – wer sich anpasst, wird erfolgreich sein. ${topic} ist nicht nur ein Trend, sondern die Zukunft.
+
+🔥 Die wichtigsten Erkenntnisse:
+• Innovation treibt Erfolg
+• Vorreiter gewinnen
+• Handeln schlägt Perfektion
+
+💡 Profi-Tipp: Klein anfangen, groß denken, schnell handeln!
+
+👉 Welche Erfahrungen hast du mit ${topic} gemacht? Schreib es in die Kommentare!
+
+#Innovation #${topicTag} #Erfolg #Wachstum #Zukunft #Trends #Führung
+
+---
+*Erstellt mit AI Content Creator Pro*`,
+
+  blog: topic => `# Der ultimative Leitfaden zu ${topic}: Alles, was du wissen musst
+
+## Einleitung
+In unserer schnelllebigen Welt ist ein gutes Verständnis von ${topic} unverzichtbar für alle, die der Zeit einen Schritt voraus sein wollen. Dieser umfassende Leitfaden zeigt dir alles, was du wissen musst.
+
+## Warum ${topic} heute wichtiger ist denn je
+Die Landschaft verändert sich rasant, und ${topic} steht im Mittelpunkt dieses Wandels. Darum solltest du das Thema im Blick haben:
+
+• **Marktnachfrage**: Wachsendes Interesse und steigende Verbreitung
+• **Wettbewerbsvorteil**: Wer früh startet, profitiert deutlich
+• **Zukunftssicherheit**: Entscheidend für langfristigen Erfolg
+
+## Der Einstieg in ${topic}
+### Schritt 1: Die Grundlagen verstehen
+Bevor du tiefer einsteigst, solltest du die grundlegenden Konzepte und Prinzipien kennen.
+
+### Schritt 2: Die aktuelle Situation bewerten
+Finde heraus, wo du stehst, und erkenne Verbesserungspotenziale.
+
+### Schritt 3: Einen Aktionsplan erstellen
+Entwickle einen strategischen Ansatz, der zu deinen Anforderungen passt.
+
+## Best Practices und Profi-Tipps
+1. **Mit klaren Zielen beginnen**
+2. **Qualität vor Quantität**
+3. **Kontinuierlich messen und optimieren**
+4. **Über aktuelle Trends informiert bleiben**
+
+## Häufige Fehler, die du vermeiden solltest
+• Die Umsetzung überstürzen
+• Nutzerfeedback ignorieren
+• Den Ressourcenbedarf unterschätzen
+• Die Skalierbarkeit nicht einplanen
+
+## Fazit
+${topic} bietet eine große Chance für Wachstum und Innovation. Mit den Strategien aus diesem Leitfaden bist du bestens aufgestellt, um erfolgreich zu sein.
+
+**Bereit loszulegen?** Jetzt ist der richtige Zeitpunkt!
+
+---
+*Veröffentlicht mit AI Content Creator Pro*`,
+
+  email: topic => `Betreff: 🚀 Ihr neuer Ansatz für ${topic} (nur für kurze Zeit)
+
+Hallo [Name],
+
+ich hoffe, es geht Ihnen gut. Ich melde mich, weil Sie die neuesten Entwicklungen rund um ${topic} interessieren dürften.
+
+**Das passiert gerade:**
+
+Die Branche entwickelt sich rasant, und wer sich schnell anpasst, erzielt bemerkenswerte Ergebnisse. Unternehmen, die auf ${topic} setzen, berichten von:
+
+✅ 40 % mehr Effizienz
+✅ Höherer Kundenzufriedenheit
+✅ Deutlichen Wettbewerbsvorteilen
+
+**Doch genau hier liegt die Herausforderung ...**
+
+Die meisten Organisationen halten noch an veralteten Ansätzen fest. Sie verpassen große Chancen, weil sie ${topic} noch nicht für sich nutzen.
+
+**Die gute Nachricht?**
+
+Das muss bei Ihnen nicht so sein. Wir haben ein bewährtes Vorgehen entwickelt, mit dem die Umsetzung einfach und wirkungsvoll gelingt.
+
+**Was uns unterscheidet:**
+• Schritt-für-Schritt-Anleitung
+• Nachweisbare Ergebnisse
+• Laufende Unterstützung
+• Risikofreie Garantie
+
+**Möchten Sie mehr erfahren?**
+
+Gerne zeige ich Ihnen, wie das konkret funktioniert. Hätten Sie diese Woche Zeit für ein kurzes Gespräch von 15 Minuten?
+
+Antworten Sie einfach auf diese E-Mail mit Ihrem Wunschtermin, dann sende ich Ihnen eine Kalendereinladung.
+
+Viele Grüße
+[Ihr Name]
+
+PS: Dieses Angebot gilt nicht unbegrenzt. Unternehmen, die jetzt handeln, verschaffen sich einen deutlichen Vorsprung vor dem Wettbewerb.
+
+---
+*Verfasst mit AI Content Creator Pro*`,
+
+  custom: (topic, structure) => `# ${topic}
+
+${structure.map(section => `## ${section}
+Kernpunkte zu ${topic} für diesen Abschnitt.`).join('\n\n')}
+
+---
+*Erstellt mit AI Content Creator Pro*`
+};
@@ -0,0 +1,203 @@
+// Japanese fallback templates (see english.js for the shape)
+module.exports = {
+  labels: {
+    summary: 'エグゼクティブサマリー',
+    introduction: 'はじめに',
+    conclusion: 'まとめ',
+    recommendations: '提言',
+    subject: '件名',
+    greeting: 'こんにちは',
+    signOff: 'よろしくお願いいたします',
+    slide: 'スライド'
+  },
+
+  presentation: topic => `# ${topic}
+
+## 🎯 スライド 1：はじめに
+• ${topic}へようこそ
+• 主な目的と目標
+• アジェンダの概要
+
+## 📊 スライド 2：現状
+• 市場分析とトレンド
+• 課題と機会
+• 主要な統計と洞察
+
+## 💡 スライド 3：私たちのアプローチ
+• 革新的なソリューション
+• 独自の価値提案
+• 競争上の優位性
+
+## 🚀 スライド 4：実施計画
+• 段階的なロードマップ
+• スケジュールとマイルストーン
+• 必要なリソース
+
+## 📈 スライド 5：期待される成果
+• 見込まれる成果
+• 成功指標
+• ROI分析
+
+## 🎯 スライド 6：次のステップ
+• すぐに取り組むこと
+• 長期的な戦略
+• 行動の呼びかけ
+
+---
+*AI Content Creator Pro で生成*`,
+
+  document: topic => `# ${topic}
+
+## エグゼクティブサマリー
+本書では「${topic}」について包括的に検討し、関係者に向けて詳細な分析、洞察、実行可能な提言を示します。
+
+## 1. はじめに
+急速に変化する今日の環境において、「${topic}」は競争優位と持続的な成長を目指す組織にとってますます重要になっています。
+
+## 2. 背景分析
+### 現在の市場環境
+• 業界のトレンドと動向
+• 競合状況の概観
+• 規制環境
+
+### 主な課題
+• 主な障害と障壁
+• リソースの制約
+• 技術的な制限
+
+## 3. 戦略的アプローチ
+### 方法論
+「${topic}」に対する私たちのアプローチは、ベストプラクティス、革新的なソリューション、実績あるフレームワークを組み合わせたものです。
+
+### 実施フレームワーク
+• フェーズ 1：評価と計画
+• フェーズ 2：開発とテスト
+• フェーズ 3：展開と最適化
+
+## 4. 提言
+### 直ちに取り組むべき施策
+1. 包括的な現状評価を行う
+2. 詳細な実施計画を策定する
+3. 必要なリソースを確保する
+
+### 長期的な戦略
+• 継続的な改善プロセス
+• パフォーマンス監視の仕組み
+• 拡張性への備え
+
+## 5. まとめ
+「${topic}」を成功させるには、戦略的な計画、専任のリソース、そして卓越性への継続的な取り組みが欠かせません。
+
+---
+*AI Content Creator Pro で生成*`,
+
+  social: (topic, topicTag) => `🚀 「${topic}」への取り組み方を変える準備はできていますか？知っておくべきポイントはこちら！👇
+
+✨ ルールは変わりつつあり、適応できる人が成功します。「${topic}」は一時的な流行ではなく、未来そのものです。
+
+🔥 重要なポイント：
+• イノベーションが成功を生む
+• 先行者が大きな成果を得る
+• 完璧よりもまず行動
+
+💡 ヒント：小さく始めて、大きく考え、素早く動こう！
+
+👉 「${topic}」についてのあなたの経験は？ぜひコメントで教えてください！
+
+#イノベーション #${topicTag} #成功 #成長 #未来 #トレンド #リーダーシップ
+
+---
+*AI Content Creator Pro で作成*`,
+
+  blog: topic => `# ${topic}完全ガイド：知っておくべきすべてのこと
+
+## はじめに
+変化の激しい今の時代、一歩先を行くためには「${topic}」の理解が欠かせません。このガイドでは、知っておくべきことを余すところなく解説します。
+
+## 今こそ「${topic}」が重要な理由
+業界の状況は急速に変わりつつあり、「${topic}」はその変化の中心にあります。注目すべき理由は次のとおりです。
+
+• **市場の需要**：関心と導入が拡大中
+• **競争優位**：早く動いた企業ほど大きなメリット
+• **将来への備え**：長期的な成功に不可欠
+
+## 「${topic}」を始めるには
+### ステップ 1：基本を理解する
+本格的に取り組む前に、基本的な概念と原則を押さえておくことが大切です。
+
+### ステップ 2：現状を評価する
+自分の立ち位置を確認し、改善すべき点を見つけましょう。
+
+### ステップ 3：行動計画を立てる
+自分のニーズに合わせた戦略的なアプローチを考えましょう。
+
+## ベストプラクティスとヒント
+1. **明確な目標から始める**
+2. **量より質を重視する**
+3. **継続的に測定し改善する**
+4. **最新のトレンドを追い続ける**
+
+## 避けるべきよくある失敗
+• 導入を急ぎすぎる
+• ユーザーの声を無視する
+• 必要なリソースを過小評価する
+• 拡張性を考慮しない
+
+## まとめ
+「${topic}」は成長とイノベーションの大きなチャンスです。このガイドの戦略に沿って進めれば、成功への準備は万全です。
+
+**始める準備はできましたか？** 今こそ行動のときです！
+
+---
+*AI Content Creator Pro で公開*`,
+
+  email: topic => `件名：🚀 「${topic}」への取り組みを変えるチャンス（期間限定）
+
+こんにちは [お名前] 様
+
+いつもお世話になっております。「${topic}」に関する最新の動向にご関心をお持ちいただけると思い、ご連絡いたしました。
+
+**現在起きていること：**
+
+業界は急速に進化しており、いち早く適応した企業は目覚ましい成果を上げています。「${topic}」に取り組む企業からは、次のような報告が届いています。
+
+✅ 効率が 40% 向上
+✅ 顧客満足度の向上
+✅ 大きな競争優位
+
+**しかし、課題もあります……**
+
+多くの組織はいまだに従来のやり方から抜け出せていません。「${topic}」を取り入れていないために、大きな機会を逃しています。
+
+**朗報です。**
+
+御社がそうなる必要はありません。私たちは、導入をシンプルかつ効果的に進められる実績ある手法を開発しました。
+
+**私たちの特長：**
+• ステップごとのガイド
+• 実証済みの成果
+• 継続的なサポート
+• リスクのない保証
+
+**詳しく知りたいと思いませんか？**
+
+具体的な進め方をぜひご説明させてください。今週、15 分ほどお時間をいただけますでしょうか。
+
+ご都合のよい日時をこのメールにご返信いただければ、カレンダーの招待をお送りします。
+
+よろしくお願いいたします。
+[お名前]
+
+追伸：この機会はいつまでも続くわけではありません。今行動する企業が、競合に大きく差をつけることになります。
+
+---
+*AI Content Creator Pro で作成*`,
+
+  custom: (topic, structure) => `# ${topic}
+
+${structure.map(section => `## ${section}
+このセクションにおける「${topic}」の要点。`).join('\n\n')}
+
+---
+*AI Content Creator Pro で生成*`
+};
@@ -0,0 +1,203 @@
+// Portuguese (Brazilian) fallback templates (see english.js for the shape)
+module.exports = {
+  labels: {
+    summary: 'Resumo executivo',
+    introduction: 'Introdução',
+    conclusion: 'Conclusão',
+    recommendations: 'Recomendações',
+    subject: 'Assunto',
+    greeting: 'Olá',
+    signOff: 'Atenciosamente',
+    slide: 'Slide'
+  },
+
+  presentation: topic => `# ${topic}
+
+## 🎯 Slide 1: Introdução
+• Boas-vindas: ${topic}
+• Principais objetivos e metas
+• Visão geral da agenda
+
+## 📊 Slide 2: Situação atual
+• Análise e tendências de mercado
+• Desafios e oportunidades
+• Estatísticas e insights principais
+
+## 💡 Slide 3: Nossa abordagem
+• Solução inovadora
+• Proposta de valor única
+• Vantagens competitivas
+
+## 🚀 Slide 4: Implementação
+• Roteiro passo a passo
+• Cronograma e marcos
+• Recursos necessários
+
+## 📈 Slide 5: Resultados esperados
+• Resultados projetados
+• Métricas de sucesso
+• Análise de ROI
+
+## 🎯 Slide 6: Próximos passos
+• Ações imediatas
+• Estratégia de longo prazo
+• Chamada para ação
+
+---
+*Gerado com AI Content Creator Pro*`,
+
+  document: topic => `# ${topic}
+
+## Resumo executivo
+Este documento abrangente explora ${topic}, oferecendo análises detalhadas, insights e recomendações práticas para as partes interessadas.
+
+## 1. Introdução
+No cenário atual, em rápida transformação, ${topic} tornou-se cada vez mais importante para organizações que buscam vantagem competitiva e crescimento sustentável.
+
+## 2. Análise de contexto
+### Condições atuais do mercado
+• Tendências e novidades do setor
+• Panorama competitivo
+• Ambiente regulatório
+
+### Principais desafios
+• Principais obstáculos e barreiras
+• Restrições de recursos
+• Limitações técnicas
+
+## 3. Abordagem estratégica
+### Metodologia
+Nossa abordagem para ${topic} reúne boas práticas, soluções inovadoras e modelos comprovados.
+
+### Modelo de implementação
+• Fase 1: Avaliação e planejamento
+• Fase 2: Desenvolvimento e testes
+• Fase 3: Implantação e otimização
+
+## 4. Recomendações
+### Ações imediatas
+1. Realizar uma avaliação completa
+2. Elaborar um plano de implementação detalhado
+3. Garantir os recursos necessários
+
+### Estratégia de longo prazo
+• Processos de melhoria contínua
+• Sistemas de monitoramento de desempenho
+• Planejamento de escalabilidade
+
+## 5. Conclusão
+Implementar ${topic} com sucesso exige planejamento estratégico, recursos dedicados e compromisso contínuo com a excelência.
+
+---
+*Gerado com AI Content Creator Pro*`,
+
+  social: (topic, topicTag) => `🚀 Pronto para transformar sua abordagem sobre ${topic}? Veja o que você precisa saber! 👇
+
+✨ O jogo está mudando, e quem se adaptar vai prosperar. ${topic} não é apenas uma tendência: é o futuro.
+
+🔥 Principais insights:
+• Inovação impulsiona o sucesso
+• Quem sai na frente ganha mais
+• Ação vale mais que perfeição
+
+💡 Dica: comece pequeno, pense grande e aja rápido!
+
+👉 Qual é a sua experiência com ${topic}? Conte nos comentários!
+
+#Inovação #${topicTag} #Sucesso #Crescimento #Futuro #Tendências #Liderança
+
+---
+*Criado com AI Content Creator Pro*`,
+
+  blog: topic => `# O guia definitivo sobre ${topic}: tudo o que você precisa saber
+
+## Introdução
+Em um mundo cada vez mais acelerado, entender ${topic} tornou-se essencial para quem quer sair na frente. Este guia completo mostra tudo o que você precisa saber.
+
+## Por que ${topic} importa agora mais do que nunca
+O cenário está mudando rapidamente, e ${topic} está no centro dessa transformação. Veja por que vale a pena prestar atenção:
+
+• **Demanda de mercado**: interesse e adoção em crescimento
+• **Vantagem competitiva**: quem sai na frente colhe benefícios importantes
+• **Preparação para o futuro**: essencial para o sucesso de longo prazo
+
+## Primeiros passos com ${topic}
+### Passo 1: Entender o básico
+Antes de se aprofundar, é fundamental dominar os conceitos e princípios essenciais.
+
+### Passo 2: Avaliar sua situação atual
+Veja onde você está e identifique o que pode ser melhorado.
+
+### Passo 3: Criar seu plano de ação
+Desenvolva uma abordagem estratégica adequada às suas necessidades.
+
+## Boas práticas e dicas
+1. **Comece com objetivos claros**
+2. **Priorize qualidade em vez de quantidade**
+3. **Meça e otimize continuamente**
+4. **Acompanhe as últimas tendências**
+
+## Erros comuns a evitar
+• Apressar a implementação
+• Ignorar o feedback dos usuários
+• Subestimar os recursos necessários
+• Não planejar a escalabilidade
+
+## Conclusão
+${topic} representa uma grande oportunidade de crescimento e inovação. Seguindo as estratégias deste guia, você estará bem posicionado para ter sucesso.
+
+**Pronto para começar?** A hora de agir é agora!
+
+---
+*Publicado com AI Content Creator Pro*`,
+
+  email: topic => `Assunto: 🚀 Transforme sua abordagem sobre ${topic} (por tempo limitado)
+
+Olá [Nome],
+
+Espero que esteja tudo bem. Estou entrando em contato porque acredito que você vai se interessar pelas novidades sobre ${topic}.
+
+**Veja o que está acontecendo:**
+
+O setor está evoluindo rapidamente, e quem se adapta logo está alcançando resultados notáveis. Empresas que adotam estratégias de ${topic} relatam:
+
+✅ Eficiência 40% maior
+✅ Maior satisfação dos clientes
+✅ Vantagens competitivas significativas
+
+**Mas aqui está o desafio...**
+
+A maioria das organizações ainda está presa a abordagens ultrapassadas. Elas estão perdendo grandes oportunidades por ainda não terem adotado ${topic}.
+
+**A boa notícia?**
+
+Você não precisa ser uma delas. Desenvolvemos um método comprovado que torna a implementação simples e eficaz.
+
+**O que nos torna diferentes:**
+• Orientação passo a passo
+• Resultados comprovados
+• Suporte contínuo
+• Garantia sem riscos
+
+**Quer saber mais?**
+
+Adoraria mostrar exatamente como isso funciona. Você teria 15 minutos esta semana para uma conversa rápida?
+
+Basta responder a este e-mail com o horário de sua preferência, e eu envio um convite de agenda.
+
+Atenciosamente,
+[Seu nome]
+
+P.S.: Esta oportunidade não estará disponível para sempre. As empresas que agirem agora terão uma vantagem considerável sobre a concorrência.
+
+---
+*Redigido com AI Content Creator Pro*`,
+
+  custom: (topic, structure) => `# ${topic}
+
+${structure.map(section => `## ${section}
+Pontos-chave sobre ${topic} para esta seção.`).join('\n\n')}
+
+---
+*Gerado com AI Content Creator Pro*`
+};
@@ -0,0 +1,203 @@
+// Spanish fallback templates (see english.js for the shape)
+module.exports = {
+  labels: {
+    summary: 'Resumen ejecutivo',
+    introduction: 'Introducción',
+    conclusion: 'Conclusión',
+    recommendations: 'Recomendaciones',
+    subject: 'Asunto',
+    greeting: 'Hola',
+    signOff: 'Saludos cordiales',
+    slide: 'Diapositiva'
+  },
+
+  presentation: topic => `# ${topic}
+
+## 🎯 Diapositiva 1: Introducción
+• Bienvenida a ${topic}
+• Objetivos y metas clave
+• Resumen de la agenda
+
+## 📊 Diapositiva 2: Situación actual
+• Análisis y tendencias del mercado
+• Retos y oportunidades
+• Estadísticas y datos clave
+
+## 💡 Diapositiva 3: Nuestro enfoque
+• Solución innovadora
+• Propuesta de valor única
+• Ventajas competitivas
+
+## 🚀 Diapositiva 4: Implementación
+• Hoja de ruta paso a paso
+• Cronograma e hitos
+• Recursos necesarios
+
+## 📈 Diapositiva 5: Resultados esperados
+• Resultados proyectados
+• Métricas de éxito
+• Análisis del retorno de la inversión
+
+## 🎯 Diapositiva 6: Próximos pasos
+• Acciones inmediatas
+• Estrategia a largo plazo
+• Llamada a la acción
+
+---
+*Generado con AI Content Creator Pro*`,
+
+  document: topic => `# ${topic}
+
+## Resumen ejecutivo
+Este documento analiza en profundidad ${topic} y ofrece análisis detallados, ideas y recomendaciones prácticas para las partes interesadas.
+
+## 1. Introducción
+En el entorno actual, que evoluciona con rapidez, ${topic} se ha vuelto cada vez más importante para las organizaciones que buscan una ventaja competitiva y un crecimiento sostenible.
+
+## 2. Análisis del contexto
+### Condiciones actuales del mercado
+• Tendencias y novedades del sector
+• Panorama competitivo
+• Marco regulatorio
+
+### Retos principales
+• Obstáculos y barreras principales
+• Limitaciones de recursos
+• Limitaciones técnicas
+
+## 3. Enfoque estratégico
+### Metodología
+Nuestro enfoque de ${topic} incorpora buenas prácticas, soluciones innovadoras y marcos de trabajo probados.
+
+### Marco de implementación
+• Fase 1: Evaluación y planificación
+• Fase 2: Desarrollo y pruebas
+• Fase 3: Despliegue y optimización
+
+## 4. Recomendaciones
+### Acciones inmediatas
+1. Realizar una evaluación completa
+2. Elaborar un plan de implementación detallado
+3. Asegurar los recursos necesarios
+
+### Estrategia a largo plazo
+• Procesos de mejora continua
+• Sistemas de seguimiento del rendimiento
+• Previsión de la escalabilidad
+
+## 5. Conclusión
+Implementar con éxito ${topic} requiere planificación estratégica, recursos dedicados y un compromiso constante con la excelencia.
+
+---
+*Generado con AI Content Creator Pro*`,
+
+  social: (topic, topicTag) => `🚀 ¿Listo para transformar tu enfoque sobre ${topic}? ¡Esto es lo que necesitas saber! 👇
+
+✨ Las reglas del juego están cambiando y quienes se adapten prosperarán. ${topic} no es solo una tendencia: es el futuro.
+
+🔥 Ideas clave:
+• La innovación impulsa el éxito
+• Los pioneros ganan a lo grande
+• La acción vence a la perfección
+
+💡 Consejo: ¡empieza con poco, piensa en grande y muévete rápido!
+
+👉 ¿Cuál es tu experiencia con ${topic}? ¡Cuéntanoslo en los comentarios!
+
+#Innovación #${topicTag} #Éxito #Crecimiento #Futuro #Tendencias #Liderazgo
+
+---
+*Creado con AI Content Creator Pro*`,
+
+  blog: topic => `# La guía definitiva sobre ${topic}: todo lo que necesitas saber
+
+## Introducción
+En un mundo que avanza a toda velocidad, entender ${topic} se ha vuelto imprescindible para quien quiera ir un paso por delante. Esta guía completa te explica todo lo que necesitas saber.
+
+## Por qué ${topic} importa hoy más que nunca
+El panorama cambia con rapidez y ${topic} está en el centro de esta transformación. Estas son las razones para tenerlo en cuenta:
+
+• **Demanda del mercado**: interés y adopción en aumento
+• **Ventaja competitiva**: quienes se adelantan obtienen beneficios importantes
+• **Preparación para el futuro**: clave para el éxito a largo plazo
+
+## Primeros pasos con ${topic}
+### Paso 1: Entender los conceptos básicos
+Antes de profundizar, es fundamental comprender los conceptos y principios esenciales.
+
+### Paso 2: Evaluar tu situación actual
+Analiza en qué punto te encuentras e identifica qué puedes mejorar.
+
+### Paso 3: Crear tu plan de acción
+Diseña un enfoque estratégico adaptado a tus necesidades concretas.
+
+## Buenas prácticas y consejos
+1. **Empieza con objetivos claros**
+2. **Prioriza la calidad sobre la cantidad**
+3. **Mide y optimiza de forma continua**
+4. **Mantente al día de las últimas tendencias**
+
+## Errores comunes que debes evitar
+• Precipitarse en la implementación
+• Ignorar las opiniones de los usuarios
+• Subestimar los recursos necesarios
+• No planificar la escalabilidad
+
+## Conclusión
+${topic} representa una gran oportunidad de crecimiento e innovación. Si sigues las estrategias de esta guía, estarás en una posición excelente para tener éxito.
+
+**¿Listo para empezar?** ¡El momento de actuar es ahora!
+
+---
+*Publicado con AI Content Creator Pro*`,
+
+  email: topic => `Asunto: 🚀 Transforma tu enfoque sobre ${topic} (por tiempo limitado)
+
+Hola [Nombre]:
+
+Espero que te encuentres muy bien. Te escribo porque creo que te interesarán las últimas novedades sobre ${topic}.
+
+**Esto es lo que está pasando:**
+
+El sector evoluciona con rapidez y quienes se adaptan pronto están obteniendo resultados notables. Las empresas que aplican estrategias de ${topic} informan de:
+
+✅ Un 40 % más de eficiencia
+✅ Mayor satisfacción de los clientes
+✅ Ventajas competitivas importantes
+
+**Pero aquí está el reto...**
+
+La mayoría de las organizaciones siguen atrapadas en enfoques obsoletos. Están dejando pasar grandes oportunidades porque aún no han apostado por ${topic}.
+
+**¿La buena noticia?**
+
+No tienes por qué ser una de ellas. Hemos desarrollado un método probado que hace que implementar ${topic} sea sencillo y eficaz.
+
+**Qué lo hace diferente:**
+• Guía paso a paso
+• Resultados demostrados
+• Acompañamiento continuo
+• Garantía sin riesgos
+
+**¿Quieres saber más?**
+
+Me encantaría mostrarte cómo funciona. ¿Tienes disponibles 15 minutos esta semana para una breve llamada?
+
+Responde a este correo con el horario que prefieras y te enviaré un enlace de calendario.
+
+Saludos cordiales,
+[Tu nombre]
+
+P. D.: Esta oportunidad no estará disponible para siempre. Las empresas que actúen ahora tendrán una ventaja considerable sobre su competencia.
+
+---
+*Redactado con AI Content Creator Pro*`,
+
+  custom: (topic, structure) => `# ${topic}
+
+${structure.map(section => `## ${section}
+Puntos clave sobre ${topic} para esta sección.`).join('\n\n')}
+
+---
+*Generado con AI Content Creator Pro*`
+};
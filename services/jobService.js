@@ -0,0 +1,175 @@
+const crypto = require('crypto');
+const storage = require('../storage');
+const aiService = require('./aiService');
+const usageService = require('./usageService');
+const planService = require('./planService');
+const contentTypeService = require('./contentTypeService');
+const brandVoiceService = require('./brandVoiceService');
+const { createQueue } = require('./jobs');
+const { deliverWebhook, generateSecret } = require('../utils/webhooks');
+
+// Asynchronous batch generation. A job record is persisted up front and its items are
+// pushed through the queue; every status change is written back so GET /jobs/:id can poll.
+class JobService {
+  constructor() {
+    this.queue = createQueue();
+  }
+
+  // `reservation` is the request's quota reservation (see usageService.reserve); the job takes
+  // over what is left of it, and releases what its items don't use once they have all run
+  async submitBatch(user, requests, { webhookUrl, reservation } = {}) {
+    const now = new Date().toISOString();
+    const job = await storage.jobs.create({
+      id: crypto.randomUUID(),
+      ownerId: user.id,
+      type: 'batch',
+      status: 'queued',
+      items: requests.map((request, index) => ({
+        index,
+        status: 'queued',
+        request
+      })),
+      webhookUrl: webhookUrl || null,
+      // Each job signs with its own key, so one receiver's secret can't verify another's events
+      webhookSecret: webhookUrl ? generateSecret() : null,
+      createdAt: now,
+      updatedAt: now
+    });
+
+    // Runs in the background; the caller only gets the job ID
+    this.process(job, user, reservation && usageService.transfer(reservation)).catch(error => {
+      console.error(`Job ${job.id} failed:`, error);
+    });
+
+    return job;
+  }
+
+  async getJob(id) {
+    return storage.jobs.findById(id);
+  }
+
+  async process(job, user, reservation = null) {
+    await Promise.all(job.items.map(item => this.queue.add(() => this.processItem(job, item, user, reservation))));
+    await usageService.release(reservation);
+
+    job.status = job.items.every(item => item.status === 'failed') ? 'failed' : 'completed';
+    job.completedAt = new Date().toISOString();
+    await this.persist(job);
+
+    if (job.webhookUrl) {
+      job.webhook = await deliverWebhook(job.webhookUrl, `job.${job.status}`, this.summarize(job), { secret: job.webhookSecret });
+      await this.persist(job);
+    }
+  }
+
+  async processItem(job, item, user, reservation) {
+    job.status = 'running';
+    item.status = 'running';
+    item.startedAt = new Date().toISOString();
+    await this.persist(job);
+
+    try {
+      const resolved = await contentTypeService.resolve(user, item.request.contentType);
+      if (!resolved) {
+        throw new Error(`Content type "${item.request.contentType}" is no longer available`);
+      }
+
+      const { brandVoiceId } = item.request;
+      const brandVoice = brandVoiceId ? await brandVoiceService.findVisible(user, brandVoiceId) : null;
+      if (brandVoiceId && !brandVoice) {
+        throw new Error(`Brand voice "${brandVoiceId}" is no longer available`);
+      }
+
+      const options = {
+        ...item.request,
+        allowedProviders: planService.getAllowedProviders(user),
+        customType: resolved.customType,
+        brandVoice,
+        userId: user.id
+      };
+      const { content, structured, generation, social } = item.request.format === 'structured'
+        ? await aiService.generateStructuredContent(options)
+        : await aiService.generateContent(options);
+      await usageService.recordGeneration(user, generation, item.request.prompt, content, reservation);
+
+      item.status = 'succeeded';
+      item.content = content;
+      item.fallback = generation.fallback;
+      item.generation = generation;
+      if (structured) {
+        item.structured = structured;
+      }
+      if (social) {
+        item.posts = social.posts;
+        item.platform = social.report;
+      }
+      if (brandVoice) {
+        item.brandVoice = brandVoiceService.check(brandVoice, content, { language: item.request.language });
+      }
+    } catch (error) {
+      item.status = 'failed';
+      item.error = error.message;
+    }
+
+    item.completedAt = new Date().toISOString();
+    await this.persist(job);
+  }
+
+  // Writes the in-memory job as a whole snapshot, so concurrent items never lose updates
+  persist(job) {
+    return storage.jobs.update(job.id, {
+      status: job.status,
+      items: job.items,
+      completedAt: job.completedAt,
+      webhook: job.webhook
+    });
+  }
+
+  // In-process work is lost on restart; fail whatever was still pending so clients stop polling
+  async recoverInterrupted() {
+    const jobs = await storage.jobs.findUnfinished();
+
+    for (const job of jobs) {
+      job.items.forEach(item => {
+        if (item.status === 'queued' || item.status === 'running') {
+          item.status = 'failed';
+          item.error = 'Interrupted by server restart';
+        }
+      });
+      job.status = job.items.every(item => item.status === 'failed') ? 'failed' : 'completed';
+      job.completedAt = new Date().toISOString();
+      await this.persist(job);
+    }
+
+    return jobs.length;
+  }
+
+  // Client-facing view of a job
+  summarize(job) {
+    const count = status => job.items.filter(item => item.status === status).length;
+
+    return {
+      id: job.id,
+      type: job.type,
+      status: job.status,
+      progress: {
+        total: job.items.length,
+        queued: count('queued'),
+        running: count('running'),
+        succeeded: count('succeeded'),
+        failed: count('failed')
+      },
+      items: job.items,
+      webhook: job.webhook || null,
+      createdAt: job.createdAt,
+      updatedAt: job.updatedAt,
+      completedAt: job.completedAt || null
+    };
+  }
+
+  getStats() {
+    return this.queue.getStats();
+  }
+}
+
+module.exports = new JobService();
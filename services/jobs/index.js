@@ -0,0 +1,20 @@
+const LocalQueue = require('./localQueue');
+
+// Queue backend selection. Only the in-process backend ships today; a shared
+// backend (e.g. Redis) can be added here behind the same add()/getStats() surface.
+function createQueue({
+  backend = process.env.JOB_QUEUE_BACKEND || 'local',
+  concurrency = parseInt(process.env.JOB_CONCURRENCY, 10) || 2
+} = {}) {
+  switch (backend) {
+    case 'local':
+      return new LocalQueue({ concurrency });
+
+    default:
+      throw new Error(`Unknown job queue backend "${backend}". Available backends: local`);
+  }
+}
+
+module.exports = {
+  createQueue
+};
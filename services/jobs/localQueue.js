@@ -0,0 +1,47 @@
+// In-process task queue with bounded concurrency. Tasks are async functions;
+// at most `concurrency` run at once and the rest wait in FIFO order.
+// This is the default job backend: it needs no infrastructure, but queued
+// work does not survive a restart (see JobService.recoverInterrupted).
+class LocalQueue {
+  constructor({ concurrency = 2 } = {}) {
+    this.concurrency = concurrency;
+    this.pending = [];
+    this.running = 0;
+    this.processed = 0;
+  }
+
+  add(task) {
+    return new Promise((resolve, reject) => {
+      this.pending.push({ task, resolve, reject });
+      this.next();
+    });
+  }
+
+  next() {
+    while (this.running < this.concurrency && this.pending.length > 0) {
+      const { task, resolve, reject } = this.pending.shift();
+      this.running++;
+
+      Promise.resolve()
+        .then(task)
+        .then(resolve, reject)
+        .finally(() => {
+          this.running--;
+          this.processed++;
+          this.next();
+        });
+    }
+  }
+
+  getStats() {
+    return {
+      backend: 'local',
+      concurrency: this.concurrency,
+      running: this.running,
+      pending: this.pending.length,
+      processed: this.processed
+    };
+  }
+}
+
+module.exports = LocalQueue;
@@ -0,0 +1,141 @@
+const rateLimit = require('express-rate-limit');
+const plans = require('../config/plans');
+const builtInContentTypes = require('../config/contentTypes');
+const { PlanRestrictionError } = require('../utils/errors');
+
+class PlanService {
+  constructor() {
+    this.plans = plans;
+
+    // Absolute bounds across all plans, for request validators
+    this.maxPromptLength = Math.max(...Object.values(plans).map(p => p.maxPromptLength));
+    this.maxBatchSize = Math.max(...Object.values(plans).map(p => p.maxBatchSize));
+
+    // One limiter per plan, keyed by user rather than IP
+    this.limiters = Object.fromEntries(Object.entries(plans).map(([planId, plan]) => [
+      planId,
+      rateLimit({
+        windowMs: plan.rateLimit.windowMs,
+        max: plan.rateLimit.max,
+        keyGenerator: (req) => req.user.id,
+        standardHeaders: true,
+        legacyHeaders: false,
+        message: {
+          success: false,
+          error: `AI generation rate limit exceeded for the ${plan.name} plan. Please wait before making another request.`,
+          retryAfter: `${Math.ceil(plan.rateLimit.windowMs / 1000)} seconds`
+        }
+      })
+    ]));
+  }
+
+  // Unknown or missing plans get the most restrictive tier
+  getPlan(planId) {
+    return { id: plans[planId] ? planId : 'demo', ...(plans[planId] || plans.demo) };
+  }
+
+  getPlanForUser(user) {
+    return this.getPlan(user && user.plan);
+  }
+
+  // Express middleware: per-user rate limit for the caller's plan (requires req.user)
+  rateLimiter() {
+    return (req, res, next) => this.limiters[this.getPlanForUser(req.user).id](req, res, next);
+  }
+
+  // Provider names the user's generations may use, or undefined for all of them
+  getAllowedProviders(user) {
+    const plan = this.getPlanForUser(user);
+    return plan.providers.includes('*') ? undefined : plan.providers;
+  }
+
+  // Throws PlanRestrictionError when a generation request is outside the plan
+  // Malformed fields are skipped here; request validators report those.
+  assertGenerationAllowed(user, { prompt, contentType } = {}) {
+    const plan = this.getPlanForUser(user);
+
+    // Custom (user-defined) types are resolved by the request validators; the plan only
+    // decides whether they can be used at all
+    if (typeof contentType === 'string' && !builtInContentTypes[contentType]) {
+      if (plan.customContentTypes === 0) {
+        throw new PlanRestrictionError(`Custom content types are not available on the ${plan.name} plan`, {
+          plan: plan.id,
+          allowed: plan.contentTypes
+        });
+      }
+    } else if (typeof contentType === 'string' && !plan.contentTypes.includes(contentType)) {
+      throw new PlanRestrictionError(`Content type "${contentType}" is not available on the ${plan.name} plan`, {
+        plan: plan.id,
+        allowed: plan.contentTypes
+      });
+    }
+
+    if (typeof prompt === 'string' && prompt.length > plan.maxPromptLength) {
+      throw new PlanRestrictionError(`Prompt exceeds the ${plan.maxPromptLength} character limit of the ${plan.name} plan`, {
+        plan: plan.id,
+        limit: plan.maxPromptLength
+      });
+    }
+  }
+
+  assertBatchAllowed(user, requests) {
+    if (!Array.isArray(requests)) {
+      return;
+    }
+
+    const plan = this.getPlanForUser(user);
+
+    if (requests.length > plan.maxBatchSize) {
+      throw new PlanRestrictionError(`Batch size exceeds the ${plan.maxBatchSize} item limit of the ${plan.name} plan`, {
+        plan: plan.id,
+        limit: plan.maxBatchSize
+      });
+    }
+
+    requests.forEach(request => this.assertGenerationAllowed(user, request));
+  }
+
+  // `limit` is a per-user allowance such as 'customContentTypes'; `count` is what they already have
+  assertWithinLimit(user, limit, count, label) {
+    const plan = this.getPlanForUser(user);
+
+    if (count >= plan[limit]) {
+      throw new PlanRestrictionError(
+        plan[limit] === 0
+          ? `${label} are not available on the ${plan.name} plan`
+          : `The ${plan.name} plan allows up to ${plan[limit]} ${label.toLowerCase()}`,
+        { plan: plan.id, limit: plan[limit] }
+      );
+    }
+  }
+
+  assertExportAllowed(user, format) {
+    const plan = this.getPlanForUser(user);
+
+    if (!plan.exportFormats.includes(format)) {
+      throw new PlanRestrictionError(`Export format "${format}" is not available on the ${plan.name} plan`, {
+        plan: plan.id,
+        allowed: plan.exportFormats
+      });
+    }
+  }
+
+  // Public view of a plan's limits, for clients
+  describe(plan) {
+    return {
+      id: plan.id,
+      name: plan.name,
+      rateLimit: plan.rateLimit,
+      monthlyQuota: plan.monthlyQuota,
+      maxPromptLength: plan.maxPromptLength,
+      maxBatchSize: plan.maxBatchSize,
+      contentTypes: plan.contentTypes,
+      customContentTypes: plan.customContentTypes,
+      promptTemplates: plan.promptTemplates,
+      brandVoices: plan.brandVoices,
+      exportFormats: plan.exportFormats
+    };
+  }
+}
+
+module.exports = new PlanService();
@@ -0,0 +1,222 @@
+const crypto = require('crypto');
+const storage = require('../storage');
+const planService = require('./planService');
+const builtInTemplates = require('../config/promptTemplates');
+const { InvalidTemplateError } = require('../utils/errors');
+
+const PLACEHOLDER = /\{\{\s*([A-Za-z][A-Za-z0-9_]*)\s*\}\}/g;
+const VARIABLE_TYPES = ['text', 'number', 'enum', 'list'];
+const VARIABLE_FIELDS = ['name', 'label', 'description', 'type', 'required', 'default', 'options', 'min', 'max', 'maxLength', 'maxItems'];
+const DEFAULT_MAX_LENGTH = 500;
+const DEFAULT_MAX_ITEMS = 20;
+
+// Values are inlined into the prompt: drop control characters, fold line breaks so a value
+// can't start new instructions, and break up braces so it can't form a placeholder
+function sanitize(text) {
+  return String(text)
+    .replace(/[\u0000-\u001f\u007f]+/g, ' ')
+    .replace(/\{\{|\}\}/g, match => match.split('').join(' '))
+    .replace(/\s+/g, ' ')
+    .trim();
+}
+
+// Stored declarations keep only the known fields, with the type spelled out
+function normalizeVariables(variables) {
+  return variables.map(variable => ({
+    type: 'text',
+    ...Object.fromEntries(VARIABLE_FIELDS.filter(field => variable[field] !== undefined).map(field => [field, variable[field]]))
+  }));
+}
+
+function placeholders(prompt) {
+  return new Set(Array.from(prompt.matchAll(PLACEHOLDER), match => match[1]));
+}
+
+// -> { value } or { error } for one supplied variable value
+function coerce(variable, raw) {
+  switch (variable.type) {
+    case 'number': {
+      const value = typeof raw === 'string' && raw.trim() !== '' ? Number(raw) : raw;
+      if (typeof value !== 'number' || !Number.isFinite(value)) return { error: 'must be a number' };
+      if (variable.min !== undefined && value < variable.min) return { error: `must be at least ${variable.min}` };
+      if (variable.max !== undefined && value > variable.max) return { error: `must be at most ${variable.max}` };
+      return { value: String(value) };
+    }
+
+    case 'enum':
+      return variable.options.includes(raw) ? { value: sanitize(raw) } : { error: `must be one of: ${variable.options.join(', ')}` };
+
+    case 'list': {
+      const items = (Array.isArray(raw) ? raw : typeof raw === 'string' ? raw.split(',') : null);
+      if (!items || items.some(item => typeof item !== 'string' && typeof item !== 'number')) {
+        return { error: 'must be a list of strings' };
+      }
+      const values = items.map(sanitize).filter(Boolean);
+      const maxItems = variable.maxItems || DEFAULT_MAX_ITEMS;
+      if (values.length > maxItems) return { error: `must have at most ${maxItems} items` };
+      return { value: values.join(', ') };
+    }
+
+    default: {
+      if (typeof raw !== 'string' && typeof raw !== 'number') return { error: 'must be a string' };
+      const value = sanitize(raw);
+      const maxLength = variable.maxLength || DEFAULT_MAX_LENGTH;
+      if (value.length > maxLength) return { error: `must be at most ${maxLength} characters` };
+      return { value };
+    }
+  }
+}
+
+// Prompt templates with typed {{variables}}: the built-ins from config/promptTemplates.js
+// plus user-defined ones, private to their owner unless shared with visibility 'public'.
+class PromptTemplateService {
+  findBuiltIn(id) {
+    return builtInTemplates.find(template => String(template.id) === String(id)) || null;
+  }
+
+  describe(template) {
+    const builtIn = Boolean(this.findBuiltIn(template.id));
+    return {
+      id: template.id,
+      name: template.name,
+      category: template.contentType,
+      contentType: template.contentType,
+      description: template.description,
+      prompt: template.prompt,
+      variables: template.variables,
+      tags: template.tags,
+      builtIn,
+      ...(!builtIn && {
+        visibility: template.visibility,
+        ownerId: template.ownerId,
+        createdAt: template.createdAt,
+        updatedAt: template.updatedAt
+      })
+    };
+  }
+
+  // Built-in templates, then the caller's own and shared ones (built-ins only when anonymous)
+  async list(user) {
+    const custom = user ? await storage.promptTemplates.listVisible(user.id) : [];
+    return builtInTemplates.concat(custom).map(template => this.describe(template));
+  }
+
+  async findVisible(user, id) {
+    const builtIn = this.findBuiltIn(id);
+    if (builtIn) {
+      return builtIn;
+    }
+
+    const template = await storage.promptTemplates.findById(String(id));
+    if (!template || (template.ownerId !== (user && user.id) && template.visibility !== 'public')) {
+      return null;
+    }
+    return template;
+  }
+
+  // Placeholders and declared variables must match one to one, and each declaration must
+  // be usable (enum options, number bounds, a default that passes its own checks)
+  validateDefinition({ prompt, variables }) {
+    const errors = [];
+    const used = placeholders(prompt);
+    const declared = new Set();
+
+    variables.forEach((variable, index) => {
+      const at = message => errors.push({ variable: variable.name || `#${index}`, message });
+
+      if (declared.has(variable.name)) at('is declared more than once');
+      declared.add(variable.name);
+
+      if (!used.has(variable.name)) at(`is not used in the prompt (add {{${variable.name}}})`);
+      if (!VARIABLE_TYPES.includes(variable.type)) at(`has unknown type "${variable.type}"`);
+      if (variable.type === 'enum' && (!Array.isArray(variable.options) || variable.options.length === 0)) {
+        at('needs a non-empty options list');
+        return;
+      }
+      if (variable.type === 'number' && variable.min !== undefined && variable.max !== undefined && variable.min > variable.max) {
+        at('has min greater than max');
+      }
+      if (variable.default !== undefined) {
+        const { error } = coerce(variable, variable.default);
+        if (error) at(`default ${error}`);
+      }
+    });
+
+    for (const name of used) {
+      if (!declared.has(name)) errors.push({ variable: name, message: 'is used in the prompt but not declared' });
+    }
+
+    if (errors.length > 0) {
+      throw new InvalidTemplateError('Template definition is invalid', errors);
+    }
+  }
+
+  // Fill the template's placeholders in a single pass, so substituted values are never
+  // expanded again. Throws InvalidTemplateError listing every bad or missing variable.
+  render(template, values = {}) {
+    const errors = [];
+    const resolved = {};
+
+    for (const variable of template.variables) {
+      const supplied = values[variable.name];
+      const missing = supplied === undefined || supplied === null || supplied === '';
+
+      if (missing && variable.default === undefined) {
+        if (variable.required !== false) errors.push({ variable: variable.name, message: 'is required' });
+        resolved[variable.name] = '';
+        continue;
+      }
+
+      const { value, error } = coerce(variable, missing ? variable.default : supplied);
+      if (error) errors.push({ variable: variable.name, message: error });
+      resolved[variable.name] = value;
+    }
+
+    const unknown = Object.keys(values).filter(name => !template.variables.some(variable => variable.name === name));
+    unknown.forEach(name => errors.push({ variable: name, message: 'is not a variable of this template' }));
+
+    if (errors.length > 0) {
+      throw new InvalidTemplateError('Template variables are invalid', errors);
+    }
+
+    return template.prompt
+      .replace(PLACEHOLDER, (match, name) => resolved[name])
+      .replace(/[ \t]{2,}/g, ' ')
+      .trim();
+  }
+
+  async create(user, { name, description = '', contentType, prompt, variables = [], tags = [], visibility = 'private' }) {
+    planService.assertWithinLimit(user, 'promptTemplates', await storage.promptTemplates.countByOwner(user.id), 'Prompt templates');
+    variables = normalizeVariables(variables);
+    this.validateDefinition({ prompt, variables });
+
+    const now = new Date().toISOString();
+    return storage.promptTemplates.create({
+      id: crypto.randomUUID(),
+      ownerId: user.id,
+      name,
+      description,
+      contentType,
+      prompt,
+      variables,
+      tags,
+      visibility,
+      createdAt: now,
+      updatedAt: now
+    });
+  }
+
+  async update(template, changes) {
+    if (changes.variables) {
+      changes = { ...changes, variables: normalizeVariables(changes.variables) };
+    }
+    this.validateDefinition({ ...template, ...changes });
+    return storage.promptTemplates.update(template.id, changes);
+  }
+
+  async remove(template) {
+    return storage.promptTemplates.delete(template.id);
+  }
+}
+
+module.exports = new PromptTemplateService();
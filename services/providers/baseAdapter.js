@@ -0,0 +1,138 @@
+const axios = require('axios');
+
+// Request policy defaults; each provider entry may override them
+const DEFAULTS = {
+  timeout: parseInt(process.env.AI_PROVIDER_TIMEOUT_MS, 10) || 30000,
+  retries: parseInt(process.env.AI_PROVIDER_RETRIES, 10) || 2,
+  retryBaseMs: parseInt(process.env.AI_RETRY_BASE_MS, 10) || 500,
+  retryMaxMs: parseInt(process.env.AI_RETRY_MAX_MS, 10) || 8000
+};
+
+const RETRYABLE_STATUS = [408, 429, 500, 502, 503, 504];
+const RETRYABLE_CODES = ['ECONNRESET', 'EAI_AGAIN', 'EPIPE'];
+
+// Base class for AI provider adapters.
+// An adapter wraps one configured provider entry and knows how to build requests
+// for it, parse its responses and (optionally) its streaming output.
+class BaseAdapter {
+  constructor(config) {
+    this.name = config.name;
+    this.type = config.type;
+    this.url = config.url;
+    this.model = config.model;
+    this.headers = config.headers || {};
+    this.enabled = config.enabled !== false;
+    this.healthUrl = config.healthUrl;
+    this.options = config.options || {};
+    this.breakerOptions = config.breaker || {};
+
+    this.timeout = config.timeout || DEFAULTS.timeout;
+    this.retries = config.retries !== undefined ? config.retries : DEFAULTS.retries;
+    this.retryBaseMs = config.retryBaseMs || DEFAULTS.retryBaseMs;
+    this.retryMaxMs = config.retryMaxMs || DEFAULTS.retryMaxMs;
+
+    if (!this.url) {
+      throw new Error(`AI provider "${this.name}" is missing a url`);
+    }
+  }
+
+  // Whether this provider can relay output incrementally
+  get supportsStreaming() {
+    return false;
+  }
+
+  // Returns { url, data, headers } for a single (non-streaming) completion.
+  // `input` is { prompt, messages } as built by AIService.buildProviderInput.
+  buildRequest(input) {
+    throw new Error(`${this.type} adapter does not implement buildRequest`);
+  }
+
+  // Extracts the generated text from a response body
+  parseResponse(data) {
+    return data.content || data.text || JSON.stringify(data);
+  }
+
+  // Returns { url, data, headers } for a streaming completion
+  buildStreamRequest(input) {
+    throw new Error(`${this.type} adapter does not support streaming`);
+  }
+
+  // Parses one line of a streamed response into { text, done }, or null to skip it
+  parseStreamLine(line) {
+    return null;
+  }
+
+  // Transient failures worth another attempt: throttling, gateway errors, dropped connections
+  isRetryable(error) {
+    if (error.response) {
+      return RETRYABLE_STATUS.includes(error.response.status);
+    }
+    return RETRYABLE_CODES.includes(error.code);
+  }
+
+  // Server-provided wait in ms (Retry-After as seconds or an HTTP date), or null
+  getRetryAfter(error) {
+    const header = error.response?.headers?.['retry-after'];
+    if (!header) {
+      return null;
+    }
+
+    const seconds = Number(header);
+    if (!Number.isNaN(seconds)) {
+      return Math.max(0, seconds * 1000);
+    }
+
+    const date = Date.parse(header);
+    return Number.isNaN(date) ? null : Math.max(0, date - Date.now());
+  }
+
+  // Delay before retry number `attempt` (0-based): the server's hint if it gave one,
+  // otherwise exponential backoff with jitter in [backoff / 2, backoff]
+  getRetryDelay(error, attempt) {
+    const hint = this.getRetryAfter(error);
+    if (hint !== null) {
+      return hint;
+    }
+
+    const backoff = Math.min(this.retryMaxMs, this.retryBaseMs * 2 ** attempt);
+    return Math.round(backoff / 2 + Math.random() * (backoff / 2));
+  }
+
+  // Lightweight reachability probe. Any response below 500 counts as healthy.
+  async healthCheck() {
+    const startTime = Date.now();
+    try {
+      const response = await axios.get(this.healthUrl || this.url, {
+        headers: this.headers,
+        timeout: 5000,
+        validateStatus: () => true
+      });
+      return {
+        healthy: response.status < 500,
+        status: response.status,
+        latency: Date.now() - startTime
+      };
+    } catch (error) {
+      return {
+        healthy: false,
+        error: error.message,
+        latency: Date.now() - startTime
+      };
+    }
+  }
+
+  describe() {
+    return {
+      name: this.name,
+      type: this.type,
+      enabled: this.enabled,
+      url: this.url,
+      model: this.model,
+      streaming: this.supportsStreaming,
+      timeout: this.timeout,
+      retries: this.retries
+    };
+  }
+}
+
+module.exports = BaseAdapter;
@@ -0,0 +1,119 @@
+// Per-provider circuit breaker with rolling health statistics.
+//
+//   closed     - requests flow normally; consecutive failures are counted
+//   open       - requests are skipped until the cooldown has elapsed
+//   half-open  - a single probe request is let through; success closes the
+//                breaker, failure re-opens it for another cooldown
+const DEFAULTS = {
+  failureThreshold: parseInt(process.env.AI_BREAKER_FAILURE_THRESHOLD, 10) || 3,
+  cooldownMs: parseInt(process.env.AI_BREAKER_COOLDOWN_MS, 10) || 60 * 1000,
+  windowSize: parseInt(process.env.AI_BREAKER_WINDOW_SIZE, 10) || 100
+};
+
+class CircuitBreaker {
+  constructor(options = {}) {
+    this.failureThreshold = options.failureThreshold || DEFAULTS.failureThreshold;
+    this.cooldownMs = options.cooldownMs || DEFAULTS.cooldownMs;
+    this.windowSize = options.windowSize || DEFAULTS.windowSize;
+
+    this.state = 'closed';
+    this.consecutiveFailures = 0;
+    this.openedAt = null;
+    this.probeInFlight = false;
+    this.lastError = null;
+
+    this.totalRequests = 0;
+    this.totalFailures = 0;
+    this.samples = []; // rolling window of { latency, success }
+  }
+
+  // Whether a request may be sent now. Moves open -> half-open once the cooldown expires.
+  canRequest() {
+    if (this.state === 'closed') {
+      return true;
+    }
+
+    if (this.state === 'open') {
+      if (Date.now() - this.openedAt < this.cooldownMs) {
+        return false;
+      }
+      this.state = 'half-open';
+    }
+
+    // half-open: allow exactly one probe at a time
+    if (this.probeInFlight) {
+      return false;
+    }
+    this.probeInFlight = true;
+    return true;
+  }
+
+  recordSuccess(latency) {
+    this.record(latency, true);
+    this.consecutiveFailures = 0;
+    this.probeInFlight = false;
+    this.state = 'closed';
+    this.openedAt = null;
+  }
+
+  recordFailure(error, latency) {
+    this.record(latency, false);
+    this.totalFailures++;
+    this.consecutiveFailures++;
+    this.lastError = {
+      message: error.message,
+      timestamp: new Date().toISOString()
+    };
+
+    if (this.state === 'half-open' || this.consecutiveFailures >= this.failureThreshold) {
+      this.state = 'open';
+      this.openedAt = Date.now();
+    }
+    this.probeInFlight = false;
+  }
+
+  // The request ended without a verdict (e.g. the client disconnected)
+  release() {
+    this.probeInFlight = false;
+  }
+
+  record(latency, success) {
+    this.totalRequests++;
+    this.samples.push({ latency, success });
+    if (this.samples.length > this.windowSize) {
+      this.samples.shift();
+    }
+  }
+
+  percentile(p) {
+    if (this.samples.length === 0) {
+      return null;
+    }
+    const sorted = this.samples.map(s => s.latency).sort((a, b) => a - b);
+    const index = Math.min(sorted.length - 1, Math.ceil((p / 100) * sorted.length) - 1);
+    return sorted[Math.max(0, index)];
+  }
+
+  getStats() {
+    const windowFailures = this.samples.filter(s => !s.success).length;
+
+    return {
+      state: this.state,
+      consecutiveFailures: this.consecutiveFailures,
+      failureThreshold: this.failureThreshold,
+      cooldownMs: this.cooldownMs,
+      retryAt: this.state === 'open' ? new Date(this.openedAt + this.cooldownMs).toISOString() : null,
+      lastError: this.lastError,
+      totalRequests: this.totalRequests,
+      totalFailures: this.totalFailures,
+      errorRate: this.samples.length ? windowFailures / this.samples.length : 0,
+      latency: {
+        p50: this.percentile(50),
+        p95: this.percentile(95),
+        samples: this.samples.length
+      }
+    };
+  }
+}
+
+module.exports = CircuitBreaker;
@@ -0,0 +1,49 @@
+const BaseAdapter = require('./baseAdapter');
+
+// Generic JSON-over-HTTP backend configured entirely from the provider entry:
+//   bodyTemplate  - request body; any string value "{{prompt}}" / "{{model}}" is substituted
+//   responsePath  - dot path to the generated text in the response, e.g. "results.0.text"
+class HttpAdapter extends BaseAdapter {
+  constructor(config) {
+    super(config);
+    this.bodyTemplate = config.bodyTemplate || { prompt: '{{prompt}}' };
+    this.responsePath = config.responsePath;
+  }
+
+  buildRequest(input) {
+    return {
+      url: this.url,
+      headers: this.headers,
+      data: this.fillTemplate(this.bodyTemplate, { prompt: input.prompt, model: this.model })
+    };
+  }
+
+  parseResponse(data) {
+    if (!this.responsePath) {
+      return super.parseResponse(data);
+    }
+
+    const value = this.responsePath
+      .split('.')
+      .reduce((current, key) => (current == null ? undefined : current[key]), data);
+
+    return typeof value === 'string' ? value : undefined;
+  }
+
+  fillTemplate(template, values) {
+    if (typeof template === 'string') {
+      return template.replace(/\{\{(\w+)\}\}/g, (match, key) => (key in values ? values[key] : match));
+    }
+    if (Array.isArray(template)) {
+      return template.map(item => this.fillTemplate(item, values));
+    }
+    if (template && typeof template === 'object') {
+      return Object.fromEntries(
+        Object.entries(template).map(([key, value]) => [key, this.fillTemplate(value, values)])
+      );
+    }
+    return template;
+  }
+}
+
+module.exports = HttpAdapter;
@@ -0,0 +1,36 @@
+const BaseAdapter = require('./baseAdapter');
+
+// HuggingFace Inference API (text generation models)
+class HuggingFaceAdapter extends BaseAdapter {
+  buildRequest(input) {
+    return {
+      url: this.url,
+      headers: this.headers,
+      data: {
+        inputs: input.prompt,
+        parameters: {
+          max_length: 2000,
+          temperature: 0.7,
+          do_sample: true,
+          ...this.options
+        }
+      }
+    };
+  }
+
+  parseResponse(data) {
+    return Array.isArray(data) ? data[0]?.generated_text : data.generated_text;
+  }
+
+  // While a model is loading the Inference API answers 503 with
+  // { error, estimated_time } (seconds until the model is ready)
+  getRetryAfter(error) {
+    const estimatedTime = error.response?.data?.estimated_time;
+    if (error.response?.status === 503 && typeof estimatedTime === 'number') {
+      return Math.ceil(estimatedTime * 1000);
+    }
+    return super.getRetryAfter(error);
+  }
+}
+
+module.exports = HuggingFaceAdapter;
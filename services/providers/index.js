@@ -0,0 +1,76 @@
+const fs = require('fs');
+const path = require('path');
+const BaseAdapter = require('./baseAdapter');
+const HuggingFaceAdapter = require('./huggingfaceAdapter');
+const OllamaAdapter = require('./ollamaAdapter');
+const HttpAdapter = require('./httpAdapter');
+const OpenAIAdapter = require('./openaiAdapter');
+const defaultProviders = require('../../config/providers');
+
+// Adapter registry keyed by provider `type`
+const adapters = new Map([
+  ['huggingface', HuggingFaceAdapter],
+  ['ollama', OllamaAdapter],
+  ['http', HttpAdapter],
+  ['openai', OpenAIAdapter]
+]);
+
+function registerAdapter(type, Adapter) {
+  if (!(Adapter.prototype instanceof BaseAdapter)) {
+    throw new Error(`Adapter for provider type "${type}" must extend BaseAdapter`);
+  }
+  adapters.set(type, Adapter);
+}
+
+// Provider entries come from AI_PROVIDERS_FILE, then AI_PROVIDERS, then config/providers.js
+function loadProviderConfig() {
+  if (process.env.AI_PROVIDERS_FILE) {
+    const file = path.resolve(process.env.AI_PROVIDERS_FILE);
+    return JSON.parse(fs.readFileSync(file, 'utf8'));
+  }
+
+  if (process.env.AI_PROVIDERS) {
+    return JSON.parse(process.env.AI_PROVIDERS);
+  }
+
+  return defaultProviders;
+}
+
+// Build adapter instances for every entry. Any misconfiguration throws here so
+// the server fails at startup instead of on the first generation request.
+function createProviders(entries = loadProviderConfig()) {
+  if (!Array.isArray(entries)) {
+    throw new Error('AI provider configuration must be an array');
+  }
+
+  const names = new Set();
+
+  return entries.map((entry, index) => {
+    if (!entry || !entry.name) {
+      throw new Error(`AI provider at index ${index} is missing a name`);
+    }
+    if (names.has(entry.name)) {
+      throw new Error(`Duplicate AI provider name "${entry.name}"`);
+    }
+    names.add(entry.name);
+
+    // Custom adapters can be loaded from a module path relative to the working directory
+    if (entry.adapter) {
+      registerAdapter(entry.type, require(path.resolve(entry.adapter)));
+    }
+
+    const Adapter = adapters.get(entry.type);
+    if (!Adapter) {
+      throw new Error(`Unknown AI provider type "${entry.type}" for provider "${entry.name}". Available types: ${Array.from(adapters.keys()).join(', ')}`);
+    }
+
+    return new Adapter(entry);
+  });
+}
+
+module.exports = {
+  BaseAdapter,
+  registerAdapter,
+  loadProviderConfig,
+  createProviders
+};
@@ -0,0 +1,56 @@
+const BaseAdapter = require('./baseAdapter');
+
+// Ollama /api/generate (also used by the hosted ollama proxy)
+class OllamaAdapter extends BaseAdapter {
+  constructor(config) {
+    super(config);
+    this.model = config.model || 'llama2';
+    this.streaming = config.streaming !== false;
+  }
+
+  get supportsStreaming() {
+    return this.streaming;
+  }
+
+  buildRequest(input) {
+    return {
+      url: this.url,
+      headers: this.headers,
+      data: {
+        model: this.model,
+        prompt: input.prompt,
+        stream: false,
+        ...this.options
+      }
+    };
+  }
+
+  parseResponse(data) {
+    return data.response || data.text;
+  }
+
+  buildStreamRequest(input) {
+    const request = this.buildRequest(input);
+    request.data.stream = true;
+    return request;
+  }
+
+  // Streamed responses are newline-delimited JSON objects
+  parseStreamLine(line) {
+    const parsed = JSON.parse(line);
+    if (parsed.error) {
+      throw new Error(parsed.error);
+    }
+    return { text: parsed.response || '', done: Boolean(parsed.done) };
+  }
+
+  // Ollama lists installed models at /api/tags on the same host
+  async healthCheck() {
+    if (!this.healthUrl) {
+      this.healthUrl = new URL('/api/tags', this.url).toString();
+    }
+    return super.healthCheck();
+  }
+}
+
+module.exports = OllamaAdapter;
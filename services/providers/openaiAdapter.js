@@ -0,0 +1,82 @@
+const BaseAdapter = require('./baseAdapter');
+
+// OpenAI-compatible /v1/chat/completions (llama.cpp server, vLLM, LM Studio, LocalAI, ...)
+// Config: baseUrl (e.g. http://localhost:8080/v1) or a full url, model, and an optional
+// bearer key given inline as apiKey or by environment variable name as apiKeyEnv.
+class OpenAIAdapter extends BaseAdapter {
+  constructor(config) {
+    const baseUrl = (config.baseUrl || '').replace(/\/+$/, '');
+    super({
+      ...config,
+      url: config.url || (baseUrl && `${baseUrl}/chat/completions`)
+    });
+
+    this.baseUrl = baseUrl;
+    this.model = config.model || 'default';
+    this.streaming = config.streaming !== false;
+
+    const apiKey = config.apiKey || (config.apiKeyEnv && process.env[config.apiKeyEnv]);
+    this.headers = {
+      'Content-Type': 'application/json',
+      ...this.headers,
+      ...(apiKey && { Authorization: `Bearer ${apiKey}` })
+    };
+
+    if (!this.healthUrl && this.baseUrl) {
+      this.healthUrl = `${this.baseUrl}/models`;
+    }
+  }
+
+  get supportsStreaming() {
+    return this.streaming;
+  }
+
+  buildRequest(input) {
+    return {
+      url: this.url,
+      headers: this.headers,
+      data: {
+        model: this.model,
+        messages: input.messages,
+        temperature: 0.7,
+        stream: false,
+        ...this.options
+      }
+    };
+  }
+
+  parseResponse(data) {
+    return data.choices?.[0]?.message?.content;
+  }
+
+  buildStreamRequest(input) {
+    const request = this.buildRequest(input);
+    request.data.stream = true;
+    return request;
+  }
+
+  // Streamed responses are SSE: "data: {...}" lines terminated by "data: [DONE]"
+  parseStreamLine(line) {
+    if (!line.startsWith('data:')) {
+      return null;
+    }
+
+    const payload = line.slice(5).trim();
+    if (payload === '[DONE]') {
+      return { text: '', done: true };
+    }
+
+    const parsed = JSON.parse(payload);
+    if (parsed.error) {
+      throw new Error(parsed.error.message || parsed.error);
+    }
+
+    const choice = parsed.choices?.[0];
+    return {
+      text: choice?.delta?.content || '',
+      done: Boolean(choice?.finish_reason)
+    };
+  }
+}
+
+module.exports = OpenAIAdapter;
@@ -0,0 +1,226 @@
+const storage = require('../storage');
+const { InvertedIndex, tokenize, parseQuery } = require('../utils/searchIndex');
+
+// Ranking weight of each searchable field
+const FIELD_WEIGHTS = { title: 3, tags: 2, content: 1 };
+
+// Characters of context shown around the first match
+const SNIPPET_LENGTH = 200;
+
+function escapeHtml(text) {
+  return text.replace(/[&<>"']/g, char => ({
+    '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;'
+  })[char]);
+}
+
+// Tags as strings. Records saved before tags were validated may hold numbers, nulls or
+// objects, or a bare value instead of an array; only strings and numbers are kept.
+function tagList(tags) {
+  return (Array.isArray(tags) ? tags : [tags])
+    .filter(tag => typeof tag === 'string' || typeof tag === 'number')
+    .map(String);
+}
+
+// Owner indexes held in memory at once, and how long an unused one is kept
+const MAX_OWNERS = parseInt(process.env.SEARCH_INDEX_MAX_OWNERS, 10) || 200;
+const IDLE_MS = parseInt(process.env.SEARCH_INDEX_IDLE_MS, 10) || 15 * 60 * 1000;
+
+// Index entries are built per owner on first search and then kept in sync by the
+// save/update/delete paths through index() and remove(). Entries idle for longer than
+// idleMs, and the least recently used ones past maxOwners, are dropped and rebuilt from
+// storage on the owner's next search.
+class SearchService {
+  constructor() {
+    this.maxOwners = MAX_OWNERS;
+    this.idleMs = IDLE_MS;
+    this.owners = new Map(); // ownerId -> { entry: Promise<{ index, docs }>, usedAt }, least recently used first
+  }
+
+  async getOwnerIndex(ownerId) {
+    this.evict();
+
+    let cached = this.owners.get(ownerId);
+    if (cached) {
+      this.owners.delete(ownerId);
+    } else {
+      cached = {};
+      cached.entry = this.buildOwnerIndex(ownerId).catch(error => {
+        if (this.owners.get(ownerId) === cached) {
+          this.owners.delete(ownerId);
+        }
+        throw error;
+      });
+    }
+
+    // Re-inserting moves the owner to the most recently used end
+    cached.usedAt = Date.now();
+    this.owners.set(ownerId, cached);
+    this.evict();
+    return cached.entry;
+  }
+
+  // Drops idle entries and the least recently used ones past maxOwners. Map order is
+  // usage order, so the first entry that is neither stops the sweep.
+  evict(now = Date.now()) {
+    for (const [ownerId, { usedAt }] of this.owners) {
+      if (this.owners.size <= this.maxOwners && now - usedAt <= this.idleMs) break;
+      this.owners.delete(ownerId);
+    }
+  }
+
+  isIndexed(ownerId) {
+    this.evict();
+    return this.owners.has(ownerId);
+  }
+
+  async buildOwnerIndex(ownerId) {
+    const entry = { index: new InvertedIndex(FIELD_WEIGHTS), docs: new Map() };
+    for (const content of await storage.content.findAllByOwner(ownerId)) {
+      this.addToEntry(entry, content);
+    }
+    return entry;
+  }
+
+  addToEntry(entry, content) {
+    entry.docs.set(content.id, content);
+    entry.index.add(content.id, {
+      title: content.title,
+      tags: tagList(content.tags),
+      content: content.content
+    });
+  }
+
+  // Add or refresh a content record. Owners not yet indexed are picked up on first search.
+  async index(content) {
+    if (!this.isIndexed(content.ownerId)) return;
+    if (content.deletedAt) return this.remove(content);
+
+    this.addToEntry(await this.getOwnerIndex(content.ownerId), content);
+  }
+
+  async remove(content) {
+    if (!this.isIndexed(content.ownerId)) return;
+
+    const entry = await this.getOwnerIndex(content.ownerId);
+    entry.index.remove(content.id);
+    entry.docs.delete(content.id);
+  }
+
+  // Ranked search over one owner's content. Without a query, filtered content is
+  // returned newest first.
+  async search(ownerId, { q, filters = {}, limit = 20, offset = 0 }) {
+    const entry = await this.getOwnerIndex(ownerId);
+    const clauses = parseQuery(q);
+
+    let ranked;
+    if (clauses.length > 0) {
+      ranked = Array.from(entry.index.search(clauses), ([id, score]) => ({ content: entry.docs.get(id), score }));
+    } else {
+      ranked = Array.from(entry.docs.values(), content => ({ content, score: null }));
+    }
+
+    const results = ranked
+      .filter(({ content }) => this.matchesFilters(content, filters))
+      .sort((a, b) => (b.score - a.score) || (new Date(b.content.updatedAt) - new Date(a.content.updatedAt)));
+
+    return {
+      total: results.length,
+      results: results.slice(offset, offset + limit).map(({ content, score }) => ({
+        id: content.id,
+        title: content.title,
+        contentType: content.contentType,
+        language: content.language,
+        tone: content.tone,
+        tags: content.tags,
+        wordCount: content.wordCount,
+        createdAt: content.createdAt,
+        updatedAt: content.updatedAt,
+        score: score === null ? null : Math.round(score * 1000) / 1000,
+        highlights: {
+          title: this.highlight(content.title, clauses),
+          snippet: this.snippet(content.content, clauses)
+        }
+      }))
+    };
+  }
+
+  matchesFilters(content, { contentType, language, tone, tag, createdFrom, createdTo, updatedFrom, updatedTo }) {
+    const inRange = (value, from, to) => {
+      const time = Date.parse(value);
+      return (!from || time >= Date.parse(from)) && (!to || time <= Date.parse(to));
+    };
+
+    return (!contentType || content.contentType === contentType) &&
+      (!language || content.language === language) &&
+      (!tone || content.tone === tone) &&
+      (!tag || tagList(content.tags).some(t => t.toLowerCase() === tag.toLowerCase())) &&
+      inRange(content.createdAt, createdFrom, createdTo) &&
+      inRange(content.updatedAt, updatedFrom, updatedTo);
+  }
+
+  // Token ranges in `tokens` matched by the query clauses
+  findMatches(tokens, clauses) {
+    const ranges = [];
+
+    tokens.forEach((token, i) => {
+      for (const clause of clauses) {
+        if (clause.type === 'term' && token.term === clause.term) {
+          ranges.push([i, i]);
+        } else if (clause.type === 'prefix' && token.term.startsWith(clause.prefix)) {
+          ranges.push([i, i]);
+        } else if (clause.type === 'phrase' &&
+          clause.terms.every((term, j) => tokens[i + j] && tokens[i + j].term === term)) {
+          ranges.push([i, i + clause.terms.length - 1]);
+        }
+      }
+    });
+
+    return ranges.sort((a, b) => a[0] - b[0]);
+  }
+
+  // HTML-escaped slice of `text` with matches wrapped in <mark>
+  render(text, tokens, ranges, start, end) {
+    let html = '';
+    let cursor = start;
+
+    for (const [first, last] of ranges) {
+      const from = tokens[first].start;
+      const to = tokens[last].end;
+      if (from < cursor || to > end) continue;
+
+      html += escapeHtml(text.slice(cursor, from)) + '<mark>' + escapeHtml(text.slice(from, to)) + '</mark>';
+      cursor = to;
+    }
+
+    return html + escapeHtml(text.slice(cursor, end));
+  }
+
+  highlight(text, clauses) {
+    const tokens = tokenize(text);
+    return this.render(text, tokens, this.findMatches(tokens, clauses), 0, text.length);
+  }
+
+  // A window of the body around the first match (or its opening if nothing matched there)
+  snippet(text, clauses) {
+    const tokens = tokenize(text);
+    const ranges = this.findMatches(tokens, clauses);
+
+    let start = 0;
+    if (ranges.length > 0) {
+      start = Math.max(0, tokens[ranges[0][0]].start - Math.floor(SNIPPET_LENGTH / 4));
+      // Don't begin mid-word
+      const boundary = text.lastIndexOf(' ', start);
+      start = start > 0 && boundary !== -1 ? boundary + 1 : start;
+    }
+    let end = Math.min(text.length, start + SNIPPET_LENGTH);
+    if (end < text.length) {
+      const boundary = text.lastIndexOf(' ', end);
+      end = boundary > start ? boundary : end;
+    }
+
+    const body = this.render(text, tokens, ranges, start, end).replace(/\s+/g, ' ').trim();
+    return (start > 0 ? '…' : '') + body + (end < text.length ? '…' : '');
+  }
+}
+
+module.exports = new SearchService();
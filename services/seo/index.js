@@ -0,0 +1,233 @@
+// SEO report for markdown content and a target keyword: keyword density and placement,
+// heading structure, links, readability and length, plus a generated meta description and
+// slug. Each check is weighted into a 0-100 score; failed checks become the suggestions.
+const { plainText, gradeLevel } = require('../../utils/readability');
+
+// Keyword density (% of words) outside this range reads as too thin or as stuffing
+const DENSITY_RANGE = { min: 0.5, max: 2.5 };
+const META_DESCRIPTION_LENGTH = { min: 120, max: 160 };
+const TITLE_LENGTH = { min: 30, max: 60 };
+const SLUG_LENGTH = 60;
+const MIN_WORDS = 600;
+// Flesch-Kincaid grade most web readers are comfortable with (English only)
+const MAX_GRADE = 9;
+// Opening words that count as the introduction for keyword placement
+const INTRODUCTION_WORDS = 100;
+
+const SLUG_STOP_WORDS = new Set(['a', 'an', 'and', 'are', 'as', 'at', 'be', 'by', 'for', 'from', 'how', 'in', 'is', 'it', 'of', 'on', 'or', 'that', 'the', 'this', 'to', 'with', 'your']);
+
+const WORD = /[\p{L}\p{N}]+(?:['’][\p{L}]+)*/gu;
+
+const words = text => text.match(WORD) || [];
+
+const escapeRegExp = text => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// Whole-phrase, case-insensitive occurrences; whitespace in the keyword matches any run of it
+function countKeyword(text, keyword) {
+  const phrase = keyword.trim().split(/\s+/).map(escapeRegExp).join('\\s+');
+  return (text.match(new RegExp(`(?<![\\p{L}\\p{N}])${phrase}(?![\\p{L}\\p{N}])`, 'giu')) || []).length;
+}
+
+const containsKeyword = (text, keyword) => Boolean(text) && countKeyword(text, keyword) > 0;
+
+// Lowercase, accents removed, words joined by hyphens; letters outside Latin are kept
+function slugify(text, { dropStopWords = false } = {}) {
+  const parts = words(text.normalize('NFKD').replace(/\p{M}/gu, '').toLowerCase())
+    .map(word => word.replace(/['’]/g, ''))
+    .filter(word => !dropStopWords || !SLUG_STOP_WORDS.has(word));
+  return parts.join('-');
+}
+
+// Cut at the last hyphen that keeps the slug within the limit
+function limitSlug(slug) {
+  if (slug.length <= SLUG_LENGTH) return slug;
+  const cut = slug.slice(0, SLUG_LENGTH + 1);
+  return cut.includes('-') ? cut.slice(0, cut.lastIndexOf('-')) : slug.slice(0, SLUG_LENGTH);
+}
+
+// Title words without stop words, led by the keyword when the title doesn't contain it
+function buildSlug(title, keyword) {
+  const keywordSlug = slugify(keyword);
+  const titleSlug = slugify(title || '', { dropStopWords: true });
+  const slug = titleSlug.includes(keywordSlug) ? titleSlug : [keywordSlug, titleSlug].filter(Boolean).join('-');
+  return limitSlug(slug);
+}
+
+// Body paragraphs as plain text, skipping headings, code, rules and images
+function paragraphs(content) {
+  return content
+    .replace(/```[\s\S]*?```/g, '')
+    .split(/\n{2,}/)
+    .map(block => block.trim())
+    .filter(block => block && !/^(#{1,6}\s|-{3,}$|!\[)/.test(block))
+    .map(block => plainText(block).replace(/\s+/g, ' ').trim())
+    .filter(Boolean);
+}
+
+// The first paragraph mentioning the keyword (else the first one), cut to whole sentences
+// within the length limit, or to a word boundary with an ellipsis
+function buildMetaDescription(content, keyword) {
+  const candidates = paragraphs(content);
+  const source = candidates.find(paragraph => containsKeyword(paragraph, keyword)) || candidates[0] || '';
+
+  let description = '';
+  for (const sentence of source.split(/(?<=[.!?。！？])\s+/u)) {
+    const next = description ? `${description} ${sentence}` : sentence;
+    if (next.length > META_DESCRIPTION_LENGTH.max) break;
+    description = next;
+  }
+  if (!description && source) {
+    const cut = source.slice(0, META_DESCRIPTION_LENGTH.max - 1);
+    description = `${cut.replace(/\s+\S*$/, '') || cut}…`;
+  }
+  return description;
+}
+
+function parseHeadings(content) {
+  const headings = [];
+  const withoutCode = content.replace(/```[\s\S]*?```/g, '');
+  for (const match of withoutCode.matchAll(/^(#{1,6})\s+(.+?)\s*#*\s*$/gm)) {
+    headings.push({ level: match[1].length, text: plainText(match[2]).trim() });
+  }
+  return headings;
+}
+
+// One H1, and no level skipped on the way down (an H2 may be followed by an H3, not an H4)
+function checkHierarchy(headings) {
+  const issues = [];
+  const h1Count = headings.filter(heading => heading.level === 1).length;
+
+  if (h1Count === 0) {
+    issues.push('There is no H1 heading');
+  } else if (h1Count > 1) {
+    issues.push(`There are ${h1Count} H1 headings; use exactly one`);
+  }
+  if (headings.length > 0 && headings[0].level !== 1 && h1Count > 0) {
+    issues.push(`The first heading is an H${headings[0].level}; start with the H1`);
+  }
+
+  headings.forEach((heading, index) => {
+    const previous = index > 0 ? headings[index - 1].level : 1;
+    if (heading.level > previous + 1) {
+      issues.push(`"${heading.text}" is an H${heading.level} directly under an H${previous}`);
+    }
+  });
+
+  return issues;
+}
+
+function countLinks(content) {
+  const withoutCode = content.replace(/```[\s\S]*?```/g, '');
+  const images = Array.from(withoutCode.matchAll(/!\[([^\]]*)\]\(([^)\s]+)[^)]*\)/g));
+  const links = Array.from(withoutCode.replace(/!\[[^\]]*\]\([^)]*\)/g, '').matchAll(/\[[^\]]*\]\(([^)\s]+)[^)]*\)/g))
+    .map(match => match[1]);
+  // Bare URLs that aren't already the target of a markdown link
+  const bare = withoutCode.replace(/\[[^\]]*\]\([^)]*\)/g, '').match(/https?:\/\/[^\s)<>]+/g) || [];
+  const targets = [...links, ...bare];
+  const external = targets.filter(url => /^https?:\/\//i.test(url)).length;
+
+  return {
+    total: targets.length,
+    internal: targets.length - external,
+    external,
+    images: images.length,
+    imagesWithoutAlt: images.filter(match => !match[1].trim()).length
+  };
+}
+
+// `title` is the content's title; when omitted the H1 is used. Readability is only measured
+// for English. Returns { keyword, score, wordCount, keywordUsage, title, headings, links,
+// readability, metaDescription, slug, checks, suggestions }.
+function analyze(content, { keyword, title, language = 'english' }) {
+  const headings = parseHeadings(content);
+  const h1 = headings.filter(heading => heading.level === 1).map(heading => heading.text);
+  const h2 = headings.filter(heading => heading.level === 2).map(heading => heading.text);
+  const pageTitle = title || h1[0] || '';
+
+  const text = plainText(content);
+  const wordCount = words(text).length;
+  const occurrences = countKeyword(text, keyword);
+  const density = wordCount > 0 ? Math.round((occurrences * words(keyword).length / wordCount) * 10000) / 100 : 0;
+  const introduction = words(paragraphs(content).join(' ')).slice(0, INTRODUCTION_WORDS).join(' ');
+
+  const metaDescription = buildMetaDescription(content, keyword);
+  const slug = buildSlug(pageTitle, keyword);
+  const hierarchyIssues = checkHierarchy(headings);
+  const links = countLinks(content);
+  const readability = language === 'english' ? gradeLevel(content) : null;
+
+  const placement = {
+    title: containsKeyword(pageTitle, keyword),
+    h1: h1.some(heading => containsKeyword(heading, keyword)),
+    h2: h2.some(heading => containsKeyword(heading, keyword)),
+    introduction: containsKeyword(introduction, keyword),
+    metaDescription: containsKeyword(metaDescription, keyword),
+    slug: slug.includes(slugify(keyword))
+  };
+
+  // [id, weight, passed, suggestion when failed]
+  const checks = [
+    ['keyword-density', 15, density >= DENSITY_RANGE.min && density <= DENSITY_RANGE.max,
+      density < DENSITY_RANGE.min
+        ? `Use "${keyword}" more often: density is ${density}%, aim for ${DENSITY_RANGE.min}-${DENSITY_RANGE.max}%`
+        : `Use "${keyword}" less often: density is ${density}%, above ${DENSITY_RANGE.max}% reads as keyword stuffing`],
+    ['keyword-in-title', 10, placement.title, `Put "${keyword}" in the title`],
+    ['keyword-in-h1', 5, placement.h1, `Put "${keyword}" in the H1 heading`],
+    ['keyword-in-h2', 5, placement.h2, `Use "${keyword}" (or a close variant) in at least one H2 subheading`],
+    ['keyword-in-introduction', 10, placement.introduction, `Mention "${keyword}" within the first ${INTRODUCTION_WORDS} words`],
+    ['title-length', 5, pageTitle.length >= TITLE_LENGTH.min && pageTitle.length <= TITLE_LENGTH.max,
+      `Keep the title between ${TITLE_LENGTH.min} and ${TITLE_LENGTH.max} characters (it is ${pageTitle.length})`],
+    ['heading-hierarchy', 10, hierarchyIssues.length === 0, `Fix the heading structure: ${hierarchyIssues.join('; ')}`],
+    ['subheadings', 5, h2.length >= 2, 'Break the post up with at least two H2 subheadings'],
+    ['content-length', 10, wordCount >= MIN_WORDS, `Expand the post to at least ${MIN_WORDS} words (it has ${wordCount})`],
+    ['readability', 10, !readability || readability.grade <= MAX_GRADE,
+      `Simplify the writing: it reads at grade ${readability && readability.grade}, aim for ${MAX_GRADE} or below with shorter sentences and words`],
+    ['internal-links', 5, links.internal > 0, 'Link to at least one related page on your own site'],
+    ['external-links', 5, links.external > 0, 'Cite at least one authoritative external source'],
+    ['image-alt-text', 5, links.imagesWithoutAlt === 0, `Add alt text to ${links.imagesWithoutAlt} image(s)`]
+  ];
+
+  const totalWeight = checks.reduce((sum, [, weight]) => sum + weight, 0);
+  const earned = checks.reduce((sum, [, weight, passed]) => sum + (passed ? weight : 0), 0);
+
+  return {
+    keyword,
+    score: Math.round((earned / totalWeight) * 100),
+    wordCount,
+    keywordUsage: {
+      occurrences,
+      density,
+      targetDensity: DENSITY_RANGE,
+      placement
+    },
+    title: { text: pageTitle, length: pageTitle.length },
+    headings: {
+      h1,
+      h2,
+      counts: Object.fromEntries([1, 2, 3, 4, 5, 6].map(level => [`h${level}`, headings.filter(heading => heading.level === level).length])),
+      hierarchyIssues
+    },
+    links,
+    readability: readability && { ...readability, targetGrade: MAX_GRADE },
+    metaDescription: { text: metaDescription, length: metaDescription.length },
+    slug,
+    checks: checks.map(([id, weight, passed]) => ({ id, weight, passed })),
+    suggestions: [
+      ...checks.filter(([, , passed]) => !passed).map(([, , , suggestion]) => suggestion),
+      ...(metaDescription.length < META_DESCRIPTION_LENGTH.min
+        ? [`The opening paragraph makes a short meta description (${metaDescription.length} characters); a fuller first paragraph gives search engines ${META_DESCRIPTION_LENGTH.min}-${META_DESCRIPTION_LENGTH.max}`]
+        : [])
+    ]
+  };
+}
+
+// Prompt lines asking the model to write around the keyword, for generation with `seo`
+function instructions(keyword) {
+  return `Optimize for the search keyword "${keyword}": use it in the H1 title, in at least one H2 subheading and within the first ${INTRODUCTION_WORDS} words, then naturally throughout at about 1-2% of the words without stuffing. Use exactly one H1 and nest the H2 and H3 subheadings without skipping levels.`;
+}
+
+module.exports = {
+  analyze,
+  instructions,
+  slugify
+};
@@ -0,0 +1,153 @@
+const crypto = require('crypto');
+const storage = require('../storage');
+const aiService = require('./aiService');
+const planService = require('./planService');
+const contentTypeService = require('./contentTypeService');
+const brandVoiceService = require('./brandVoiceService');
+const versionService = require('./versionService');
+const { AppError } = require('../utils/errors');
+
+// A session stops accepting messages at this length; start a new one to keep going
+const MAX_SESSION_MESSAGES = parseInt(process.env.AI_SESSION_MAX_MESSAGES, 10) || 100;
+
+// Sessions created without a title take one from their first message
+const UNTITLED = 'Untitled draft';
+
+// Conversational drafting: each session keeps its full message history and settings
+// (content type, language, tone, brand voice). Every user message gets a complete revised
+// draft back; AIService decides how much of the history fits into the prompt.
+class SessionService {
+  async create(user, { title, contentType, language = 'english', tone = 'professional', brandVoiceId = null }) {
+    const now = new Date().toISOString();
+    return storage.sessions.create({
+      id: crypto.randomUUID(),
+      ownerId: user.id,
+      title: title || UNTITLED,
+      contentType,
+      language,
+      tone,
+      brandVoiceId,
+      messages: [],
+      contentId: null,
+      createdAt: now,
+      updatedAt: now
+    });
+  }
+
+  async find(id) {
+    return storage.sessions.findById(id);
+  }
+
+  latestDraft(session) {
+    for (let i = session.messages.length - 1; i >= 0; i--) {
+      if (session.messages[i].role === 'assistant') return session.messages[i];
+    }
+    return null;
+  }
+
+  // Client-facing view: settings, the full history and the newest draft
+  describe(session) {
+    const draft = this.latestDraft(session);
+    return {
+      id: session.id,
+      title: session.title,
+      contentType: session.contentType,
+      language: session.language,
+      tone: session.tone,
+      brandVoiceId: session.brandVoiceId,
+      contentId: session.contentId,
+      messageCount: session.messages.length,
+      messages: session.messages,
+      draft: draft ? draft.content : null,
+      createdAt: session.createdAt,
+      updatedAt: session.updatedAt
+    };
+  }
+
+  // Sends `message` with the session's history and appends both turns once a provider
+  // answers. Returns { session, reply, context, brandVoice }, brandVoice being the
+  // profile's check of the new draft when the session uses one.
+  async addMessage(user, session, message) {
+    if (session.messages.length + 2 > MAX_SESSION_MESSAGES) {
+      throw new AppError('This session has reached its message limit; start a new session to continue', 409, 'SESSION_FULL', {
+        limit: MAX_SESSION_MESSAGES
+      });
+    }
+
+    // The plan may have changed since the session was created
+    planService.assertGenerationAllowed(user, { contentType: session.contentType, prompt: message });
+
+    const resolved = await contentTypeService.resolve(user, session.contentType);
+    if (!resolved) {
+      throw new AppError(`Content type "${session.contentType}" is no longer available`, 409, 'CONTENT_TYPE_UNAVAILABLE');
+    }
+
+    const brandVoice = session.brandVoiceId ? await brandVoiceService.findVisible(user, session.brandVoiceId) : null;
+    if (session.brandVoiceId && !brandVoice) {
+      throw new AppError(`Brand voice "${session.brandVoiceId}" is no longer available`, 409, 'BRAND_VOICE_UNAVAILABLE');
+    }
+
+    const { content, generation, context } = await aiService.continueSession({
+      history: session.messages.map(({ role, content }) => ({ role, content })),
+      message,
+      contentType: session.contentType,
+      language: session.language,
+      tone: session.tone,
+      allowedProviders: planService.getAllowedProviders(user),
+      customType: resolved.customType,
+      brandVoice
+    });
+
+    const reply = { role: 'assistant', content, generation, createdAt: new Date().toISOString() };
+    const messages = [...session.messages, { role: 'user', content: message, createdAt: new Date().toISOString() }, reply];
+    const updated = await storage.sessions.update(session.id, {
+      messages,
+      ...(session.messages.length === 0 && session.title === UNTITLED && { title: message.slice(0, 200) })
+    });
+
+    return {
+      session: updated,
+      reply,
+      context,
+      brandVoice: brandVoice ? brandVoiceService.check(brandVoice, content, { language: session.language }) : null
+    };
+  }
+
+  // Saves the newest draft to the content library: the first save creates the content,
+  // later saves add a version to it (or create it again if it has since been deleted).
+  // Returns { content, created }.
+  async saveDraft(user, session, { title, tags } = {}) {
+    const draft = this.latestDraft(session);
+    if (!draft) {
+      throw new AppError('Nothing to save yet: send a message to get a first draft', 400, 'NO_DRAFT');
+    }
+
+    const existing = session.contentId ? await storage.content.findById(session.contentId) : null;
+    if (existing && !existing.deletedAt) {
+      const content = await versionService.update(existing, {
+        content: draft.content,
+        ...(title !== undefined && { title }),
+        ...(tags !== undefined && { tags })
+      }, {
+        authorId: user.id,
+        changeSummary: 'Updated from drafting session'
+      });
+      return { content, created: false };
+    }
+
+    const content = await versionService.create({
+      ownerId: user.id,
+      title: title || session.title,
+      content: draft.content,
+      contentType: session.contentType,
+      language: session.language,
+      tone: session.tone,
+      tags: tags || [],
+      generation: draft.generation
+    }, user.id);
+    await storage.sessions.update(session.id, { contentId: content.id });
+    return { content, created: true };
+  }
+}
+
+module.exports = new SessionService();
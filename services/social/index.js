@@ -0,0 +1,156 @@
+// Platform rules for social content: the prompt addendum for a platform, and the check that
+// fits a reply to it afterwards. Posts over the limit are split into a thread on platforms
+// that have them and trimmed elsewhere; the report says what was found and what was done.
+const platforms = require('../../config/platforms');
+
+// A line containing only this separates the posts of a thread
+const THREAD_SEPARATOR = '---';
+
+const ALIASES = Object.fromEntries(Object.entries(platforms).flatMap(([key, platform]) =>
+  [[key, key], ...(platform.aliases || []).map(alias => [alias, key])]
+));
+
+// Every accepted name, aliases included (for request validators)
+const platformNames = Object.keys(ALIASES);
+
+const resolve = name => ALIASES[name] || null;
+
+const HASHTAG = /(^|\s)#[\p{L}\p{N}_]+/gu;
+const URL = /https?:\/\/\S+/g;
+
+// Characters as the platform counts them: code points, with links at a fixed length on X
+function countCharacters(text, platform) {
+  const length = [...text].length;
+  if (!platform.urlLength) return length;
+  return (text.match(URL) || []).reduce((total, url) => total - [...url].length + platform.urlLength, length);
+}
+
+const countHashtags = text => (text.match(HASHTAG) || []).length;
+
+function instructions(name) {
+  const platform = platforms[resolve(name)];
+  const lines = [
+    `Write for ${platform.name}. Each post must be at most ${platform.maxLength} characters${platform.urlLength ? ` (every link counts as ${platform.urlLength})` : ''}.`,
+    platform.hashtags,
+    platform.threads
+      ? `If the content needs more room, write a thread: separate the posts with a line containing only ${THREAD_SEPARATOR}.`
+      : 'Everything must fit in a single post.'
+  ];
+  return lines.join('\n');
+}
+
+// Paragraphs, then sentences, then words; whatever is left is cut by character
+const SPLITTERS = [
+  [/\n{2,}/, '\n\n'],
+  [/(?<=[.!?…。！？])\s+/u, ' '],
+  [/\s+/, ' ']
+];
+
+// Splits `text` into pieces of at most `maxLength` characters at the largest boundary possible
+function split(text, maxLength, count) {
+  if (count(text) <= maxLength) return [text];
+
+  for (const [pattern, joiner] of SPLITTERS) {
+    const parts = text.split(pattern).filter(part => part.trim());
+    if (parts.length < 2) continue;
+
+    const pieces = [];
+    let current = '';
+    for (const part of parts) {
+      const candidate = current ? `${current}${joiner}${part}` : part;
+      if (count(candidate) <= maxLength) {
+        current = candidate;
+      } else {
+        if (current) pieces.push(current);
+        current = part;
+      }
+    }
+    pieces.push(current);
+    return pieces.flatMap(piece => split(piece, maxLength, count));
+  }
+
+  const chars = [...text];
+  const pieces = [];
+  for (let i = 0; i < chars.length; i += maxLength) {
+    pieces.push(chars.slice(i, i + maxLength).join(''));
+  }
+  return pieces;
+}
+
+// The longest prefix that fits with an ellipsis, ending on a word boundary where one is near
+function trim(text, maxLength, count) {
+  if (count(text) <= maxLength) return text;
+
+  const chars = [...text];
+  let low = 0;
+  let high = chars.length;
+  while (low < high) {
+    const mid = Math.ceil((low + high) / 2);
+    if (count(`${chars.slice(0, mid).join('').trimEnd()}…`) <= maxLength) low = mid;
+    else high = mid - 1;
+  }
+
+  const prefix = chars.slice(0, low).join('');
+  const atWord = prefix.replace(/\s+\S*$/, '');
+  return `${([...atWord].length >= low / 2 ? atWord : prefix).trimEnd()}…`;
+}
+
+// Fits generated social content to platform `name`. Returns { content, posts, report }:
+// content is the posts joined with the thread separator, posts their text, and report
+// { platform, name, maxLength, action, overflow, posts, warnings }. `overflow` lists posts
+// that were over the limit as generated; `action` is 'none', 'split' or 'trimmed'.
+function fit(content, name) {
+  const key = resolve(name);
+  const platform = platforms[key];
+  const count = text => countCharacters(text, platform);
+
+  const separator = new RegExp(`^\\s*${THREAD_SEPARATOR}\\s*$`, 'm');
+  let posts = content.split(separator).map(post => post.trim()).filter(Boolean);
+  // A single-post platform gets the thread back as one post
+  if (!platform.threads && posts.length > 1) {
+    posts = [posts.join('\n\n')];
+  }
+
+  const overflow = posts
+    .map((post, index) => ({ post: index + 1, characterCount: count(post), maxLength: platform.maxLength }))
+    .filter(post => post.characterCount > platform.maxLength);
+
+  let action = 'none';
+  if (overflow.length > 0) {
+    action = platform.threads ? 'split' : 'trimmed';
+    posts = platform.threads
+      ? posts.flatMap(post => split(post, platform.maxLength, count))
+      : posts.map(post => trim(post, platform.maxLength, count));
+  }
+
+  const warnings = [];
+  const stats = posts.map((post, index) => {
+    const hashtags = countHashtags(post);
+    if (hashtags > platform.maxHashtags) {
+      warnings.push(`Post ${index + 1} has ${hashtags} hashtags; ${platform.name} posts should have at most ${platform.maxHashtags}`);
+    }
+    return { characterCount: count(post), hashtags };
+  });
+
+  return {
+    content: posts.join(`\n\n${THREAD_SEPARATOR}\n\n`),
+    posts,
+    report: {
+      platform: key,
+      name: platform.name,
+      maxLength: platform.maxLength,
+      action,
+      overflow,
+      posts: stats,
+      warnings
+    }
+  };
+}
+
+module.exports = {
+  platformNames,
+  resolve,
+  instructions,
+  countCharacters,
+  fit
+};
@@ -0,0 +1,128 @@
+// Structured output: the prompt addendum describing the per-type schema, and the
+// parse -> repair -> validate pipeline applied to a model's reply. Replies that still
+// fail validation come back with their errors so the caller can reprompt.
+const { validate } = require('../../utils/jsonSchema');
+const { schemaFor } = require('./schemas');
+const { fromMarkdown, toMarkdown } = require('./markdown');
+
+// Schema as shown to the model, without our private keywords
+function publicSchema(schema) {
+  return JSON.stringify(schema, (key, value) => (['aliases', 'label', 'prefix'].includes(key) ? undefined : value));
+}
+
+function instructions(schema) {
+  return `Respond with a single JSON object and nothing else (no markdown, no code fences). It must conform to this JSON Schema:
+${publicSchema(schema)}
+Keep the property names exactly as given and write all text values in the requested language.`;
+}
+
+const CONTROL_ESCAPES = { '\n': '\\n', '\r': '\\r', '\t': '\\t' };
+
+// Models often put raw line breaks inside JSON strings; escape them
+function escapeControlCharacters(source) {
+  let result = '';
+  let inString = false;
+  for (let i = 0; i < source.length; i++) {
+    const char = source[i];
+    if (inString && char === '\\') {
+      result += char + (source[++i] || '');
+      continue;
+    }
+    if (char === '"') inString = !inString;
+    result += inString && CONTROL_ESCAPES[char] ? CONTROL_ESCAPES[char] : char;
+  }
+  return result;
+}
+
+// The first {...} in the reply, tolerating code fences, prose around it, trailing commas
+// and unescaped line breaks
+function extractJson(output) {
+  const start = output.indexOf('{');
+  const end = output.lastIndexOf('}');
+  if (start === -1 || end <= start) return undefined;
+
+  const candidate = output.slice(start, end + 1);
+  const repaired = escapeControlCharacters(candidate.replace(/,\s*([}\]])/g, '$1').replace(/[“”]/g, '"'));
+  for (const source of [candidate, repaired]) {
+    try {
+      return JSON.parse(source);
+    } catch (error) {
+      // try the repaired form next
+    }
+  }
+  return undefined;
+}
+
+const keyOf = name => String(name).toLowerCase().replace(/[^\p{L}\p{N}]/gu, '');
+
+// Coerce a parsed reply towards the schema: alias keys, strings <-> arrays, trimming
+function normalize(schema, value) {
+  if (schema.type === 'object') {
+    if (!value || typeof value !== 'object' || Array.isArray(value)) return value;
+
+    const properties = schema.properties || {};
+    const names = new Map();
+    for (const [key, property] of Object.entries(properties)) {
+      [key, property.label, ...(property.aliases || [])].filter(Boolean).forEach(name => names.set(keyOf(name), key));
+    }
+
+    const result = {};
+    for (const [name, item] of Object.entries(value)) {
+      const key = names.get(keyOf(name)) || name;
+      if (result[key] === undefined && item !== null) {
+        result[key] = properties[key] ? normalize(properties[key], item) : item;
+      }
+    }
+    return result;
+  }
+
+  if (schema.type === 'array') {
+    let items = value;
+    if (typeof value === 'string') {
+      const lines = value.split('\n').map(line => line.replace(/^\s*(?:[-*+•]|\d+[.)])\s+/, '').trim()).filter(Boolean);
+      items = lines.length > 1 ? lines : value.split(/,|\s+(?=#)/).map(item => item.trim()).filter(Boolean);
+    }
+    return Array.isArray(items) && schema.items ? items.map(item => normalize(schema.items, item)) : items;
+  }
+
+  if (schema.type === 'string') {
+    let result = value;
+    if (Array.isArray(value) && value.every(item => typeof item === 'string')) result = value.join('\n');
+    if (typeof value === 'number') result = String(value);
+    if (typeof result !== 'string') return value;
+
+    result = result.trim();
+    if (schema.prefix && result && !result.startsWith(schema.prefix)) {
+      result = schema.prefix + result.replace(/\s+/g, '');
+    }
+    return result;
+  }
+
+  return value;
+}
+
+// -> { value, errors }; `context.title` names decks and documents recovered from prose and
+// `context.language` selects the localized section names to look for
+function parse(contentType, output, schema, context = {}) {
+  let value = extractJson(output);
+  if (value === undefined) {
+    value = fromMarkdown(contentType, output, schema, context);
+  }
+  value = normalize(schema, value);
+  return { value, errors: validate(schema, value) };
+}
+
+function repairRequest(errors) {
+  const list = errors.slice(0, 20).map(error => `- ${error.path} ${error.message}`).join('\n');
+  return `Your previous response did not conform to the JSON Schema:
+${list}
+Reply with only the corrected JSON object.`;
+}
+
+module.exports = {
+  schemaFor,
+  instructions,
+  parse,
+  repairRequest,
+  toMarkdown
+};
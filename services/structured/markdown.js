@@ -0,0 +1,223 @@
+// Conversions between structured output and the markdown the rest of the app stores.
+// toMarkdown renders a validated object as content for saving and exporting;
+// fromMarkdown recovers an object from prose (model replies that ignored the JSON
+// instruction, and the template fallbacks), and is validated like any other reply.
+const { parseSlides } = require('../exporters/slides');
+const { parseInline, inlineText } = require('../exporters/markdown');
+const fallback = require('../fallback');
+
+const HEADING = /^(#{1,6})\s+(.*?)\s*#*\s*$/;
+const HASHTAG_LINE = /^\s*(#[\p{L}\p{N}_]+\s*)+$/u;
+const SIGN_OFF = /^(best|kind|warm)?\s*(regards|wishes|thanks|thank you|cheers|sincerely|warmly|best)\b/i;
+
+const escapeRegExp = text => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// English wording plus the label the language's fallback templates use (services/fallback)
+function labelPattern(english, label) {
+  return new RegExp(`${english.source}|${escapeRegExp(label)}`, 'iu');
+}
+
+const plain = value => inlineText(parseInline(value)).trim();
+const bulletList = items => items.map(item => `- ${item}`).join('\n');
+const join = parts => parts.filter(Boolean).join('\n\n');
+
+// Drop the "[Content in x]" / "[tone]" markers and the trailing "---" signature of the templates
+function clean(source) {
+  return String(source || '')
+    .replace(/\r\n?/g, '\n')
+    .replace(/^(\s*\[[^\]\n]+\]\s*\n)+/, '')
+    .replace(/\n\s*---+\s*\n\s*\*[^*\n]+\*\s*$/, '')
+    .trim();
+}
+
+function paragraphs(text) {
+  return text.split(/\n\s*\n/).map(part => part.trim()).filter(Boolean);
+}
+
+// { title, intro, sections: [{ heading, body }] } split at the level below the title
+function splitSections(source) {
+  const lines = clean(source).split('\n');
+  const levels = lines.map(line => HEADING.exec(line)).filter(Boolean).map(match => match[1].length);
+  const titleLevel = levels.includes(1) ? 1 : null;
+  const sectionLevel = Math.min(...levels.filter(level => level !== titleLevel), 7);
+
+  const result = { title: null, intro: [], sections: [] };
+  let current = null;
+  for (const line of lines) {
+    const heading = HEADING.exec(line);
+    if (heading && heading[1].length === titleLevel && result.title === null && !current) {
+      result.title = plain(heading[2]);
+    } else if (heading && heading[1].length === sectionLevel) {
+      current = { heading: plain(heading[2]), lines: [] };
+      result.sections.push(current);
+    } else {
+      (current ? current.lines : result.intro).push(line);
+    }
+  }
+
+  return {
+    title: result.title,
+    intro: result.intro.join('\n').trim(),
+    sections: result.sections.map(({ heading, lines: body }) => ({ heading, body: body.join('\n').trim() }))
+  };
+}
+
+// Takes the first section whose heading matches out of `sections`
+function takeSection(sections, pattern) {
+  const index = sections.findIndex(section => pattern.test(section.heading));
+  return index === -1 ? null : sections.splice(index, 1)[0];
+}
+
+function listItems(text) {
+  return text.split('\n')
+    .map(line => /^\s*(?:[-*+•]|\d+[.)])\s+(.*)$/.exec(line))
+    .filter(Boolean)
+    .map(match => plain(match[1]));
+}
+
+const fromMarkdown = {
+  presentation(source, { title }) {
+    const deck = parseSlides(clean(source), { title });
+    return {
+      title: deck.title,
+      ...(deck.subtitle && { subtitle: inlineText(deck.subtitle) }),
+      slides: deck.slides.map((slide, i) => ({
+        title: slide.title || `Slide ${i + 1}`,
+        bullets: slide.items.map(item => inlineText(item.inlines).trim()).filter(Boolean),
+        ...(slide.notes && { notes: slide.notes })
+      }))
+    };
+  },
+
+  document(source, { title, language }) {
+    const labels = fallback.labels(language);
+    const { title: heading, intro, sections } = splitSections(source);
+    const summary = takeSection(sections, labelPattern(/summary|overview/, labels.summary));
+    const conclusion = takeSection(sections, labelPattern(/conclusion|closing|final/, labels.conclusion));
+    const recommendations = takeSection(sections, labelPattern(/recommend/, labels.recommendations));
+    return {
+      title: heading || title,
+      executiveSummary: summary ? summary.body : intro,
+      sections,
+      ...(recommendations && { recommendations: listItems(recommendations.body) }),
+      conclusion: conclusion ? conclusion.body : ''
+    };
+  },
+
+  blog(source, { title, language }) {
+    const labels = fallback.labels(language);
+    const { title: heading, intro, sections } = splitSections(source);
+    const introduction = intro || (takeSection(sections, labelPattern(/introduction|intro\b/, labels.introduction)) || {}).body || '';
+    const conclusion = takeSection(sections, labelPattern(/conclusion|final thoughts|wrap/, labels.conclusion));
+    const closing = conclusion ? paragraphs(conclusion.body) : [];
+    return {
+      headline: heading || title,
+      introduction,
+      sections,
+      conclusion: closing.length > 1 ? closing.slice(0, -1).join('\n\n') : closing.join(''),
+      ...(closing.length > 1 && { cta: plain(closing[closing.length - 1]) })
+    };
+  },
+
+  email(source, { language }) {
+    const labels = fallback.labels(language);
+    const parts = paragraphs(clean(source));
+    const subjectLine = new RegExp(`^\\**(?:subject(?:\\s*line)?|${escapeRegExp(labels.subject)})\\**\\s*[:：]\\s*(.*)$`, 'imu');
+    const subjectMatch = parts.length > 0 ? subjectLine.exec(parts[0]) : null;
+    const subject = subjectMatch ? plain(subjectMatch[1]) : '';
+    if (subjectMatch) parts.shift();
+
+    const signOff = parts.findIndex(part => SIGN_OFF.test(part) || part.startsWith(labels.signOff));
+    const closing = signOff === -1 ? [] : parts.splice(signOff);
+    // Greeting plus the first paragraph open the email; the last one before the sign-off asks for action
+    const greeting = labelPattern(/^(hi|hello|dear|hey)\b/, labels.greeting);
+    const opening = parts.splice(0, greeting.test(parts[0] || '') ? 2 : 1);
+    const cta = parts.length > 0 ? parts.pop() : '';
+
+    return {
+      subject,
+      opening: opening.join('\n\n'),
+      body: parts.join('\n\n'),
+      cta,
+      closing: closing.join('\n\n')
+    };
+  },
+
+  social(source) {
+    const parts = paragraphs(clean(source));
+    const hashtags = parts.filter(part => HASHTAG_LINE.test(part)).flatMap(part => part.match(/#[\p{L}\p{N}_]+/gu));
+    const text = parts.filter(part => !HASHTAG_LINE.test(part));
+    const hook = text.shift() || '';
+    const cta = text.length > 1 ? text.pop() : '';
+    return { hook, body: text.join('\n\n'), cta, hashtags };
+  }
+};
+
+// Fixed headings use the output language's wording, matching the fallback templates
+const toMarkdown = {
+  presentation: (value, labels) => join([
+    `# ${value.title}`,
+    value.subtitle,
+    ...value.slides.map((slide, i) => join([
+      `## ${labels.slide} ${i + 1}: ${slide.title}`,
+      bulletList(slide.bullets),
+      slide.notes && `Speaker notes: ${slide.notes}`
+    ]))
+  ]),
+
+  document: (value, labels) => join([
+    `# ${value.title}`,
+    `## ${labels.summary}\n\n${value.executiveSummary}`,
+    ...value.sections.map(section => `## ${section.heading}\n\n${section.body}`),
+    value.recommendations && value.recommendations.length > 0 && `## ${labels.recommendations}\n\n${bulletList(value.recommendations)}`,
+    `## ${labels.conclusion}\n\n${value.conclusion}`
+  ]),
+
+  blog: (value, labels) => join([
+    `# ${value.headline}`,
+    value.introduction,
+    ...value.sections.map(section => `## ${section.heading}\n\n${section.body}`),
+    `## ${labels.conclusion}\n\n${value.conclusion}`,
+    value.cta && `**${value.cta}**`
+  ]),
+
+  email: (value, labels) => join([
+    `${labels.subject}: ${value.subject}`,
+    value.opening,
+    value.body,
+    value.benefits && value.benefits.length > 0 && bulletList(value.benefits),
+    value.cta,
+    value.closing
+  ]),
+
+  social: value => join([value.hook, value.body, value.cta, value.hashtags.join(' ')])
+};
+
+// Derived schemas (no converter above) map "## Label" sections onto their properties
+function genericFromMarkdown(source, schema) {
+  const { intro, sections } = splitSections(source);
+  const keys = Object.keys(schema.properties);
+  const result = {};
+  keys.forEach((key, i) => {
+    const label = schema.properties[key].label || key;
+    const match = takeSection(sections, new RegExp(`^\\W*${label.replace(/[^\p{L}\p{N}]+/gu, '\\W*')}\\W*$`, 'iu'));
+    result[key] = match ? match.body : '';
+    if (!match && i === 0) result[key] = intro;
+  });
+  // Unlabelled sections fill the remaining properties in order
+  for (const key of keys) {
+    if (!result[key] && sections.length > 0) result[key] = sections.shift().body;
+  }
+  return result;
+}
+
+function genericToMarkdown(value, schema) {
+  return join(Object.entries(schema.properties).map(([key, property]) => `## ${property.label || key}\n\n${value[key]}`));
+}
+
+module.exports = {
+  fromMarkdown: (contentType, source, schema, context = {}) =>
+    (fromMarkdown[contentType] ? fromMarkdown[contentType](source, context) : genericFromMarkdown(source, schema)),
+  toMarkdown: (contentType, value, schema, language) =>
+    (toMarkdown[contentType] ? toMarkdown[contentType](value, fallback.labels(language)) : genericToMarkdown(value, schema))
+};
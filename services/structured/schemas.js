@@ -0,0 +1,105 @@
+// Per-content-type JSON schemas for `format: 'structured'` generation. Property order
+// follows the template's `structure`; `aliases` (not a JSON Schema keyword) lists other
+// names models commonly use for a property so they can be mapped back before validation,
+// and `prefix` is prepended to string items that lack it (hashtags without "#").
+
+const text = (extra = {}) => ({ type: 'string', minLength: 1, ...extra });
+const list = (items, extra = {}) => ({ type: 'array', items, ...extra });
+
+const section = {
+  type: 'object',
+  required: ['heading', 'body'],
+  properties: {
+    heading: text({ aliases: ['title'] }),
+    body: text({ aliases: ['content', 'text'] })
+  }
+};
+
+const SCHEMAS = {
+  presentation: {
+    type: 'object',
+    required: ['title', 'slides'],
+    properties: {
+      title: text(),
+      subtitle: { type: 'string' },
+      slides: list({
+        type: 'object',
+        required: ['title', 'bullets'],
+        properties: {
+          title: text({ aliases: ['heading'] }),
+          bullets: list(text(), { minItems: 1, aliases: ['points', 'bulletPoints', 'content'] }),
+          notes: { type: 'string', aliases: ['speakerNotes'] }
+        }
+      }, { minItems: 1 })
+    }
+  },
+  document: {
+    type: 'object',
+    required: ['title', 'executiveSummary', 'sections', 'conclusion'],
+    properties: {
+      title: text(),
+      executiveSummary: text({ aliases: ['summary'] }),
+      sections: list(section, { minItems: 1 }),
+      recommendations: list(text()),
+      conclusion: text()
+    }
+  },
+  social: {
+    type: 'object',
+    required: ['hook', 'body', 'cta', 'hashtags'],
+    properties: {
+      hook: text(),
+      body: text({ aliases: ['valueProposition', 'value'] }),
+      cta: text({ aliases: ['callToAction'] }),
+      hashtags: list(text({ pattern: '^#[\\p{L}\\p{N}_]+$', prefix: '#' }), { minItems: 1, maxItems: 30 })
+    }
+  },
+  blog: {
+    type: 'object',
+    required: ['headline', 'introduction', 'sections', 'conclusion'],
+    properties: {
+      headline: text({ aliases: ['title'] }),
+      introduction: text({ aliases: ['intro'] }),
+      sections: list(section, { minItems: 1, aliases: ['mainPoints'] }),
+      conclusion: text(),
+      cta: { type: 'string', aliases: ['callToAction'] }
+    }
+  },
+  email: {
+    type: 'object',
+    required: ['subject', 'body', 'cta'],
+    properties: {
+      subject: text({ maxLength: 200, aliases: ['subjectLine'] }),
+      opening: { type: 'string', aliases: ['greeting'] },
+      body: text({ aliases: ['valueProposition'] }),
+      benefits: list(text()),
+      cta: text({ aliases: ['callToAction'] }),
+      closing: { type: 'string', aliases: ['signature', 'signOff'] }
+    }
+  }
+};
+
+// "Call to Action" -> "callToAction"
+function camelCase(label) {
+  const words = label.split(/[^\p{L}\p{N}]+/u).filter(Boolean);
+  return words.map((word, i) => (i === 0 ? word.toLowerCase() : word.charAt(0).toUpperCase() + word.slice(1).toLowerCase())).join('');
+}
+
+// Types without a hand-written schema get one string property per structure entry
+function deriveSchema(structure) {
+  const properties = {};
+  for (const label of structure) {
+    properties[camelCase(label)] = text({ label });
+  }
+  return { type: 'object', required: Object.keys(properties), properties };
+}
+
+function schemaFor(contentType, template) {
+  return SCHEMAS[contentType] || deriveSchema(template.structure);
+}
+
+module.exports = {
+  SCHEMAS,
+  schemaFor,
+  camelCase
+};
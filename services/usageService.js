@@ -0,0 +1,136 @@
+const storage = require('../storage');
+const planService = require('./planService');
+const { QuotaExceededError } = require('../utils/errors');
+
+// Add whole months to a date, clamping to the end of shorter months (Jan 31 + 1 -> Feb 28/29)
+function addMonths(date, months) {
+  const result = new Date(date.getTime());
+  const day = result.getUTCDate();
+  result.setUTCDate(1);
+  result.setUTCMonth(result.getUTCMonth() + months);
+  const daysInMonth = new Date(Date.UTC(result.getUTCFullYear(), result.getUTCMonth() + 1, 0)).getUTCDate();
+  result.setUTCDate(Math.min(day, daysInMonth));
+  return result;
+}
+
+class UsageService {
+  // Billing periods run monthly from the user's signup date. The current period is
+  // stored, so counters reset exactly when `now` passes the stored periodEnd.
+  async getCurrentPeriod(user, now = new Date()) {
+    const current = await storage.usage.findCurrent(user.id);
+    if (current && new Date(current.periodStart) <= now && now < new Date(current.periodEnd)) {
+      return current;
+    }
+
+    const anchor = new Date(user.createdAt);
+    let months = (now.getUTCFullYear() - anchor.getUTCFullYear()) * 12 + (now.getUTCMonth() - anchor.getUTCMonth());
+    if (addMonths(anchor, months) > now) {
+      months--;
+    }
+    months = Math.max(0, months);
+
+    return storage.usage.createPeriod(
+      user.id,
+      addMonths(anchor, months).toISOString(),
+      addMonths(anchor, months + 1).toISOString()
+    );
+  }
+
+  // Monthly generation allowance from the plan catalog (null = unlimited)
+  getLimit(user) {
+    return planService.getPlanForUser(user).monthlyQuota;
+  }
+
+  // Reserves `units` generations up front, in one atomic check-and-add, so concurrent
+  // requests can't all pass a check against the same count. record() draws on the returned
+  // reservation; what is left must be handed back with release(). Throws QuotaExceededError
+  // if the units would exceed the plan limit.
+  async reserve(user, units = 1) {
+    const period = await this.getCurrentPeriod(user);
+    const limit = this.getLimit(user);
+    const reserved = await storage.usage.reserve(user.id, period.periodStart, units, limit === undefined ? null : limit);
+
+    if (!reserved) {
+      const current = await storage.usage.findCurrent(user.id);
+      const isGuest = user.plan === 'demo';
+      throw new QuotaExceededError(
+        isGuest
+          ? 'Guest request limit reached. Create a free account to continue.'
+          : `Monthly generation limit of ${limit} reached for the ${user.plan} plan`,
+        {
+          statusCode: isGuest ? 429 : 402,
+          limit,
+          used: current.requests,
+          requested: units,
+          periodEnd: period.periodEnd
+        }
+      );
+    }
+
+    return { userId: user.id, periodStart: period.periodStart, units };
+  }
+
+  // Give back the unused part of a reservation (failed, fallback or abandoned generations)
+  async release(reservation) {
+    if (!reservation || reservation.units === 0) return null;
+
+    const { units } = reservation;
+    reservation.units = 0;
+    return storage.usage.increment(reservation.userId, reservation.periodStart, { requests: -units });
+  }
+
+  // Moves what is left of `reservation` into a new one, for work that outlives the request
+  transfer(reservation) {
+    const moved = { ...reservation };
+    reservation.units = 0;
+    return moved;
+  }
+
+  // Meter completed generations: one request per generated piece plus its words and tokens.
+  // Requests already held by `reservation` are drawn from it instead of counted again.
+  async record(user, { requests = 1, words = 0, tokens = 0 } = {}, reservation = null) {
+    if (reservation) {
+      const drawn = Math.min(requests, reservation.units);
+      reservation.units -= drawn;
+      return storage.usage.increment(user.id, reservation.periodStart, { requests: requests - drawn, words, tokens });
+    }
+
+    const period = await this.getCurrentPeriod(user);
+    return storage.usage.increment(user.id, period.periodStart, { requests, words, tokens });
+  }
+
+  // Meter one generation from its result envelope. Template fallback content isn't metered,
+  // since no model produced it. Cache hits are: the caller gets the same content as from a
+  // fresh generation, and the cache is our saving rather than theirs.
+  async recordGeneration(user, generation, prompt, content, reservation = null) {
+    if (generation && generation.fallback) return null;
+    return this.record(user, this.measure(prompt, content), reservation);
+  }
+
+  // Counters for one generation. Providers don't report token counts uniformly,
+  // so tokens are estimated at ~4 characters each across prompt and output.
+  measure(prompt, content) {
+    return {
+      requests: 1,
+      words: content.split(/\s+/).filter(Boolean).length,
+      tokens: Math.ceil((prompt.length + content.length) / 4)
+    };
+  }
+
+  async getSummary(user) {
+    const period = await this.getCurrentPeriod(user);
+    const limit = this.getLimit(user);
+
+    return {
+      requests: period.requests,
+      words: period.words,
+      tokens: period.tokens,
+      limit,
+      remaining: limit === undefined || limit === null ? null : Math.max(0, limit - period.requests),
+      periodStart: period.periodStart,
+      periodEnd: period.periodEnd
+    };
+  }
+}
+
+module.exports = new UsageService();
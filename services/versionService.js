@@ -0,0 +1,156 @@
+const crypto = require('crypto');
+const storage = require('../storage');
+const searchService = require('./searchService');
+const { diffText } = require('../utils/diff');
+const { AppError } = require('../utils/errors');
+
+// Fields whose changes produce a new revision
+const VERSIONED_FIELDS = ['title', 'content', 'tags'];
+
+// Soft-deleted content can be recovered for this many days before it is purged
+const RECOVERY_WINDOW_DAYS = parseInt(process.env.CONTENT_RECOVERY_DAYS, 10) || 30;
+
+class VersionService {
+  constructor() {
+    this.recoveryWindowMs = RECOVERY_WINDOW_DAYS * 24 * 60 * 60 * 1000;
+  }
+
+  // Save new content with its first revision and index it for search.
+  // `fields` are the content record's fields other than id, counts and timestamps.
+  async create(fields, authorId) {
+    const now = new Date().toISOString();
+    const content = await storage.content.create({
+      ...fields,
+      id: crypto.randomUUID(),
+      createdAt: now,
+      updatedAt: now,
+      wordCount: fields.content.split(' ').length,
+      characterCount: fields.content.length
+    });
+    await this.createInitialVersion(content, authorId);
+    await searchService.index(content);
+    return content;
+  }
+
+  // Record the first revision of newly saved content
+  async createInitialVersion(content, authorId) {
+    return storage.versions.create({
+      contentId: content.id,
+      version: 1,
+      title: content.title,
+      content: content.content,
+      tags: content.tags,
+      authorId,
+      changeSummary: 'Initial version',
+      createdAt: content.createdAt
+    });
+  }
+
+  // Apply `changes` to `content`. If any versioned field actually changes, an immutable
+  // revision is written and the record's currentVersion advances.
+  async update(content, changes, { authorId, changeSummary } = {}) {
+    const changedFields = VERSIONED_FIELDS.filter(field =>
+      changes[field] !== undefined && JSON.stringify(changes[field]) !== JSON.stringify(content[field])
+    );
+
+    const now = new Date().toISOString();
+    const updates = { ...changes, updatedAt: now };
+
+    if (changes.content !== undefined) {
+      updates.wordCount = changes.content.split(' ').length;
+      updates.characterCount = changes.content.length;
+    }
+
+    if (changedFields.length > 0) {
+      const version = content.currentVersion + 1;
+      await storage.versions.create({
+        contentId: content.id,
+        version,
+        title: updates.title !== undefined ? updates.title : content.title,
+        content: updates.content !== undefined ? updates.content : content.content,
+        tags: updates.tags !== undefined ? updates.tags : content.tags,
+        authorId,
+        changeSummary: changeSummary || `Updated ${changedFields.join(', ')}`,
+        createdAt: now
+      });
+      updates.currentVersion = version;
+    }
+
+    const updated = await storage.content.update(content.id, updates);
+    await searchService.index(updated);
+    return updated;
+  }
+
+  async list(contentId) {
+    return storage.versions.listByContent(contentId);
+  }
+
+  async get(contentId, version) {
+    return storage.versions.find(contentId, version);
+  }
+
+  // Restoring never rewrites history: the old revision is copied forward as a new one
+  async restore(content, version, authorId) {
+    const target = await storage.versions.find(content.id, version);
+    if (!target) {
+      throw new AppError(`Version ${version} not found`, 404, 'VERSION_NOT_FOUND');
+    }
+
+    return this.update(content, {
+      title: target.title,
+      content: target.content,
+      tags: target.tags
+    }, {
+      authorId,
+      changeSummary: `Restored version ${version}`
+    });
+  }
+
+  async diff(contentId, from, to, granularity = 'line') {
+    const [fromVersion, toVersion] = await Promise.all([
+      storage.versions.find(contentId, from),
+      storage.versions.find(contentId, to)
+    ]);
+
+    const missing = !fromVersion ? from : !toVersion ? to : null;
+    if (missing !== null) {
+      throw new AppError(`Version ${missing} not found`, 404, 'VERSION_NOT_FOUND');
+    }
+
+    return {
+      from,
+      to,
+      title: fromVersion.title === toVersion.title ? null : { from: fromVersion.title, to: toVersion.title },
+      ...diffText(fromVersion.content, toVersion.content, granularity)
+    };
+  }
+
+  // Soft delete: the record stays recoverable until the window closes
+  async softDelete(content) {
+    const deletedAt = new Date().toISOString();
+    await storage.content.update(content.id, { deletedAt });
+    await searchService.remove(content);
+    return { deletedAt, recoverableUntil: this.recoverableUntil({ deletedAt }) };
+  }
+
+  recoverableUntil(content) {
+    return new Date(Date.parse(content.deletedAt) + this.recoveryWindowMs).toISOString();
+  }
+
+  async recover(content) {
+    const recovered = await storage.content.update(content.id, { deletedAt: null, updatedAt: new Date().toISOString() });
+    await searchService.index(recovered);
+    return recovered;
+  }
+
+  isRecoverable(content) {
+    return Boolean(content.deletedAt) && Date.now() - Date.parse(content.deletedAt) < this.recoveryWindowMs;
+  }
+
+  // Permanently remove soft-deleted content whose recovery window has passed
+  async purgeExpired() {
+    return storage.content.purgeDeleted(new Date(Date.now() - this.recoveryWindowMs).toISOString());
+  }
+}
+
+module.exports = new VersionService();
@@ -0,0 +1,25 @@
+const MemoryStorage = require('./memoryStorage');
+
+// Storage driver selection:
+//   STORAGE_DRIVER=sqlite (default) - file-backed database at DATABASE_PATH
+//   STORAGE_DRIVER=memory           - volatile Maps; the default when NODE_ENV=test
+function createStorage({
+  driver = process.env.STORAGE_DRIVER || (process.env.NODE_ENV === 'test' ? 'memory' : 'sqlite'),
+  filename = process.env.DATABASE_PATH || './data/ai-content-creator.db'
+} = {}) {
+  switch (driver) {
+    case 'sqlite': {
+      // Loaded lazily so the native module is only needed when actually used
+      const SqliteStorage = require('./sqliteStorage');
+      return new SqliteStorage(filename);
+    }
+
+    case 'memory':
+      return new MemoryStorage();
+
+    default:
+      throw new Error(`Unknown storage driver "${driver}". Available drivers: sqlite, memory`);
+  }
+}
+
+module.exports = createStorage();
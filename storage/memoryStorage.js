@@ -0,0 +1,361 @@
+const { ConflictError } = require('../utils/errors');
+
+// Records are copied in and out so callers can't mutate stored state by reference,
+// matching what a real database would give them
+const copy = (record) => (record ? JSON.parse(JSON.stringify(record)) : null);
+
+class MemoryUserRepository {
+  constructor() {
+    this.users = new Map();
+    this.emailIndex = new Map();
+    this.apiKeyIndex = new Map();
+  }
+
+  async create(user) {
+    if (this.users.has(user.id)) {
+      throw new ConflictError('User already exists');
+    }
+    if (user.email && this.emailIndex.has(user.email)) {
+      throw new ConflictError('User already exists');
+    }
+    if (this.apiKeyIndex.has(user.apiKey)) {
+      throw new ConflictError('API key already in use');
+    }
+
+    const record = { ...copy(user), updatedAt: user.updatedAt || user.createdAt };
+    this.users.set(record.id, record);
+    if (record.email) {
+      this.emailIndex.set(record.email, record.id);
+    }
+    this.apiKeyIndex.set(record.apiKey, record.id);
+    return copy(record);
+  }
+
+  async findById(id) {
+    return copy(this.users.get(id));
+  }
+
+  async findByEmail(email) {
+    return copy(this.users.get(this.emailIndex.get(email)));
+  }
+
+  async findByApiKey(apiKey) {
+    return copy(this.users.get(this.apiKeyIndex.get(apiKey)));
+  }
+
+  async update(id, changes) {
+    const existing = this.users.get(id);
+    if (!existing) {
+      return null;
+    }
+
+    if (changes.apiKey && changes.apiKey !== existing.apiKey) {
+      if (this.apiKeyIndex.has(changes.apiKey)) {
+        throw new ConflictError('API key already in use');
+      }
+      this.apiKeyIndex.delete(existing.apiKey);
+      this.apiKeyIndex.set(changes.apiKey, id);
+    }
+
+    if (changes.email && changes.email !== existing.email) {
+      if (this.emailIndex.has(changes.email)) {
+        throw new ConflictError('User already exists');
+      }
+      this.emailIndex.delete(existing.email);
+      this.emailIndex.set(changes.email, id);
+    }
+
+    const updated = { ...existing, ...copy(changes), id, updatedAt: new Date().toISOString() };
+    this.users.set(id, updated);
+    return copy(updated);
+  }
+}
+
+class MemoryContentRepository {
+  constructor(versions) {
+    this.items = new Map();
+    this.versions = versions; // purged content takes its history with it, like ON DELETE CASCADE
+  }
+
+  async create(item) {
+    if (this.items.has(item.id)) {
+      throw new ConflictError('Content already exists');
+    }
+    const record = { currentVersion: 1, generation: null, sourceId: null, deletedAt: null, ...copy(item) };
+    this.items.set(item.id, record);
+    return copy(record);
+  }
+
+  async findById(id) {
+    return copy(this.items.get(id));
+  }
+
+  // Newest first, optionally filtered by content type and source. Soft-deleted items are excluded.
+  async listByOwner(ownerId, { contentType, sourceId, limit = 20, offset = 0 } = {}) {
+    const items = (await this.findAllByOwner(ownerId))
+      .filter(item => !contentType || item.contentType === contentType)
+      .filter(item => !sourceId || item.sourceId === sourceId);
+
+    return {
+      items: items.slice(offset, offset + limit),
+      total: items.length
+    };
+  }
+
+  async findAllByOwner(ownerId) {
+    return Array.from(this.items.values())
+      .filter(item => item.ownerId === ownerId && !item.deletedAt)
+      .sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt))
+      .map(copy);
+  }
+
+  async findDeletedByOwner(ownerId) {
+    return Array.from(this.items.values())
+      .filter(item => item.ownerId === ownerId && item.deletedAt)
+      .sort((a, b) => new Date(b.deletedAt) - new Date(a.deletedAt))
+      .map(copy);
+  }
+
+  async purgeDeleted(before) {
+    let purged = 0;
+    for (const [id, item] of this.items) {
+      if (item.deletedAt && item.deletedAt < before) {
+        this.items.delete(id);
+        this.versions.deleteByContent(id);
+        purged++;
+      }
+    }
+    return purged;
+  }
+
+  async update(id, changes) {
+    const existing = this.items.get(id);
+    if (!existing) {
+      return null;
+    }
+
+    const updated = { ...existing, ...copy(changes), id };
+    this.items.set(id, updated);
+    return copy(updated);
+  }
+
+  async delete(id) {
+    this.versions.deleteByContent(id);
+    return this.items.delete(id);
+  }
+}
+
+class MemoryUsageRepository {
+  constructor() {
+    this.periods = new Map(); // userId -> periods, oldest first
+  }
+
+  async findCurrent(userId) {
+    const periods = this.periods.get(userId) || [];
+    return copy(periods[periods.length - 1]);
+  }
+
+  async createPeriod(userId, periodStart, periodEnd) {
+    const periods = this.periods.get(userId) || [];
+    let period = periods.find(p => p.periodStart === periodStart);
+
+    if (!period) {
+      period = { userId, periodStart, periodEnd, requests: 0, words: 0, tokens: 0 };
+      periods.push(period);
+      periods.sort((a, b) => a.periodStart.localeCompare(b.periodStart));
+      this.periods.set(userId, periods);
+    }
+
+    return copy(period);
+  }
+
+  async increment(userId, periodStart, { requests = 0, words = 0, tokens = 0 }) {
+    const period = (this.periods.get(userId) || []).find(p => p.periodStart === periodStart);
+    if (!period) {
+      return null;
+    }
+
+    period.requests += requests;
+    period.words += words;
+    period.tokens += tokens;
+    return copy(period);
+  }
+
+  // Adds `requests` unless that would take the period past `limit` (null = unlimited).
+  // Returns the updated period, or null when nothing was reserved.
+  async reserve(userId, periodStart, requests, limit) {
+    const period = (this.periods.get(userId) || []).find(p => p.periodStart === periodStart);
+    if (!period || (limit !== null && period.requests + requests > limit)) {
+      return null;
+    }
+
+    period.requests += requests;
+    return copy(period);
+  }
+}
+
+class MemoryJobRepository {
+  constructor() {
+    this.jobs = new Map();
+  }
+
+  async create(job) {
+    if (this.jobs.has(job.id)) {
+      throw new ConflictError('Job already exists');
+    }
+    const record = { webhookUrl: null, webhookSecret: null, webhook: null, completedAt: null, ...copy(job) };
+    this.jobs.set(job.id, record);
+    return copy(record);
+  }
+
+  async findById(id) {
+    return copy(this.jobs.get(id));
+  }
+
+  async update(id, changes) {
+    const existing = this.jobs.get(id);
+    if (!existing) {
+      return null;
+    }
+
+    const updated = { ...existing, ...copy(changes), id, updatedAt: new Date().toISOString() };
+    this.jobs.set(id, updated);
+    return copy(updated);
+  }
+
+  async findUnfinished() {
+    return Array.from(this.jobs.values())
+      .filter(job => job.status === 'queued' || job.status === 'running')
+      .map(copy);
+  }
+}
+
+class MemorySessionRepository {
+  constructor() {
+    this.sessions = new Map();
+  }
+
+  async create(session) {
+    if (this.sessions.has(session.id)) {
+      throw new ConflictError('Session already exists');
+    }
+    const record = { brandVoiceId: null, messages: [], contentId: null, ...copy(session) };
+    this.sessions.set(session.id, record);
+    return copy(record);
+  }
+
+  async findById(id) {
+    return copy(this.sessions.get(id));
+  }
+
+  async update(id, changes) {
+    const existing = this.sessions.get(id);
+    if (!existing) {
+      return null;
+    }
+
+    const updated = { ...existing, ...copy(changes), id, updatedAt: new Date().toISOString() };
+    this.sessions.set(id, updated);
+    return copy(updated);
+  }
+}
+
+class MemoryVersionRepository {
+  constructor() {
+    this.versions = new Map(); // contentId -> versions, oldest first
+  }
+
+  async create(version) {
+    const versions = this.versions.get(version.contentId) || [];
+    if (versions.some(v => v.version === version.version)) {
+      throw new ConflictError('Version already exists');
+    }
+
+    const record = { authorId: null, changeSummary: null, ...copy(version) };
+    versions.push(record);
+    this.versions.set(version.contentId, versions);
+    return copy(record);
+  }
+
+  async find(contentId, version) {
+    return copy((this.versions.get(contentId) || []).find(v => v.version === version));
+  }
+
+  async listByContent(contentId) {
+    return (this.versions.get(contentId) || []).slice().reverse().map(copy);
+  }
+
+  deleteByContent(contentId) {
+    this.versions.delete(contentId);
+  }
+}
+
+// User-defined records (custom content types, prompt templates, brand voices) that are private
+// to their owner unless visibility is 'public', or 'shared' with the emails in sharedWith
+class MemoryLibraryRepository {
+  constructor(kind) {
+    this.kind = kind;
+    this.items = new Map();
+  }
+
+  async create(item) {
+    if (this.items.has(item.id)) {
+      throw new ConflictError(`${this.kind} already exists`);
+    }
+    const record = { visibility: 'private', ...copy(item) };
+    this.items.set(item.id, record);
+    return copy(record);
+  }
+
+  async findById(id) {
+    return copy(this.items.get(id));
+  }
+
+  // The owner's records plus everything public or shared with `email`, oldest first
+  async listVisible(ownerId, email) {
+    return Array.from(this.items.values())
+      .filter(item => item.ownerId === ownerId || item.visibility === 'public' ||
+        (item.visibility === 'shared' && Boolean(email) && (item.sharedWith || []).includes(email)))
+      .sort((a, b) => a.createdAt.localeCompare(b.createdAt))
+      .map(copy);
+  }
+
+  async countByOwner(ownerId) {
+    return Array.from(this.items.values()).filter(item => item.ownerId === ownerId).length;
+  }
+
+  async update(id, changes) {
+    const existing = this.items.get(id);
+    if (!existing) {
+      return null;
+    }
+
+    const updated = { ...existing, ...copy(changes), id, updatedAt: new Date().toISOString() };
+    this.items.set(id, updated);
+    return copy(updated);
+  }
+
+  async delete(id) {
+    return this.items.delete(id);
+  }
+}
+
+// Volatile storage: the default for tests and a fallback when no database is wanted
+class MemoryStorage {
+  constructor() {
+    this.driver = 'memory';
+    this.users = new MemoryUserRepository();
+    this.versions = new MemoryVersionRepository();
+    this.content = new MemoryContentRepository(this.versions);
+    this.usage = new MemoryUsageRepository();
+    this.jobs = new MemoryJobRepository();
+    this.sessions = new MemorySessionRepository();
+    this.contentTypes = new MemoryLibraryRepository('Content type');
+    this.promptTemplates = new MemoryLibraryRepository('Prompt template');
+    this.brandVoices = new MemoryLibraryRepository('Brand voice');
+  }
+
+  close() {}
+}
+
+module.exports = MemoryStorage;
@@ -0,0 +1,219 @@
+// Ordered schema migrations for the SQLite storage driver.
+// Append new entries; never edit one that has already shipped.
+module.exports = [
+  {
+    version: 1,
+    name: 'create_users_and_content',
+    up: `
+      CREATE TABLE users (
+        id TEXT PRIMARY KEY,
+        email TEXT,
+        name TEXT NOT NULL,
+        password TEXT,
+        api_key TEXT NOT NULL,
+        plan TEXT NOT NULL DEFAULT 'free',
+        usage TEXT NOT NULL DEFAULT '{}',
+        created_at TEXT NOT NULL,
+        updated_at TEXT NOT NULL
+      );
+
+      CREATE UNIQUE INDEX idx_users_email ON users (email);
+      CREATE UNIQUE INDEX idx_users_api_key ON users (api_key);
+
+      CREATE TABLE content (
+        id TEXT PRIMARY KEY,
+        owner_id TEXT NOT NULL REFERENCES users (id) ON DELETE CASCADE,
+        title TEXT NOT NULL,
+        content TEXT NOT NULL,
+        content_type TEXT NOT NULL,
+        language TEXT NOT NULL,
+        tone TEXT NOT NULL,
+        tags TEXT NOT NULL DEFAULT '[]',
+        word_count INTEGER NOT NULL DEFAULT 0,
+        character_count INTEGER NOT NULL DEFAULT 0,
+        created_at TEXT NOT NULL,
+        updated_at TEXT NOT NULL
+      );
+
+      CREATE INDEX idx_content_owner_created ON content (owner_id, created_at DESC);
+    `
+  },
+  {
+    version: 2,
+    name: 'create_usage_periods',
+    up: `
+      CREATE TABLE usage_periods (
+        user_id TEXT NOT NULL REFERENCES users (id) ON DELETE CASCADE,
+        period_start TEXT NOT NULL,
+        period_end TEXT NOT NULL,
+        requests INTEGER NOT NULL DEFAULT 0,
+        words INTEGER NOT NULL DEFAULT 0,
+        tokens INTEGER NOT NULL DEFAULT 0,
+        PRIMARY KEY (user_id, period_start)
+      );
+    `
+  },
+  {
+    version: 3,
+    name: 'create_jobs',
+    up: `
+      CREATE TABLE jobs (
+        id TEXT PRIMARY KEY,
+        owner_id TEXT NOT NULL REFERENCES users (id) ON DELETE CASCADE,
+        type TEXT NOT NULL,
+        status TEXT NOT NULL,
+        items TEXT NOT NULL DEFAULT '[]',
+        webhook_url TEXT,
+        webhook TEXT,
+        created_at TEXT NOT NULL,
+        updated_at TEXT NOT NULL,
+        completed_at TEXT
+      );
+
+      CREATE INDEX idx_jobs_owner_created ON jobs (owner_id, created_at DESC);
+      CREATE INDEX idx_jobs_status ON jobs (status);
+    `
+  },
+  {
+    version: 4,
+    name: 'add_content_versions_and_soft_delete',
+    up: `
+      ALTER TABLE content ADD COLUMN current_version INTEGER NOT NULL DEFAULT 1;
+      ALTER TABLE content ADD COLUMN deleted_at TEXT;
+
+      CREATE TABLE content_versions (
+        content_id TEXT NOT NULL REFERENCES content (id) ON DELETE CASCADE,
+        version INTEGER NOT NULL,
+        title TEXT NOT NULL,
+        content TEXT NOT NULL,
+        tags TEXT NOT NULL DEFAULT '[]',
+        author_id TEXT,
+        change_summary TEXT,
+        created_at TEXT NOT NULL,
+        PRIMARY KEY (content_id, version)
+      );
+
+      -- Existing content becomes version 1 of its own history
+      INSERT INTO content_versions (content_id, version, title, content, tags, author_id, change_summary, created_at)
+      SELECT id, 1, title, content, tags, owner_id, 'Initial version', created_at FROM content;
+
+      CREATE INDEX idx_content_deleted ON content (deleted_at) WHERE deleted_at IS NOT NULL;
+    `
+  },
+  {
+    version: 5,
+    name: 'create_custom_content_types_and_prompt_templates',
+    up: `
+      CREATE TABLE content_types (
+        id TEXT PRIMARY KEY,
+        owner_id TEXT NOT NULL REFERENCES users (id) ON DELETE CASCADE,
+        name TEXT NOT NULL,
+        description TEXT NOT NULL DEFAULT '',
+        system_prompt TEXT NOT NULL,
+        structure TEXT NOT NULL DEFAULT '[]',
+        visibility TEXT NOT NULL DEFAULT 'private',
+        created_at TEXT NOT NULL,
+        updated_at TEXT NOT NULL
+      );
+
+      CREATE INDEX idx_content_types_owner ON content_types (owner_id);
+      CREATE INDEX idx_content_types_public ON content_types (visibility) WHERE visibility = 'public';
+
+      CREATE TABLE prompt_templates (
+        id TEXT PRIMARY KEY,
+        owner_id TEXT NOT NULL REFERENCES users (id) ON DELETE CASCADE,
+        name TEXT NOT NULL,
+        description TEXT NOT NULL DEFAULT '',
+        content_type TEXT NOT NULL,
+        prompt TEXT NOT NULL,
+        variables TEXT NOT NULL DEFAULT '[]',
+        tags TEXT NOT NULL DEFAULT '[]',
+        visibility TEXT NOT NULL DEFAULT 'private',
+        created_at TEXT NOT NULL,
+        updated_at TEXT NOT NULL
+      );
+
+      CREATE INDEX idx_prompt_templates_owner ON prompt_templates (owner_id);
+      CREATE INDEX idx_prompt_templates_public ON prompt_templates (visibility) WHERE visibility = 'public';
+    `
+  },
+  {
+    version: 6,
+    name: 'create_brand_voices',
+    up: `
+      CREATE TABLE brand_voices (
+        id TEXT PRIMARY KEY,
+        owner_id TEXT NOT NULL REFERENCES users (id) ON DELETE CASCADE,
+        name TEXT NOT NULL,
+        description TEXT NOT NULL DEFAULT '',
+        guidelines TEXT NOT NULL DEFAULT '',
+        vocabulary TEXT NOT NULL DEFAULT '[]',
+        banned_terms TEXT NOT NULL DEFAULT '[]',
+        reading_level REAL,
+        samples TEXT NOT NULL DEFAULT '[]',
+        visibility TEXT NOT NULL DEFAULT 'private',
+        created_at TEXT NOT NULL,
+        updated_at TEXT NOT NULL
+      );
+
+      CREATE INDEX idx_brand_voices_owner ON brand_voices (owner_id);
+      CREATE INDEX idx_brand_voices_public ON brand_voices (visibility) WHERE visibility = 'public';
+    `
+  },
+  {
+    version: 7,
+    name: 'add_content_generation',
+    up: `
+      -- Provenance of the generation the content was saved from (JSON, null when unknown)
+      ALTER TABLE content ADD COLUMN generation TEXT;
+    `
+  },
+  {
+    version: 8,
+    name: 'create_sessions',
+    up: `
+      CREATE TABLE sessions (
+        id TEXT PRIMARY KEY,
+        owner_id TEXT NOT NULL REFERENCES users (id) ON DELETE CASCADE,
+        title TEXT NOT NULL,
+        content_type TEXT NOT NULL,
+        language TEXT NOT NULL,
+        tone TEXT NOT NULL,
+        brand_voice_id TEXT,
+        messages TEXT NOT NULL DEFAULT '[]',
+        content_id TEXT REFERENCES content (id) ON DELETE SET NULL,
+        created_at TEXT NOT NULL,
+        updated_at TEXT NOT NULL
+      );
+
+      CREATE INDEX idx_sessions_owner_updated ON sessions (owner_id, updated_at DESC);
+    `
+  },
+  {
+    version: 9,
+    name: 'add_content_source',
+    up: `
+      -- Shared by content repurposed from one source (the source's content ID, or a generated
+      -- ID when the source was raw text). Not a foreign key: the source may be deleted.
+      ALTER TABLE content ADD COLUMN source_id TEXT;
+
+      CREATE INDEX idx_content_source ON content (source_id) WHERE source_id IS NOT NULL;
+    `
+  },
+  {
+    version: 10,
+    name: 'add_job_webhook_secret',
+    up: `
+      -- Per-job HMAC key for webhook signatures, handed to the owner when the job is submitted
+      ALTER TABLE jobs ADD COLUMN webhook_secret TEXT;
+    `
+  },
+  {
+    version: 11,
+    name: 'add_brand_voice_shared_with',
+    up: `
+      -- Emails of the users a brand voice with visibility 'shared' is shared with (JSON array)
+      ALTER TABLE brand_voices ADD COLUMN shared_with TEXT NOT NULL DEFAULT '[]';
+    `
+  }
+];
@@ -0,0 +1,656 @@
+const fs = require('fs');
+const path = require('path');
+const Database = require('better-sqlite3');
+const migrations = require('./migrations');
+const { AppError, ConflictError, StorageError } = require('../utils/errors');
+
+// Translate SQLite failures into AppErrors so errorHandler can map them cleanly
+function translateError(error) {
+  if (error instanceof AppError) {
+    return error;
+  }
+
+  if (typeof error.code === 'string' && error.code.startsWith('SQLITE_CONSTRAINT')) {
+    const field = (error.message.match(/constraint failed: (\S+)/) || [])[1];
+    return new ConflictError('Duplicate field value entered', field && { field });
+  }
+
+  if (error.code === 'SQLITE_BUSY' || error.code === 'SQLITE_LOCKED') {
+    return new StorageError('Database is busy, please try again', { retryable: true, cause: error });
+  }
+
+  return new StorageError(undefined, { cause: error });
+}
+
+// Run a synchronous statement and surface failures as AppErrors
+function run(fn) {
+  try {
+    return fn();
+  } catch (error) {
+    throw translateError(error);
+  }
+}
+
+// Build "col = @field" assignments from a camelCase -> column map, encoding JSON fields
+function buildAssignments(columns, jsonFields, changes) {
+  const assignments = [];
+  const params = {};
+
+  for (const [field, value] of Object.entries(changes)) {
+    const column = columns[field];
+    if (!column || value === undefined) continue;
+    assignments.push(`${column} = @${field}`);
+    params[field] = jsonFields.includes(field) ? JSON.stringify(value) : value;
+  }
+
+  return { assignments, params };
+}
+
+const USER_COLUMNS = {
+  email: 'email',
+  name: 'name',
+  password: 'password',
+  apiKey: 'api_key',
+  plan: 'plan',
+  usage: 'usage',
+  updatedAt: 'updated_at'
+};
+
+const CONTENT_COLUMNS = {
+  title: 'title',
+  content: 'content',
+  contentType: 'content_type',
+  language: 'language',
+  tone: 'tone',
+  tags: 'tags',
+  wordCount: 'word_count',
+  characterCount: 'character_count',
+  currentVersion: 'current_version',
+  generation: 'generation',
+  sourceId: 'source_id',
+  deletedAt: 'deleted_at',
+  updatedAt: 'updated_at'
+};
+
+const JOB_COLUMNS = {
+  status: 'status',
+  items: 'items',
+  webhook: 'webhook',
+  updatedAt: 'updated_at',
+  completedAt: 'completed_at'
+};
+
+const SESSION_COLUMNS = {
+  title: 'title',
+  messages: 'messages',
+  contentId: 'content_id',
+  updatedAt: 'updated_at'
+};
+
+const CONTENT_TYPE_COLUMNS = {
+  name: 'name',
+  description: 'description',
+  systemPrompt: 'system_prompt',
+  structure: 'structure',
+  visibility: 'visibility',
+  updatedAt: 'updated_at'
+};
+
+const PROMPT_TEMPLATE_COLUMNS = {
+  name: 'name',
+  description: 'description',
+  contentType: 'content_type',
+  prompt: 'prompt',
+  variables: 'variables',
+  tags: 'tags',
+  visibility: 'visibility',
+  updatedAt: 'updated_at'
+};
+
+const BRAND_VOICE_COLUMNS = {
+  name: 'name',
+  description: 'description',
+  guidelines: 'guidelines',
+  vocabulary: 'vocabulary',
+  bannedTerms: 'banned_terms',
+  readingLevel: 'reading_level',
+  samples: 'samples',
+  visibility: 'visibility',
+  sharedWith: 'shared_with',
+  updatedAt: 'updated_at'
+};
+
+function toUser(row) {
+  if (!row) return null;
+  return {
+    id: row.id,
+    email: row.email,
+    name: row.name,
+    password: row.password,
+    apiKey: row.api_key,
+    plan: row.plan,
+    usage: JSON.parse(row.usage),
+    createdAt: row.created_at,
+    updatedAt: row.updated_at
+  };
+}
+
+function toContent(row) {
+  if (!row) return null;
+  return {
+    id: row.id,
+    ownerId: row.owner_id,
+    title: row.title,
+    content: row.content,
+    contentType: row.content_type,
+    language: row.language,
+    tone: row.tone,
+    tags: JSON.parse(row.tags),
+    wordCount: row.word_count,
+    characterCount: row.character_count,
+    currentVersion: row.current_version,
+    generation: row.generation ? JSON.parse(row.generation) : null,
+    sourceId: row.source_id,
+    deletedAt: row.deleted_at,
+    createdAt: row.created_at,
+    updatedAt: row.updated_at
+  };
+}
+
+function toVersion(row) {
+  if (!row) return null;
+  return {
+    contentId: row.content_id,
+    version: row.version,
+    title: row.title,
+    content: row.content,
+    tags: JSON.parse(row.tags),
+    authorId: row.author_id,
+    changeSummary: row.change_summary,
+    createdAt: row.created_at
+  };
+}
+
+// Immutable revision history; rows are only ever inserted
+class SqliteVersionRepository {
+  constructor(db) {
+    this.db = db;
+  }
+
+  async create(version) {
+    run(() => this.db.prepare(`
+      INSERT INTO content_versions (content_id, version, title, content, tags, author_id, change_summary, created_at)
+      VALUES (@contentId, @version, @title, @content, @tags, @authorId, @changeSummary, @createdAt)
+    `).run({ authorId: null, changeSummary: null, ...version, tags: JSON.stringify(version.tags || []) }));
+    return this.find(version.contentId, version.version);
+  }
+
+  async find(contentId, version) {
+    return toVersion(run(() => this.db.prepare('SELECT * FROM content_versions WHERE content_id = ? AND version = ?')
+      .get(contentId, version)));
+  }
+
+  // Newest first
+  async listByContent(contentId) {
+    return run(() => this.db.prepare('SELECT * FROM content_versions WHERE content_id = ? ORDER BY version DESC')
+      .all(contentId)
+      .map(toVersion));
+  }
+}
+
+class SqliteUserRepository {
+  constructor(db) {
+    this.db = db;
+  }
+
+  async create(user) {
+    const record = { ...user, updatedAt: user.updatedAt || user.createdAt };
+    run(() => this.db.prepare(`
+      INSERT INTO users (id, email, name, password, api_key, plan, usage, created_at, updated_at)
+      VALUES (@id, @email, @name, @password, @apiKey, @plan, @usage, @createdAt, @updatedAt)
+    `).run({
+      email: null,
+      password: null,
+      ...record,
+      usage: JSON.stringify(record.usage || {})
+    }));
+    return this.findById(user.id);
+  }
+
+  async findById(id) {
+    return toUser(run(() => this.db.prepare('SELECT * FROM users WHERE id = ?').get(id)));
+  }
+
+  async findByEmail(email) {
+    return toUser(run(() => this.db.prepare('SELECT * FROM users WHERE email = ?').get(email)));
+  }
+
+  async findByApiKey(apiKey) {
+    return toUser(run(() => this.db.prepare('SELECT * FROM users WHERE api_key = ?').get(apiKey)));
+  }
+
+  async update(id, changes) {
+    const { assignments, params } = buildAssignments(USER_COLUMNS, ['usage'], {
+      ...changes,
+      updatedAt: new Date().toISOString()
+    });
+
+    run(() => this.db.prepare(`UPDATE users SET ${assignments.join(', ')} WHERE id = @id`).run({ ...params, id }));
+    return this.findById(id);
+  }
+}
+
+function toUsagePeriod(row) {
+  if (!row) return null;
+  return {
+    userId: row.user_id,
+    periodStart: row.period_start,
+    periodEnd: row.period_end,
+    requests: row.requests,
+    words: row.words,
+    tokens: row.tokens
+  };
+}
+
+function toJob(row) {
+  if (!row) return null;
+  return {
+    id: row.id,
+    ownerId: row.owner_id,
+    type: row.type,
+    status: row.status,
+    items: JSON.parse(row.items),
+    webhookUrl: row.webhook_url,
+    webhookSecret: row.webhook_secret,
+    webhook: row.webhook ? JSON.parse(row.webhook) : null,
+    createdAt: row.created_at,
+    updatedAt: row.updated_at,
+    completedAt: row.completed_at
+  };
+}
+
+class SqliteJobRepository {
+  constructor(db) {
+    this.db = db;
+  }
+
+  async create(job) {
+    run(() => this.db.prepare(`
+      INSERT INTO jobs (id, owner_id, type, status, items, webhook_url, webhook_secret, created_at, updated_at)
+      VALUES (@id, @ownerId, @type, @status, @items, @webhookUrl, @webhookSecret, @createdAt, @updatedAt)
+    `).run({ webhookUrl: null, webhookSecret: null, ...job, items: JSON.stringify(job.items || []) }));
+    return this.findById(job.id);
+  }
+
+  async findById(id) {
+    return toJob(run(() => this.db.prepare('SELECT * FROM jobs WHERE id = ?').get(id)));
+  }
+
+  async update(id, changes) {
+    const { assignments, params } = buildAssignments(JOB_COLUMNS, ['items', 'webhook'], {
+      ...changes,
+      updatedAt: new Date().toISOString()
+    });
+    run(() => this.db.prepare(`UPDATE jobs SET ${assignments.join(', ')} WHERE id = @id`).run({ ...params, id }));
+    return this.findById(id);
+  }
+
+  // Jobs that were queued or running when the process stopped
+  async findUnfinished() {
+    return run(() => this.db.prepare("SELECT * FROM jobs WHERE status IN ('queued', 'running')").all().map(toJob));
+  }
+}
+
+function toSession(row) {
+  if (!row) return null;
+  return {
+    id: row.id,
+    ownerId: row.owner_id,
+    title: row.title,
+    contentType: row.content_type,
+    language: row.language,
+    tone: row.tone,
+    brandVoiceId: row.brand_voice_id,
+    messages: JSON.parse(row.messages),
+    contentId: row.content_id,
+    createdAt: row.created_at,
+    updatedAt: row.updated_at
+  };
+}
+
+class SqliteSessionRepository {
+  constructor(db) {
+    this.db = db;
+  }
+
+  async create(session) {
+    run(() => this.db.prepare(`
+      INSERT INTO sessions (id, owner_id, title, content_type, language, tone, brand_voice_id, messages, content_id, created_at, updated_at)
+      VALUES (@id, @ownerId, @title, @contentType, @language, @tone, @brandVoiceId, @messages, @contentId, @createdAt, @updatedAt)
+    `).run({ brandVoiceId: null, contentId: null, ...session, messages: JSON.stringify(session.messages || []) }));
+    return this.findById(session.id);
+  }
+
+  async findById(id) {
+    return toSession(run(() => this.db.prepare('SELECT * FROM sessions WHERE id = ?').get(id)));
+  }
+
+  async update(id, changes) {
+    const { assignments, params } = buildAssignments(SESSION_COLUMNS, ['messages'], {
+      ...changes,
+      updatedAt: new Date().toISOString()
+    });
+    run(() => this.db.prepare(`UPDATE sessions SET ${assignments.join(', ')} WHERE id = @id`).run({ ...params, id }));
+    return this.findById(id);
+  }
+}
+
+class SqliteUsageRepository {
+  constructor(db) {
+    this.db = db;
+  }
+
+  // Most recent billing period for the user, or null
+  async findCurrent(userId) {
+    return toUsagePeriod(run(() => this.db.prepare(`
+      SELECT * FROM usage_periods WHERE user_id = ? ORDER BY period_start DESC LIMIT 1
+    `).get(userId)));
+  }
+
+  // Idempotent: concurrent callers opening the same period get the same row
+  async createPeriod(userId, periodStart, periodEnd) {
+    return toUsagePeriod(run(() => {
+      this.db.prepare(`
+        INSERT OR IGNORE INTO usage_periods (user_id, period_start, period_end) VALUES (?, ?, ?)
+      `).run(userId, periodStart, periodEnd);
+      return this.db.prepare('SELECT * FROM usage_periods WHERE user_id = ? AND period_start = ?').get(userId, periodStart);
+    }));
+  }
+
+  // Atomic counter increment
+  async increment(userId, periodStart, { requests = 0, words = 0, tokens = 0 }) {
+    return toUsagePeriod(run(() => {
+      this.db.prepare(`
+        UPDATE usage_periods
+        SET requests = requests + @requests, words = words + @words, tokens = tokens + @tokens
+        WHERE user_id = @userId AND period_start = @periodStart
+      `).run({ userId, periodStart, requests, words, tokens });
+      return this.db.prepare('SELECT * FROM usage_periods WHERE user_id = ? AND period_start = ?').get(userId, periodStart);
+    }));
+  }
+
+  // Adds `requests` unless that would take the period past `limit` (null = unlimited), in a
+  // single conditional UPDATE so concurrent reservations can't both pass. Returns the updated
+  // period, or null when nothing was reserved.
+  async reserve(userId, periodStart, requests, limit) {
+    return toUsagePeriod(run(() => {
+      const { changes } = this.db.prepare(`
+        UPDATE usage_periods SET requests = requests + @requests
+        WHERE user_id = @userId AND period_start = @periodStart AND (@limit IS NULL OR requests + @requests <= @limit)
+      `).run({ userId, periodStart, requests, limit });
+      return changes > 0
+        ? this.db.prepare('SELECT * FROM usage_periods WHERE user_id = ? AND period_start = ?').get(userId, periodStart)
+        : null;
+    }));
+  }
+}
+
+class SqliteContentRepository {
+  constructor(db) {
+    this.db = db;
+  }
+
+  async create(item) {
+    run(() => this.db.prepare(`
+      INSERT INTO content (id, owner_id, title, content, content_type, language, tone, tags,
+        word_count, character_count, current_version, generation, source_id, created_at, updated_at)
+      VALUES (@id, @ownerId, @title, @content, @contentType, @language, @tone, @tags,
+        @wordCount, @characterCount, @currentVersion, @generation, @sourceId, @createdAt, @updatedAt)
+    `).run({
+      currentVersion: 1,
+      sourceId: null,
+      ...item,
+      tags: JSON.stringify(item.tags || []),
+      generation: item.generation ? JSON.stringify(item.generation) : null
+    }));
+    return this.findById(item.id);
+  }
+
+  async findById(id) {
+    return toContent(run(() => this.db.prepare('SELECT * FROM content WHERE id = ?').get(id)));
+  }
+
+  // Newest first, optionally filtered by content type and source. Soft-deleted items are excluded.
+  async listByOwner(ownerId, { contentType, sourceId, limit = 20, offset = 0 } = {}) {
+    const where = [
+      'owner_id = @ownerId AND deleted_at IS NULL',
+      contentType && 'content_type = @contentType',
+      sourceId && 'source_id = @sourceId'
+    ].filter(Boolean).join(' AND ');
+    const params = { ownerId, contentType, sourceId, limit, offset };
+
+    return run(() => ({
+      items: this.db.prepare(`
+        SELECT * FROM content WHERE ${where}
+        ORDER BY created_at DESC LIMIT @limit OFFSET @offset
+      `).all(params).map(toContent),
+      total: this.db.prepare(`SELECT COUNT(*) AS total FROM content WHERE ${where}`).get(params).total
+    }));
+  }
+
+  async findAllByOwner(ownerId) {
+    return run(() => this.db.prepare('SELECT * FROM content WHERE owner_id = ? AND deleted_at IS NULL ORDER BY created_at DESC')
+      .all(ownerId)
+      .map(toContent));
+  }
+
+  // Soft-deleted items, most recently deleted first
+  async findDeletedByOwner(ownerId) {
+    return run(() => this.db.prepare('SELECT * FROM content WHERE owner_id = ? AND deleted_at IS NOT NULL ORDER BY deleted_at DESC')
+      .all(ownerId)
+      .map(toContent));
+  }
+
+  // Permanently remove items soft-deleted before `before` (versions cascade)
+  async purgeDeleted(before) {
+    return run(() => this.db.prepare('DELETE FROM content WHERE deleted_at IS NOT NULL AND deleted_at < ?').run(before)).changes;
+  }
+
+  async update(id, changes) {
+    const { assignments, params } = buildAssignments(CONTENT_COLUMNS, ['tags', 'generation'], changes);
+    if (assignments.length > 0) {
+      run(() => this.db.prepare(`UPDATE content SET ${assignments.join(', ')} WHERE id = @id`).run({ ...params, id }));
+    }
+    return this.findById(id);
+  }
+
+  async delete(id) {
+    return run(() => this.db.prepare('DELETE FROM content WHERE id = ?').run(id)).changes > 0;
+  }
+}
+
+function toContentType(row) {
+  if (!row) return null;
+  return {
+    id: row.id,
+    ownerId: row.owner_id,
+    name: row.name,
+    description: row.description,
+    systemPrompt: row.system_prompt,
+    structure: JSON.parse(row.structure),
+    visibility: row.visibility,
+    createdAt: row.created_at,
+    updatedAt: row.updated_at
+  };
+}
+
+function toPromptTemplate(row) {
+  if (!row) return null;
+  return {
+    id: row.id,
+    ownerId: row.owner_id,
+    name: row.name,
+    description: row.description,
+    contentType: row.content_type,
+    prompt: row.prompt,
+    variables: JSON.parse(row.variables),
+    tags: JSON.parse(row.tags),
+    visibility: row.visibility,
+    createdAt: row.created_at,
+    updatedAt: row.updated_at
+  };
+}
+
+function toBrandVoice(row) {
+  if (!row) return null;
+  return {
+    id: row.id,
+    ownerId: row.owner_id,
+    name: row.name,
+    description: row.description,
+    guidelines: row.guidelines,
+    vocabulary: JSON.parse(row.vocabulary),
+    bannedTerms: JSON.parse(row.banned_terms),
+    readingLevel: row.reading_level,
+    samples: JSON.parse(row.samples),
+    visibility: row.visibility,
+    sharedWith: JSON.parse(row.shared_with),
+    createdAt: row.created_at,
+    updatedAt: row.updated_at
+  };
+}
+
+// Shared CRUD for the user library tables (content_types, prompt_templates, brand_voices): rows are
+// private to their owner unless visibility is 'public', or 'shared' with the emails in shared_with
+// on tables that have the column
+class SqliteLibraryRepository {
+  constructor(db, { table, columns, jsonFields, toRecord }) {
+    this.db = db;
+    this.table = table;
+    this.columns = columns;
+    this.jsonFields = jsonFields;
+    this.toRecord = toRecord;
+  }
+
+  async create(item) {
+    const record = { visibility: 'private', description: '', ...item };
+    const fields = ['id', 'ownerId', 'createdAt', ...Object.keys(this.columns)];
+    const columns = { id: 'id', ownerId: 'owner_id', createdAt: 'created_at', ...this.columns };
+    const params = Object.fromEntries(fields.map(field => [
+      field,
+      this.jsonFields.includes(field) ? JSON.stringify(record[field] || []) : record[field]
+    ]));
+
+    run(() => this.db.prepare(`
+      INSERT INTO ${this.table} (${fields.map(field => columns[field]).join(', ')})
+      VALUES (${fields.map(field => `@${field}`).join(', ')})
+    `).run(params));
+    return this.findById(item.id);
+  }
+
+  async findById(id) {
+    return this.toRecord(run(() => this.db.prepare(`SELECT * FROM ${this.table} WHERE id = ?`).get(id)));
+  }
+
+  // The owner's rows plus everything public or shared with `email`, oldest first
+  async listVisible(ownerId, email) {
+    const shared = this.columns.sharedWith
+      ? `OR (visibility = 'shared' AND EXISTS (SELECT 1 FROM json_each(shared_with) WHERE value = @email))`
+      : '';
+    return run(() => this.db.prepare(`
+      SELECT * FROM ${this.table} WHERE owner_id = @ownerId OR visibility = 'public' ${shared} ORDER BY created_at ASC
+    `).all({ ownerId, email: email || null }).map(this.toRecord));
+  }
+
+  async countByOwner(ownerId) {
+    return run(() => this.db.prepare(`SELECT COUNT(*) AS total FROM ${this.table} WHERE owner_id = ?`).get(ownerId)).total;
+  }
+
+  async update(id, changes) {
+    const { assignments, params } = buildAssignments(this.columns, this.jsonFields, {
+      ...changes,
+      updatedAt: new Date().toISOString()
+    });
+    run(() => this.db.prepare(`UPDATE ${this.table} SET ${assignments.join(', ')} WHERE id = @id`).run({ ...params, id }));
+    return this.findById(id);
+  }
+
+  async delete(id) {
+    return run(() => this.db.prepare(`DELETE FROM ${this.table} WHERE id = ?`).run(id)).changes > 0;
+  }
+}
+
+// File-backed storage. Pending migrations are applied when the database is opened.
+class SqliteStorage {
+  constructor(filename) {
+    this.driver = 'sqlite';
+    this.filename = filename;
+
+    if (filename !== ':memory:') {
+      fs.mkdirSync(path.dirname(path.resolve(filename)), { recursive: true });
+    }
+
+    this.db = run(() => new Database(filename));
+    this.db.pragma('journal_mode = WAL');
+    this.db.pragma('foreign_keys = ON');
+    this.db.pragma('busy_timeout = 5000');
+
+    this.migrate();
+
+    this.users = new SqliteUserRepository(this.db);
+    this.content = new SqliteContentRepository(this.db);
+    this.usage = new SqliteUsageRepository(this.db);
+    this.jobs = new SqliteJobRepository(this.db);
+    this.sessions = new SqliteSessionRepository(this.db);
+    this.versions = new SqliteVersionRepository(this.db);
+    this.contentTypes = new SqliteLibraryRepository(this.db, {
+      table: 'content_types',
+      columns: CONTENT_TYPE_COLUMNS,
+      jsonFields: ['structure'],
+      toRecord: toContentType
+    });
+    this.promptTemplates = new SqliteLibraryRepository(this.db, {
+      table: 'prompt_templates',
+      columns: PROMPT_TEMPLATE_COLUMNS,
+      jsonFields: ['variables', 'tags'],
+      toRecord: toPromptTemplate
+    });
+    this.brandVoices = new SqliteLibraryRepository(this.db, {
+      table: 'brand_voices',
+      columns: BRAND_VOICE_COLUMNS,
+      jsonFields: ['vocabulary', 'bannedTerms', 'samples', 'sharedWith'],
+      toRecord: toBrandVoice
+    });
+  }
+
+  migrate() {
+    this.db.exec(`
+      CREATE TABLE IF NOT EXISTS schema_migrations (
+        version INTEGER PRIMARY KEY,
+        name TEXT NOT NULL,
+        applied_at TEXT NOT NULL
+      )
+    `);
+
+    const applied = new Set(this.db.prepare('SELECT version FROM schema_migrations').all().map(r => r.version));
+    const record = this.db.prepare('INSERT INTO schema_migrations (version, name, applied_at) VALUES (?, ?, ?)');
+
+    for (const migration of migrations) {
+      if (applied.has(migration.version)) continue;
+
+      this.db.transaction(() => {
+        this.db.exec(migration.up);
+        record.run(migration.version, migration.name, new Date().toISOString());
+      })();
+      console.log(`🗄️  Applied migration ${migration.version}: ${migration.name}`);
+    }
+  }
+
+  close() {
+    if (this.db.open) {
+      this.db.close();
+    }
+  }
+}
+
+module.exports = SqliteStorage;
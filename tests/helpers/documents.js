@@ -0,0 +1,46 @@
+const zlib = require('zlib');
+
+// supertest parser that keeps binary bodies (DOCX, PPTX, PDF) as a Buffer
+function binary(res, callback) {
+  const chunks = [];
+  res.on('data', chunk => chunks.push(chunk));
+  res.on('end', () => callback(null, Buffer.concat(chunks)));
+}
+
+// Entries of a ZIP written by utils/zip.js: name -> text. Walks the local file headers,
+// which is enough for packages that never use data descriptors.
+function readZip(buffer) {
+  const entries = new Map();
+  let offset = 0;
+
+  while (buffer.readUInt32LE(offset) === 0x04034b50) {
+    const method = buffer.readUInt16LE(offset + 8);
+    const size = buffer.readUInt32LE(offset + 18);
+    const nameLength = buffer.readUInt16LE(offset + 26);
+    const extraLength = buffer.readUInt16LE(offset + 28);
+    const name = buffer.toString('utf8', offset + 30, offset + 30 + nameLength);
+    const start = offset + 30 + nameLength + extraLength;
+    const data = buffer.subarray(start, start + size);
+
+    entries.set(name, (method === 8 ? zlib.inflateRawSync(data) : data).toString('utf8'));
+    offset = start + size;
+  }
+  return entries;
+}
+
+// Decompressed content streams of a PDF, joined, for asserting on drawn text
+function pdfContent(buffer) {
+  const source = buffer.toString('latin1');
+  const streams = [];
+  const pattern = /\/FlateDecode >>\r?\nstream\r?\n/g;
+  let match;
+
+  while ((match = pattern.exec(source)) !== null) {
+    const start = match.index + match[0].length;
+    const end = source.indexOf('endstream', start);
+    streams.push(zlib.inflateSync(buffer.subarray(start, end)).toString('latin1'));
+  }
+  return streams.join('\n');
+}
+
+module.exports = { binary, readZip, pdfContent };
@@ -0,0 +1,35 @@
+const http = require('http');
+
+// Local HTTP server standing in for an AI provider. Each test swaps in its own
+// `handler(req, res, body)`; every request body received is kept in `requests`.
+async function startProviderStub() {
+  const stub = {
+    handler: (req, res) => res.end(),
+    requests: []
+  };
+
+  const server = http.createServer((req, res) => {
+    let raw = '';
+    req.on('data', chunk => { raw += chunk; });
+    req.on('end', () => {
+      const body = raw ? JSON.parse(raw) : null;
+      stub.requests.push(body);
+      stub.handler(req, res, body);
+    });
+  });
+
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  stub.url = `http://127.0.0.1:${server.address().port}`;
+  stub.close = () => new Promise(resolve => {
+    server.closeAllConnections();
+    server.close(resolve);
+  });
+  return stub;
+}
+
+// Write OpenAI-style streaming frames: one "data:" line per text chunk
+const sseFrames = chunks => chunks
+  .map(text => `data: ${JSON.stringify({ choices: [{ delta: { content: text } }] })}\n\n`)
+  .join('');
+
+module.exports = { startProviderStub, sseFrames };
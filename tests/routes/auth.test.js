@@ -0,0 +1,118 @@
+process.env.AI_PROVIDERS = '[]';
+
+const request = require('supertest');
+const app = require('../../server');
+
+let counter = 0;
+const uniqueEmail = () => `user${Date.now()}${counter++}@example.com`;
+
+const register = (fields = {}) => request(app)
+  .post('/api/auth/register')
+  .send({ email: uniqueEmail(), password: 'secret123', name: 'Test User', ...fields });
+
+describe('POST /api/auth/register', () => {
+  test('creates a free account with an API key and token', async () => {
+    const email = uniqueEmail();
+    const res = await register({ email });
+
+    expect(res.status).toBe(201);
+    expect(res.body.success).toBe(true);
+    expect(res.body.data.user).toMatchObject({ email, plan: 'free' });
+    expect(res.body.data.user.apiKey).toMatch(/^acc_/);
+    expect(res.body.data.token).toEqual(expect.any(String));
+  });
+
+  test('rejects a duplicate email', async () => {
+    const email = uniqueEmail();
+    await register({ email });
+
+    const res = await register({ email });
+    expect(res.status).toBe(409);
+    expect(res.body).toEqual({ success: false, error: 'User already exists' });
+  });
+
+  test('validates the fields', async () => {
+    const res = await register({ email: 'not-an-email', password: '123' });
+
+    expect(res.status).toBe(400);
+    expect(res.body.details.map(detail => detail.path).sort()).toEqual(['email', 'password']);
+  });
+});
+
+describe('POST /api/auth/login', () => {
+  test('returns a token and the current usage for valid credentials', async () => {
+    const email = uniqueEmail();
+    await register({ email });
+
+    const res = await request(app).post('/api/auth/login').send({ email, password: 'secret123' });
+    expect(res.status).toBe(200);
+    expect(res.body.data.token).toEqual(expect.any(String));
+    expect(res.body.data.user.usage).toMatchObject({ requests: 0, limit: 100, remaining: 100 });
+  });
+
+  test('rejects a wrong password', async () => {
+    const email = uniqueEmail();
+    await register({ email });
+
+    const res = await request(app).post('/api/auth/login').send({ email, password: 'wrong-password' });
+    expect(res.status).toBe(401);
+    expect(res.body.error).toBe('Invalid credentials');
+  });
+});
+
+describe('authenticated routes', () => {
+  test('accept an API key or a bearer token', async () => {
+    const { body } = await register();
+
+    const byKey = await request(app).get('/api/content/search').set('X-API-Key', body.data.user.apiKey);
+    expect(byKey.status).toBe(200);
+
+    const byToken = await request(app).get('/api/content/search').set('Authorization', `Bearer ${body.data.token}`);
+    expect(byToken.status).toBe(200);
+  });
+
+  test('reject missing and invalid credentials', async () => {
+    const missing = await request(app).get('/api/content/search');
+    expect(missing.status).toBe(401);
+    expect(missing.body.error).toBe('API key or bearer token required');
+
+    const invalidKey = await request(app).get('/api/content/search').set('X-API-Key', 'acc_nope');
+    expect(invalidKey.body.error).toBe('Invalid API key');
+
+    const invalidToken = await request(app).get('/api/content/search').set('Authorization', 'Bearer nope');
+    expect(invalidToken.status).toBe(401);
+    expect(invalidToken.body.error).toBe('Invalid token');
+  });
+
+  test('GET /api/auth/usage reports the billing period', async () => {
+    const { body } = await register();
+
+    const res = await request(app).get('/api/auth/usage').set('X-API-Key', body.data.user.apiKey);
+    expect(res.status).toBe(200);
+    expect(res.body.data).toMatchObject({ plan: 'free', usage: { requests: 0, limit: 100 } });
+    expect(res.body.data.resetDate).toBe(res.body.data.usage.periodEnd);
+  });
+});
+
+describe('POST /api/auth/guest', () => {
+  test('issues a demo key limited by the demo plan', async () => {
+    const res = await request(app).post('/api/auth/guest');
+
+    expect(res.status).toBe(200);
+    expect(res.body.data.user).toMatchObject({ plan: 'demo', usage: { limit: 10, remaining: 10 } });
+  });
+
+  test('issues an API key that is not derived from the guest id', async () => {
+    const { body } = await request(app).post('/api/auth/guest');
+    const { id, apiKey } = body.data.user;
+
+    expect(apiKey).toMatch(/^[0-9a-f]{48}$/);
+    expect(apiKey).not.toContain(id);
+
+    const usage = await request(app).get('/api/auth/usage').set('X-API-Key', apiKey);
+    expect(usage.status).toBe(200);
+
+    const byId = await request(app).get('/api/auth/usage').set('X-API-Key', id);
+    expect(byId.status).toBe(401);
+  });
+});
@@ -0,0 +1,185 @@
+const crypto = require('crypto');
+const request = require('supertest');
+const { startProviderStub } = require('../helpers/providerStub');
+
+let app;
+let storage;
+let aiService;
+let usageService;
+let receiver;
+let counter = 0;
+
+// The webhook receiver runs on loopback, which only the allowlist lets through
+beforeAll(async () => {
+  receiver = await startProviderStub();
+  process.env.AI_PROVIDERS = '[]';
+  process.env.WEBHOOK_ALLOWED_HOSTS = '127.0.0.1';
+  app = require('../../server');
+  storage = require('../../storage');
+  aiService = require('../../services/aiService');
+  usageService = require('../../services/usageService');
+});
+
+afterAll(() => receiver.close());
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+const generation = ({ fallback = false } = {}) => ({
+  provider: fallback ? null : 'test-llm',
+  model: null,
+  latencyMs: 1,
+  cached: false,
+  fallback,
+  attempts: []
+});
+
+async function registerUser() {
+  const res = await request(app)
+    .post('/api/auth/register')
+    .send({ email: `batch${Date.now()}${counter++}@example.com`, password: 'secret123', name: 'Batch User' });
+  return { apiKey: res.body.data.user.apiKey, user: await storage.users.findByApiKey(res.body.data.user.apiKey) };
+}
+
+const items = count => Array.from({ length: count }, (_, index) => ({ prompt: `Batch item number ${index}`, contentType: 'blog' }));
+
+const submit = (apiKey, body) => request(app)
+  .post('/api/ai/batch')
+  .set('X-API-Key', apiKey)
+  .send(body);
+
+async function waitForJob(apiKey, jobId, until = job => job.completedAt && (!job.webhookUrl || job.webhook)) {
+  for (let i = 0; i < 100; i++) {
+    const res = await request(app).get(`/api/ai/jobs/${jobId}`).set('X-API-Key', apiKey);
+    if (until(res.body.data)) {
+      return res.body.data;
+    }
+    await new Promise(resolve => setTimeout(resolve, 20));
+  }
+  throw new Error(`Job ${jobId} did not finish`);
+}
+
+describe('POST /api/ai/batch', () => {
+  test('runs every item and reports progress on /jobs/:id', async () => {
+    jest.spyOn(aiService, 'generateContent').mockImplementation(async ({ prompt }) => ({ content: `Answer to ${prompt}`, generation: generation() }));
+    const { apiKey } = await registerUser();
+
+    const res = await submit(apiKey, { requests: items(3) });
+    expect(res.status).toBe(202);
+    expect(res.body.data).toMatchObject({ jobId: expect.any(String), totalRequests: 3, statusUrl: `/api/ai/jobs/${res.body.data.jobId}` });
+    expect(res.body.data.webhookSecret).toBeUndefined();
+
+    const job = await waitForJob(apiKey, res.body.data.jobId, data => data.completedAt);
+    expect(job.status).toBe('completed');
+    expect(job.progress).toEqual({ total: 3, queued: 0, running: 0, succeeded: 3, failed: 0 });
+    expect(job.items.map(item => item.content)).toEqual(['Answer to Batch item number 0', 'Answer to Batch item number 1', 'Answer to Batch item number 2']);
+  });
+
+  test('only the owner can read a job', async () => {
+    jest.spyOn(aiService, 'generateContent').mockResolvedValue({ content: 'Done', generation: generation() });
+    const owner = await registerUser();
+    const other = await registerUser();
+
+    const res = await submit(owner.apiKey, { requests: items(1) });
+
+    const forbidden = await request(app).get(`/api/ai/jobs/${res.body.data.jobId}`).set('X-API-Key', other.apiKey);
+    expect(forbidden.status).toBe(403);
+    await waitForJob(owner.apiKey, res.body.data.jobId, data => data.completedAt);
+  });
+});
+
+describe('webhooks', () => {
+  test('signs each delivery with the job\'s own secret', async () => {
+    jest.spyOn(aiService, 'generateContent').mockResolvedValue({ content: 'Done', generation: generation() });
+    const deliveries = [];
+    receiver.handler = (req, res, body) => {
+      deliveries.push({ headers: req.headers, body });
+      res.writeHead(204);
+      res.end();
+    };
+    const { apiKey } = await registerUser();
+    const webhookUrl = `${receiver.url}/hooks`;
+
+    const first = await submit(apiKey, { requests: items(1), webhookUrl });
+    const second = await submit(apiKey, { requests: items(1), webhookUrl });
+    const firstSecret = first.body.data.webhookSecret;
+    const secondSecret = second.body.data.webhookSecret;
+    expect(firstSecret).toMatch(/^whsec_/);
+    expect(secondSecret).not.toBe(firstSecret);
+
+    const job = await waitForJob(apiKey, first.body.data.jobId, data => data.webhook);
+    await waitForJob(apiKey, second.body.data.jobId, data => data.webhook);
+    expect(job.webhook).toMatchObject({ delivered: true, status: 204, attempts: 1 });
+    expect(JSON.stringify(job)).not.toContain(firstSecret);
+
+    const delivery = deliveries.find(d => d.body.data.id === first.body.data.jobId);
+    expect(delivery.body.event).toBe('job.completed');
+    expect(delivery.headers['x-webhook-event']).toBe('job.completed');
+
+    const timestamp = delivery.headers['x-webhook-timestamp'];
+    const sign = secret => 'sha256=' + crypto.createHmac('sha256', secret).update(`${timestamp}.${JSON.stringify(delivery.body)}`).digest('hex');
+    expect(delivery.headers['x-webhook-signature']).toBe(sign(firstSecret));
+    expect(delivery.headers['x-webhook-signature']).not.toBe(sign(secondSecret));
+  });
+
+  test.each([
+    ['http://169.254.169.254/latest/meta-data', 'webhookUrl must point to a public address'],
+    ['http://10.0.0.1/hooks', 'webhookUrl must point to a public address'],
+    ['http://[::1]:3000/hooks', 'webhookUrl must point to a public address'],
+    ['http://[::ffff:a9fe:a9fe]/hooks', 'webhookUrl must point to a public address'],
+    ['http://localhost:3000/hooks', 'webhookUrl must be an http(s) URL'],
+    ['ftp://hooks.example.com/', 'webhookUrl must be an http(s) URL']
+  ])('rejects %s at submission', async (webhookUrl, message) => {
+    const generate = jest.spyOn(aiService, 'generateContent');
+    const { apiKey } = await registerUser();
+
+    const res = await submit(apiKey, { requests: items(1), webhookUrl });
+
+    expect(res.status).toBe(400);
+    expect(res.body.details).toEqual([expect.objectContaining({ path: 'webhookUrl', msg: message })]);
+    expect(generate).not.toHaveBeenCalled();
+  });
+});
+
+describe('quota', () => {
+  test('the job holds the request\'s reservation until its items finish', async () => {
+    let finish;
+    const gate = new Promise(resolve => { finish = resolve; });
+    jest.spyOn(aiService, 'generateContent').mockImplementation(async ({ prompt }) => {
+      await gate;
+      return { content: 'Done', generation: generation({ fallback: prompt.endsWith('1') }) };
+    });
+    const { apiKey, user } = await registerUser();
+    const period = await usageService.getCurrentPeriod(user);
+    await storage.usage.increment(user.id, period.periodStart, { requests: 97 });
+
+    const res = await submit(apiKey, { requests: items(2) });
+    expect(res.status).toBe(202);
+
+    // The response has gone out, but both units stay reserved for the running job
+    expect((await usageService.getSummary(user)).requests).toBe(99);
+    const rejected = await submit(apiKey, { requests: items(2) });
+    expect(rejected.status).toBe(402);
+
+    finish();
+    await waitForJob(apiKey, res.body.data.jobId, data => data.completedAt);
+
+    // One item was metered; the fallback item's unit went back
+    expect((await usageService.getSummary(user)).requests).toBe(98);
+  });
+
+  test('a batch larger than the remaining quota is refused up front', async () => {
+    const generate = jest.spyOn(aiService, 'generateContent');
+    const { apiKey, user } = await registerUser();
+    const period = await usageService.getCurrentPeriod(user);
+    await storage.usage.increment(user.id, period.periodStart, { requests: 99 });
+
+    const res = await submit(apiKey, { requests: items(2) });
+
+    expect(res.status).toBe(402);
+    expect(res.body.details).toMatchObject({ limit: 100, used: 99, requested: 2 });
+    expect(generate).not.toHaveBeenCalled();
+    expect((await usageService.getSummary(user)).requests).toBe(99);
+  });
+});
@@ -0,0 +1,117 @@
+const request = require('supertest');
+const { startProviderStub } = require('../helpers/providerStub');
+
+let app;
+let stub;
+let counter = 0;
+let replyText = '';
+
+beforeAll(async () => {
+  stub = await startProviderStub();
+  stub.handler = (req, res) => {
+    res.writeHead(200, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify({ choices: [{ message: { content: replyText } }] }));
+  };
+  process.env.AI_PROVIDERS = JSON.stringify([
+    { name: 'local-llm', type: 'openai', url: `${stub.url}/v1/chat/completions`, streaming: false, retries: 0 }
+  ]);
+  app = require('../../server');
+});
+
+afterAll(() => stub.close());
+
+async function register() {
+  const email = `voice${Date.now()}${counter++}@example.com`;
+  const res = await request(app)
+    .post('/api/auth/register')
+    .send({ email, password: 'secret123', name: 'Voice User' });
+  return { email, client: as(res.body.data.user.apiKey) };
+}
+
+const as = apiKey => ({
+  get: url => request(app).get(url).set('X-API-Key', apiKey),
+  post: (url, body) => request(app).post(url).set('X-API-Key', apiKey).send(body),
+  put: (url, body) => request(app).put(url).set('X-API-Key', apiKey).send(body)
+});
+
+const lastPrompt = () => stub.requests[stub.requests.length - 1].messages.map(m => m.content).join('\n');
+
+const VOICE = {
+  name: 'Acme',
+  guidelines: 'Warm, direct and free of jargon.',
+  vocabulary: ['teammates', 'craft'],
+  bannedTerms: ['synergy', 'leverage'],
+  readingLevel: 8
+};
+
+describe('brand voices', () => {
+  test('add the profile to the prompt and check the reply against it', async () => {
+    const { client } = await register();
+    const created = await client.post('/api/ai/brand-voices', VOICE);
+    expect(created.status).toBe(201);
+    replyText = 'Our teammates leverage synergy every day. We ship fast.';
+
+    const res = await client.post('/api/ai/generate', { prompt: 'Write about our team culture', contentType: 'blog', brandVoiceId: created.body.data.id, cache: false });
+
+    expect(res.status).toBe(200);
+    expect(lastPrompt()).toContain('Warm, direct and free of jargon.');
+    expect(lastPrompt()).toContain('synergy');
+    expect(res.body.data.brandVoice).toMatchObject({
+      id: created.body.data.id,
+      name: 'Acme',
+      passed: false,
+      bannedTerms: [{ term: 'synergy', count: 1 }, { term: 'leverage', count: 1 }],
+      vocabulary: { used: ['teammates'], unused: ['craft'] },
+      readingLevel: { target: 8, actual: expect.any(Number) }
+    });
+  });
+
+  test('pass when the reply avoids banned terms', async () => {
+    const { client } = await register();
+    const { body } = await client.post('/api/ai/brand-voices', { ...VOICE, readingLevel: null });
+    replyText = 'Our teammates take pride in their craft.';
+
+    const res = await client.post('/api/ai/generate', { prompt: 'Write about our team culture', contentType: 'blog', brandVoiceId: body.data.id, cache: false });
+
+    expect(res.body.data.brandVoice).toMatchObject({ passed: true, bannedTerms: [], readingLevel: null });
+  });
+
+  test('shared profiles are visible only to the listed users', async () => {
+    const owner = await register();
+    const teammate = await register();
+    const stranger = await register();
+    const { body } = await owner.client.post('/api/ai/brand-voices', { ...VOICE, visibility: 'shared', sharedWith: [teammate.email] });
+    const id = body.data.id;
+    replyText = 'Shared voice reply.';
+
+    const generate = client => client.post('/api/ai/generate', { prompt: 'Write about our team culture', contentType: 'blog', brandVoiceId: id, cache: false });
+
+    expect((await generate(teammate.client)).status).toBe(200);
+    const denied = await generate(stranger.client);
+    expect(denied.status).toBe(400);
+    expect(denied.body.details).toContainEqual(expect.objectContaining({ path: 'brandVoiceId', msg: 'Brand voice not found' }));
+
+    const seen = await teammate.client.get(`/api/ai/brand-voices/${id}`);
+    expect(seen.status).toBe(200);
+    expect(seen.body.data.sharedWith).toBeUndefined();
+    expect((await teammate.client.put(`/api/ai/brand-voices/${id}`, { name: 'Taken' })).status).toBe(403);
+  });
+
+  test('a shared profile needs someone to share with', async () => {
+    const { client } = await register();
+
+    const res = await client.post('/api/ai/brand-voices', { ...VOICE, visibility: 'shared' });
+
+    expect(res.status).toBe(400);
+    expect(res.body.error).toBe('Shared brand voices need at least one email in sharedWith');
+  });
+
+  test('the free plan allows one profile', async () => {
+    const { client } = await register();
+
+    expect((await client.post('/api/ai/brand-voices', VOICE)).status).toBe(201);
+    const second = await client.post('/api/ai/brand-voices', { ...VOICE, name: 'Second' });
+    expect(second.status).toBe(403);
+    expect(second.body.code).toBe('PLAN_RESTRICTED');
+  });
+});
@@ -0,0 +1,133 @@
+const request = require('supertest');
+const { startProviderStub } = require('../helpers/providerStub');
+
+let app;
+let stub;
+let storage;
+let user;
+let admin;
+let counter = 0;
+
+beforeAll(async () => {
+  stub = await startProviderStub();
+  stub.handler = (req, res, body) => {
+    res.writeHead(200, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify({ choices: [{ message: { content: `Reply ${stub.requests.length}: ${body.messages.length} messages` } }] }));
+  };
+  process.env.AI_PROVIDERS = JSON.stringify([
+    { name: 'local-llm', type: 'openai', url: `${stub.url}/v1/chat/completions`, streaming: false, retries: 0 }
+  ]);
+  process.env.ADMIN_EMAILS = 'cache-admin@example.com';
+  app = require('../../server');
+  storage = require('../../storage');
+
+  user = await register(`cache${Date.now()}@example.com`);
+  admin = await register('cache-admin@example.com');
+});
+
+afterAll(() => stub.close());
+
+// On pro, so the free plan's rate limit doesn't cut the suite short
+async function register(email) {
+  const res = await request(app)
+    .post('/api/auth/register')
+    .send({ email, password: 'secret123', name: 'Cache User' });
+  await storage.users.update(res.body.data.user.id, { plan: 'pro' });
+  return res.body.data.user.apiKey;
+}
+
+const generate = body => request(app)
+  .post('/api/ai/generate')
+  .set('X-API-Key', user)
+  .send({ contentType: 'blog', ...body });
+
+const purge = (apiKey, query = {}) => request(app)
+  .delete('/api/ai/cache')
+  .query(query)
+  .set('X-API-Key', apiKey);
+
+describe('generation cache', () => {
+  test('serves a repeated request from the cache', async () => {
+    const prompt = `Cached prompt ${counter++}`;
+    const first = await generate({ prompt });
+    const calls = stub.requests.length;
+
+    const second = await generate({ prompt });
+
+    expect(stub.requests.length).toBe(calls);
+    expect(second.body.data.content).toBe(first.body.data.content);
+    expect(first.body.data.metadata.generation.cached).toBe(false);
+    expect(second.body.data.metadata.generation.cached).toBe(true);
+  });
+
+  test('a different tone is a different entry', async () => {
+    const prompt = `Cached prompt ${counter++}`;
+    await generate({ prompt, tone: 'casual' });
+    const calls = stub.requests.length;
+
+    await generate({ prompt, tone: 'humorous' });
+
+    expect(stub.requests.length).toBe(calls + 1);
+  });
+
+  test('cache: false skips both lookup and store', async () => {
+    const prompt = `Uncached prompt ${counter++}`;
+    const { cacheHits, cacheMisses } = (await request(app).get('/api/ai/stats')).body.data;
+
+    await generate({ prompt, cache: false });
+    await generate({ prompt, cache: false });
+    const stats = (await request(app).get('/api/ai/stats')).body.data;
+
+    expect((await generate({ prompt })).body.data.metadata.generation.cached).toBe(false);
+    expect(stats.cacheHits).toBe(cacheHits);
+    expect(stats.cacheMisses).toBe(cacheMisses);
+  });
+
+  test('reports hits and misses per content type', async () => {
+    const prompt = `Stats prompt ${counter++}`;
+    await generate({ prompt, contentType: 'email' });
+    await generate({ prompt, contentType: 'email' });
+
+    const res = await request(app).get('/api/ai/stats');
+
+    expect(res.body.data.cache).toMatchObject({ backend: 'memory', scope: 'global', hitRate: expect.any(Number) });
+    expect(res.body.data.cache.byContentType.email).toMatchObject({ hits: expect.any(Number), misses: expect.any(Number) });
+    expect(res.body.data.cache.byContentType.email.hits).toBeGreaterThanOrEqual(1);
+    expect(res.body.data.cacheKeys).toBeGreaterThan(0);
+  });
+
+  test('only admins can purge', async () => {
+    const res = await purge(user);
+
+    expect(res.status).toBe(403);
+    expect(res.body.error).toBe('Admin access required');
+  });
+
+  test('purges by content type and prompt pattern', async () => {
+    await generate({ prompt: `Purge pricing ${counter++}`, contentType: 'social' });
+    await generate({ prompt: `Purge launch ${counter++}`, contentType: 'social' });
+    await generate({ prompt: `Purge pricing ${counter++}`, contentType: 'document' });
+
+    const res = await purge(admin, { contentType: 'social', pattern: 'purge pricing*' });
+
+    expect(res.status).toBe(200);
+    expect(res.body.data).toEqual({ purged: 1, contentType: 'social', pattern: 'purge pricing*' });
+  });
+
+  test('a purge forces the next request back to the provider', async () => {
+    const prompt = `Purged prompt ${counter++}`;
+    await generate({ prompt });
+
+    const res = await purge(admin);
+    const calls = stub.requests.length;
+    const again = await generate({ prompt });
+
+    expect(res.body.data.purged).toBeGreaterThan(0);
+    expect(stub.requests.length).toBe(calls + 1);
+    expect(again.body.data.metadata.generation.cached).toBe(false);
+  });
+
+  test('rejects an empty pattern', async () => {
+    expect((await purge(admin, { pattern: '' })).status).toBe(400);
+  });
+});
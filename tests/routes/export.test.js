@@ -0,0 +1,130 @@
+process.env.AI_PROVIDERS = '[]';
+
+const request = require('supertest');
+const app = require('../../server');
+const storage = require('../../storage');
+const { binary, readZip, pdfContent } = require('../helpers/documents');
+
+const BODY = [
+  '## Why it matters',
+  '',
+  'Fresh beans taste **better** & cost <less>.',
+  '',
+  '- Grind daily',
+  '- Store airtight',
+  '',
+  '> Coffee is a language in itself.'
+].join('\n');
+
+let counter = 0;
+let apiKey;
+let contentId;
+
+beforeAll(async () => {
+  const res = await request(app)
+    .post('/api/auth/register')
+    .send({ email: `export${Date.now()}${counter++}@example.com`, password: 'secret123', name: 'Export User' });
+  apiKey = res.body.data.user.apiKey;
+  const user = await storage.users.findByApiKey(apiKey);
+  await storage.users.update(user.id, { plan: 'pro' });
+
+  const saved = await request(app)
+    .post('/api/content/save')
+    .set('X-API-Key', apiKey)
+    .send({ title: 'Coffee guide', content: BODY, contentType: 'blog', language: 'spanish', tone: 'casual' });
+  contentId = saved.body.data.id;
+});
+
+const exportAs = (format, include) => request(app)
+  .get(`/api/content/${contentId}/export`)
+  .query({ format, ...(include && { include }) })
+  .set('X-API-Key', apiKey)
+  .buffer(true)
+  .parse(binary);
+
+describe('GET /api/content/:id/export', () => {
+  test('html renders the markdown as an escaped, standalone page', async () => {
+    const res = await exportAs('html');
+
+    expect(res.status).toBe(200);
+    expect(res.headers['content-type']).toBe('text/html; charset=utf-8');
+    expect(res.headers['content-disposition']).toBe('attachment; filename="coffee_guide.html"');
+
+    const html = res.body.toString('utf8');
+    expect(html).toMatch(/^<!DOCTYPE html>/);
+    expect(html).toContain('<html lang="es">');
+    expect(html).toContain('<title>Coffee guide</title>');
+    expect(html).toMatch(/<h2[^>]*>Why it matters<\/h2>/);
+    expect(html).toContain('<strong>better</strong> &amp; cost &lt;less&gt;.');
+    expect(html).toMatch(/<li>Grind daily<\/li>/);
+    expect(html).toMatch(/<blockquote>[\s\S]*Coffee is a language in itself\.[\s\S]*<\/blockquote>/);
+  });
+
+  test('htm is an alias for html and include=metadata adds a title page', async () => {
+    const res = await exportAs('htm', 'metadata');
+
+    const html = res.body.toString('utf8');
+    expect(res.status).toBe(200);
+    expect(html).toContain('Content type');
+    expect(html).toContain('Casual');
+    expect((await exportAs('html')).body.toString('utf8')).not.toContain('Content type');
+  });
+
+  test('docx is a Word package using the built-in styles', async () => {
+    const res = await exportAs('docx');
+
+    expect(res.status).toBe(200);
+    expect(res.headers['content-type']).toBe('application/vnd.openxmlformats-officedocument.wordprocessingml.document');
+    expect(res.headers['content-disposition']).toBe('attachment; filename="coffee_guide.docx"');
+
+    const entries = readZip(res.body);
+    expect(Array.from(entries.keys())[0]).toBe('[Content_Types].xml');
+    expect(entries.has('word/styles.xml')).toBe(true);
+
+    const document = entries.get('word/document.xml');
+    expect(document).toContain('<w:pStyle w:val="Heading2"/>');
+    expect(document).toContain('<w:pStyle w:val="ListBullet"/>');
+    expect(document).toContain('<w:pStyle w:val="Quote"/>');
+    expect(document).toContain('Grind daily');
+    expect(document).toContain('&amp; cost &lt;less&gt;.');
+    expect(entries.get('docProps/core.xml')).toContain('<dc:title>Coffee guide</dc:title>');
+  });
+
+  test('pdf is a paginated document with the text drawn in standard fonts', async () => {
+    const res = await exportAs('pdf', 'metadata');
+
+    expect(res.status).toBe(200);
+    expect(res.headers['content-type']).toBe('application/pdf');
+
+    const source = res.body.toString('latin1');
+    expect(source).toMatch(/^%PDF-1\.\d/);
+    expect(source.trimEnd()).toMatch(/%%EOF$/);
+    expect(source).toContain('/BaseFont /Helvetica');
+    expect(source).toMatch(/\/Type \/Pages \/Kids \[[^\]]+\] \/Count 2 >>/);
+
+    const drawn = pdfContent(res.body);
+    expect(drawn).toContain('(Why it matters) Tj');
+    expect(drawn).toContain('(Grind daily) Tj');
+    expect(drawn).toContain('(1 / 2) Tj');
+  });
+
+  test('rich formats stay gated by the plan', async () => {
+    const user = await storage.users.findByApiKey(apiKey);
+    await storage.users.update(user.id, { plan: 'free' });
+
+    try {
+      expect((await exportAs('html')).status).toBe(200);
+      expect((await exportAs('docx')).status).toBe(403);
+      expect((await exportAs('pdf')).status).toBe(403);
+    } finally {
+      await storage.users.update(user.id, { plan: 'pro' });
+    }
+  });
+
+  test('rejects an unknown format', async () => {
+    const res = await request(app).get(`/api/content/${contentId}/export?format=odt`).set('X-API-Key', apiKey);
+
+    expect(res.status).toBe(400);
+    expect(res.body.error).toMatch(/^Unsupported export format/);
+  });
+});
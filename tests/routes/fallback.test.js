@@ -0,0 +1,65 @@
+const request = require('supertest');
+
+// No providers, so every generation is served from the template fallback
+process.env.AI_PROVIDERS = '[]';
+const app = require('../../server');
+
+let apiKey;
+let counter = 0;
+
+beforeAll(async () => {
+  const res = await request(app)
+    .post('/api/auth/register')
+    .send({ email: `fallback${Date.now()}@example.com`, password: 'secret123', name: 'Fallback User' });
+  apiKey = res.body.data.user.apiKey;
+});
+
+const generate = body => request(app)
+  .post('/api/ai/generate')
+  .set('X-API-Key', apiKey)
+  .send({ prompt: `Quarterly planning ${counter++}`, contentType: 'document', ...body });
+
+describe('template fallback', () => {
+  test('serves content in the requested language and flags it', async () => {
+    const res = await generate({ language: 'spanish' });
+
+    expect(res.status).toBe(200);
+    expect(res.body.data.content).toContain('Resumen ejecutivo');
+    expect(res.body.data.content).not.toMatch(/\[Content in /);
+    expect(res.body.data.metadata).toMatchObject({
+      language: 'spanish',
+      fallback: true,
+      generation: { provider: null, model: null, fallback: true, cached: false }
+    });
+  });
+
+  test.each([['german', 'Zusammenfassung'], ['japanese', 'エグゼクティブサマリー']])('%s', async (language, phrase) => {
+    const res = await generate({ language });
+
+    expect(res.body.data.content).toContain(phrase);
+  });
+
+  test('flags the streaming done event too', async () => {
+    const res = await request(app)
+      .post('/api/ai/generate/stream')
+      .set('X-API-Key', apiKey)
+      .send({ prompt: 'Quarterly planning stream', contentType: 'blog', language: 'french' });
+
+    const done = JSON.parse(res.text.match(/event: done\ndata: (.*)/)[1]);
+    expect(done.metadata.fallback).toBe(true);
+    expect(res.text).not.toMatch(/\[Content in /);
+  });
+
+  test('rejects languages without a bundle', async () => {
+    const res = await generate({ language: 'klingon' });
+
+    expect(res.status).toBe(400);
+  });
+
+  test('lists the configured languages in /options', async () => {
+    const res = await request(app).get('/api/ai/options');
+
+    expect(res.body.data.languages).toContainEqual({ value: 'portuguese', label: '🇧🇷 Portuguese' });
+    expect(res.body.data.languages).toHaveLength(7);
+  });
+});
@@ -0,0 +1,149 @@
+const request = require('supertest');
+const { startProviderStub } = require('../helpers/providerStub');
+
+let app;
+let stub;
+let counter = 0;
+
+beforeAll(async () => {
+  stub = await startProviderStub();
+  stub.handler = (req, res) => {
+    res.writeHead(200, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify({ choices: [{ message: { content: 'Generated from the library test.' } }] }));
+  };
+  process.env.AI_PROVIDERS = JSON.stringify([
+    { name: 'local-llm', type: 'openai', url: `${stub.url}/v1/chat/completions`, streaming: false, retries: 0 }
+  ]);
+  app = require('../../server');
+});
+
+afterAll(() => stub.close());
+
+const register = () => request(app)
+  .post('/api/auth/register')
+  .send({ email: `library${Date.now()}${counter++}@example.com`, password: 'secret123', name: 'Library User' })
+  .then(res => res.body.data.user.apiKey);
+
+const as = apiKey => ({
+  get: url => request(app).get(url).set('X-API-Key', apiKey),
+  post: (url, body) => request(app).post(url).set('X-API-Key', apiKey).send(body),
+  put: (url, body) => request(app).put(url).set('X-API-Key', apiKey).send(body),
+  delete: url => request(app).delete(url).set('X-API-Key', apiKey)
+});
+
+const lastPrompt = () => stub.requests[stub.requests.length - 1].messages.map(m => m.content).join('\n');
+
+const RELEASE_NOTES = {
+  name: 'Release notes',
+  systemPrompt: 'You write terse release notes for a developer audience.',
+  structure: ['Highlights', 'Fixes', 'Upgrade steps']
+};
+
+describe('custom content types', () => {
+  test('generate with the custom system prompt and structure', async () => {
+    const client = as(await register());
+    const created = await client.post('/api/ai/content-types', RELEASE_NOTES);
+    expect(created.status).toBe(201);
+    expect(created.body.data).toMatchObject({ name: 'Release notes', visibility: 'private', builtIn: false });
+
+    const res = await client.post('/api/ai/generate', { prompt: 'Version 2.1 of the CLI', contentType: created.body.data.id, cache: false });
+
+    expect(res.status).toBe(200);
+    expect(res.body.data.content).toBe('Generated from the library test.');
+    expect(lastPrompt()).toContain('terse release notes');
+    expect(lastPrompt()).toContain('Upgrade steps');
+
+    const listed = await client.get('/api/ai/content-types');
+    expect(listed.body.data.contentTypes.map(type => type.value)).toEqual(expect.arrayContaining(['blog', created.body.data.id]));
+  });
+
+  test('private types are hidden from other users; public ones are shared but read-only', async () => {
+    const owner = as(await register());
+    const other = as(await register());
+    const { body } = await owner.post('/api/ai/content-types', RELEASE_NOTES);
+    const id = body.data.id;
+
+    expect((await other.get(`/api/ai/content-types/${id}`)).status).toBe(404);
+    const hidden = await other.post('/api/ai/generate', { prompt: 'Version 2.1 of the CLI', contentType: id });
+    expect(hidden.status).toBe(400);
+
+    await owner.put(`/api/ai/content-types/${id}`, { visibility: 'public' });
+    expect((await other.get(`/api/ai/content-types/${id}`)).status).toBe(200);
+    expect((await other.post('/api/ai/generate', { prompt: 'Version 2.1 of the CLI', contentType: id, cache: false })).status).toBe(200);
+    expect((await other.put(`/api/ai/content-types/${id}`, { name: 'Mine now' })).status).toBe(403);
+    expect((await other.delete(`/api/ai/content-types/${id}`)).status).toBe(403);
+  });
+
+  test('built-ins cannot be changed and the plan caps how many a user creates', async () => {
+    const client = as(await register());
+
+    expect((await client.put('/api/ai/content-types/blog', { name: 'Mine' })).status).toBe(403);
+
+    for (let i = 0; i < 3; i++) {
+      expect((await client.post('/api/ai/content-types', { ...RELEASE_NOTES, name: `Type ${i}` })).status).toBe(201);
+    }
+    const capped = await client.post('/api/ai/content-types', RELEASE_NOTES);
+    expect(capped.status).toBe(403);
+    expect(capped.body).toMatchObject({ code: 'PLAN_RESTRICTED', details: { plan: 'free', limit: 3 } });
+  });
+
+  test('validates the definition', async () => {
+    const res = await as(await register()).post('/api/ai/content-types', { name: '', systemPrompt: 'short', structure: [] });
+
+    expect(res.status).toBe(400);
+    expect(res.body.details.map(detail => detail.path).sort()).toEqual(['name', 'structure', 'systemPrompt']);
+  });
+});
+
+describe('prompt templates', () => {
+  const TEMPLATE = {
+    name: 'Product launch',
+    contentType: 'social',
+    prompt: 'Announce {{product}} to {{audience}} in a {{mood}} way',
+    variables: [
+      { name: 'product', type: 'text', maxLength: 40 },
+      { name: 'audience', type: 'text', default: 'our customers' },
+      { name: 'mood', type: 'enum', options: ['calm', 'excited'] }
+    ]
+  };
+
+  test('previews and generates from a template', async () => {
+    const client = as(await register());
+    const created = await client.post('/api/ai/templates', TEMPLATE);
+    expect(created.status).toBe(201);
+    const id = created.body.data.id;
+
+    const preview = await client.post(`/api/ai/templates/${id}/preview`, { variables: { product: 'Focus Mode', mood: 'excited' } });
+    expect(preview.body.data).toEqual({ prompt: 'Announce Focus Mode to our customers in a excited way', contentType: 'social' });
+
+    const res = await client.post('/api/ai/generate', { templateId: id, variables: { product: 'Focus Mode', mood: 'calm' }, cache: false });
+    expect(res.status).toBe(200);
+    expect(res.body.data.metadata.contentType).toBe('social');
+    expect(lastPrompt()).toContain('Announce Focus Mode to our customers in a calm way');
+  });
+
+  test('reports every bad or missing variable', async () => {
+    const client = as(await register());
+    const { body } = await client.post('/api/ai/templates', TEMPLATE);
+
+    const res = await client.post('/api/ai/generate', { templateId: body.data.id, variables: { mood: 'angry', extra: 'x' } });
+
+    expect(res.status).toBe(400);
+    expect(res.body.code).toBe('INVALID_TEMPLATE');
+    expect(res.body.details.map(detail => detail.variable).sort()).toEqual(['extra', 'mood', 'product']);
+  });
+
+  test('rejects placeholders without a declaration', async () => {
+    const res = await as(await register()).post('/api/ai/templates', { ...TEMPLATE, prompt: 'Announce {{product}} on {{date}} in a {{mood}} way with {{audience}}' });
+
+    expect(res.status).toBe(400);
+    expect(res.body.details).toContainEqual({ variable: 'date', message: 'is used in the prompt but not declared' });
+  });
+
+  test('unknown templates are a 404', async () => {
+    const res = await as(await register()).post('/api/ai/generate', { templateId: 'missing', variables: {} });
+
+    expect(res.status).toBe(404);
+    expect(res.body.code).toBe('TEMPLATE_NOT_FOUND');
+  });
+});
@@ -0,0 +1,67 @@
+const request = require('supertest');
+const { startProviderStub } = require('../helpers/providerStub');
+
+let app;
+let stub;
+let counter = 0;
+
+beforeAll(async () => {
+  stub = await startProviderStub();
+  process.env.AI_PROVIDERS = JSON.stringify([
+    { name: 'local-llm', type: 'openai', baseUrl: `${stub.url}/v1`, model: 'mistral', apiKey: 'sk-test', streaming: false, retries: 0 }
+  ]);
+  app = require('../../server');
+});
+
+afterAll(() => stub.close());
+
+async function registerUser() {
+  const res = await request(app)
+    .post('/api/auth/register')
+    .send({ email: `openai${Date.now()}${counter++}@example.com`, password: 'secret123', name: 'OpenAI User' });
+  return res.body.data.user.apiKey;
+}
+
+describe('OpenAI-compatible provider', () => {
+  test('generates through /chat/completions with the configured model and key', async () => {
+    let received;
+    stub.handler = (req, res) => {
+      received = { url: req.url, authorization: req.headers.authorization };
+      res.writeHead(200, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify({ choices: [{ message: { content: 'From the chat completions API' } }] }));
+    };
+    const apiKey = await registerUser();
+
+    const res = await request(app)
+      .post('/api/ai/generate')
+      .set('X-API-Key', apiKey)
+      .send({ prompt: 'Write about chat completions', contentType: 'blog', cache: false });
+
+    expect(res.status).toBe(200);
+    expect(res.body.data.content).toBe('From the chat completions API');
+    expect(res.body.data.metadata.generation.provider).toBe('local-llm');
+    expect(received).toEqual({ url: '/v1/chat/completions', authorization: 'Bearer sk-test' });
+
+    const body = stub.requests[stub.requests.length - 1];
+    expect(body).toMatchObject({ model: 'mistral', stream: false });
+    expect(body.messages[body.messages.length - 1]).toMatchObject({ role: 'user', content: expect.stringMatching(/chat completions/) });
+  });
+
+  test('yields the whole reply as one chunk when streaming is off', async () => {
+    stub.handler = (req, res) => {
+      res.writeHead(200, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify({ choices: [{ message: { content: 'One piece' } }] }));
+    };
+    const apiKey = await registerUser();
+
+    const res = await request(app)
+      .post('/api/ai/generate/stream')
+      .set('X-API-Key', apiKey)
+      .send({ prompt: 'Write about single chunks', contentType: 'blog', cache: false });
+
+    expect(res.headers['content-type']).toMatch(/^text\/event-stream/);
+    expect(res.text).toMatch(/event: chunk\ndata: {"content":"One piece"}/);
+    expect(res.text).toMatch(/event: done\n/);
+    expect(stub.requests[stub.requests.length - 1].stream).toBe(false);
+  });
+});
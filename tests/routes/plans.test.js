@@ -0,0 +1,67 @@
+process.env.AI_PROVIDERS = '[]';
+
+const request = require('supertest');
+const app = require('../../server');
+const storage = require('../../storage');
+
+let counter = 0;
+
+async function createUser(plan) {
+  const res = await request(app)
+    .post('/api/auth/register')
+    .send({ email: `plans${Date.now()}${counter++}@example.com`, password: 'secret123', name: 'Plan User' });
+  const { apiKey } = res.body.data.user;
+  const user = await storage.users.findByApiKey(apiKey);
+  await storage.users.update(user.id, { plan });
+  return apiKey;
+}
+
+async function saveContent(apiKey) {
+  const res = await request(app)
+    .post('/api/content/save')
+    .set('X-API-Key', apiKey)
+    .send({ title: 'Plan export', content: 'Content saved for the export gating tests.', contentType: 'blog' });
+  return res.body.data.id;
+}
+
+const exportAs = (apiKey, id, format) => request(app)
+  .get(`/api/content/${id}/export?format=${format}`)
+  .set('X-API-Key', apiKey);
+
+describe('export formats by plan', () => {
+  test.each(['demo', 'free', 'pro'])('the %s plan exports txt, md and json', async plan => {
+    const apiKey = await createUser(plan);
+    const id = await saveContent(apiKey);
+
+    for (const format of ['txt', 'md', 'json']) {
+      const res = await exportAs(apiKey, id, format);
+      expect(res.status).toBe(200);
+    }
+  });
+
+  test('gates rich formats on the plan', async () => {
+    const demo = await createUser('demo');
+    const demoContent = await saveContent(demo);
+    const demoHtml = await exportAs(demo, demoContent, 'html');
+    expect(demoHtml.status).toBe(403);
+    expect(demoHtml.body).toMatchObject({
+      code: 'PLAN_RESTRICTED',
+      details: { plan: 'demo', allowed: ['txt', 'md', 'json'] }
+    });
+
+    const free = await createUser('free');
+    const freeContent = await saveContent(free);
+    expect((await exportAs(free, freeContent, 'html')).status).toBe(200);
+    expect((await exportAs(free, freeContent, 'docx')).status).toBe(403);
+
+    const pro = await createUser('pro');
+    expect((await exportAs(pro, await saveContent(pro), 'docx')).status).toBe(200);
+  });
+
+  test('GET /api/ai/options lists the formats for the caller', async () => {
+    const res = await request(app).get('/api/ai/options').set('X-API-Key', await createUser('demo'));
+
+    expect(res.status).toBe(200);
+    expect(res.body.data.plan.exportFormats).toEqual(['txt', 'md', 'json']);
+  });
+});
@@ -0,0 +1,107 @@
+process.env.AI_PROVIDERS = '[]';
+
+const request = require('supertest');
+const app = require('../../server');
+const storage = require('../../storage');
+const { binary, readZip } = require('../helpers/documents');
+
+const DECK = [
+  '# Quarterly review',
+  '',
+  '## Slide 1: Results',
+  '- Revenue up **12%**',
+  '  - Driven by <new> customers',
+  '',
+  'Notes: Pause for questions here.',
+  '',
+  '## Slide 2: Next steps',
+  '- Hire two engineers'
+].join('\n');
+
+let counter = 0;
+let apiKey;
+let contentId;
+
+beforeAll(async () => {
+  const res = await request(app)
+    .post('/api/auth/register')
+    .send({ email: `slides${Date.now()}${counter++}@example.com`, password: 'secret123', name: 'Slides User' });
+  apiKey = res.body.data.user.apiKey;
+  const user = await storage.users.findByApiKey(apiKey);
+  await storage.users.update(user.id, { plan: 'pro' });
+
+  const saved = await request(app)
+    .post('/api/content/save')
+    .set('X-API-Key', apiKey)
+    .send({ title: 'Quarterly review', content: DECK, contentType: 'presentation', language: 'german' });
+  contentId = saved.body.data.id;
+});
+
+const exportAs = format => request(app)
+  .get(`/api/content/${contentId}/export?format=${format}`)
+  .set('X-API-Key', apiKey)
+  .buffer(true)
+  .parse(binary);
+
+describe('presentation exports', () => {
+  test('pptx has a title slide, one slide per section and speaker notes', async () => {
+    const res = await exportAs('pptx');
+
+    expect(res.status).toBe(200);
+    expect(res.headers['content-type']).toBe('application/vnd.openxmlformats-officedocument.presentationml.presentation');
+    expect(res.headers['content-disposition']).toBe('attachment; filename="quarterly_review.pptx"');
+
+    const entries = readZip(res.body);
+    expect(Array.from(entries.keys())[0]).toBe('[Content_Types].xml');
+    const slides = Array.from(entries.keys()).filter(name => /^ppt\/slides\/slide\d+\.xml$/.test(name));
+    expect(slides).toEqual(['ppt/slides/slide1.xml', 'ppt/slides/slide2.xml', 'ppt/slides/slide3.xml']);
+
+    expect(entries.get('ppt/slides/slide1.xml')).toContain('<a:t>Quarterly review</a:t>');
+    const results = entries.get('ppt/slides/slide2.xml');
+    expect(results).toContain('<a:t>Results</a:t>');
+    expect(results).toContain('<a:t>12%</a:t>');
+    expect(results).toContain('&lt;new&gt;');
+    expect(results).toContain('lvl="1"');
+
+    expect(entries.get('ppt/notesSlides/notesSlide2.xml')).toContain('Pause for questions here.');
+    expect(entries.has('ppt/notesSlides/notesSlide3.xml')).toBe(false);
+    expect(entries.get('ppt/_rels/presentation.xml.rels')).toContain('slides/slide3.xml');
+  });
+
+  test('reveal is a standalone deck with the library inlined', async () => {
+    const res = await exportAs('reveal');
+
+    expect(res.status).toBe(200);
+    expect(res.headers['content-type']).toBe('text/html; charset=utf-8');
+    expect(res.headers['content-disposition']).toBe('attachment; filename="quarterly_review.slides.html"');
+
+    const html = res.body.toString('utf8');
+    expect(html).toContain('<html lang="de">');
+    expect(html).toContain('<section class="title-slide">\n<h1>Quarterly review</h1>');
+    expect(html).toContain('<h2>Results</h2>');
+    expect(html).toContain('<li>Revenue up <strong>12%</strong><ul><li>Driven by &lt;new&gt; customers</li></ul></li>');
+    expect(html).toContain('<aside class="notes">Pause for questions here.</aside>');
+    expect(html).toContain('Reveal.initialize(');
+    expect(html).toContain('plugins: [RevealNotes]');
+  });
+
+  test('reveal decks stay small and never reference external files', async () => {
+    const html = (await exportAs('slides')).body.toString('utf8');
+
+    expect(html.length).toBeLessThan(300 * 1024);
+    expect(html).not.toMatch(/@import/);
+    expect(html).not.toMatch(/<(?:script|link)[^>]+(?:src|href)=/);
+  });
+
+  test('presentation formats are gated by the plan', async () => {
+    const user = await storage.users.findByApiKey(apiKey);
+    await storage.users.update(user.id, { plan: 'free' });
+
+    try {
+      expect((await exportAs('pptx')).status).toBe(403);
+      expect((await exportAs('reveal')).status).toBe(403);
+    } finally {
+      await storage.users.update(user.id, { plan: 'pro' });
+    }
+  });
+});
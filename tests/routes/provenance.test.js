@@ -0,0 +1,122 @@
+const request = require('supertest');
+const { startProviderStub } = require('../helpers/providerStub');
+
+let app;
+let stub;
+let apiKey;
+// Per-path behaviour of the stub: 'fail' answers 500, anything else is the reply text
+const replies = {};
+
+beforeAll(async () => {
+  stub = await startProviderStub();
+  stub.handler = (req, res) => {
+    const reply = replies[req.url];
+    if (reply === 'fail') {
+      res.writeHead(500);
+      return res.end('upstream error');
+    }
+    res.writeHead(200, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify({ choices: [{ message: { content: reply } }] }));
+  };
+  process.env.AI_PROVIDERS = JSON.stringify([
+    { name: 'local-llm', type: 'openai', url: `${stub.url}/first`, model: 'first-model', streaming: false, retries: 0, breaker: { failureThreshold: 100 } },
+    { name: 'ollama-proxy', type: 'openai', url: `${stub.url}/second`, model: 'second-model', streaming: false, retries: 0, breaker: { failureThreshold: 100 } }
+  ]);
+  app = require('../../server');
+
+  const res = await request(app)
+    .post('/api/auth/register')
+    .send({ email: `provenance${Date.now()}@example.com`, password: 'secret123', name: 'Provenance User' });
+  apiKey = res.body.data.user.apiKey;
+});
+
+afterAll(() => stub.close());
+
+const generate = prompt => request(app)
+  .post('/api/ai/generate')
+  .set('X-API-Key', apiKey)
+  .send({ prompt, contentType: 'blog' });
+
+const save = body => request(app)
+  .post('/api/content/save')
+  .set('X-API-Key', apiKey)
+  .send({ title: 'Provenance', content: 'Saved body text for provenance.', contentType: 'blog', ...body });
+
+describe('generation provenance', () => {
+  test('records every provider tried and which one answered', async () => {
+    replies['/first'] = 'fail';
+    replies['/second'] = 'Answer from the second provider.';
+
+    const res = await generate('Provenance after a failover');
+
+    expect(res.status).toBe(200);
+    expect(res.body.data.metadata.generation).toEqual({
+      provider: 'ollama-proxy',
+      model: 'second-model',
+      latencyMs: expect.any(Number),
+      cached: false,
+      fallback: false,
+      attempts: [
+        { provider: 'local-llm', model: 'first-model', status: 'failed', latencyMs: expect.any(Number), error: expect.any(String) },
+        { provider: 'ollama-proxy', model: 'second-model', status: 'succeeded', latencyMs: expect.any(Number) }
+      ]
+    });
+  });
+
+  test('a cache hit keeps the original provider with no attempts', async () => {
+    replies['/first'] = 'Answer from the first provider.';
+    await generate('Provenance from the cache');
+    const calls = stub.requests.length;
+
+    const res = await generate('Provenance from the cache');
+
+    expect(stub.requests.length).toBe(calls);
+    expect(res.body.data.metadata.generation).toMatchObject({ provider: 'local-llm', model: 'first-model', cached: true, attempts: [] });
+  });
+
+  test('template fallback is flagged and not cached', async () => {
+    replies['/first'] = 'fail';
+    replies['/second'] = 'fail';
+
+    const first = await generate('Provenance with no providers');
+    const calls = stub.requests.length;
+    const second = await generate('Provenance with no providers');
+
+    expect(first.body.data.metadata.generation).toMatchObject({ provider: null, model: null, fallback: true, cached: false });
+    expect(first.body.data.metadata.generation.attempts.map(attempt => attempt.status)).toEqual(['failed', 'failed']);
+    expect(second.body.data.metadata.generation.cached).toBe(false);
+    expect(stub.requests.length).toBe(calls + 2);
+  });
+
+  test('saved content keeps the provenance it was saved with', async () => {
+    replies['/first'] = 'Answer to keep.';
+    const generated = await generate('Provenance to save');
+    const generation = generated.body.data.metadata.generation;
+
+    const saved = await save({ generation: { ...generation, extra: 'dropped' } });
+    const res = await request(app).get(`/api/content/${saved.body.data.id}`).set('X-API-Key', apiKey);
+
+    expect(saved.status).toBe(201);
+    expect(res.body.data.generation).toEqual({
+      provider: 'local-llm',
+      model: 'first-model',
+      latencyMs: generation.latencyMs,
+      cached: false,
+      fallback: false,
+      attempts: generation.attempts
+    });
+  });
+
+  test('content saved without provenance has none', async () => {
+    const saved = await save({});
+    const res = await request(app).get(`/api/content/${saved.body.data.id}`).set('X-API-Key', apiKey);
+
+    expect(res.body.data.generation).toBeNull();
+  });
+
+  test('rejects malformed provenance', async () => {
+    const res = await save({ generation: { provider: 'local-llm', attempts: [{ provider: 'local-llm', status: 'exploded' }] } });
+
+    expect(res.status).toBe(400);
+  });
+});
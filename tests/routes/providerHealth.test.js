@@ -0,0 +1,85 @@
+const request = require('supertest');
+const { startProviderStub } = require('../helpers/providerStub');
+
+let app;
+let stub;
+let counter = 0;
+
+beforeAll(async () => {
+  stub = await startProviderStub();
+  process.env.ADMIN_EMAILS = 'health-admin@example.com';
+  process.env.AI_PROVIDERS = JSON.stringify([
+    { name: 'local-llm', type: 'http', url: `${stub.url}/generate`, healthUrl: `${stub.url}/health`, retries: 0, breaker: { failureThreshold: 2, cooldownMs: 60000 } }
+  ]);
+  app = require('../../server');
+});
+
+afterAll(() => stub.close());
+
+const register = (email = `health${Date.now()}${counter++}@example.com`) => request(app)
+  .post('/api/auth/register')
+  .send({ email, password: 'secret123', name: 'Health User' })
+  .then(res => res.body.data.user.apiKey);
+
+const generate = apiKey => request(app)
+  .post('/api/ai/generate')
+  .set('X-API-Key', apiKey)
+  .send({ prompt: `Write about breakers ${counter++}`, contentType: 'blog', cache: false });
+
+describe('provider circuit breaker', () => {
+  test('opens after repeated failures and skips the provider until the cooldown ends', async () => {
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+    let calls = 0;
+    stub.handler = (req, res) => {
+      calls++;
+      res.writeHead(500);
+      res.end();
+    };
+    const apiKey = await register();
+
+    await generate(apiKey);
+    await generate(apiKey);
+    const skipped = await generate(apiKey);
+
+    expect(calls).toBe(2);
+    expect(skipped.status).toBe(200);
+    expect(skipped.body.data.metadata.generation.fallback).toBe(true);
+    expect(skipped.body.data.metadata.generation.attempts).toEqual([
+      expect.objectContaining({ provider: 'local-llm', status: 'skipped', error: 'Circuit open' })
+    ]);
+
+    const stats = await request(app).get('/api/ai/stats');
+    expect(stats.body.data.providers[0].health).toMatchObject({
+      state: 'open',
+      failureThreshold: 2,
+      totalFailures: 2,
+      retryAt: expect.any(String)
+    });
+    console.warn.mockRestore();
+  });
+});
+
+describe('GET /api/ai/providers/health', () => {
+  test('requires an admin', async () => {
+    const anonymous = await request(app).get('/api/ai/providers/health');
+    expect(anonymous.status).toBe(401);
+
+    const forbidden = await request(app).get('/api/ai/providers/health').set('X-API-Key', await register());
+    expect(forbidden.status).toBe(403);
+  });
+
+  test('probes each provider for an admin', async () => {
+    stub.handler = (req, res) => {
+      res.writeHead(req.url === '/health' ? 200 : 404);
+      res.end();
+    };
+
+    const res = await request(app).get('/api/ai/providers/health').set('X-API-Key', await register('health-admin@example.com'));
+
+    expect(res.status).toBe(200);
+    expect(res.body.data.healthyCount).toBe(1);
+    expect(res.body.data.providers).toEqual([
+      expect.objectContaining({ name: 'local-llm', type: 'http', healthy: true, status: 200 })
+    ]);
+  });
+});
@@ -0,0 +1,94 @@
+const request = require('supertest');
+const { startProviderStub } = require('../helpers/providerStub');
+
+let app;
+let stub;
+let counter = 0;
+
+// One provider of each built-in type, all served by the stub and tried in this order
+beforeAll(async () => {
+  stub = await startProviderStub();
+  process.env.AI_PROVIDERS = JSON.stringify([
+    { name: 'huggingface', type: 'huggingface', url: `${stub.url}/hf`, retries: 0 },
+    { name: 'ollama-proxy', type: 'ollama', url: `${stub.url}/api/generate`, model: 'tiny', retries: 0, streaming: false },
+    { name: 'local-llm', type: 'http', url: `${stub.url}/custom`, bodyTemplate: { input: '{{prompt}}' }, responsePath: 'output.text', retries: 0 }
+  ]);
+  app = require('../../server');
+});
+
+afterAll(() => stub.close());
+
+async function registerUser() {
+  const res = await request(app)
+    .post('/api/auth/register')
+    .send({ email: `providers${Date.now()}${counter++}@example.com`, password: 'secret123', name: 'Provider User' });
+  return res.body.data.user.apiKey;
+}
+
+const generate = apiKey => request(app)
+  .post('/api/ai/generate')
+  .set('X-API-Key', apiKey)
+  .send({ prompt: `Write about adapters ${counter++}`, contentType: 'blog', cache: false });
+
+describe('configured providers', () => {
+  beforeEach(() => {
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('answers through the first provider in order', async () => {
+    stub.handler = (req, res) => {
+      res.writeHead(200, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify([{ generated_text: 'From the HuggingFace adapter' }]));
+    };
+    const apiKey = await registerUser();
+
+    const res = await generate(apiKey);
+
+    expect(res.status).toBe(200);
+    expect(res.body.data.content).toBe('From the HuggingFace adapter');
+    expect(res.body.data.metadata.generation.provider).toBe('huggingface');
+    expect(stub.requests[stub.requests.length - 1].inputs).toMatch(/Write about adapters/);
+  });
+
+  test('falls through to the next adapter when a provider fails', async () => {
+    const paths = [];
+    stub.handler = (req, res) => {
+      paths.push(req.url);
+      if (req.url === '/custom') {
+        res.writeHead(200, { 'Content-Type': 'application/json' });
+        return res.end(JSON.stringify({ output: { text: 'From the HTTP adapter' } }));
+      }
+      res.writeHead(400, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify({ error: 'bad request' }));
+    };
+    const apiKey = await registerUser();
+
+    const res = await generate(apiKey);
+
+    expect(res.status).toBe(200);
+    expect(res.body.data.content).toBe('From the HTTP adapter');
+    expect(paths).toEqual(['/hf', '/api/generate', '/custom']);
+    expect(res.body.data.metadata.generation.attempts.map(a => [a.provider, a.status])).toEqual([
+      ['huggingface', 'failed'],
+      ['ollama-proxy', 'failed'],
+      ['local-llm', 'succeeded']
+    ]);
+    expect(stub.requests[stub.requests.length - 1]).toEqual({ input: expect.stringMatching(/Write about adapters/) });
+  });
+
+  test('lists adapter settings in stats without their urls', async () => {
+    const res = await request(app).get('/api/ai/stats');
+
+    expect(res.status).toBe(200);
+    expect(res.body.data.providers.map(p => [p.name, p.type])).toEqual([
+      ['huggingface', 'huggingface'],
+      ['ollama-proxy', 'ollama'],
+      ['local-llm', 'http']
+    ]);
+    expect(res.body.data.providers[0].url).toBeUndefined();
+  });
+});
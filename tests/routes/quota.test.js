@@ -0,0 +1,142 @@
+process.env.AI_PROVIDERS = '[]';
+
+const request = require('supertest');
+const app = require('../../server');
+const storage = require('../../storage');
+const aiService = require('../../services/aiService');
+const usageService = require('../../services/usageService');
+
+const CONTENT = 'Generated content for the quota tests.';
+
+const generation = ({ fallback = false, cached = false } = {}) => ({
+  provider: fallback ? null : 'test-llm',
+  model: null,
+  latencyMs: 1,
+  cached,
+  fallback,
+  attempts: []
+});
+
+const generate = (apiKey, body = {}) => request(app)
+  .post('/api/ai/generate')
+  .set('X-API-Key', apiKey)
+  .send({ prompt: 'Write about quota handling', contentType: 'blog', ...body });
+
+let counter = 0;
+
+async function registerUser() {
+  const res = await request(app)
+    .post('/api/auth/register')
+    .send({ email: `quota${Date.now()}${counter++}@example.com`, password: 'secret123', name: 'Quota User' });
+  return { apiKey: res.body.data.user.apiKey, user: await storage.users.findByApiKey(res.body.data.user.apiKey) };
+}
+
+async function createGuest() {
+  const res = await request(app).post('/api/auth/guest');
+  return { apiKey: res.body.data.user.apiKey, user: await storage.users.findByApiKey(res.body.data.user.apiKey) };
+}
+
+async function setUsed(user, requests) {
+  const period = await usageService.getCurrentPeriod(user);
+  await storage.usage.increment(user.id, period.periodStart, { requests: requests - period.requests });
+}
+
+const used = async user => (await usageService.getSummary(user)).requests;
+
+beforeEach(() => {
+  jest.spyOn(aiService, 'generateContent').mockResolvedValue({ content: CONTENT, generation: generation() });
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe('generation quota', () => {
+  test('meters a successful generation', async () => {
+    const { apiKey, user } = await registerUser();
+
+    const res = await generate(apiKey);
+    expect(res.status).toBe(200);
+    expect(await used(user)).toBe(1);
+  });
+
+  test('rejects registered users at the plan limit with 402', async () => {
+    const { apiKey, user } = await registerUser();
+    await setUsed(user, 100);
+
+    const res = await generate(apiKey);
+    expect(res.status).toBe(402);
+    expect(res.body).toMatchObject({ code: 'QUOTA_EXCEEDED', details: { limit: 100, used: 100, requested: 1 } });
+    expect(aiService.generateContent).not.toHaveBeenCalled();
+  });
+
+  test('admits concurrent requests only up to the limit', async () => {
+    const { apiKey, user } = await registerUser();
+    await setUsed(user, 98);
+    aiService.generateContent.mockImplementation(() => new Promise(resolve => {
+      setTimeout(() => resolve({ content: CONTENT, generation: generation() }), 50);
+    }));
+
+    const responses = await Promise.all(Array.from({ length: 5 }, () => generate(apiKey)));
+    const statuses = responses.map(res => res.status).sort();
+
+    expect(statuses).toEqual([200, 200, 402, 402, 402]);
+    expect(await used(user)).toBe(100);
+  });
+
+  test('releases the reservation when the request fails validation', async () => {
+    const { apiKey, user } = await registerUser();
+
+    const res = await generate(apiKey, { prompt: 'short' });
+    expect(res.status).toBe(400);
+    expect(await used(user)).toBe(0);
+  });
+
+  test('releases the reservation when generation fails', async () => {
+    const { apiKey, user } = await registerUser();
+    aiService.generateContent.mockRejectedValue(new Error('boom'));
+
+    const res = await generate(apiKey);
+    expect(res.status).toBe(500);
+    expect(await used(user)).toBe(0);
+  });
+
+  test('does not meter fallback template content', async () => {
+    const { apiKey, user } = await registerUser();
+    aiService.generateContent.mockResolvedValue({ content: CONTENT, generation: generation({ fallback: true }) });
+
+    const res = await generate(apiKey);
+    expect(res.status).toBe(200);
+    expect(res.body.data.metadata.generation.fallback).toBe(true);
+    expect(await used(user)).toBe(0);
+  });
+
+  test('meters cache hits', async () => {
+    const { apiKey, user } = await registerUser();
+    aiService.generateContent.mockResolvedValue({ content: CONTENT, generation: generation({ cached: true }) });
+
+    await generate(apiKey);
+    expect(await used(user)).toBe(1);
+  });
+});
+
+describe('guest quota', () => {
+  test('rejects generation with 429 once the guest allowance is used', async () => {
+    const { apiKey, user } = await createGuest();
+    await setUsed(user, 9);
+
+    expect((await generate(apiKey)).status).toBe(200);
+
+    const res = await generate(apiKey);
+    expect(res.status).toBe(429);
+    expect(res.body.error).toBe('Guest request limit reached. Create a free account to continue.');
+  });
+
+  test('an exhausted guest can still use the content routes', async () => {
+    const { apiKey, user } = await createGuest();
+    await setUsed(user, 10);
+
+    const res = await request(app).get('/api/content/search').set('X-API-Key', apiKey);
+    expect(res.status).toBe(200);
+  });
+});
@@ -0,0 +1,138 @@
+const request = require('supertest');
+const { startProviderStub } = require('../helpers/providerStub');
+
+let app;
+let stub;
+let storage;
+let apiKey;
+let counter = 0;
+// Requests whose system prompt contains this fail with 500
+let failOn = null;
+
+beforeAll(async () => {
+  stub = await startProviderStub();
+  stub.handler = (req, res, body) => {
+    const system = body.messages[0].content;
+    if (failOn && system.includes(failOn)) {
+      res.writeHead(500);
+      return res.end('upstream error');
+    }
+    res.writeHead(200, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify({ choices: [{ message: { content: `Repurposed by: ${system.split('.')[0]}` } }] }));
+  };
+  process.env.AI_PROVIDERS = JSON.stringify([
+    { name: 'local-llm', type: 'openai', url: `${stub.url}/v1/chat/completions`, streaming: false, retries: 0, breaker: { failureThreshold: 100 } }
+  ]);
+  app = require('../../server');
+  storage = require('../../storage');
+  apiKey = await register();
+});
+
+afterAll(() => stub.close());
+
+beforeEach(() => { failOn = null; });
+
+async function register(plan = 'pro') {
+  const res = await request(app)
+    .post('/api/auth/register')
+    .send({ email: `repurpose${Date.now()}${counter++}@example.com`, password: 'secret123', name: 'Repurpose User' });
+  await storage.users.update(res.body.data.user.id, { plan });
+  return res.body.data.user.apiKey;
+}
+
+const repurpose = (body, key = apiKey) => request(app)
+  .post('/api/ai/repurpose')
+  .set('X-API-Key', key)
+  .send({ cache: false, ...body });
+
+// Unique per test so no result comes from another test's cache entry
+const sourceText = () => `Our quarterly report ${counter++}: revenue grew and churn fell.`;
+
+describe('POST /api/ai/repurpose', () => {
+  test('rewrites the source as each target type', async () => {
+    const text = sourceText();
+
+    const res = await repurpose({ text, targets: ['email', 'blog'] });
+
+    expect(res.status).toBe(200);
+    expect(res.body.data.results.email.content).toBe('Repurposed by: You are an email marketing specialist');
+    expect(res.body.data.results.blog.content).toBe('Repurposed by: You are a content marketing expert');
+    expect(res.body.data.results.blog.metadata).toMatchObject({ contentType: 'blog', generation: { provider: 'local-llm' } });
+    expect(res.body.data.summary).toEqual({ requested: 2, succeeded: 2, failed: 0 });
+    expect(res.body.data.source).toEqual({ contentId: null, title: null, characterCount: text.length });
+    expect(stub.requests[stub.requests.length - 1].messages[1].content).toContain(text);
+  });
+
+  test('one failed target does not sink the others', async () => {
+    failOn = 'email marketing';
+
+    const res = await repurpose({ text: sourceText(), targets: ['email', 'blog'] });
+
+    expect(res.status).toBe(200);
+    expect(res.body.data.results.email).toEqual({ error: expect.any(String), code: 'PROVIDERS_UNAVAILABLE' });
+    expect(res.body.data.summary).toEqual({ requested: 2, succeeded: 1, failed: 1 });
+  });
+
+  test('fails with 503 when every target fails', async () => {
+    failOn = 'You are';
+
+    const res = await repurpose({ text: sourceText(), targets: ['email', 'blog'] });
+
+    expect(res.status).toBe(503);
+    expect(Object.keys(res.body.details)).toEqual(['email', 'blog']);
+  });
+
+  test('saves a set of results that share a sourceId', async () => {
+    const saved = await request(app)
+      .post('/api/content/save')
+      .set('X-API-Key', apiKey)
+      .send({ title: 'Quarterly report', content: sourceText(), contentType: 'document', language: 'german' });
+    const contentId = saved.body.data.id;
+
+    const res = await repurpose({ contentId, targets: ['social', 'email'], save: true, tags: ['q3'] });
+    const list = await request(app).get('/api/content/list').query({ sourceId: contentId }).set('X-API-Key', apiKey);
+
+    expect(res.body.data.sourceId).toBe(contentId);
+    expect(res.body.data.results.social.saved).toEqual({ contentId: expect.any(String), version: 1 });
+    expect(res.body.data.results.email.metadata.language).toBe('german');
+    expect(list.body.data.content.map(item => item.contentType).sort()).toEqual(['email', 'social']);
+  });
+
+  test('saving raw text needs a title', async () => {
+    const res = await repurpose({ text: sourceText(), targets: ['blog'], save: true });
+
+    expect(res.status).toBe(400);
+    expect(res.body.error).toBe('Saving content repurposed from text requires a title');
+  });
+
+  test('targets are capped by the plan batch size', async () => {
+    const res = await repurpose({ text: sourceText(), targets: ['blog', 'email'] }, await register('demo'));
+
+    expect(res.status).toBe(403);
+    expect(res.body.code).toBe('PLAN_RESTRICTED');
+  });
+
+  test.each([
+    [{ text: 'Source', targets: [] }],
+    [{ text: 'Source', targets: ['blog', 'blog'] }],
+    [{ text: 'Source', targets: ['memo'] }],
+    [{ text: 'Source', targets: ['blog'], platform: 'twitter' }],
+    [{ targets: ['blog'] }],
+    [{ text: 'Source', title: 'Tagged', targets: ['blog'], save: true, tags: 'q3' }],
+    [{ text: 'Source', title: 'Tagged', targets: ['blog'], save: true, tags: [{ name: 'q3' }] }],
+    [{ text: 'Source', title: 'Tagged', targets: ['blog'], save: true, tags: [''] }]
+  ])('rejects %j', async body => {
+    expect((await repurpose(body)).status).toBe(400);
+  });
+
+  test('only the owner can repurpose saved content', async () => {
+    const saved = await request(app)
+      .post('/api/content/save')
+      .set('X-API-Key', apiKey)
+      .send({ title: 'Private', content: sourceText(), contentType: 'document' });
+
+    const res = await repurpose({ contentId: saved.body.data.id, targets: ['blog'] }, await register());
+
+    expect(res.status).toBe(403);
+  });
+});
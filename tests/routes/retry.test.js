@@ -0,0 +1,127 @@
+const request = require('supertest');
+const { startProviderStub } = require('../helpers/providerStub');
+
+let app;
+let stub;
+let aiService;
+let counter = 0;
+
+// A high breaker threshold keeps the provider in play across the failing cases
+beforeAll(async () => {
+  stub = await startProviderStub();
+  process.env.AI_PROVIDERS = JSON.stringify([
+    { name: 'local-llm', type: 'http', url: `${stub.url}/generate`, responsePath: 'text', retries: 2, retryBaseMs: 10, retryMaxMs: 20, breaker: { failureThreshold: 100 } }
+  ]);
+  app = require('../../server');
+  aiService = require('../../services/aiService');
+});
+
+afterAll(() => stub.close());
+
+beforeEach(() => {
+  jest.spyOn(console, 'warn').mockImplementation(() => {});
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+const register = () => request(app)
+  .post('/api/auth/register')
+  .send({ email: `retry${Date.now()}${counter++}@example.com`, password: 'secret123', name: 'Retry User' })
+  .then(res => res.body.data.user.apiKey);
+
+const generate = apiKey => request(app)
+  .post('/api/ai/generate')
+  .set('X-API-Key', apiKey)
+  .send({ prompt: `Write about retries ${counter++}`, contentType: 'blog', cache: false });
+
+// Fail with `statuses` in turn, then answer
+const failThenAnswer = (statuses, headers = {}) => {
+  let calls = 0;
+  stub.handler = (req, res) => {
+    const status = statuses[calls++];
+    if (status) {
+      res.writeHead(status, headers);
+      return res.end();
+    }
+    res.writeHead(200, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify({ text: 'Answered after retrying' }));
+  };
+  return () => calls;
+};
+
+describe('provider retries', () => {
+  test('retries transient failures and then answers', async () => {
+    const calls = failThenAnswer([503, 502]);
+
+    const res = await generate(await register());
+
+    expect(res.status).toBe(200);
+    expect(res.body.data.content).toBe('Answered after retrying');
+    expect(res.body.data.metadata.generation.fallback).toBe(false);
+    expect(calls()).toBe(3);
+  });
+
+  test('does not retry a client error', async () => {
+    const calls = failThenAnswer([400]);
+
+    const res = await generate(await register());
+
+    expect(res.body.data.metadata.generation.fallback).toBe(true);
+    expect(res.body.data.metadata.generation.attempts[0]).toMatchObject({ status: 'failed', error: expect.stringMatching(/local-llm API call failed/) });
+    expect(calls()).toBe(1);
+  });
+
+  test('gives up once the retries are used', async () => {
+    const calls = failThenAnswer([503, 503, 503]);
+
+    const res = await generate(await register());
+
+    expect(res.body.data.metadata.generation.fallback).toBe(true);
+    expect(calls()).toBe(3);
+  });
+
+  test('skips a Retry-After wait that would overrun the deadline', async () => {
+    const calls = failThenAnswer([429], { 'Retry-After': '120' });
+
+    const res = await generate(await register());
+
+    expect(res.body.data.metadata.generation.fallback).toBe(true);
+    expect(calls()).toBe(1);
+  });
+});
+
+describe('request deadline', () => {
+  test('answers 504 when the deadline runs out', async () => {
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    stub.handler = (req, res) => {
+      setTimeout(() => {
+        res.writeHead(200, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify({ text: 'Too late' }));
+      }, 300);
+    };
+    const deadlineMs = aiService.requestDeadlineMs;
+    aiService.requestDeadlineMs = 100;
+
+    try {
+      const res = await generate(await register());
+
+      expect(res.status).toBe(504);
+      expect(res.body).toMatchObject({
+        success: false,
+        code: 'DEADLINE_EXCEEDED',
+        details: { deadlineMs: 100, provider: 'local-llm' }
+      });
+    } finally {
+      aiService.requestDeadlineMs = deadlineMs;
+    }
+  });
+
+  test('requestWithRetry stops before starting past the deadline', async () => {
+    const provider = aiService.providers[0];
+
+    await expect(aiService.requestWithRetry(provider, { url: provider.url, data: {} }, Date.now() - 1))
+      .rejects.toMatchObject({ code: 'DEADLINE_EXCEEDED', statusCode: 504 });
+  });
+});
@@ -0,0 +1,172 @@
+process.env.AI_PROVIDERS = '[]';
+
+const request = require('supertest');
+const app = require('../../server');
+const storage = require('../../storage');
+const searchService = require('../../services/searchService');
+
+let counter = 0;
+let apiKey;
+
+const api = (method, url) => request(app)[method](url).set('X-API-Key', apiKey);
+
+async function save(fields) {
+  const res = await api('post', '/api/content/save').send({ contentType: 'blog', ...fields });
+  expect(res.status).toBe(201);
+  return res.body.data.id;
+}
+
+const search = async query => {
+  const res = await api('get', `/api/content/search?${new URLSearchParams(query)}`);
+  expect(res.status).toBe(200);
+  return res.body.data;
+};
+
+const titles = data => data.results.map(result => result.title);
+
+beforeEach(async () => {
+  const res = await request(app)
+    .post('/api/auth/register')
+    .send({ email: `search${Date.now()}${counter++}@example.com`, password: 'secret123', name: 'Search User' });
+  apiKey = res.body.data.user.apiKey;
+});
+
+describe('GET /api/content/search', () => {
+  test('ranks title matches first and highlights them', async () => {
+    await save({ title: 'Team update', content: 'A note that mentions marketing once.' });
+    await save({ title: 'Marketing plan for cafés', content: 'Our café marketing plan for the year.', tags: ['marketing'] });
+
+    const data = await search({ q: 'marketing' });
+    expect(titles(data)).toEqual(['Marketing plan for cafés', 'Team update']);
+    expect(data.results[0].highlights.title).toBe('<mark>Marketing</mark> plan for cafés');
+  });
+
+  test('matches phrases, prefixes and accent-insensitive terms', async () => {
+    await save({ title: 'Social media', content: 'Social media marketing drives growth at the café.' });
+    await save({ title: 'Media and social', content: 'Media coverage for social events and launches.' });
+
+    expect(titles(await search({ q: '"social media"' }))).toEqual(['Social media']);
+    expect(titles(await search({ q: 'launch*' }))).toEqual(['Media and social']);
+    expect(titles(await search({ q: 'cafe' }))).toEqual(['Social media']);
+  });
+
+  test('filters by tag and language', async () => {
+    await save({ title: 'Coffee post', content: 'All about beans and brewing.', tags: ['Coffee'] });
+    await save({ title: 'Tea post', content: 'All about leaves and brewing.', tags: ['tea'], language: 'spanish' });
+
+    expect(titles(await search({ tag: 'coffee' }))).toEqual(['Coffee post']);
+    expect(titles(await search({ q: 'brewing', language: 'spanish' }))).toEqual(['Tea post']);
+  });
+
+  test('reflects updates and deletes', async () => {
+    const id = await save({ title: 'Launch day', content: 'Launching the new product today.' });
+    expect(titles(await search({ q: 'launch*' }))).toEqual(['Launch day']);
+
+    await api('put', `/api/content/${id}`).send({ title: 'Quiet day', content: 'Nothing relevant here at all.' });
+    expect(titles(await search({ q: 'launch*' }))).toEqual([]);
+
+    await api('delete', `/api/content/${id}`);
+    expect(titles(await search({ q: 'quiet' }))).toEqual([]);
+  });
+
+  test('only searches the caller\'s own content', async () => {
+    await save({ title: 'Private strategy', content: 'Confidential roadmap details.' });
+
+    const other = await request(app)
+      .post('/api/auth/register')
+      .send({ email: `other${Date.now()}${counter++}@example.com`, password: 'secret123', name: 'Other User' });
+    const res = await request(app).get('/api/content/search?q=roadmap').set('X-API-Key', other.body.data.user.apiKey);
+
+    expect(res.body.data.results).toEqual([]);
+  });
+
+  test('validates the date filters', async () => {
+    const res = await api('get', '/api/content/search?createdFrom=yesterday');
+    expect(res.status).toBe(400);
+  });
+
+  test('tolerates legacy records with non-string tags', async () => {
+    const id = await save({ title: 'Legacy record', content: 'Saved before tags were validated.', tags: ['ok'] });
+    await search({ q: 'legacy' });
+
+    const legacy = await storage.content.update(id, { tags: [7, null, { x: 1 }, 'Archive'] });
+    await searchService.index(legacy);
+
+    expect(titles(await search({ tag: 'archive' }))).toEqual(['Legacy record']);
+    expect(titles(await search({ tag: '7' }))).toEqual(['Legacy record']);
+    expect(titles(await search({ q: 'legacy', tag: 'other' }))).toEqual([]);
+  });
+});
+
+describe('tag validation', () => {
+  test('rejects non-string and empty tags on save', async () => {
+    const res = await api('post', '/api/content/save').send({
+      contentType: 'blog',
+      title: 'Tags',
+      content: 'Content with bad tags.',
+      tags: [1, { a: 1 }, ' ']
+    });
+
+    expect(res.status).toBe(400);
+    expect(res.body.details.map(detail => detail.msg)).toEqual([
+      'Each tag must be a string',
+      'Each tag must be a string',
+      'Tags cannot be empty'
+    ]);
+  });
+
+  test('rejects non-array tags and non-string tags on update', async () => {
+    const id = await save({ title: 'Tags', content: 'Content with good tags.', tags: ['  trimmed  '] });
+
+    expect((await api('put', `/api/content/${id}`).send({ tags: 'solo' })).status).toBe(400);
+    expect((await api('put', `/api/content/${id}`).send({ tags: [5] })).status).toBe(400);
+
+    const res = await api('get', `/api/content/${id}`);
+    expect(res.body.data.tags).toEqual(['trimmed']);
+  });
+});
+
+describe('index eviction', () => {
+  const limits = { maxOwners: searchService.maxOwners, idleMs: searchService.idleMs };
+
+  afterEach(() => {
+    Object.assign(searchService, limits);
+    jest.restoreAllMocks();
+  });
+
+  test('drops the least recently used owner past maxOwners and rebuilds it on the next search', async () => {
+    searchService.maxOwners = 1;
+    const firstKey = apiKey;
+    const first = await storage.users.findByApiKey(firstKey);
+    await save({ title: 'Evicted notes', content: 'Indexed before eviction.' });
+    await search({ q: 'evicted' });
+
+    const res = await request(app)
+      .post('/api/auth/register')
+      .send({ email: `search${Date.now()}${counter++}@example.com`, password: 'secret123', name: 'Second User' });
+    apiKey = res.body.data.user.apiKey;
+    await search({ q: 'anything' });
+
+    expect(searchService.owners.has(first.id)).toBe(false);
+    expect(searchService.owners.size).toBe(1);
+
+    // Saved while the index was evicted; picked up when it is rebuilt
+    apiKey = firstKey;
+    await save({ title: 'Evicted draft', content: 'Saved after eviction.' });
+    expect(titles(await search({ q: 'evicted' })).sort()).toEqual(['Evicted draft', 'Evicted notes']);
+  });
+
+  test('drops an owner index that has been idle past idleMs', async () => {
+    const user = await storage.users.findByApiKey(apiKey);
+    await save({ title: 'Idle notes', content: 'Indexed and then left alone.' });
+    await search({ q: 'idle' });
+    expect(searchService.owners.has(user.id)).toBe(true);
+
+    const now = Date.now();
+    jest.spyOn(Date, 'now').mockReturnValue(now + searchService.idleMs + 1);
+    searchService.evict();
+
+    expect(searchService.owners.has(user.id)).toBe(false);
+    expect(titles(await search({ q: 'idle' }))).toEqual(['Idle notes']);
+  });
+});
@@ -0,0 +1,114 @@
+const request = require('supertest');
+const { startProviderStub } = require('../helpers/providerStub');
+
+let app;
+let stub;
+let storage;
+let apiKey;
+let counter = 0;
+
+const BLOG = `# Remote Work Tips for Growing Teams
+
+Remote work lets growing teams hire anywhere. This guide covers the habits that keep remote work productive.
+
+## Making remote work last
+
+Short sentences help.
+`;
+
+beforeAll(async () => {
+  stub = await startProviderStub();
+  stub.handler = (req, res) => {
+    res.writeHead(200, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify({ choices: [{ message: { content: BLOG } }] }));
+  };
+  process.env.AI_PROVIDERS = JSON.stringify([
+    { name: 'local-llm', type: 'openai', url: `${stub.url}/v1/chat/completions`, streaming: false, retries: 0 }
+  ]);
+  app = require('../../server');
+  storage = require('../../storage');
+  apiKey = await register();
+});
+
+afterAll(() => stub.close());
+
+async function register() {
+  const res = await request(app)
+    .post('/api/auth/register')
+    .send({ email: `seo${Date.now()}${counter++}@example.com`, password: 'secret123', name: 'SEO User' });
+  await storage.users.update(res.body.data.user.id, { plan: 'pro' });
+  return res.body.data.user.apiKey;
+}
+
+const generate = body => request(app)
+  .post('/api/ai/generate')
+  .set('X-API-Key', apiKey)
+  .send({ prompt: `Remote work ${counter++}`, contentType: 'blog', ...body });
+
+const analyze = (id, body, key = apiKey) => request(app)
+  .post(`/api/content/${id}/seo`)
+  .set('X-API-Key', key)
+  .send(body);
+
+describe('SEO', () => {
+  test('generate asks for the keyword and reports on the result', async () => {
+    const res = await generate({ seo: { keyword: 'remote work' } });
+
+    expect(res.status).toBe(200);
+    expect(stub.requests[stub.requests.length - 1].messages.map(m => m.content).join('\n')).toContain('Optimize for the search keyword "remote work"');
+    expect(res.body.data.seo).toMatchObject({
+      keyword: 'remote work',
+      score: expect.any(Number),
+      slug: 'remote-work-tips-growing-teams',
+      keywordUsage: { occurrences: 4, placement: { h1: true, h2: true, introduction: true } }
+    });
+    expect(res.body.data.seo.suggestions).toContain('Expand the post to at least 600 words (it has 30)');
+  });
+
+  test('generate without seo has no report', async () => {
+    const res = await generate({});
+
+    expect(res.body.data.seo).toBeUndefined();
+  });
+
+  test.each([
+    [{ contentType: 'email', seo: { keyword: 'remote work' } }],
+    [{ seo: 'remote work' }],
+    [{ seo: { keyword: 'r' } }],
+    [{ seo: { keyword: 42 } }]
+  ])('generate rejects %j', async body => {
+    const res = await generate(body);
+
+    expect(res.status).toBe(400);
+  });
+
+  test('analyzes saved content against its title', async () => {
+    const saved = await request(app)
+      .post('/api/content/save')
+      .set('X-API-Key', apiKey)
+      .send({ title: 'A guide to remote work for teams of every size', content: BLOG, contentType: 'blog' });
+
+    const res = await analyze(saved.body.data.id, { keyword: '  remote work ' });
+
+    expect(res.status).toBe(200);
+    expect(res.body.data).toMatchObject({
+      contentId: saved.body.data.id,
+      version: 1,
+      keyword: 'remote work',
+      title: { text: 'A guide to remote work for teams of every size', length: 46 },
+      checks: expect.arrayContaining([{ id: 'title-length', weight: 5, passed: true }])
+    });
+    expect(res.body.data.score).toBeGreaterThan(0);
+  });
+
+  test('only the owner can analyze saved content', async () => {
+    const saved = await request(app)
+      .post('/api/content/save')
+      .set('X-API-Key', apiKey)
+      .send({ title: 'Private post', content: BLOG, contentType: 'blog' });
+
+    expect((await analyze(saved.body.data.id, { keyword: 'remote work' }, await register())).status).toBe(403);
+    expect((await analyze('missing', { keyword: 'remote work' })).status).toBe(404);
+    expect((await analyze(saved.body.data.id, {})).status).toBe(400);
+  });
+});
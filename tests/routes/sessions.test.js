@@ -0,0 +1,151 @@
+const request = require('supertest');
+const { startProviderStub } = require('../helpers/providerStub');
+
+let app;
+let stub;
+let storage;
+let aiService;
+let apiKey;
+let counter = 0;
+
+beforeAll(async () => {
+  stub = await startProviderStub();
+  stub.handler = (req, res) => {
+    res.writeHead(200, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify({ choices: [{ message: { content: `Draft number ${stub.requests.length}` } }] }));
+  };
+  process.env.AI_PROVIDERS = JSON.stringify([
+    { name: 'local-llm', type: 'openai', url: `${stub.url}/v1/chat/completions`, streaming: false, retries: 0 }
+  ]);
+  app = require('../../server');
+  storage = require('../../storage');
+  aiService = require('../../services/aiService');
+  apiKey = await register();
+});
+
+afterAll(() => stub.close());
+
+async function register() {
+  const res = await request(app)
+    .post('/api/auth/register')
+    .send({ email: `session${Date.now()}${counter++}@example.com`, password: 'secret123', name: 'Session User' });
+  await storage.users.update(res.body.data.user.id, { plan: 'pro' });
+  return res.body.data.user.apiKey;
+}
+
+const api = (method, url, body, key = apiKey) => request(app)[method](`/api/ai/sessions${url}`).set('X-API-Key', key).send(body);
+
+async function startSession(body = {}) {
+  const res = await api('post', '', { contentType: 'blog', ...body });
+  return res.body.data.id;
+}
+
+const lastMessages = () => stub.requests[stub.requests.length - 1].messages;
+
+describe('drafting sessions', () => {
+  test('start with the settings and no draft', async () => {
+    const res = await api('post', '', { contentType: 'email', tone: 'casual', language: 'french' });
+
+    expect(res.status).toBe(201);
+    expect(res.body.data).toMatchObject({
+      title: 'Untitled draft',
+      contentType: 'email',
+      tone: 'casual',
+      language: 'french',
+      messageCount: 0,
+      messages: [],
+      draft: null
+    });
+  });
+
+  test('each message sends the history and returns the full draft', async () => {
+    const id = await startSession();
+
+    const first = await api('post', `/${id}/messages`, { message: 'A post about onboarding' });
+    const second = await api('post', `/${id}/messages`, { message: 'Make it shorter' });
+
+    expect(first.status).toBe(200);
+    expect(second.body.data.draft).toBe(second.body.data.reply.content);
+    expect(second.body.data.metadata).toMatchObject({ sessionId: id, messageCount: 4, generation: { provider: 'local-llm' } });
+    expect(second.body.data.context).toMatchObject({ includedMessages: 2, summarizedMessages: 0 });
+    expect(lastMessages().map(m => m.role)).toEqual(['system', 'user', 'assistant', 'user']);
+    expect(lastMessages()[2].content).toBe(first.body.data.draft);
+
+    const session = await api('get', `/${id}`);
+    expect(session.body.data).toMatchObject({ title: 'A post about onboarding', messageCount: 4, draft: second.body.data.draft });
+  });
+
+  test('older turns are summarized once the history outgrows the budget', async () => {
+    const id = await startSession();
+    await api('post', `/${id}/messages`, { message: `Opening request ${'with plenty of detail '.repeat(20)}` });
+    await api('post', `/${id}/messages`, { message: 'Second request' });
+
+    const budget = aiService.sessionContextTokens;
+    aiService.sessionContextTokens = 200;
+    try {
+      const res = await api('post', `/${id}/messages`, { message: 'Third request' });
+
+      expect(res.body.data.context.summarizedMessages).toBeGreaterThan(0);
+      expect(lastMessages()[0].content).toContain('Earlier in this session the user asked for:');
+      expect(lastMessages()[lastMessages().length - 1].content).toBe('Third request');
+    } finally {
+      aiService.sessionContextTokens = budget;
+    }
+  });
+
+  test('saving creates content, then adds versions', async () => {
+    const id = await startSession({ title: 'Session draft' });
+    await api('post', `/${id}/messages`, { message: 'First pass' });
+
+    const created = await api('post', `/${id}/save`, { tags: ['draft'] });
+    await api('post', `/${id}/messages`, { message: 'Second pass' });
+    const updated = await api('post', `/${id}/save`, {});
+    const content = await request(app).get(`/api/content/${created.body.data.id}`).set('X-API-Key', apiKey);
+
+    expect(created.status).toBe(201);
+    expect(created.body.data).toMatchObject({ title: 'Session draft', version: 1, created: true });
+    expect(updated.status).toBe(200);
+    expect(updated.body.data).toMatchObject({ id: created.body.data.id, version: 2, created: false });
+    expect(content.body.data).toMatchObject({ tags: ['draft'], generation: { provider: 'local-llm' } });
+  });
+
+  test.each([
+    [{ tags: 'draft' }, 'tags must be an array'],
+    [{ tags: ['draft', 42] }, 'Each tag must be a string'],
+    [{ tags: ['  '] }, 'Tags cannot be empty']
+  ])('saving rejects %j', async (body, msg) => {
+    const id = await startSession();
+    await api('post', `/${id}/messages`, { message: 'Tagged draft' });
+
+    const res = await api('post', `/${id}/save`, body);
+
+    expect(res.status).toBe(400);
+    expect(res.body.details).toContainEqual(expect.objectContaining({ msg }));
+  });
+
+  test('there is nothing to save before the first reply', async () => {
+    const id = await startSession();
+
+    const res = await api('post', `/${id}/save`, {});
+
+    expect(res.status).toBe(400);
+    expect(res.body.code).toBe('NO_DRAFT');
+  });
+
+  test('sessions are private to their owner', async () => {
+    const id = await startSession();
+    const other = await register();
+
+    expect((await api('get', `/${id}`, undefined, other)).status).toBe(403);
+    expect((await api('post', `/${id}/messages`, { message: 'Hi' }, other)).status).toBe(403);
+    expect((await api('get', '/missing')).status).toBe(404);
+  });
+
+  test.each([
+    [{ contentType: 'memo' }],
+    [{ contentType: 'blog', language: 'klingon' }],
+    [{ contentType: 'blog', brandVoiceId: 'missing' }]
+  ])('rejects %j', async body => {
+    expect((await api('post', '', body)).status).toBe(400);
+  });
+});
@@ -0,0 +1,128 @@
+const request = require('supertest');
+const { startProviderStub, sseFrames } = require('../helpers/providerStub');
+
+let app;
+let stub;
+let storage;
+let apiKey;
+let counter = 0;
+// What the stub answers with; 'fail' makes it return 500
+let reply = '';
+
+const sentences = count => Array.from({ length: count }, (_, i) => `Sentence number ${i} is here.`).join(' ');
+
+beforeAll(async () => {
+  stub = await startProviderStub();
+  stub.handler = (req, res, body) => {
+    if (reply === 'fail') {
+      res.writeHead(500);
+      return res.end('upstream error');
+    }
+    if (body.stream) {
+      res.writeHead(200, { 'Content-Type': 'text/event-stream' });
+      return res.end(`${sseFrames([reply])}data: [DONE]\n\n`);
+    }
+    res.writeHead(200, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify({ choices: [{ message: { content: reply } }] }));
+  };
+  process.env.AI_PROVIDERS = JSON.stringify([
+    { name: 'local-llm', type: 'openai', url: `${stub.url}/v1/chat/completions`, retries: 0, breaker: { failureThreshold: 100 } }
+  ]);
+  app = require('../../server');
+  storage = require('../../storage');
+
+  const res = await request(app)
+    .post('/api/auth/register')
+    .send({ email: `social${Date.now()}@example.com`, password: 'secret123', name: 'Social User' });
+  await storage.users.update(res.body.data.user.id, { plan: 'pro' });
+  apiKey = res.body.data.user.apiKey;
+});
+
+afterAll(() => stub.close());
+
+const generate = body => request(app)
+  .post('/api/ai/generate')
+  .set('X-API-Key', apiKey)
+  .send({ prompt: `Launch announcement ${counter++}`, contentType: 'social', ...body });
+
+const lastPrompt = () => stub.requests[stub.requests.length - 1].messages.map(m => m.content).join('\n');
+
+describe('generate with a platform', () => {
+  test('splits long content into a thread on X', async () => {
+    reply = sentences(20);
+
+    const res = await generate({ platform: 'twitter' });
+
+    expect(res.status).toBe(200);
+    expect(lastPrompt()).toContain('Write for X (Twitter). Each post must be at most 280 characters');
+    expect(res.body.data.posts.length).toBeGreaterThan(1);
+    res.body.data.posts.forEach(post => expect([...post].length).toBeLessThanOrEqual(280));
+    expect(res.body.data.content).toBe(res.body.data.posts.join('\n\n---\n\n'));
+    expect(res.body.data.metadata.platform).toMatchObject({
+      platform: 'x',
+      maxLength: 280,
+      action: 'split',
+      overflow: [{ post: 1, characterCount: reply.length, maxLength: 280 }]
+    });
+  });
+
+  test('keeps the thread the model wrote when it fits', async () => {
+    reply = 'First post.\n---\nSecond post. #Launch';
+
+    const res = await generate({ platform: 'mastodon' });
+
+    expect(res.body.data.posts).toEqual(['First post.', 'Second post. #Launch']);
+    expect(res.body.data.metadata.platform).toMatchObject({ action: 'none', overflow: [], posts: [{ characterCount: 11, hashtags: 0 }, { characterCount: 20, hashtags: 1 }] });
+  });
+
+  test('joins and trims on single-post platforms and warns about hashtags', async () => {
+    reply = `${sentences(10)}\n---\nMore. #one #two #three #four`;
+
+    const res = await generate({ platform: 'facebook' });
+
+    expect(res.body.data.posts).toHaveLength(1);
+    expect(lastPrompt()).toContain('Everything must fit in a single post.');
+    expect(res.body.data.metadata.platform.warnings).toEqual(['Post 1 has 4 hashtags; Facebook posts should have at most 3']);
+  });
+
+  test('template fallback content is fitted too, without the footer', async () => {
+    reply = 'fail';
+
+    const res = await generate({ platform: 'threads' });
+
+    expect(res.body.data.metadata.fallback).toBe(true);
+    expect(res.body.data.content).not.toMatch(/AI Content Creator Pro/);
+    res.body.data.posts.forEach(post => expect([...post].length).toBeLessThanOrEqual(500));
+  });
+
+  test('the streaming done event carries the fitted posts', async () => {
+    reply = sentences(20);
+
+    const res = await request(app)
+      .post('/api/ai/generate/stream')
+      .set('X-API-Key', apiKey)
+      .send({ prompt: 'Streamed launch', contentType: 'social', platform: 'x', cache: false });
+
+    const done = JSON.parse(res.text.match(/event: done\ndata: (.*)/)[1]);
+    expect(done.posts.length).toBeGreaterThan(1);
+    expect(done.content).toBe(done.posts.join('\n\n---\n\n'));
+    expect(done.metadata.platform.action).toBe('split');
+  });
+
+  test.each([
+    [{ platform: 'myspace' }],
+    [{ platform: 'x', contentType: 'blog' }],
+    [{ platform: 'x', format: 'structured' }]
+  ])('rejects %j', async body => {
+    const res = await generate(body);
+
+    expect(res.status).toBe(400);
+    expect(res.body.details).toContainEqual(expect.objectContaining({ path: 'platform' }));
+  });
+
+  test('/options lists the platforms', async () => {
+    const res = await request(app).get('/api/ai/options');
+
+    expect(res.body.data.platforms).toContainEqual({ value: 'x', label: '𝕏 X (Twitter)', maxLength: 280, threads: true });
+  });
+});
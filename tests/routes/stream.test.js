@@ -0,0 +1,129 @@
+const request = require('supertest');
+const { startProviderStub, sseFrames } = require('../helpers/providerStub');
+
+let app;
+let stub;
+let aiService;
+let counter = 0;
+
+// The provider URL is only known once the stub listens, so the app is loaded afterwards
+beforeAll(async () => {
+  stub = await startProviderStub();
+  process.env.AI_PROVIDERS = JSON.stringify([
+    { name: 'local-llm', type: 'openai', url: `${stub.url}/v1/chat/completions`, retries: 0 }
+  ]);
+  app = require('../../server');
+  aiService = require('../../services/aiService');
+});
+
+afterAll(() => stub.close());
+
+async function registerUser() {
+  const res = await request(app)
+    .post('/api/auth/register')
+    .send({ email: `stream${Date.now()}${counter++}@example.com`, password: 'secret123', name: 'Stream User' });
+  return res.body.data.user.apiKey;
+}
+
+// Parse an SSE body into [{ event, data }]
+const parseEvents = text => text
+  .split('\n\n')
+  .filter(block => block.trim())
+  .map(block => {
+    const event = block.match(/^event: (.*)$/m)[1];
+    const data = JSON.parse(block.match(/^data: (.*)$/m)[1]);
+    return { event, data };
+  });
+
+const stream = (apiKey, body = {}) => request(app)
+  .post('/api/ai/generate/stream')
+  .set('X-API-Key', apiKey)
+  .send({ prompt: `Write about streaming ${counter++}`, contentType: 'blog', cache: false, ...body });
+
+describe('POST /api/ai/generate/stream', () => {
+  test('streams provider chunks and finishes with a done event', async () => {
+    stub.handler = (req, res) => {
+      res.writeHead(200, { 'Content-Type': 'text/event-stream' });
+      res.end(`${sseFrames(['Hello', ', ', 'world'])}data: [DONE]\n\n`);
+    };
+    const apiKey = await registerUser();
+
+    const res = await stream(apiKey);
+
+    expect(res.status).toBe(200);
+    expect(res.headers['content-type']).toMatch(/^text\/event-stream/);
+    expect(stub.requests[stub.requests.length - 1].stream).toBe(true);
+
+    const events = parseEvents(res.text);
+    const chunks = events.filter(e => e.event === 'chunk').map(e => e.data.content);
+    expect(chunks).toEqual(['Hello', ', ', 'world']);
+
+    const done = events[events.length - 1];
+    expect(done.event).toBe('done');
+    expect(done.data.success).toBe(true);
+    expect(done.data.metadata.contentType).toBe('blog');
+    expect(done.data.metadata.generation).toMatchObject({ provider: 'local-llm', fallback: false, cached: false });
+  });
+
+  test('keeps a last line sent without a trailing newline', async () => {
+    stub.handler = (req, res) => {
+      res.writeHead(200, { 'Content-Type': 'text/event-stream' });
+      res.end(`${sseFrames(['First'])}data: ${JSON.stringify({ choices: [{ delta: { content: ' and last' } }] })}`);
+    };
+    const apiKey = await registerUser();
+
+    const res = await stream(apiKey);
+
+    const events = parseEvents(res.text);
+    expect(events.filter(e => e.event === 'chunk').map(e => e.data.content)).toEqual(['First', ' and last']);
+    expect(events[events.length - 1].event).toBe('done');
+  });
+
+  test('sends an error event when the provider fails mid-stream', async () => {
+    stub.handler = (req, res) => {
+      res.writeHead(200, { 'Content-Type': 'text/event-stream' });
+      res.end(`${sseFrames(['Partial'])}data: ${JSON.stringify({ error: { message: 'model crashed' } })}\n\n`);
+    };
+    const apiKey = await registerUser();
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+
+    const res = await stream(apiKey);
+
+    const events = parseEvents(res.text);
+    expect(events.map(e => e.event)).toEqual(['chunk', 'error']);
+    expect(events[1].data).toMatchObject({ success: false, error: 'Content generation failed', retryAfter: 30 });
+    console.error.mockRestore();
+  });
+
+  test('reports application errors with their code and status', async () => {
+    stub.handler = (req, res) => {
+      setTimeout(() => {
+        res.writeHead(200, { 'Content-Type': 'text/event-stream' });
+        res.end('data: [DONE]\n\n');
+      }, 300);
+    };
+    const apiKey = await registerUser();
+    const deadlineMs = aiService.requestDeadlineMs;
+    aiService.requestDeadlineMs = 50;
+
+    try {
+      const res = await stream(apiKey);
+
+      const events = parseEvents(res.text);
+      expect(events).toHaveLength(1);
+      expect(events[0].event).toBe('error');
+      expect(events[0].data).toMatchObject({ success: false, code: 'DEADLINE_EXCEEDED', status: 504 });
+    } finally {
+      aiService.requestDeadlineMs = deadlineMs;
+    }
+  });
+
+  test('rejects structured output before opening the stream', async () => {
+    const apiKey = await registerUser();
+
+    const res = await stream(apiKey, { format: 'structured' });
+
+    expect(res.status).toBe(400);
+    expect(res.body.success).toBe(false);
+  });
+});
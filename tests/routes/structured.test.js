@@ -0,0 +1,96 @@
+const request = require('supertest');
+const { startProviderStub } = require('../helpers/providerStub');
+
+let app;
+let stub;
+let counter = 0;
+
+beforeAll(async () => {
+  stub = await startProviderStub();
+  process.env.AI_PROVIDERS = JSON.stringify([
+    { name: 'local-llm', type: 'openai', url: `${stub.url}/v1/chat/completions`, streaming: false, retries: 0 }
+  ]);
+  app = require('../../server');
+});
+
+afterAll(() => stub.close());
+
+beforeEach(() => {
+  jest.spyOn(console, 'warn').mockImplementation(() => {});
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+// Answer each request with the next reply in `replies`
+function reply(...replies) {
+  let calls = 0;
+  stub.handler = (req, res) => {
+    res.writeHead(200, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify({ choices: [{ message: { content: replies[Math.min(calls++, replies.length - 1)] } }] }));
+  };
+  return () => calls;
+}
+
+const register = () => request(app)
+  .post('/api/auth/register')
+  .send({ email: `structured${Date.now()}${counter++}@example.com`, password: 'secret123', name: 'Structured User' })
+  .then(res => res.body.data.user.apiKey);
+
+const generate = async body => request(app)
+  .post('/api/ai/generate')
+  .set('X-API-Key', await register())
+  .send({ prompt: `Announce the launch ${counter++}`, contentType: 'social', format: 'structured', cache: false, ...body });
+
+const POST = { hook: 'Big news', body: 'We launched today.', cta: 'Try it', hashtags: ['#launch'] };
+
+describe('format: structured', () => {
+  test('returns the validated object and its markdown rendering', async () => {
+    reply(`Sure:\n\`\`\`json\n${JSON.stringify(POST)}\n\`\`\``);
+
+    const res = await generate();
+
+    expect(res.status).toBe(200);
+    expect(res.body.data.structured).toEqual(POST);
+    expect(res.body.data.content).toContain('Big news');
+    expect(res.body.data.content).toContain('#launch');
+    expect(res.body.data.metadata).toMatchObject({ format: 'structured', generation: { provider: 'local-llm', fallback: false } });
+
+    const prompt = stub.requests[stub.requests.length - 1].messages.map(m => m.content).join('\n');
+    expect(prompt).toMatch(/JSON/);
+  });
+
+  test('reprompts with the validation errors until the reply is valid', async () => {
+    const calls = reply('{"hook": "Big news"}', JSON.stringify(POST));
+
+    const res = await generate();
+
+    expect(calls()).toBe(2);
+    expect(res.body.data.structured).toEqual(POST);
+    const repair = stub.requests[stub.requests.length - 1].messages.map(m => m.content).join('\n');
+    expect(repair).toContain('$.body');
+  });
+
+  test('falls back to the template when the provider never produces valid JSON', async () => {
+    reply('{"hook": "Still incomplete"}');
+
+    const res = await generate();
+
+    expect(res.status).toBe(200);
+    expect(res.body.data.metadata.generation.fallback).toBe(true);
+    expect(res.body.data.metadata.generation.attempts[0]).toMatchObject({ provider: 'local-llm', status: 'invalid' });
+    expect(res.body.data.structured).toEqual({
+      hook: expect.any(String),
+      body: expect.any(String),
+      cta: expect.any(String),
+      hashtags: expect.any(Array)
+    });
+  });
+
+  test('rejects an unknown format', async () => {
+    const res = await generate({ format: 'xml' });
+
+    expect(res.status).toBe(400);
+  });
+});
@@ -0,0 +1,159 @@
+const request = require('supertest');
+const { startProviderStub } = require('../helpers/providerStub');
+
+let app;
+let stub;
+let storage;
+let apiKey;
+let counter = 0;
+// What the stub answers with; 'fail' makes it return 500
+let reply = 'Transformed text.';
+
+beforeAll(async () => {
+  stub = await startProviderStub();
+  stub.handler = (req, res) => {
+    if (reply === 'fail') {
+      res.writeHead(500);
+      return res.end('upstream error');
+    }
+    res.writeHead(200, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify({ choices: [{ message: { content: `  ${reply}\n` } }] }));
+  };
+  process.env.AI_PROVIDERS = JSON.stringify([
+    { name: 'local-llm', type: 'openai', url: `${stub.url}/v1/chat/completions`, streaming: false, retries: 0, breaker: { failureThreshold: 100 } }
+  ]);
+  app = require('../../server');
+  storage = require('../../storage');
+  apiKey = await register();
+});
+
+afterAll(() => stub.close());
+
+async function register() {
+  const res = await request(app)
+    .post('/api/auth/register')
+    .send({ email: `transform${Date.now()}${counter++}@example.com`, password: 'secret123', name: 'Transform User' });
+  await storage.users.update(res.body.data.user.id, { plan: 'pro' });
+  return res.body.data.user.apiKey;
+}
+
+const transform = (body, key = apiKey) => request(app)
+  .post('/api/ai/transform')
+  .set('X-API-Key', key)
+  .send(body);
+
+async function saveContent(content) {
+  const res = await request(app)
+    .post('/api/content/save')
+    .set('X-API-Key', apiKey)
+    .send({ title: 'Draft', content, contentType: 'blog' });
+  return res.body.data.id;
+}
+
+const lastPrompt = () => stub.requests[stub.requests.length - 1].messages.map(m => m.content).join('\n');
+
+describe('POST /api/ai/transform', () => {
+  test('rewrites raw text and reports provenance', async () => {
+    reply = 'A clearer sentence.';
+
+    const res = await transform({ operation: 'rewrite', text: 'A sentence that could be clearer.' });
+
+    expect(res.status).toBe(200);
+    expect(res.body.data.content).toBe('A clearer sentence.');
+    expect(res.body.data.metadata).toMatchObject({
+      operation: 'rewrite',
+      fallback: false,
+      generation: { provider: 'local-llm', cached: false }
+    });
+    expect(lastPrompt()).toContain('A sentence that could be clearer.');
+  });
+
+  test('splices a selection back in, keeping the surrounding whitespace', async () => {
+    reply = 'SHORT';
+    const text = 'Keep this. Make this part much shorter please. Keep that.';
+    const start = text.indexOf(' Make');
+    const end = text.indexOf(' Keep that');
+
+    const res = await transform({ operation: 'shorten', text, selection: { start, end } });
+
+    expect(res.body.data.content).toBe('Keep this. SHORT Keep that.');
+    expect(res.body.data.transformed).toBe('SHORT');
+    expect(res.body.data.selection).toEqual({ start: start + 1, end: start + 6 });
+  });
+
+  test('change-tone and translate put the target in the prompt', async () => {
+    reply = 'Hey there!';
+
+    await transform({ operation: 'change-tone', tone: 'casual', text: 'Greetings.' });
+    expect(lastPrompt()).toContain('casual, friendly');
+
+    const res = await transform({ operation: 'translate', language: 'german', text: 'Hello.' });
+    expect(lastPrompt()).toContain('Translate the text into German');
+    expect(res.body.data.metadata.language).toBe('german');
+  });
+
+  test.each([
+    [{ operation: 'paraphrase', text: 'Hello.' }, 'Validation failed'],
+    [{ operation: 'change-tone', text: 'Hello.' }, 'Validation failed'],
+    [{ operation: 'change-tone', tone: 'sarcastic', text: 'Hello.' }, 'Validation failed'],
+    [{ operation: 'translate', text: 'Hello.' }, 'Validation failed'],
+    [{ operation: 'rewrite' }, 'Provide either text or contentId'],
+    [{ operation: 'rewrite', text: 'Hello.', save: true }, 'save requires a contentId'],
+    [{ operation: 'rewrite', text: 'Hello.', selection: { start: 3, end: 2 } }, 'Selection must satisfy start < end <= 6'],
+    [{ operation: 'rewrite', text: 'Hello      there', selection: { start: 5, end: 10 } }, 'Nothing to transform: the selected text is empty']
+  ])('rejects %j', async (body, error) => {
+    const res = await transform(body);
+
+    expect(res.status).toBe(400);
+    expect(res.body.error).toBe(error);
+  });
+
+  test('saves the result as a new version of saved content', async () => {
+    reply = 'Translated body.';
+    const id = await saveContent('Original body of the saved draft.');
+
+    const res = await transform({ operation: 'translate', language: 'spanish', contentId: id, save: true });
+    const saved = await request(app).get(`/api/content/${id}`).set('X-API-Key', apiKey);
+
+    expect(res.body.data.saved).toEqual({ contentId: id, version: 2 });
+    expect(saved.body.data).toMatchObject({ content: 'Translated body.', language: 'spanish' });
+  });
+
+  test('only the owner can transform saved content', async () => {
+    const id = await saveContent('Somebody else cannot touch this.');
+
+    expect((await transform({ operation: 'rewrite', contentId: id }, await register())).status).toBe(403);
+    expect((await transform({ operation: 'rewrite', contentId: 'missing' })).status).toBe(404);
+  });
+
+  test('fails with 503 when no provider answers', async () => {
+    reply = 'fail';
+
+    const res = await transform({ operation: 'expand', text: 'Nothing will come back.' });
+
+    expect(res.status).toBe(503);
+    expect(res.body.code).toBe('PROVIDERS_UNAVAILABLE');
+  });
+});
+
+describe('tones', () => {
+  const tones = require('../../config/tones');
+
+  test('/options lists config/tones.js', async () => {
+    const res = await request(app).get('/api/ai/options');
+
+    expect(res.body.data.tones).toEqual(Object.entries(tones).map(([value, { label, description }]) => ({ value, label, description })));
+  });
+
+  test.each([
+    ['/api/ai/generate', { prompt: 'Tone check', contentType: 'blog' }],
+    ['/api/ai/transform', { operation: 'change-tone', text: 'Tone check' }],
+    ['/api/content/save', { title: 'Tone', content: 'Tone check content', contentType: 'blog' }],
+    ['/api/ai/sessions', { contentType: 'blog' }]
+  ])('%s accepts only configured tones', async (url, body) => {
+    const res = await request(app).post(url).set('X-API-Key', apiKey).send({ ...body, tone: 'sarcastic' });
+
+    expect(res.status).toBe(400);
+    expect(res.body.details).toContainEqual(expect.objectContaining({ path: 'tone' }));
+  });
+});
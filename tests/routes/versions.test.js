@@ -0,0 +1,106 @@
+process.env.AI_PROVIDERS = '[]';
+
+const request = require('supertest');
+const app = require('../../server');
+
+let counter = 0;
+
+const register = () => request(app)
+  .post('/api/auth/register')
+  .send({ email: `versions${Date.now()}${counter++}@example.com`, password: 'secret123', name: 'Version User' })
+  .then(res => res.body.data.user.apiKey);
+
+const as = apiKey => ({
+  get: url => request(app).get(url).set('X-API-Key', apiKey),
+  post: (url, body) => request(app).post(url).set('X-API-Key', apiKey).send(body),
+  put: (url, body) => request(app).put(url).set('X-API-Key', apiKey).send(body),
+  delete: url => request(app).delete(url).set('X-API-Key', apiKey)
+});
+
+async function createContent(client) {
+  const res = await client.post('/api/content/save', {
+    title: 'Launch notes',
+    content: 'First line\nSecond line',
+    contentType: 'blog',
+    tags: ['launch']
+  });
+  return res.body.data.id;
+}
+
+describe('content versions', () => {
+  test('records every edit as a revision', async () => {
+    const client = as(await register());
+    const id = await createContent(client);
+
+    const updated = await client.put(`/api/content/${id}`, { content: 'First line\nSecond line, revised', changeSummary: 'Tighten wording' });
+    expect(updated.status).toBe(200);
+    expect(updated.body.data.currentVersion).toBe(2);
+
+    const res = await client.get(`/api/content/${id}/versions`);
+    expect(res.body.data.currentVersion).toBe(2);
+    expect(res.body.data.versions.map(v => [v.version, v.changeSummary])).toEqual([[2, 'Tighten wording'], [1, 'Initial version']]);
+
+    const first = await client.get(`/api/content/${id}/versions/1`);
+    expect(first.body.data.content).toBe('First line\nSecond line');
+    expect((await client.get(`/api/content/${id}/versions/9`)).status).toBe(404);
+  });
+
+  test('diffs two revisions by line or word', async () => {
+    const client = as(await register());
+    const id = await createContent(client);
+    await client.put(`/api/content/${id}`, { title: 'Launch notes v2', content: 'First line\nSecond line, revised' });
+
+    const lines = await client.get(`/api/content/${id}/versions/diff?from=1`);
+    expect(lines.status).toBe(200);
+    expect(lines.body.data).toMatchObject({
+      from: 1,
+      to: 2,
+      granularity: 'line',
+      title: { from: 'Launch notes', to: 'Launch notes v2' },
+      stats: { added: 1, removed: 1, unchanged: 1 }
+    });
+
+    const words = await client.get(`/api/content/${id}/versions/diff?from=1&to=2&granularity=word`);
+    expect(words.body.data.changes).toContainEqual({ type: 'insert', value: expect.stringContaining('revised') });
+
+    expect((await client.get(`/api/content/${id}/versions/diff?from=x`)).status).toBe(400);
+    expect((await client.get(`/api/content/${id}/versions/diff?from=7`)).body.code).toBe('VERSION_NOT_FOUND');
+  });
+
+  test('restores an earlier revision as a new one', async () => {
+    const client = as(await register());
+    const id = await createContent(client);
+    await client.put(`/api/content/${id}`, { content: 'Completely different body text', tags: ['rewrite'] });
+
+    const res = await client.post(`/api/content/${id}/versions/1/restore`);
+
+    expect(res.status).toBe(200);
+    expect(res.body.data).toMatchObject({ currentVersion: 3, content: 'First line\nSecond line', tags: ['launch'] });
+    const history = await client.get(`/api/content/${id}/versions`);
+    expect(history.body.data.versions[0].changeSummary).toBe('Restored version 1');
+  });
+
+  test('soft-deleted content can be recovered', async () => {
+    const client = as(await register());
+    const id = await createContent(client);
+
+    const deleted = await client.delete(`/api/content/${id}`);
+    expect(deleted.body.data.recoverableUntil).toEqual(expect.any(String));
+    expect((await client.get(`/api/content/${id}`)).status).toBe(404);
+    expect((await client.get('/api/content/trash')).body.data.content.map(item => item.id)).toContain(id);
+
+    const recovered = await client.post(`/api/content/${id}/recover`);
+    expect(recovered.status).toBe(200);
+    expect((await client.get(`/api/content/${id}`)).status).toBe(200);
+    expect((await client.post(`/api/content/${id}/recover`)).status).toBe(400);
+  });
+
+  test('other users cannot read the history', async () => {
+    const owner = as(await register());
+    const other = as(await register());
+    const id = await createContent(owner);
+
+    expect((await other.get(`/api/content/${id}/versions`)).status).toBe(403);
+    expect((await other.post(`/api/content/${id}/versions/1/restore`)).status).toBe(403);
+  });
+});
@@ -0,0 +1,90 @@
+const { createCache, globToRegExp } = require('../../services/cache');
+
+process.env.AI_PROVIDERS = JSON.stringify([
+  { name: 'local-llm', type: 'openai', url: 'http://127.0.0.1:9/v1/chat/completions', model: 'small' },
+  { name: 'openai', type: 'openai', url: 'http://127.0.0.1:9/v1/chat/completions', model: 'large' }
+]);
+const aiService = require('../../services/aiService');
+
+const REQUEST = { prompt: 'Pricing update', contentType: 'email', language: 'english', tone: 'professional', userId: 'user-1' };
+
+describe('buildCacheKey', () => {
+  afterEach(() => { aiService.cacheScope = 'global'; });
+
+  test('is a stable SHA-256 of the inputs', () => {
+    const key = aiService.buildCacheKey(REQUEST);
+
+    expect(key).toMatch(/^[0-9a-f]{64}$/);
+    expect(aiService.buildCacheKey({ ...REQUEST })).toBe(key);
+  });
+
+  test.each([
+    ['prompt', { prompt: 'Pricing update!' }],
+    ['tone', { tone: 'casual' }],
+    ['language', { language: 'german' }],
+    ['content type', { contentType: 'blog' }],
+    ['platform', { platform: 'twitter' }],
+    ['SEO keyword', { seo: { keyword: 'pricing' } }],
+    ['custom type definition', { customType: { systemPrompt: 'Write a memo', structure: ['To', 'From'] } }],
+    ['allowed providers', { allowedProviders: ['local-llm'] }]
+  ])('changes with the %s', (name, change) => {
+    expect(aiService.buildCacheKey({ ...REQUEST, ...change })).not.toBe(aiService.buildCacheKey(REQUEST));
+  });
+
+  test('separates the text, structured and repurpose variants', () => {
+    const keys = ['text', 'structured', 'repurpose'].map(variant => aiService.buildCacheKey(REQUEST, variant));
+
+    expect(new Set(keys).size).toBe(3);
+  });
+
+  test('only includes the user with user scoping', () => {
+    const other = { ...REQUEST, userId: 'user-2' };
+    expect(aiService.buildCacheKey(other)).toBe(aiService.buildCacheKey(REQUEST));
+
+    aiService.cacheScope = 'user';
+    expect(aiService.buildCacheKey(other)).not.toBe(aiService.buildCacheKey(REQUEST));
+  });
+});
+
+describe('globToRegExp', () => {
+  test('matches whole prompts case-insensitively with * wildcards', () => {
+    const pattern = globToRegExp('*pricing*');
+
+    expect(pattern.test('New PRICING plans')).toBe(true);
+    expect(pattern.test('Billing')).toBe(false);
+    expect(globToRegExp('a.b').test('axb')).toBe(false);
+  });
+});
+
+describe.each(['memory', 'sqlite'])('%s cache', backend => {
+  let cache;
+
+  beforeEach(async () => {
+    cache = createCache({ backend, ttlSeconds: 60, filename: ':memory:' });
+    await cache.set('a', { content: 'Pricing email' }, { contentType: 'email', prompt: 'New pricing' });
+    await cache.set('b', { content: 'Pricing blog' }, { contentType: 'blog', prompt: 'Pricing explained' });
+    await cache.set('c', { content: 'Launch email' }, { contentType: 'email', prompt: 'Product launch' });
+  });
+
+  test('returns stored values and undefined for misses', async () => {
+    expect(await cache.get('a')).toEqual({ content: 'Pricing email' });
+    expect(await cache.get('missing')).toBeUndefined();
+    expect(cache.getStats()).toMatchObject({ backend, ttlSeconds: 60, keys: 3 });
+  });
+
+  test('purges by content type and prompt pattern together', async () => {
+    expect(await cache.purge({ contentType: 'email', pattern: globToRegExp('*pricing*') })).toBe(1);
+    expect(await cache.get('a')).toBeUndefined();
+    expect(await cache.get('b')).toBeDefined();
+    expect(await cache.get('c')).toBeDefined();
+  });
+
+  test('purges everything without filters', async () => {
+    expect(await cache.purge()).toBe(3);
+    expect(cache.getStats().keys).toBe(0);
+  });
+});
+
+test('rejects unknown backends', () => {
+  expect(() => createCache({ backend: 'redis' })).toThrow('Unknown AI cache backend "redis"');
+});
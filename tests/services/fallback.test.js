@@ -0,0 +1,59 @@
+const fallback = require('../../services/fallback');
+const languages = require('../../config/languages');
+const { parseSlides } = require('../../services/exporters/slides');
+
+const TYPES = ['presentation', 'document', 'social', 'blog', 'email'];
+
+describe('fallback templates', () => {
+  test.each(Object.keys(languages))('%s has every content type', language => {
+    for (const type of TYPES) {
+      const content = fallback.generate('remote work', type, language);
+      expect(content).toContain(type === 'social' ? '#RemoteWork' : 'remote work');
+      expect(content).not.toMatch(/\[Content in /);
+    }
+  });
+
+  test('non-English templates are translated', () => {
+    const english = fallback.generate('remote work', 'document', 'english');
+
+    expect(fallback.generate('remote work', 'document', 'spanish')).toContain('Resumen ejecutivo');
+    for (const language of Object.keys(languages).filter(name => name !== 'english')) {
+      expect(fallback.generate('remote work', 'document', language)).not.toBe(english);
+    }
+  });
+
+  test('unknown languages and content types fall back to the English document', () => {
+    expect(fallback.generate('remote work', 'memo', 'klingon')).toBe(fallback.generate('remote work', 'document', 'english'));
+  });
+
+  test('custom types get one section per structure entry', () => {
+    const content = fallback.generate('remote work', 'case-study', 'english', { structure: ['Problem', 'Outcome'] });
+
+    expect(content).toMatch(/Problem/);
+    expect(content).toMatch(/Outcome/);
+  });
+
+  test('footer: false drops the closing credit line', () => {
+    const content = fallback.generate('remote work', 'blog', 'german', null, { footer: false });
+
+    expect(content).not.toMatch(/\n---\n\*[^*\n]+\*\s*$/);
+    expect(fallback.generate('remote work', 'blog', 'german')).toMatch(/\n---\n\*[^*\n]+\*\s*$/);
+  });
+
+  test('topics become CamelCase hashtags', () => {
+    expect(fallback.generate('café culture!', 'social', 'french')).toContain('#CaféCulture');
+    expect(fallback.generate('!!!', 'social', 'english')).toContain('#Trending');
+  });
+
+  test('labels and their variants come from the bundles', () => {
+    expect(fallback.labels('german').slide).toBe('Folie');
+    expect(fallback.labels('klingon')).toEqual(fallback.labels('english'));
+    expect(fallback.labelVariants('slide')).toEqual(expect.arrayContaining(['Slide', 'Diapositiva', 'Folie']));
+  });
+
+  test.each(Object.keys(languages))('%s presentations split into slides', language => {
+    const deck = parseSlides(fallback.generate('remote work', 'presentation', language));
+
+    expect(deck.slides.length).toBeGreaterThanOrEqual(5);
+  });
+});
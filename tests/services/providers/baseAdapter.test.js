@@ -0,0 +1,47 @@
+const BaseAdapter = require('../../../services/providers/baseAdapter');
+
+describe('BaseAdapter retry policy', () => {
+  const adapter = (config = {}) => new BaseAdapter({ name: 'test', type: 'test', url: 'http://test', ...config });
+  const httpError = (status, headers = {}) => ({ response: { status, headers } });
+
+  test('retries throttling, gateway errors and dropped connections only', () => {
+    const provider = adapter();
+
+    for (const status of [408, 429, 500, 502, 503, 504]) {
+      expect(provider.isRetryable(httpError(status))).toBe(true);
+    }
+    expect(provider.isRetryable(httpError(400))).toBe(false);
+    expect(provider.isRetryable(httpError(401))).toBe(false);
+    expect(provider.isRetryable({ code: 'ECONNRESET' })).toBe(true);
+    expect(provider.isRetryable({ code: 'ECONNABORTED' })).toBe(false);
+  });
+
+  test('honours Retry-After as seconds or an HTTP date', () => {
+    const provider = adapter();
+    jest.spyOn(Date, 'now').mockReturnValue(Date.parse('2026-01-01T00:00:00Z'));
+
+    expect(provider.getRetryAfter(httpError(429, { 'retry-after': '3' }))).toBe(3000);
+    expect(provider.getRetryAfter(httpError(429, { 'retry-after': 'Thu, 01 Jan 2026 00:00:05 GMT' }))).toBe(5000);
+    expect(provider.getRetryAfter(httpError(429, { 'retry-after': 'soon' }))).toBeNull();
+    expect(provider.getRetryAfter(httpError(429))).toBeNull();
+    Date.now.mockRestore();
+  });
+
+  test('backs off exponentially with jitter up to retryMaxMs', () => {
+    const provider = adapter({ retryBaseMs: 100, retryMaxMs: 500 });
+    jest.spyOn(Math, 'random').mockReturnValue(1);
+
+    expect([0, 1, 2, 3].map(attempt => provider.getRetryDelay(httpError(503), attempt))).toEqual([100, 200, 400, 500]);
+    Math.random.mockReturnValue(0);
+    expect(provider.getRetryDelay(httpError(503), 2)).toBe(200);
+    expect(provider.getRetryDelay(httpError(503, { 'retry-after': '1' }), 2)).toBe(1000);
+    Math.random.mockRestore();
+  });
+
+  test('takes timeout and retry settings from the provider entry', () => {
+    const provider = adapter({ timeout: 1500, retries: 0, retryBaseMs: 50, retryMaxMs: 200 });
+
+    expect(provider).toMatchObject({ timeout: 1500, retries: 0, retryBaseMs: 50, retryMaxMs: 200 });
+    expect(provider.describe()).toMatchObject({ timeout: 1500, retries: 0 });
+  });
+});
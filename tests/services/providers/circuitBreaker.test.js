@@ -0,0 +1,106 @@
+const CircuitBreaker = require('../../../services/providers/circuitBreaker');
+
+describe('CircuitBreaker', () => {
+  beforeEach(() => {
+    jest.useFakeTimers({ now: new Date('2026-01-01T00:00:00.000Z') });
+  });
+
+  afterEach(() => {
+    jest.useRealTimers();
+  });
+
+  const failing = new Error('upstream 500');
+
+  function openBreaker(options = { failureThreshold: 3, cooldownMs: 1000 }) {
+    const breaker = new CircuitBreaker(options);
+    for (let i = 0; i < options.failureThreshold; i++) {
+      breaker.recordFailure(failing, 10);
+    }
+    return breaker;
+  }
+
+  test('stays closed below the failure threshold', () => {
+    const breaker = new CircuitBreaker({ failureThreshold: 3, cooldownMs: 1000 });
+    breaker.recordFailure(failing, 10);
+    breaker.recordFailure(failing, 10);
+
+    expect(breaker.state).toBe('closed');
+    expect(breaker.canRequest()).toBe(true);
+  });
+
+  test('a success resets the consecutive failure count', () => {
+    const breaker = new CircuitBreaker({ failureThreshold: 3, cooldownMs: 1000 });
+    breaker.recordFailure(failing, 10);
+    breaker.recordFailure(failing, 10);
+    breaker.recordSuccess(10);
+    breaker.recordFailure(failing, 10);
+
+    expect(breaker.state).toBe('closed');
+  });
+
+  test('opens at the threshold and skips requests during the cooldown', () => {
+    const breaker = openBreaker();
+
+    expect(breaker.state).toBe('open');
+    expect(breaker.canRequest()).toBe(false);
+    expect(breaker.getStats().retryAt).toBe('2026-01-01T00:00:01.000Z');
+
+    jest.advanceTimersByTime(999);
+    expect(breaker.canRequest()).toBe(false);
+  });
+
+  test('lets a single probe through once the cooldown has passed', () => {
+    const breaker = openBreaker();
+    jest.advanceTimersByTime(1000);
+
+    expect(breaker.canRequest()).toBe(true);
+    expect(breaker.state).toBe('half-open');
+    expect(breaker.canRequest()).toBe(false);
+  });
+
+  test('a successful probe closes the breaker', () => {
+    const breaker = openBreaker();
+    jest.advanceTimersByTime(1000);
+    breaker.canRequest();
+    breaker.recordSuccess(10);
+
+    expect(breaker.state).toBe('closed');
+    expect(breaker.consecutiveFailures).toBe(0);
+    expect(breaker.canRequest()).toBe(true);
+  });
+
+  test('a failed probe re-opens the breaker for another cooldown', () => {
+    const breaker = openBreaker();
+    jest.advanceTimersByTime(1000);
+    breaker.canRequest();
+    breaker.recordFailure(failing, 10);
+
+    expect(breaker.state).toBe('open');
+    expect(breaker.canRequest()).toBe(false);
+    jest.advanceTimersByTime(1000);
+    expect(breaker.canRequest()).toBe(true);
+  });
+
+  test('release() frees the probe slot without a verdict', () => {
+    const breaker = openBreaker();
+    jest.advanceTimersByTime(1000);
+    breaker.canRequest();
+    breaker.release();
+
+    expect(breaker.state).toBe('half-open');
+    expect(breaker.canRequest()).toBe(true);
+  });
+
+  test('reports error rate and latency percentiles over the rolling window', () => {
+    const breaker = new CircuitBreaker({ failureThreshold: 10, cooldownMs: 1000, windowSize: 4 });
+    [10, 20, 30, 40, 50].forEach(latency => breaker.recordSuccess(latency));
+    breaker.recordFailure(failing, 60);
+
+    const stats = breaker.getStats();
+    expect(stats.totalRequests).toBe(6);
+    expect(stats.totalFailures).toBe(1);
+    expect(stats.errorRate).toBe(0.25);
+    expect(stats.latency).toEqual({ p50: 40, p95: 60, samples: 4 });
+    expect(stats.lastError).toEqual({ message: 'upstream 500', timestamp: '2026-01-01T00:00:00.000Z' });
+  });
+});
@@ -0,0 +1,58 @@
+const OpenAIAdapter = require('../../../services/providers/openaiAdapter');
+
+describe('OpenAIAdapter', () => {
+  const input = { prompt: 'Write a haiku', messages: [{ role: 'user', content: 'Write a haiku' }] };
+
+  afterEach(() => {
+    delete process.env.TEST_OPENAI_KEY;
+  });
+
+  test('derives the completions and health urls from baseUrl', () => {
+    const provider = new OpenAIAdapter({ name: 'vllm', type: 'openai', baseUrl: 'http://vllm.test/v1/' });
+
+    expect(provider.url).toBe('http://vllm.test/v1/chat/completions');
+    expect(provider.healthUrl).toBe('http://vllm.test/v1/models');
+    expect(provider.model).toBe('default');
+  });
+
+  test('sends the bearer key from apiKey or apiKeyEnv', () => {
+    process.env.TEST_OPENAI_KEY = 'from-env';
+
+    const inline = new OpenAIAdapter({ name: 'a', type: 'openai', url: 'http://a.test', apiKey: 'inline' });
+    const fromEnv = new OpenAIAdapter({ name: 'b', type: 'openai', url: 'http://b.test', apiKeyEnv: 'TEST_OPENAI_KEY' });
+    const none = new OpenAIAdapter({ name: 'c', type: 'openai', url: 'http://c.test', apiKeyEnv: 'MISSING_KEY' });
+
+    expect(inline.buildRequest(input).headers.Authorization).toBe('Bearer inline');
+    expect(fromEnv.buildRequest(input).headers.Authorization).toBe('Bearer from-env');
+    expect(none.buildRequest(input).headers.Authorization).toBeUndefined();
+  });
+
+  test('builds chat completion requests from the message list', () => {
+    const provider = new OpenAIAdapter({ name: 'a', type: 'openai', url: 'http://a.test', model: 'mistral', options: { max_tokens: 256 } });
+
+    expect(provider.buildRequest(input).data).toEqual({
+      model: 'mistral',
+      messages: input.messages,
+      temperature: 0.7,
+      stream: false,
+      max_tokens: 256
+    });
+    expect(provider.buildStreamRequest(input).data.stream).toBe(true);
+    expect(provider.parseResponse({ choices: [{ message: { content: 'Frog jumps in' } }] })).toBe('Frog jumps in');
+  });
+
+  test('streams unless streaming is turned off', () => {
+    expect(new OpenAIAdapter({ name: 'a', type: 'openai', url: 'http://a.test' }).supportsStreaming).toBe(true);
+    expect(new OpenAIAdapter({ name: 'a', type: 'openai', url: 'http://a.test', streaming: false }).supportsStreaming).toBe(false);
+  });
+
+  test('parses SSE delta lines, the [DONE] marker and error frames', () => {
+    const provider = new OpenAIAdapter({ name: 'a', type: 'openai', url: 'http://a.test' });
+
+    expect(provider.parseStreamLine(': keep-alive')).toBeNull();
+    expect(provider.parseStreamLine('data: {"choices":[{"delta":{"content":"Hi"}}]}')).toEqual({ text: 'Hi', done: false });
+    expect(provider.parseStreamLine('data: {"choices":[{"delta":{},"finish_reason":"stop"}]}')).toEqual({ text: '', done: true });
+    expect(provider.parseStreamLine('data: [DONE]')).toEqual({ text: '', done: true });
+    expect(() => provider.parseStreamLine('data: {"error":{"message":"context too long"}}')).toThrow('context too long');
+  });
+});
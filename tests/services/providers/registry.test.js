@@ -0,0 +1,104 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { BaseAdapter, registerAdapter, loadProviderConfig, createProviders } = require('../../../services/providers');
+const HttpAdapter = require('../../../services/providers/httpAdapter');
+const HuggingFaceAdapter = require('../../../services/providers/huggingfaceAdapter');
+const OllamaAdapter = require('../../../services/providers/ollamaAdapter');
+const defaultProviders = require('../../../config/providers');
+
+describe('provider registry', () => {
+  const env = { ...process.env };
+
+  afterEach(() => {
+    process.env = { ...env };
+  });
+
+  test('builds one adapter per entry by type', () => {
+    const providers = createProviders([
+      { name: 'hf', type: 'huggingface', url: 'http://hf.test/model' },
+      { name: 'ollama', type: 'ollama', url: 'http://ollama.test/api/generate' },
+      { name: 'custom', type: 'http', url: 'http://custom.test/complete' }
+    ]);
+
+    expect(providers[0]).toBeInstanceOf(HuggingFaceAdapter);
+    expect(providers[1]).toBeInstanceOf(OllamaAdapter);
+    expect(providers[2]).toBeInstanceOf(HttpAdapter);
+    expect(providers.map(p => p.name)).toEqual(['hf', 'ollama', 'custom']);
+  });
+
+  test('rejects unknown types, duplicate names, and entries without a name or url', () => {
+    expect(() => createProviders([{ name: 'x', type: 'nope', url: 'http://x.test' }])).toThrow(/Unknown AI provider type "nope"/);
+    expect(() => createProviders([
+      { name: 'x', type: 'http', url: 'http://x.test' },
+      { name: 'x', type: 'http', url: 'http://y.test' }
+    ])).toThrow(/Duplicate AI provider name "x"/);
+    expect(() => createProviders([{ type: 'http', url: 'http://x.test' }])).toThrow(/missing a name/);
+    expect(() => createProviders([{ name: 'x', type: 'http' }])).toThrow(/missing a url/);
+    expect(() => createProviders({})).toThrow(/must be an array/);
+  });
+
+  test('registers custom adapters that extend BaseAdapter', () => {
+    class EchoAdapter extends BaseAdapter {
+      buildRequest(input) {
+        return { url: this.url, headers: this.headers, data: { echo: input.prompt } };
+      }
+    }
+    registerAdapter('echo', EchoAdapter);
+
+    const [provider] = createProviders([{ name: 'echo', type: 'echo', url: 'http://echo.test' }]);
+    expect(provider).toBeInstanceOf(EchoAdapter);
+    expect(() => registerAdapter('bad', class {})).toThrow(/must extend BaseAdapter/);
+  });
+
+  test('loads entries from AI_PROVIDERS_FILE, then AI_PROVIDERS, then config/providers.js', () => {
+    delete process.env.AI_PROVIDERS_FILE;
+    delete process.env.AI_PROVIDERS;
+    expect(loadProviderConfig()).toBe(defaultProviders);
+
+    process.env.AI_PROVIDERS = JSON.stringify([{ name: 'env', type: 'http', url: 'http://env.test' }]);
+    expect(loadProviderConfig().map(p => p.name)).toEqual(['env']);
+
+    const file = path.join(fs.mkdtempSync(path.join(os.tmpdir(), 'providers-')), 'providers.json');
+    fs.writeFileSync(file, JSON.stringify([{ name: 'file', type: 'http', url: 'http://file.test' }]));
+    process.env.AI_PROVIDERS_FILE = file;
+    expect(loadProviderConfig().map(p => p.name)).toEqual(['file']);
+  });
+});
+
+describe('built-in adapters', () => {
+  const input = { prompt: 'Write a haiku', messages: [{ role: 'user', content: 'Write a haiku' }] };
+
+  test('http adapter fills the body template and reads the response path', () => {
+    const provider = new HttpAdapter({
+      name: 'custom',
+      type: 'http',
+      url: 'http://custom.test',
+      model: 'tiny',
+      bodyTemplate: { input: { text: '{{prompt}}', model: '{{model}}' }, stop: ['{{unknown}}'] },
+      responsePath: 'results.0.text'
+    });
+
+    expect(provider.buildRequest(input).data).toEqual({ input: { text: 'Write a haiku', model: 'tiny' }, stop: ['{{unknown}}'] });
+    expect(provider.parseResponse({ results: [{ text: 'An old silent pond' }] })).toBe('An old silent pond');
+    expect(provider.parseResponse({ results: [] })).toBeUndefined();
+  });
+
+  test('huggingface adapter waits for a loading model', () => {
+    const provider = new HuggingFaceAdapter({ name: 'hf', type: 'huggingface', url: 'http://hf.test' });
+
+    expect(provider.buildRequest(input).data.inputs).toBe('Write a haiku');
+    expect(provider.parseResponse([{ generated_text: 'Frog jumps in' }])).toBe('Frog jumps in');
+    expect(provider.getRetryAfter({ response: { status: 503, data: { estimated_time: 2.5 }, headers: {} } })).toBe(2500);
+  });
+
+  test('ollama adapter streams newline-delimited JSON', () => {
+    const provider = new OllamaAdapter({ name: 'ollama', type: 'ollama', url: 'http://ollama.test/api/generate' });
+
+    expect(provider.supportsStreaming).toBe(true);
+    expect(provider.buildStreamRequest(input).data).toMatchObject({ model: 'llama2', prompt: 'Write a haiku', stream: true });
+    expect(provider.parseStreamLine('{"response":"Sound of water","done":false}')).toEqual({ text: 'Sound of water', done: false });
+    expect(provider.parseStreamLine('{"response":"","done":true}')).toEqual({ text: '', done: true });
+    expect(() => provider.parseStreamLine('{"error":"model not found"}')).toThrow('model not found');
+  });
+});
@@ -0,0 +1,85 @@
+const seo = require('../../services/seo');
+
+const filler = count => Array.from({ length: count }, (_, i) => `Plain filler words fill sentence ${i} of the body.`).join(' ');
+
+const POST = `# Remote Work Tips for Growing Teams
+
+Remote work lets growing teams hire anywhere. This guide covers the habits that keep remote work productive for everyone involved in it.
+
+## Setting up remote work
+
+${filler(30)} Read our [onboarding guide](/guides/onboarding) and the [research](https://example.com/study).
+
+## Tools that help
+
+${filler(30)}
+
+![](/images/desk.png)
+`;
+
+describe('seo.analyze', () => {
+  const report = seo.analyze(POST, { keyword: 'remote work' });
+
+  test('measures keyword usage and placement', () => {
+    expect(report.keywordUsage.occurrences).toBe(4);
+    expect(report.keywordUsage.placement).toEqual({
+      title: true,
+      h1: true,
+      h2: true,
+      introduction: true,
+      metaDescription: true,
+      slug: true
+    });
+  });
+
+  test('counts headings and links', () => {
+    expect(report.headings).toMatchObject({ h1: ['Remote Work Tips for Growing Teams'], counts: { h1: 1, h2: 2, h3: 0 }, hierarchyIssues: [] });
+    expect(report.links).toEqual({ total: 2, internal: 1, external: 1, images: 1, imagesWithoutAlt: 1 });
+  });
+
+  test('builds the slug and meta description', () => {
+    expect(report.slug).toBe('remote-work-tips-growing-teams');
+    expect(report.metaDescription.text).toBe('Remote work lets growing teams hire anywhere. This guide covers the habits that keep remote work productive for everyone involved in it.');
+  });
+
+  test('turns failed checks into suggestions and a weighted score', () => {
+    const failed = report.checks.filter(check => !check.passed).map(check => check.id);
+
+    expect(failed).toEqual(expect.arrayContaining(['content-length', 'image-alt-text']));
+    expect(failed).not.toContain('keyword-in-title');
+    expect(report.suggestions).toContain('Add alt text to 1 image(s)');
+    expect(report.score).toBeGreaterThan(50);
+    expect(report.score).toBeLessThan(100);
+  });
+
+  test('reports heading hierarchy problems', () => {
+    const { headings } = seo.analyze('## Start\n\n#### Deep\n\n# One\n\n# Two', { keyword: 'start' });
+
+    expect(headings.hierarchyIssues).toEqual([
+      'There are 2 H1 headings; use exactly one',
+      'The first heading is an H2; start with the H1',
+      '"Deep" is an H4 directly under an H2'
+    ]);
+  });
+
+  test('flags keyword stuffing', () => {
+    const stuffed = seo.analyze('# Pricing\n\nPricing pricing pricing and more pricing.', { keyword: 'pricing' });
+
+    expect(stuffed.suggestions[0]).toMatch(/^Use "pricing" less often/);
+  });
+
+  test('measures readability for English only', () => {
+    expect(report.readability).toMatchObject({ grade: expect.any(Number), targetGrade: 9 });
+    expect(seo.analyze('# Trabajo remoto\n\nTexto.', { keyword: 'trabajo remoto', language: 'spanish' }).readability).toBeNull();
+  });
+
+  test('an explicit title wins over the H1', () => {
+    expect(seo.analyze(POST, { keyword: 'remote work', title: 'Office life' }).keywordUsage.placement.title).toBe(false);
+  });
+});
+
+describe('seo.slugify', () => {
+  test('drops accents and punctuation', () => {
+    expect(seo.slugify('Café Culture: What’s Next?')).toBe('cafe-culture-whats-next');
+  });
+});
@@ -0,0 +1,80 @@
+const social = require('../../services/social');
+
+const sentences = count => Array.from({ length: count }, (_, i) => `Sentence number ${i} is here.`).join(' ');
+const length = text => [...text].length;
+
+describe('social.resolve', () => {
+  test('maps aliases to platform keys', () => {
+    expect(social.resolve('twitter')).toBe('x');
+    expect(social.resolve('x')).toBe('x');
+    expect(social.resolve('myspace')).toBeNull();
+    expect(social.platformNames).toEqual(expect.arrayContaining(['x', 'twitter', 'linkedin']));
+  });
+});
+
+describe('social.countCharacters', () => {
+  test('counts links at the platform URL length', () => {
+    const text = 'see https://example.com/a/very/long/path/that/is/long ok';
+    expect(social.countCharacters(text, { urlLength: 23 })).toBe('see '.length + 23 + ' ok'.length);
+    expect(social.countCharacters(text, {})).toBe(text.length);
+  });
+
+  test('counts code points rather than UTF-16 units', () => {
+    expect(social.countCharacters('🚀🚀', {})).toBe(2);
+  });
+});
+
+describe('social.fit', () => {
+  test('leaves content within the limit alone', () => {
+    const { content, posts, report } = social.fit('A short post.', 'x');
+    expect(content).toBe('A short post.');
+    expect(posts).toEqual(['A short post.']);
+    expect(report).toMatchObject({ platform: 'x', action: 'none', overflow: [], warnings: [] });
+  });
+
+  test('splits an overlong post into a thread at sentence boundaries', () => {
+    const text = sentences(30);
+    const { posts, content, report } = social.fit(text, 'twitter');
+
+    expect(report.action).toBe('split');
+    expect(report.overflow).toEqual([{ post: 1, characterCount: length(text), maxLength: 280 }]);
+    expect(posts.length).toBeGreaterThan(1);
+    posts.forEach(post => {
+      expect(length(post)).toBeLessThanOrEqual(280);
+      expect(post).toMatch(/\.$/);
+    });
+    expect(posts.join(' ')).toBe(text);
+    expect(content).toBe(posts.join('\n\n---\n\n'));
+  });
+
+  test('splits a single unbroken word by character', () => {
+    const { posts } = social.fit('x'.repeat(600), 'threads');
+    expect(posts.map(length)).toEqual([500, 100]);
+  });
+
+  test('keeps the posts of a thread the model already wrote', () => {
+    const { posts, report } = social.fit('First post.\n---\nSecond post.', 'mastodon');
+    expect(posts).toEqual(['First post.', 'Second post.']);
+    expect(report.posts).toHaveLength(2);
+  });
+
+  test('joins a thread into one post on single-post platforms', () => {
+    const { posts } = social.fit('one\n---\ntwo', 'linkedin');
+    expect(posts).toEqual(['one\n\ntwo']);
+  });
+
+  test('trims an overlong post at a word boundary where threads are not available', () => {
+    const { posts, report } = social.fit(sentences(8).repeat(20), 'linkedin');
+
+    expect(report.action).toBe('trimmed');
+    expect(posts).toHaveLength(1);
+    expect(length(posts[0])).toBeLessThanOrEqual(3000);
+    expect(posts[0]).toMatch(/\S…$/);
+  });
+
+  test('warns about too many hashtags', () => {
+    const { report } = social.fit('Launch day #one #two #three', 'x');
+    expect(report.posts[0].hashtags).toBe(3);
+    expect(report.warnings).toEqual(['Post 1 has 3 hashtags; X (Twitter) posts should have at most 2']);
+  });
+});
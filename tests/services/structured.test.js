@@ -0,0 +1,71 @@
+const structured = require('../../services/structured');
+
+describe('structured.parse', () => {
+  const socialSchema = structured.schemaFor('social');
+
+  test('extracts JSON from prose and code fences, repairing trailing commas', () => {
+    const reply = 'Here you go:\n```json\n{"hook": "Big news", "body": "We launched.", "cta": "Try it", "hashtags": ["#launch"],}\n```';
+    expect(structured.parse('social', reply, socialSchema)).toEqual({
+      value: { hook: 'Big news', body: 'We launched.', cta: 'Try it', hashtags: ['#launch'] },
+      errors: []
+    });
+  });
+
+  test('maps aliased keys and coerces a hashtag string into a prefixed list', () => {
+    const reply = '{"Hook": "Big news", "valueProposition": "We launched.", "callToAction": "Try it", "hashtags": "launch, #news"}';
+    expect(structured.parse('social', reply, socialSchema).value).toEqual({
+      hook: 'Big news',
+      body: 'We launched.',
+      cta: 'Try it',
+      hashtags: ['#launch', '#news']
+    });
+  });
+
+  test('escapes raw line breaks inside strings', () => {
+    const reply = '{"subject": "Hi", "body": "Line one\nline two", "cta": "Go"}';
+    const { value, errors } = structured.parse('email', reply, structured.schemaFor('email'));
+    expect(value.body).toBe('Line one\nline two');
+    expect(errors).toEqual([]);
+  });
+
+  test('reports missing required properties', () => {
+    const { errors } = structured.parse('social', '{"hook": "x"}', socialSchema);
+    expect(errors).toEqual([
+      { path: '$.body', message: 'is required' },
+      { path: '$.cta', message: 'is required' },
+      { path: '$.hashtags', message: 'is required' }
+    ]);
+  });
+
+  test('recovers a blog post from markdown when the reply has no JSON', () => {
+    const markdown = [
+      '# Remote Work Guide',
+      'Remote work is here to stay.',
+      '## Set up your space',
+      'A quiet desk helps.',
+      '## Keep a routine',
+      'Start at the same time.',
+      '## Conclusion',
+      'Small habits add up.'
+    ].join('\n\n');
+
+    expect(structured.parse('blog', markdown, structured.schemaFor('blog'))).toEqual({
+      value: {
+        headline: 'Remote Work Guide',
+        introduction: 'Remote work is here to stay.',
+        sections: [
+          { heading: 'Set up your space', body: 'A quiet desk helps.' },
+          { heading: 'Keep a routine', body: 'Start at the same time.' }
+        ],
+        conclusion: 'Small habits add up.'
+      },
+      errors: []
+    });
+  });
+});
+
+describe('structured.repairRequest', () => {
+  test('lists the validation errors for the model', () => {
+    expect(structured.repairRequest([{ path: '$.cta', message: 'is required' }])).toContain('- $.cta is required');
+  });
+});
@@ -0,0 +1,104 @@
+const crypto = require('crypto');
+const storage = require('../../storage');
+const usageService = require('../../services/usageService');
+
+// Each test gets its own user so stored periods don't carry over
+const makeUser = (createdAt, plan = 'free') => ({ id: crypto.randomUUID(), plan, createdAt });
+
+describe('usageService.getCurrentPeriod', () => {
+  test('runs monthly from the signup date', async () => {
+    const user = makeUser('2026-01-15T09:30:00.000Z');
+    const period = await usageService.getCurrentPeriod(user, new Date('2026-04-14T23:59:00.000Z'));
+
+    expect(period.periodStart).toBe('2026-03-15T09:30:00.000Z');
+    expect(period.periodEnd).toBe('2026-04-15T09:30:00.000Z');
+  });
+
+  test('clamps the anchor day to the end of shorter months', async () => {
+    const user = makeUser('2026-01-31T10:00:00.000Z');
+    const period = await usageService.getCurrentPeriod(user, new Date('2026-03-15T00:00:00.000Z'));
+
+    expect(period.periodStart).toBe('2026-02-28T10:00:00.000Z');
+    expect(period.periodEnd).toBe('2026-03-31T10:00:00.000Z');
+  });
+
+  test('starts the first period at signup', async () => {
+    const user = makeUser('2026-05-20T12:00:00.000Z');
+    const period = await usageService.getCurrentPeriod(user, new Date('2026-05-20T12:00:00.000Z'));
+
+    expect(period.periodStart).toBe('2026-05-20T12:00:00.000Z');
+    expect(period.periodEnd).toBe('2026-06-20T12:00:00.000Z');
+  });
+
+  test('keeps the stored period until its end, then opens a fresh one', async () => {
+    const user = makeUser('2026-01-10T00:00:00.000Z');
+    const first = await usageService.getCurrentPeriod(user, new Date('2026-02-01T00:00:00.000Z'));
+    await storage.usage.increment(user.id, first.periodStart, { requests: 4 });
+
+    const same = await usageService.getCurrentPeriod(user, new Date('2026-02-09T23:59:59.999Z'));
+    expect(same).toMatchObject({ periodStart: first.periodStart, requests: 4 });
+
+    const next = await usageService.getCurrentPeriod(user, new Date('2026-02-10T00:00:00.000Z'));
+    expect(next).toMatchObject({ periodStart: '2026-02-10T00:00:00.000Z', requests: 0 });
+  });
+});
+
+describe('usageService quota reservations', () => {
+  const now = () => new Date().toISOString();
+
+  test('never reserves past the limit, even for concurrent callers', async () => {
+    const user = makeUser(now(), 'demo');
+    const results = await Promise.allSettled(Array.from({ length: 15 }, () => usageService.reserve(user)));
+
+    expect(results.filter(result => result.status === 'fulfilled')).toHaveLength(10);
+    const rejected = results.find(result => result.status === 'rejected').reason;
+    expect(rejected).toMatchObject({ statusCode: 429, code: 'QUOTA_EXCEEDED' });
+    expect((await usageService.getSummary(user)).requests).toBe(10);
+  });
+
+  test('registered plans get 402 with the usage in the details', async () => {
+    const user = makeUser(now());
+    const period = await usageService.getCurrentPeriod(user);
+    await storage.usage.increment(user.id, period.periodStart, { requests: 99 });
+
+    await expect(usageService.reserve(user, 2)).rejects.toMatchObject({
+      statusCode: 402,
+      details: { limit: 100, used: 99, requested: 2 }
+    });
+  });
+
+  test('record() draws on the reservation and release() gives back the rest', async () => {
+    const user = makeUser(now());
+    const reservation = await usageService.reserve(user, 3);
+
+    await usageService.record(user, { requests: 1, words: 10, tokens: 20 }, reservation);
+    expect(reservation.units).toBe(2);
+    expect(await usageService.getSummary(user)).toMatchObject({ requests: 3, words: 10, tokens: 20 });
+
+    await usageService.release(reservation);
+    await usageService.release(reservation);
+    expect((await usageService.getSummary(user)).requests).toBe(1);
+  });
+
+  test('transfer() hands the remaining units to a new reservation', async () => {
+    const user = makeUser(now());
+    const reservation = await usageService.reserve(user, 2);
+    const moved = usageService.transfer(reservation);
+
+    await usageService.release(reservation);
+    expect((await usageService.getSummary(user)).requests).toBe(2);
+
+    await usageService.release(moved);
+    expect((await usageService.getSummary(user)).requests).toBe(0);
+  });
+
+  test('recordGeneration() skips fallback content and counts cache hits', async () => {
+    const user = makeUser(now());
+
+    await usageService.recordGeneration(user, { fallback: true, cached: false }, 'prompt', 'template text');
+    expect((await usageService.getSummary(user)).requests).toBe(0);
+
+    await usageService.recordGeneration(user, { fallback: false, cached: true }, 'prompt', 'cached text');
+    expect((await usageService.getSummary(user)).requests).toBe(1);
+  });
+});
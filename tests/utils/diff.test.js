@@ -0,0 +1,72 @@
+const { diffSequences, diffText } = require('../../utils/diff');
+
+// Applying the old side of a diff gives the old text, the new side the new text
+const sides = changes => ({
+  old: changes.filter(change => change.type !== 'insert').map(change => change.value).join(''),
+  new: changes.filter(change => change.type !== 'delete').map(change => change.value).join('')
+});
+
+describe('diffSequences', () => {
+  test('returns nothing for two empty sequences', () => {
+    expect(diffSequences([], [])).toEqual([]);
+  });
+
+  test('finds the shortest edit script', () => {
+    const ops = diffSequences(['a', 'b', 'c', 'a', 'b', 'b', 'a'], ['c', 'b', 'a', 'b', 'a', 'c']);
+    expect(ops.filter(op => op.type !== 'equal')).toHaveLength(5);
+  });
+
+  test('marks everything inserted or deleted when one side is empty', () => {
+    expect(diffSequences([], ['x', 'y'])).toEqual([
+      { type: 'insert', token: 'x' },
+      { type: 'insert', token: 'y' }
+    ]);
+    expect(diffSequences(['x'], [])).toEqual([{ type: 'delete', token: 'x' }]);
+  });
+});
+
+describe('diffText', () => {
+  test('diffs by line, keeping line endings in the values', () => {
+    const result = diffText('a\nb\nc\n', 'a\nB\nc\nd\n');
+
+    expect(result.granularity).toBe('line');
+    expect(result.changes).toEqual([
+      { type: 'equal', value: 'a\n' },
+      { type: 'delete', value: 'b\n' },
+      { type: 'insert', value: 'B\n' },
+      { type: 'equal', value: 'c\n' },
+      { type: 'insert', value: 'd\n' }
+    ]);
+    expect(result.stats).toEqual({ added: 2, removed: 1, unchanged: 2 });
+  });
+
+  test('diffs by word without counting whitespace in the stats', () => {
+    const result = diffText('the quick fox', 'the slow fox', 'word');
+
+    expect(result.changes).toEqual([
+      { type: 'equal', value: 'the ' },
+      { type: 'delete', value: 'quick' },
+      { type: 'insert', value: 'slow' },
+      { type: 'equal', value: ' fox' }
+    ]);
+    expect(result.stats).toEqual({ added: 1, removed: 1, unchanged: 2 });
+  });
+
+  test('merges consecutive changes of the same kind', () => {
+    const { changes } = diffText('one two three', 'one 2 3', 'word');
+    expect(changes.map(change => change.type)).toEqual(['equal', 'delete', 'insert', 'equal', 'delete', 'insert']);
+  });
+
+  test('reproduces both texts exactly from the changes', () => {
+    const oldText = 'Intro line\nSecond line\n\nClosing without newline';
+    const newText = 'Intro line\nA new second line\n\nClosing without newline\nExtra';
+
+    for (const granularity of ['line', 'word']) {
+      expect(sides(diffText(oldText, newText, granularity).changes)).toEqual({ old: oldText, new: newText });
+    }
+  });
+
+  test('rejects an unknown granularity', () => {
+    expect(() => diffText('a', 'b', 'char')).toThrow('Unknown diff granularity "char"');
+  });
+});
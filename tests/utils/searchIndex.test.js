@@ -0,0 +1,99 @@
+const { InvertedIndex, tokenize, normalizeTerm, parseQuery } = require('../../utils/searchIndex');
+
+const FIELDS = { title: 3, tags: 2, content: 1 };
+
+function buildIndex(docs) {
+  const index = new InvertedIndex(FIELDS);
+  for (const [id, values] of Object.entries(docs)) {
+    index.add(id, values);
+  }
+  return index;
+}
+
+const ids = results => Array.from(results.keys());
+
+describe('tokenize', () => {
+  test('lowercases, strips diacritics and keeps offsets into the original text', () => {
+    expect(tokenize('Café au-lait')).toEqual([
+      { term: 'cafe', start: 0, end: 4 },
+      { term: 'au', start: 5, end: 7 },
+      { term: 'lait', start: 8, end: 12 }
+    ]);
+    expect(normalizeTerm('ÉCOLE')).toBe('ecole');
+  });
+
+  test('treats missing and non-string values as text', () => {
+    expect(tokenize(null)).toEqual([]);
+    expect(tokenize(42)).toEqual([{ term: '42', start: 0, end: 2 }]);
+  });
+});
+
+describe('parseQuery', () => {
+  test('parses terms, prefixes and quoted phrases', () => {
+    expect(parseQuery('market* "social media" growth')).toEqual([
+      { type: 'prefix', prefix: 'market' },
+      { type: 'phrase', terms: ['social', 'media'] },
+      { type: 'term', term: 'growth' }
+    ]);
+  });
+
+  test('treats unquoted words that split into several terms as phrases', () => {
+    expect(parseQuery('e-mail')).toEqual([{ type: 'phrase', terms: ['e', 'mail'] }]);
+  });
+
+  test('ignores words without any terms', () => {
+    expect(parseQuery('  --- "" ')).toEqual([]);
+  });
+});
+
+describe('InvertedIndex', () => {
+  const docs = {
+    a: { title: 'Social media marketing', tags: ['marketing'], content: 'Grow your brand on social media.' },
+    b: { title: 'Email newsletter', tags: ['email'], content: 'Media coverage and social events for the team.' },
+    c: { title: 'Launch plan', tags: [], content: 'Marketers launch products. Marketing matters.' }
+  };
+
+  test('requires every clause to match', () => {
+    const index = buildIndex(docs);
+    expect(ids(index.search(parseQuery('social media'))).sort()).toEqual(['a', 'b']);
+    expect(ids(index.search(parseQuery('social launch')))).toEqual([]);
+  });
+
+  test('matches phrases only when the terms are adjacent', () => {
+    const index = buildIndex(docs);
+    expect(ids(index.search(parseQuery('"social media"')))).toEqual(['a']);
+  });
+
+  test('does not match a phrase across two tags', () => {
+    const index = buildIndex({ d: { title: 'x', tags: ['social', 'media'], content: '' } });
+    expect(index.search(parseQuery('"social media"')).size).toBe(0);
+    expect(index.search(parseQuery('social media')).size).toBe(1);
+  });
+
+  test('expands prefixes to indexed terms', () => {
+    const index = buildIndex(docs);
+    expect(index.expandPrefix('market')).toEqual(['marketers', 'marketing']);
+    expect(ids(index.search(parseQuery('market*'))).sort()).toEqual(['a', 'c']);
+  });
+
+  test('ranks matches in heavier fields higher', () => {
+    const index = buildIndex({
+      inTitle: { title: 'Pricing guide', tags: [], content: 'How we think about it.' },
+      inContent: { title: 'Guide', tags: [], content: 'Some notes on pricing.' }
+    });
+    const results = index.search(parseQuery('pricing'));
+    expect(results.get('inTitle')).toBeGreaterThan(results.get('inContent'));
+  });
+
+  test('re-indexing replaces the old postings and remove() drops the document', () => {
+    const index = buildIndex(docs);
+    index.add('a', { title: 'Renamed', tags: [], content: 'Nothing here.' });
+    expect(ids(index.search(parseQuery('"social media"')))).toEqual([]);
+    expect(index.size).toBe(3);
+
+    index.remove('a');
+    expect(index.has('a')).toBe(false);
+    expect(index.size).toBe(2);
+    expect(index.expandPrefix('renamed')).toEqual([]);
+  });
+});
@@ -0,0 +1,76 @@
+const crypto = require('crypto');
+const dns = require('dns');
+const { isWebhookUrl, isBlockedAddress, assertDeliverableUrl, generateSecret, signPayload } = require('../../utils/webhooks');
+
+describe('isBlockedAddress', () => {
+  test.each([
+    '127.0.0.1', '10.1.2.3', '172.16.0.1', '192.168.1.1', '169.254.169.254', '100.64.0.1', '0.0.0.0', '224.0.0.1',
+    '::1', '::', 'fd00:ec2::254', 'fe80::1', '::ffff:127.0.0.1', '::ffff:10.0.0.1'
+  ])('blocks %s', address => {
+    expect(isBlockedAddress(address)).toBe(true);
+  });
+
+  test.each(['93.184.216.34', '8.8.8.8', '2606:4700:4700::1111'])('allows %s', address => {
+    expect(isBlockedAddress(address)).toBe(false);
+  });
+});
+
+describe('isWebhookUrl', () => {
+  test('accepts http(s) URLs on a domain or an IP', () => {
+    expect(isWebhookUrl('https://hooks.example.com/receive')).toBe(true);
+    expect(isWebhookUrl('http://93.184.216.34/hook')).toBe(true);
+    expect(isWebhookUrl('http://[2606:4700:4700::1111]/hook')).toBe(true);
+  });
+
+  test('rejects other schemes and hosts without a TLD', () => {
+    expect(isWebhookUrl('ftp://hooks.example.com/')).toBe(false);
+    expect(isWebhookUrl('file:///etc/passwd')).toBe(false);
+    expect(isWebhookUrl('http://localhost:3000/hook')).toBe(false);
+    expect(isWebhookUrl('http://intranet/hook')).toBe(false);
+    expect(isWebhookUrl('not a url')).toBe(false);
+  });
+});
+
+describe('assertDeliverableUrl', () => {
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('rejects IP literals in blocked ranges', async () => {
+    await expect(assertDeliverableUrl('http://169.254.169.254/latest/meta-data')).rejects.toThrow(/non-public address/);
+    await expect(assertDeliverableUrl('http://[::1]:8080/hook')).rejects.toThrow(/non-public address/);
+    await expect(assertDeliverableUrl('http://[::ffff:7f00:1]/hook')).rejects.toThrow(/non-public address/);
+  });
+
+  test('rejects a domain when any address it resolves to is blocked', async () => {
+    jest.spyOn(dns.promises, 'lookup').mockResolvedValue([
+      { address: '93.184.216.34', family: 4 },
+      { address: '10.0.0.5', family: 4 }
+    ]);
+
+    await expect(assertDeliverableUrl('https://rebind.example.com/hook')).rejects.toThrow('resolves to a non-public address (10.0.0.5)');
+  });
+
+  test('accepts a domain that resolves only to public addresses', async () => {
+    jest.spyOn(dns.promises, 'lookup').mockResolvedValue([{ address: '93.184.216.34', family: 4 }]);
+
+    await expect(assertDeliverableUrl('https://hooks.example.com/hook')).resolves.toBeUndefined();
+  });
+});
+
+describe('signing', () => {
+  test('issues a distinct secret per call', () => {
+    const first = generateSecret();
+
+    expect(first).toMatch(/^whsec_[0-9a-f]{64}$/);
+    expect(generateSecret()).not.toBe(first);
+  });
+
+  test('signs "<timestamp>.<body>" with HMAC-SHA256', () => {
+    const expected = crypto.createHmac('sha256', 'whsec_test').update('1700000000.{"event":"job.completed"}').digest('hex');
+
+    expect(signPayload('{"event":"job.completed"}', '1700000000', 'whsec_test')).toBe(`sha256=${expected}`);
+    expect(signPayload('{"event":"job.completed"}', '1700000000', 'whsec_other')).not.toBe(`sha256=${expected}`);
+    expect(() => signPayload('{}', '1700000000')).toThrow(/secret is required/);
+  });
+});
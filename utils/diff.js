@@ -0,0 +1,118 @@
+// Text diffing for content version history (Myers' O(ND) algorithm).
+
+// Beyond this many edits the trace gets expensive; report a full replacement instead
+const MAX_EDIT_DISTANCE = 4000;
+
+// Shortest edit script between two token arrays as [{ type: 'equal' | 'insert' | 'delete', token }]
+function diffSequences(a, b) {
+  const n = a.length;
+  const m = b.length;
+  const max = Math.min(n + m, MAX_EDIT_DISTANCE);
+  const offset = max + 1;
+  const v = new Int32Array(2 * max + 3);
+  const trace = [];
+
+  for (let d = 0; d <= max; d++) {
+    // Only diagonals -d-1..d+1 are read when backtracking step d
+    trace.push(v.slice(offset - d - 1, offset + d + 2));
+
+    for (let k = -d; k <= d; k += 2) {
+      let x = (k === -d || (k !== d && v[offset + k - 1] < v[offset + k + 1]))
+        ? v[offset + k + 1]
+        : v[offset + k - 1] + 1;
+      let y = x - k;
+
+      while (x < n && y < m && a[x] === b[y]) {
+        x++;
+        y++;
+      }
+      v[offset + k] = x;
+
+      if (x >= n && y >= m) {
+        return backtrack(trace, a, b);
+      }
+    }
+  }
+
+  // Too different to diff cheaply: everything was replaced
+  return [
+    ...a.map(token => ({ type: 'delete', token })),
+    ...b.map(token => ({ type: 'insert', token }))
+  ];
+}
+
+function backtrack(trace, a, b) {
+  const ops = [];
+  let x = a.length;
+  let y = b.length;
+
+  for (let d = trace.length - 1; d >= 0; d--) {
+    const v = trace[d];
+    const at = k => v[k + d + 1];
+    const k = x - y;
+
+    const prevK = (k === -d || (k !== d && at(k - 1) < at(k + 1))) ? k + 1 : k - 1;
+    const prevX = at(prevK);
+    const prevY = prevX - prevK;
+
+    while (x > prevX && y > prevY) {
+      ops.push({ type: 'equal', token: a[x - 1] });
+      x--;
+      y--;
+    }
+
+    if (d > 0) {
+      if (x === prevX) {
+        ops.push({ type: 'insert', token: b[y - 1] });
+      } else {
+        ops.push({ type: 'delete', token: a[x - 1] });
+      }
+    }
+
+    x = prevX;
+    y = prevY;
+  }
+
+  return ops.reverse();
+}
+
+// Lines keep their trailing newline and words keep surrounding whitespace,
+// so joining the tokens of each change reproduces the original text exactly
+const tokenizers = {
+  line: text => text.split(/(?<=\n)/).filter(Boolean),
+  word: text => text.match(/\s+|[^\s]+/g) || []
+};
+
+// Diff two texts at line or word granularity. Consecutive tokens of the same
+// kind are merged into one change; stats count lines or words (not whitespace).
+function diffText(oldText, newText, granularity = 'line') {
+  const tokenize = tokenizers[granularity];
+  if (!tokenize) {
+    throw new Error(`Unknown diff granularity "${granularity}"`);
+  }
+
+  const ops = diffSequences(tokenize(oldText), tokenize(newText));
+  const changes = [];
+  const stats = { added: 0, removed: 0, unchanged: 0 };
+  const statKey = { insert: 'added', delete: 'removed', equal: 'unchanged' };
+
+  for (const { type, token } of ops) {
+    if (token.trim()) {
+      stats[statKey[type]]++;
+    }
+
+    const last = changes[changes.length - 1];
+    if (last && last.type === type) {
+      last.value += token;
+    } else {
+      changes.push({ type, value: token });
+    }
+  }
+
+  return { granularity, stats, changes };
+}
+
+module.exports = {
+  diffSequences,
+  diffText
+};
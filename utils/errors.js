@@ -0,0 +1,76 @@
+// Operational errors carry an HTTP status, a stable machine-readable code and
+// optional details; errorHandler renders them as structured JSON responses.
+class AppError extends Error {
+  constructor(message, statusCode = 500, code = 'SERVER_ERROR', details) {
+    super(message);
+    this.name = this.constructor.name;
+    this.statusCode = statusCode;
+    this.code = code;
+    this.details = details;
+  }
+}
+
+// The overall generation deadline ran out before any provider answered
+class DeadlineExceededError extends AppError {
+  constructor(deadlineMs, details = {}) {
+    super(`AI generation did not complete within ${deadlineMs}ms`, 504, 'DEADLINE_EXCEEDED', {
+      deadlineMs,
+      ...details
+    });
+  }
+}
+
+// Every provider failed or was skipped for an operation that has no template fallback
+class ProvidersUnavailableError extends AppError {
+  constructor(details) {
+    super('AI providers are temporarily unavailable. Please try again in a moment.', 503, 'PROVIDERS_UNAVAILABLE', details);
+  }
+}
+
+// A record with the same unique value (email, API key, id) already exists
+class ConflictError extends AppError {
+  constructor(message = 'Resource already exists', details) {
+    super(message, 409, 'CONFLICT', details);
+  }
+}
+
+// The storage backend failed; `retryable` marks transient conditions such as a locked database
+class StorageError extends AppError {
+  constructor(message = 'Storage operation failed', { retryable = false, cause } = {}) {
+    super(message, retryable ? 503 : 500, retryable ? 'STORAGE_UNAVAILABLE' : 'STORAGE_ERROR');
+    this.cause = cause;
+  }
+}
+
+// The caller has used up their plan allowance for the current billing period.
+// Guests get 429 (sign up to continue); registered plans get 402 (upgrade needed).
+class QuotaExceededError extends AppError {
+  constructor(message, { statusCode = 402, ...details } = {}) {
+    super(message, statusCode, 'QUOTA_EXCEEDED', details);
+  }
+}
+
+// The caller's plan does not include the requested feature or exceeds one of its limits
+class PlanRestrictionError extends AppError {
+  constructor(message, details) {
+    super(message, 403, 'PLAN_RESTRICTED', details);
+  }
+}
+
+// A prompt template definition, or the variables supplied to it, failed validation
+class InvalidTemplateError extends AppError {
+  constructor(message, details) {
+    super(message, 400, 'INVALID_TEMPLATE', details);
+  }
+}
+
+module.exports = {
+  AppError,
+  DeadlineExceededError,
+  ProvidersUnavailableError,
+  ConflictError,
+  StorageError,
+  QuotaExceededError,
+  PlanRestrictionError,
+  InvalidTemplateError
+};
@@ -0,0 +1,54 @@
+// Flesch-Kincaid grade level for English text. Markdown markup is stripped first and every
+// heading or list item counts as its own sentence, so outlines aren't scored as one long run-on.
+
+const WORD = /[A-Za-z]+(?:'[A-Za-z]+)*/g;
+
+function plainText(markdown) {
+  return markdown
+    .replace(/```[\s\S]*?```/g, ' ')
+    .replace(/!?\[([^\]]*)\]\([^)]*\)/g, '$1')
+    .replace(/^\s*(?:#{1,6}|[-*+]|\d+[.)]|>)\s+/gm, '')
+    .replace(/[*_`~]+/g, '')
+    .replace(/^-{3,}$/gm, '');
+}
+
+// Vowel-group heuristic: good to a syllable or so per word, which is enough for a grade estimate
+function countSyllables(word) {
+  const lower = word.toLowerCase();
+  if (lower.length <= 3) {
+    return 1;
+  }
+  const groups = lower
+    .replace(/(?:[^laeiouy]es|ed|[^laeiouy]e)$/, '')
+    .replace(/^y/, '')
+    .match(/[aeiouy]{1,2}/g);
+  return groups ? groups.length : 1;
+}
+
+// -> { grade, words, sentences } or null when there is nothing to measure
+function gradeLevel(text) {
+  const sentences = plainText(text)
+    .split(/[.!?]+(?:\s+|$)|\n+/)
+    .map(sentence => sentence.match(WORD) || [])
+    .filter(words => words.length > 0);
+
+  const words = sentences.flat();
+  if (words.length === 0) {
+    return null;
+  }
+
+  const syllables = words.reduce((total, word) => total + countSyllables(word), 0);
+  const grade = 0.39 * (words.length / sentences.length) + 11.8 * (syllables / words.length) - 15.59;
+
+  return {
+    grade: Math.max(0, Math.round(grade * 10) / 10),
+    words: words.length,
+    sentences: sentences.length
+  };
+}
+
+module.exports = {
+  plainText,
+  gradeLevel,
+  countSyllables
+};
@@ -0,0 +1,243 @@
+// Inverted index with positional postings, used for full-text search over saved content.
+
+const TOKEN_PATTERN = /[\p{L}\p{N}][\p{L}\p{N}\p{M}]*/gu;
+
+// BM25 parameters
+const K1 = 1.2;
+const B = 0.75;
+
+// Cap on how many indexed terms a single prefix may expand to
+const MAX_PREFIX_EXPANSIONS = 50;
+
+// Lowercase and strip diacritics so "Café" matches "cafe"
+function normalizeTerm(word) {
+  return word.normalize('NFKD').replace(/\p{M}/gu, '').toLowerCase();
+}
+
+// Split text into normalized terms, keeping character offsets into the original text
+function tokenize(text) {
+  const tokens = [];
+  for (const match of String(text || '').matchAll(TOKEN_PATTERN)) {
+    tokens.push({
+      term: normalizeTerm(match[0]),
+      start: match.index,
+      end: match.index + match[0].length
+    });
+  }
+  return tokens;
+}
+
+// Parse a query into clauses, all of which must match:
+//   word      -> { type: 'term', term }
+//   word*     -> { type: 'prefix', prefix }
+//   "a b c"   -> { type: 'phrase', terms }
+// Unquoted words that tokenize into several terms (e.g. "e-mail") are treated as phrases.
+function parseQuery(query) {
+  const clauses = [];
+
+  for (const match of String(query || '').matchAll(/"([^"]*)"?|(\S+)/g)) {
+    const quoted = match[1] !== undefined;
+    const raw = quoted ? match[1] : match[2];
+    const terms = tokenize(raw).map(token => token.term);
+    if (terms.length === 0) continue;
+
+    if (!quoted && terms.length === 1 && raw.endsWith('*')) {
+      clauses.push({ type: 'prefix', prefix: terms[0] });
+    } else if (terms.length === 1) {
+      clauses.push({ type: 'term', term: terms[0] });
+    } else {
+      clauses.push({ type: 'phrase', terms });
+    }
+  }
+
+  return clauses;
+}
+
+class InvertedIndex {
+  // `fields` maps field name to its ranking weight
+  constructor(fields) {
+    this.fields = fields;
+    this.docs = new Map(); // id -> { lengths: { field: n }, terms: Set }
+    this.postings = new Map(); // term -> Map(id -> { field: [positions] })
+    this.totalLengths = Object.fromEntries(Object.keys(fields).map(field => [field, 0]));
+    this.sortedTerms = null;
+  }
+
+  get size() {
+    return this.docs.size;
+  }
+
+  has(id) {
+    return this.docs.has(id);
+  }
+
+  // Index (or re-index) a document. Array values are indexed as separate phrases.
+  add(id, values) {
+    this.remove(id);
+
+    const doc = { lengths: {}, terms: new Set() };
+
+    for (const field of Object.keys(this.fields)) {
+      const parts = Array.isArray(values[field]) ? values[field] : [values[field]];
+      let position = 0;
+
+      for (const part of parts) {
+        for (const { term } of tokenize(part)) {
+          if (!this.postings.has(term)) {
+            this.postings.set(term, new Map());
+            this.sortedTerms = null;
+          }
+          const posting = this.postings.get(term);
+          if (!posting.has(id)) posting.set(id, {});
+          const entry = posting.get(id);
+          (entry[field] = entry[field] || []).push(position++);
+          doc.terms.add(term);
+        }
+        // Keep phrases from spanning two array entries
+        position++;
+      }
+
+      doc.lengths[field] = position;
+      this.totalLengths[field] += position;
+    }
+
+    this.docs.set(id, doc);
+  }
+
+  remove(id) {
+    const doc = this.docs.get(id);
+    if (!doc) return;
+
+    for (const term of doc.terms) {
+      const posting = this.postings.get(term);
+      posting.delete(id);
+      if (posting.size === 0) {
+        this.postings.delete(term);
+        this.sortedTerms = null;
+      }
+    }
+    for (const [field, length] of Object.entries(doc.lengths)) {
+      this.totalLengths[field] -= length;
+    }
+
+    this.docs.delete(id);
+  }
+
+  // Indexed terms starting with `prefix`, in lexical order
+  expandPrefix(prefix) {
+    if (!this.sortedTerms) {
+      this.sortedTerms = Array.from(this.postings.keys()).sort();
+    }
+
+    let low = 0;
+    let high = this.sortedTerms.length;
+    while (low < high) {
+      const mid = (low + high) >> 1;
+      if (this.sortedTerms[mid] < prefix) low = mid + 1;
+      else high = mid;
+    }
+
+    const terms = [];
+    for (let i = low; i < this.sortedTerms.length && terms.length < MAX_PREFIX_EXPANSIONS; i++) {
+      if (!this.sortedTerms[i].startsWith(prefix)) break;
+      terms.push(this.sortedTerms[i]);
+    }
+    return terms;
+  }
+
+  // Documents matching every clause, as Map(id -> score), ranked with per-field BM25
+  search(clauses) {
+    let results = null;
+
+    for (const clause of clauses) {
+      const matches = this.matchClause(clause);
+      const scored = new Map();
+
+      for (const [id, { frequencies, idf }] of matches) {
+        if (results && !results.has(id)) continue;
+        scored.set(id, (results ? results.get(id) : 0) + this.score(id, frequencies, idf));
+      }
+
+      results = scored;
+      if (results.size === 0) break;
+    }
+
+    return results || new Map();
+  }
+
+  // Map(id -> { frequencies: { field: tf }, idf }) for one clause
+  matchClause(clause) {
+    const matches = new Map();
+
+    if (clause.type === 'phrase') {
+      const postings = clause.terms.map(term => this.postings.get(term));
+      if (postings.some(posting => !posting)) return matches;
+
+      const idf = clause.terms.reduce((sum, term) => sum + this.idf(term), 0);
+      const [first, ...rest] = postings;
+
+      for (const [id, fieldPositions] of first) {
+        if (!rest.every(posting => posting.has(id))) continue;
+
+        const frequencies = {};
+        for (const [field, starts] of Object.entries(fieldPositions)) {
+          const following = rest.map(posting => new Set(posting.get(id)[field] || []));
+          const count = starts.filter(start =>
+            following.every((positions, i) => positions.has(start + i + 1))
+          ).length;
+          if (count > 0) frequencies[field] = count;
+        }
+
+        if (Object.keys(frequencies).length > 0) {
+          matches.set(id, { frequencies, idf });
+        }
+      }
+      return matches;
+    }
+
+    const terms = clause.type === 'prefix' ? this.expandPrefix(clause.prefix) : [clause.term];
+
+    for (const term of terms) {
+      const posting = this.postings.get(term);
+      if (!posting) continue;
+      const idf = this.idf(term);
+
+      for (const [id, fieldPositions] of posting) {
+        const match = matches.get(id) || { frequencies: {}, idf: 0 };
+        for (const [field, positions] of Object.entries(fieldPositions)) {
+          match.frequencies[field] = (match.frequencies[field] || 0) + positions.length;
+        }
+        // A prefix scores as its rarest matching expansion
+        match.idf = Math.max(match.idf, idf);
+        matches.set(id, match);
+      }
+    }
+
+    return matches;
+  }
+
+  idf(term) {
+    const df = this.postings.has(term) ? this.postings.get(term).size : 0;
+    return Math.log(1 + (this.docs.size - df + 0.5) / (df + 0.5));
+  }
+
+  score(id, frequencies, idf) {
+    const doc = this.docs.get(id);
+    let score = 0;
+
+    for (const [field, tf] of Object.entries(frequencies)) {
+      const averageLength = this.totalLengths[field] / this.docs.size || 1;
+      const norm = 1 - B + B * (doc.lengths[field] / averageLength);
+      score += this.fields[field] * idf * (tf * (K1 + 1)) / (tf + K1 * norm);
+    }
+
+    return score;
+  }
+}
+
+module.exports = {
+  InvertedIndex,
+  tokenize,
+  normalizeTerm,
+  parseQuery
+};
@@ -0,0 +1,143 @@
+const crypto = require('crypto');
+const dns = require('dns');
+const net = require('net');
+const axios = require('axios');
+
+// Hosts webhooks may reach even though they resolve to internal addresses or have no TLD
+// (e.g. "hooks.internal,localhost"). Empty by default: only public addresses are allowed.
+const ALLOWED_HOSTS = new Set((process.env.WEBHOOK_ALLOWED_HOSTS || '')
+  .split(',')
+  .map(host => host.trim().toLowerCase())
+  .filter(Boolean));
+
+// Loopback, private (RFC 1918 / unique local), link-local (including the cloud metadata
+// endpoints at 169.254.169.254 and fd00:ec2::254), CGNAT, multicast and reserved ranges.
+// BlockList already checks IPv4-mapped IPv6 addresses (::ffff:a.b.c.d) against the IPv4
+// ranges; listing ::ffff:0:0/96 itself would match every IPv4 address.
+const BLOCKED = new net.BlockList();
+[
+  ['0.0.0.0', 8], ['10.0.0.0', 8], ['100.64.0.0', 10], ['127.0.0.0', 8], ['169.254.0.0', 16],
+  ['172.16.0.0', 12], ['192.0.0.0', 24], ['192.168.0.0', 16], ['198.18.0.0', 15], ['224.0.0.0', 3]
+].forEach(([address, prefix]) => BLOCKED.addSubnet(address, prefix, 'ipv4'));
+[
+  ['::', 128], ['::1', 128], ['64:ff9b::', 96], ['fc00::', 7], ['fe80::', 10], ['ff00::', 8]
+].forEach(([address, prefix]) => BLOCKED.addSubnet(address, prefix, 'ipv6'));
+
+const isBlockedAddress = address => BLOCKED.check(address, net.isIPv6(address) ? 'ipv6' : 'ipv4');
+
+const isAllowedHost = hostname => ALLOWED_HOSTS.has(hostname.toLowerCase());
+
+// URL hostnames keep IPv6 literals in brackets
+const bareHost = hostname => hostname.replace(/^\[(.*)\]$/, '$1');
+
+// Resolves `hostname` and rejects it if any address is internal (unless the host is allowlisted).
+// Also used as the connection's lookup, so a DNS answer that changes after validation is caught.
+async function resolvePublicAddresses(hostname, { all = true, family = 0 } = {}) {
+  const host = bareHost(hostname);
+  const addresses = net.isIP(host)
+    ? [{ address: host, family: net.isIP(host) }]
+    : await dns.promises.lookup(host, { all: true, family });
+
+  if (!isAllowedHost(host)) {
+    const blocked = addresses.find(({ address }) => isBlockedAddress(address));
+    if (blocked) {
+      throw new Error(`Webhook host ${host} resolves to a non-public address (${blocked.address})`);
+    }
+  }
+  return all ? addresses : addresses.slice(0, 1);
+}
+
+// Absolute http(s) URL whose host is an IP address or a domain with a TLD. Hosts without one
+// (localhost, intranet names) are only accepted when allowlisted.
+function isWebhookUrl(value) {
+  let url;
+  try {
+    url = new URL(String(value));
+  } catch (error) {
+    return false;
+  }
+  const host = bareHost(url.hostname);
+  return (url.protocol === 'http:' || url.protocol === 'https:')
+    && (isAllowedHost(host) || net.isIP(host) !== 0 || /\.(?:[a-z]{2,63}|xn--[a-z0-9-]+)$/i.test(host));
+}
+
+// Throws unless `url` is an http(s) URL whose host resolves only to public addresses
+async function assertDeliverableUrl(url) {
+  const { protocol, hostname } = new URL(url);
+  if (protocol !== 'http:' && protocol !== 'https:') {
+    throw new Error('Webhook URLs must use http or https');
+  }
+  await resolvePublicAddresses(hostname);
+}
+
+// Signing secrets are issued per job and given only to its owner; there is no shared
+// server-wide key to leak or to fall back to
+function generateSecret() {
+  return `whsec_${crypto.randomBytes(32).toString('hex')}`;
+}
+
+// Signature over "<timestamp>.<body>" so receivers can reject replays.
+// Receivers recompute HMAC-SHA256 with their job's secret and compare to X-Webhook-Signature.
+function signPayload(body, timestamp, secret) {
+  if (!secret) {
+    throw new Error('A webhook signing secret is required');
+  }
+  return 'sha256=' + crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+}
+
+// POST an event signed with `secret`. Retries a few times with backoff; resolves to a delivery
+// report instead of throwing, since webhook failures must not fail the job itself.
+async function deliverWebhook(url, event, payload, { secret, attempts = 3, timeout = 10000 } = {}) {
+  const body = JSON.stringify({ event, data: payload });
+  let lastError;
+
+  for (let attempt = 1; attempt <= attempts; attempt++) {
+    const timestamp = Math.floor(Date.now() / 1000).toString();
+
+    try {
+      // Checked again at delivery: the URL was validated at submission, but DNS may have changed
+      await assertDeliverableUrl(url);
+      const response = await axios.post(url, body, {
+        timeout,
+        // Redirects could point anywhere, including internal addresses
+        maxRedirects: 0,
+        lookup: async (hostname, options) => resolvePublicAddresses(hostname, options),
+        headers: {
+          'Content-Type': 'application/json',
+          'User-Agent': 'AI-Content-Creator-Webhooks/1.0',
+          'X-Webhook-Event': event,
+          'X-Webhook-Timestamp': timestamp,
+          'X-Webhook-Signature': signPayload(body, timestamp, secret)
+        }
+      });
+
+      return {
+        delivered: true,
+        status: response.status,
+        attempts: attempt,
+        deliveredAt: new Date().toISOString()
+      };
+    } catch (error) {
+      lastError = error;
+      if (attempt < attempts) {
+        await new Promise(resolve => setTimeout(resolve, 1000 * 2 ** (attempt - 1)));
+      }
+    }
+  }
+
+  return {
+    delivered: false,
+    status: lastError.response ? lastError.response.status : null,
+    error: lastError.message,
+    attempts
+  };
+}
+
+module.exports = {
+  isWebhookUrl,
+  isBlockedAddress,
+  assertDeliverableUrl,
+  generateSecret,
+  signPayload,
+  deliverWebhook
+};